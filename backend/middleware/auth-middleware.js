@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const AuthService = require('../services/auth-service');
+const MfaService = require('../services/mfa-service');
+const Session = require('../models/session');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
@@ -15,6 +17,16 @@ const authMiddleware = {
 
         try {
             const decoded = jwt.verify(token, JWT_SECRET);
+
+            // Login step and download tokens are not sessions
+            if (decoded.purpose) {
+                return res.status(403).json({ error: 'Invalid or expired token' });
+            }
+
+            // Revoked sessions end at once rather than when the token expires
+            if (!decoded.sid || !(await Session.isActive(decoded.sid))) {
+                return res.status(401).json({ error: 'Session expired', sessionExpired: true });
+            }
             
             // Get full user details with tenant
             const user = await AuthService.getUserWithTenant(decoded.id);
@@ -23,7 +35,17 @@ const authMiddleware = {
                 return res.status(401).json({ error: 'User not found' });
             }
 
+            // Sessions that skipped the second factor end once the user turns
+            // MFA on or their tenant starts requiring it
+            if (!decoded.mfa && (user.mfa_enabled || MfaService.isRequired(user))) {
+                return res.status(401).json({
+                    error: 'Multi-factor authentication required',
+                    mfaRequired: true
+                });
+            }
+
             req.user = user;
+            req.sessionId = decoded.sid;
             next();
         } catch (error) {
             console.error('Auth error:', error);
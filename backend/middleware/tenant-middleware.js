@@ -86,6 +86,15 @@ const tenantMiddleware = {
                 const Tenant = require('../models/tenant');
                 const limits = await Tenant.checkLimits(req.tenantId);
 
+                if (resourceType === 'ai_tokens' && limits.ai_tokens.exceeded) {
+                    return res.status(429).json({
+                        error: 'Monthly AI token quota exceeded. Upgrade your plan or wait until next month.',
+                        code: 'AI_QUOTA_EXCEEDED',
+                        limit: limits.ai_tokens.limit,
+                        current: limits.ai_tokens.current
+                    });
+                }
+
                 if (limits[resourceType] && limits[resourceType].exceeded) {
                     return res.status(403).json({
                         error: `Tenant limit exceeded for ${resourceType}`,
@@ -170,6 +179,73 @@ const tenantMiddleware = {
         next();
     },
 
+    // Check the user's access to the document in req.params.id. Documents the
+    // user may not see are reported as missing. Sets req.documentAccess.
+    requireDocumentAccess: (level = 'view') => {
+        return async (req, res, next) => {
+            try {
+                const AccessRule = require('../models/access-rule');
+                const docResult = await pool.query(
+                    'SELECT id, folder_id, view_only FROM documents WHERE id = $1 AND tenant_id = $2',
+                    [req.params.id, req.tenantId]
+                );
+
+                const resolver = await AccessRule.getResolver(req.tenantId, req.user);
+                const access = docResult.rows.length > 0 ? resolver.documentAccess(docResult.rows[0]) : 'none';
+
+                if (access === 'none') {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Document not found'
+                    });
+                }
+
+                if (level === 'download' && access !== 'download') {
+                    return res.status(403).json({
+                        success: false,
+                        error: docResult.rows[0].view_only
+                            ? 'This document is view only'
+                            : 'You do not have permission to download this document'
+                    });
+                }
+
+                req.documentAccess = access;
+                next();
+            } catch (error) {
+                console.error('Document access check error:', error);
+                res.status(500).json({ error: 'Failed to check document access' });
+            }
+        };
+    },
+
+    // Members of tenants that require terms, such as an NDA, must accept the
+    // current version before they see documents or ask questions. Admins,
+    // who publish the terms, are not held back.
+    requireTermsAccepted: async (req, res, next) => {
+        if (!req.tenantId || req.user.global_role === 'superadmin' || req.user.tenant_role === 'admin') {
+            return next();
+        }
+
+        try {
+            const Terms = require('../models/terms');
+            const status = await Terms.status(req.tenantId, req.user.id);
+
+            if (status.required && status.terms && !status.accepted_at) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Accept the terms to continue',
+                    termsRequired: true,
+                    termsVersion: status.terms.version_number
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Terms acceptance check error:', error);
+            res.status(500).json({ error: 'Failed to check terms acceptance' });
+        }
+    },
+
     // Set tenant context for new resources
     setTenantContext: (req, res, next) => {
         if (req.tenantId) {
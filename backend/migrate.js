@@ -59,6 +59,19 @@ async function runMigrations() {
             }
         }
 
+        // Apply feature migrations (003 onwards) one file at a time so that
+        // $$-quoted function bodies are not split on their semicolons
+        const migrationsDir = path.join(__dirname, 'migrations');
+        const featureMigrations = fs.readdirSync(migrationsDir)
+            .filter(file => /^\d{3}_.+\.sql$/.test(file) && parseInt(file, 10) >= 3)
+            .sort();
+
+        for (const file of featureMigrations) {
+            const featureSQL = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+            await pool.query(featureSQL);
+            console.log(`✅ Applied ${file}`);
+        }
+
         console.log('\n🎉 Migration completed successfully!\n');
         console.log('📧 Superadmin account created:');
         console.log('   Email: superadmin@saasplatform.com');
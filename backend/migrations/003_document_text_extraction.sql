@@ -0,0 +1,34 @@
+-- Document text extraction
+-- Stores the text pulled out of each uploaded file, one row per page / sheet / slide
+
+-- 1. Extracted text per page
+CREATE TABLE IF NOT EXISTS document_pages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    document_id VARCHAR(255) NOT NULL,
+    page_number INTEGER NOT NULL,
+    unit_type VARCHAR(20) NOT NULL DEFAULT 'page', -- page, sheet, slide
+    label VARCHAR(255),
+    content TEXT NOT NULL DEFAULT '',
+    char_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_document_pages_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_document_pages_document
+    FOREIGN KEY (document_id)
+    REFERENCES documents(id)
+    ON DELETE CASCADE,
+    UNIQUE(document_id, page_number)
+);
+
+-- 2. Extraction metadata on documents
+ALTER TABLE documents
+    ADD COLUMN IF NOT EXISTS page_count INTEGER,
+    ADD COLUMN IF NOT EXISTS extraction_method VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS extracted_at TIMESTAMP;
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_document_pages_tenant_document
+    ON document_pages(tenant_id, document_id);
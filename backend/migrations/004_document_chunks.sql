@@ -0,0 +1,41 @@
+-- Document chunk index
+-- Overlapping chunks of extracted text with embeddings for semantic retrieval
+
+-- 1. Chunks with a portable embedding column
+CREATE TABLE IF NOT EXISTS document_chunks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    document_id VARCHAR(255) NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    page_number INTEGER,
+    label VARCHAR(255),
+    content TEXT NOT NULL,
+    embedding REAL[] NOT NULL,
+    embedding_model VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_document_chunks_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_document_chunks_document
+    FOREIGN KEY (document_id)
+    REFERENCES documents(id)
+    ON DELETE CASCADE,
+    UNIQUE(document_id, chunk_index)
+);
+
+-- 2. pgvector column, only when the extension is available on this server.
+-- Without it, similarity is computed in-process from the REAL[] column.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_available_extensions WHERE name = 'vector') THEN
+        CREATE EXTENSION IF NOT EXISTS vector;
+        ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS embedding_vector vector;
+    END IF;
+END $$;
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_document_chunks_tenant_document
+    ON document_chunks(tenant_id, document_id);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_tenant_model
+    ON document_chunks(tenant_id, embedding_model);
@@ -0,0 +1,57 @@
+-- Q&A conversation threads
+-- Groups questions into threads so follow-up questions keep their context
+
+-- 1. Conversations
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    user_id INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    archived_at TIMESTAMP,
+    deleted_at TIMESTAMP,
+    last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_conversations_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_conversations_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE
+);
+
+-- 2. Questions are the messages of a conversation
+ALTER TABLE analytics_questions
+    ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE;
+
+-- Questions are inserted without an explicit id
+ALTER TABLE analytics_questions
+    ALTER COLUMN id SET DEFAULT gen_random_uuid()::text;
+
+-- 3. Backfill: every earlier question becomes its own single-turn thread
+INSERT INTO conversations (id, tenant_id, user_id, title, last_message_at, created_at, updated_at)
+SELECT
+    md5('legacy-question-' || q.id)::uuid,
+    q.tenant_id,
+    q.user_id,
+    LEFT(q.question, 80),
+    q.created_at,
+    q.created_at,
+    q.created_at
+FROM analytics_questions q
+WHERE q.conversation_id IS NULL
+AND q.user_id IS NOT NULL
+ON CONFLICT (id) DO NOTHING;
+
+UPDATE analytics_questions
+SET conversation_id = md5('legacy-question-' || id)::uuid
+WHERE conversation_id IS NULL
+AND user_id IS NOT NULL;
+
+-- 4. Indexes
+CREATE INDEX IF NOT EXISTS idx_conversations_tenant_user
+    ON conversations(tenant_id, user_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_analytics_questions_conversation
+    ON analytics_questions(conversation_id, created_at);
@@ -0,0 +1,50 @@
+-- Background job queue
+-- Postgres-backed queue used for document analysis; workers claim jobs with
+-- FOR UPDATE SKIP LOCKED so several processes can share the table
+
+-- 1. Jobs
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    document_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, running, completed, dead
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    locked_by VARCHAR(255),
+    progress INTEGER NOT NULL DEFAULT 0,
+    progress_message VARCHAR(255),
+    last_error TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    CONSTRAINT fk_jobs_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_jobs_document
+    FOREIGN KEY (document_id)
+    REFERENCES documents(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_jobs_created_by
+    FOREIGN KEY (created_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+-- 2. Indexes
+CREATE INDEX IF NOT EXISTS idx_jobs_claim
+    ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_tenant_status
+    ON jobs(tenant_id, status);
+CREATE INDEX IF NOT EXISTS idx_jobs_document
+    ON jobs(document_id, created_at DESC);
+
+-- Only one pending or running job of each type per document
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active_document
+    ON jobs(type, document_id)
+    WHERE status IN ('queued', 'running');
@@ -0,0 +1,6 @@
+-- Per-tenant LLM provider
+-- NULL falls back to the server's LLM_PROVIDER and that provider's default model
+
+-- 1. Provider and model on tenant settings
+ALTER TABLE tenant_settings ADD COLUMN IF NOT EXISTS ai_provider VARCHAR(50);
+ALTER TABLE tenant_settings ADD COLUMN IF NOT EXISTS ai_model VARCHAR(100);
@@ -0,0 +1,11 @@
+-- AI token metering
+-- Tokens reported by the LLM provider are added to the tenant's monthly usage row
+-- and checked against the subscription tier's quota (see models/tenant.js)
+
+-- 1. Monthly token counters
+ALTER TABLE tenant_usage ADD COLUMN IF NOT EXISTS ai_input_tokens BIGINT DEFAULT 0;
+ALTER TABLE tenant_usage ADD COLUMN IF NOT EXISTS ai_output_tokens BIGINT DEFAULT 0;
+ALTER TABLE tenant_usage ADD COLUMN IF NOT EXISTS ai_requests_count INTEGER DEFAULT 0;
+
+-- 2. Per-tenant override of the tier's monthly quota (NULL uses the tier default)
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS max_ai_tokens_per_month BIGINT;
@@ -0,0 +1,38 @@
+-- Data room folders
+-- Nested, ordered folders; index numbers (1, 1.1, 1.1.2) are derived from the
+-- position of each folder and document among its siblings
+
+-- 1. Folders
+CREATE TABLE IF NOT EXISTS folders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    parent_id UUID,
+    name VARCHAR(255) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_folders_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_folders_parent
+    FOREIGN KEY (parent_id)
+    REFERENCES folders(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_folders_created_by
+    FOREIGN KEY (created_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+-- 2. Folder and position of each document
+ALTER TABLE documents
+    ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES folders(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_folders_tenant_parent
+    ON folders(tenant_id, parent_id, position);
+CREATE INDEX IF NOT EXISTS idx_documents_folder
+    ON documents(tenant_id, folder_id, position);
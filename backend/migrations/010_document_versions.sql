@@ -0,0 +1,57 @@
+-- Document versions
+-- Every upload of a document is kept as a version with its own S3 object and
+-- analysis; the documents row mirrors the current version
+
+-- 1. Versions
+CREATE TABLE IF NOT EXISTS document_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    document_id VARCHAR(255) NOT NULL,
+    version_number INTEGER NOT NULL,
+    original_name VARCHAR(500) NOT NULL,
+    s3_key VARCHAR(1000),
+    s3_bucket VARCHAR(255),
+    mime_type VARCHAR(255),
+    file_size BIGINT DEFAULT 0,
+    analysis TEXT,
+    comment VARCHAR(500),
+    restored_from INTEGER,
+    uploaded_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_document_versions_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_document_versions_document
+    FOREIGN KEY (document_id)
+    REFERENCES documents(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_document_versions_uploaded_by
+    FOREIGN KEY (uploaded_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+    UNIQUE(document_id, version_number)
+);
+
+-- 2. Current version number on documents
+ALTER TABLE documents
+    ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+-- 3. Existing documents become version 1
+INSERT INTO document_versions (
+    tenant_id, document_id, version_number, original_name, s3_key, s3_bucket,
+    mime_type, file_size, analysis, uploaded_by, created_at
+)
+SELECT
+    d.tenant_id, d.id, 1, d.original_name, d.s3_key, d.s3_bucket,
+    d.mime_type, d.file_size, d.analysis, d.uploaded_by, d.uploaded_at
+FROM documents d
+WHERE NOT EXISTS (
+    SELECT 1 FROM document_versions v WHERE v.document_id = d.id
+);
+
+-- 4. Indexes
+CREATE INDEX IF NOT EXISTS idx_document_versions_document
+    ON document_versions(document_id, version_number DESC);
+CREATE INDEX IF NOT EXISTS idx_document_versions_tenant
+    ON document_versions(tenant_id);
@@ -0,0 +1,13 @@
+-- Storage drivers
+-- Files can live on S3 (or an S3-compatible service) or on local disk. Each
+-- stored file records its driver; s3_bucket and s3_key hold the driver's
+-- container and key. Files stored before this migration are all on S3.
+-- Tenants use the deployment's STORAGE_DRIVER unless
+-- tenants.settings.storage_driver is set.
+
+-- 1. Driver of each document and version
+ALTER TABLE documents
+    ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(50) NOT NULL DEFAULT 's3';
+
+ALTER TABLE document_versions
+    ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(50) NOT NULL DEFAULT 's3';
@@ -0,0 +1,42 @@
+-- Direct uploads
+-- Files are uploaded straight to storage in parts through presigned URLs. A
+-- pending upload reserves its size against the tenant's storage quota until
+-- it is completed, aborted or expires.
+
+-- 1. Uploads
+CREATE TABLE IF NOT EXISTS document_uploads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    document_id VARCHAR(255) NOT NULL,
+    folder_id UUID,
+    original_name VARCHAR(500) NOT NULL,
+    mime_type VARCHAR(255),
+    file_size BIGINT NOT NULL,
+    part_size BIGINT NOT NULL,
+    part_count INTEGER NOT NULL,
+    storage_driver VARCHAR(50) NOT NULL,
+    s3_bucket VARCHAR(255) NOT NULL,
+    s3_key VARCHAR(1000) NOT NULL,
+    storage_upload_id VARCHAR(1024) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, completed, aborted
+    created_by INTEGER,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_document_uploads_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_document_uploads_folder
+    FOREIGN KEY (folder_id)
+    REFERENCES folders(id)
+    ON DELETE SET NULL,
+    CONSTRAINT fk_document_uploads_created_by
+    FOREIGN KEY (created_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+);
+
+-- 2. Indexes
+CREATE INDEX IF NOT EXISTS idx_document_uploads_tenant_status
+    ON document_uploads(tenant_id, status, expires_at);
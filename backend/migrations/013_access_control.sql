@@ -0,0 +1,82 @@
+-- Document and folder access control
+-- Access rules grant none, view or download on a document or folder to a
+-- user, a user group or everyone in the tenant. The nearest document or
+-- folder with rules decides; content without any rules stays open to the
+-- whole tenant. Tenant admins always have full access.
+
+-- 1. User groups
+CREATE TABLE IF NOT EXISTS user_groups (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_user_groups_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_user_groups_created_by
+    FOREIGN KEY (created_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+    CONSTRAINT uq_user_groups_tenant_name UNIQUE (tenant_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS user_group_members (
+    group_id UUID NOT NULL,
+    user_id INTEGER NOT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (group_id, user_id),
+    CONSTRAINT fk_user_group_members_group
+    FOREIGN KEY (group_id)
+    REFERENCES user_groups(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_user_group_members_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE
+);
+
+-- 2. Access rules; a rule without user_id and group_id applies to everyone
+CREATE TABLE IF NOT EXISTS access_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    document_id VARCHAR(255),
+    folder_id UUID,
+    user_id INTEGER,
+    group_id UUID,
+    access VARCHAR(20) NOT NULL,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_access_rules_resource CHECK ((document_id IS NULL) <> (folder_id IS NULL)),
+    CONSTRAINT chk_access_rules_principal CHECK (user_id IS NULL OR group_id IS NULL),
+    CONSTRAINT chk_access_rules_access CHECK (access IN ('none', 'view', 'download')),
+    CONSTRAINT fk_access_rules_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_access_rules_document
+    FOREIGN KEY (document_id)
+    REFERENCES documents(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_access_rules_folder
+    FOREIGN KEY (folder_id)
+    REFERENCES folders(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_access_rules_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_access_rules_group
+    FOREIGN KEY (group_id)
+    REFERENCES user_groups(id)
+    ON DELETE CASCADE
+);
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_access_rules_tenant
+    ON access_rules(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_user_group_members_user
+    ON user_group_members(user_id);
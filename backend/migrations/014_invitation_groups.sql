@@ -0,0 +1,7 @@
+-- Group assignment for invitations
+-- User groups (e.g. one per bidder team) were added with the access rules in
+-- 013. An invitation can name a group that the new user joins on accepting.
+
+-- 1. Group of an invitation
+ALTER TABLE tenant_invitations
+    ADD COLUMN IF NOT EXISTS group_id UUID REFERENCES user_groups(id) ON DELETE SET NULL;
@@ -0,0 +1,8 @@
+-- Dynamic watermarking
+-- With watermarking on, downloaded PDFs and images are stamped with the
+-- downloading user's details from a per-tenant template, e.g.
+-- 'Confidential - {email} - {ip} - {timestamp}'.
+
+-- 1. Watermarking mode and template on tenant settings
+ALTER TABLE tenant_settings ADD COLUMN IF NOT EXISTS watermark_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE tenant_settings ADD COLUMN IF NOT EXISTS watermark_template TEXT;
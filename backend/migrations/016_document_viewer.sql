@@ -0,0 +1,17 @@
+-- In-browser document viewer
+-- Documents can be marked view only: users other than tenant admins can page
+-- through them in the viewer but not download them. Every page shown in the
+-- viewer is recorded in analytics_documents.
+
+-- 1. View-only flag on documents
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS view_only BOOLEAN NOT NULL DEFAULT false;
+
+-- 2. Page views in document analytics. Events recorded by the API only name
+-- the document by id.
+ALTER TABLE analytics_documents ADD COLUMN IF NOT EXISTS page_number INTEGER;
+ALTER TABLE analytics_documents ALTER COLUMN id SET DEFAULT gen_random_uuid()::text;
+ALTER TABLE analytics_documents ALTER COLUMN document_name DROP NOT NULL;
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_analytics_documents_document_action
+ON analytics_documents(document_id, action);
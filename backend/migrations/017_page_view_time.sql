@@ -0,0 +1,34 @@
+-- Page view time
+-- The document viewer reports how long each page stays on screen in short
+-- heartbeats. Time is summed per user, page and day; group totals are worked
+-- out from group membership when analytics are read.
+
+-- 1. Seconds on screen per user, document page and day
+CREATE TABLE IF NOT EXISTS analytics_page_time (
+    tenant_id UUID NOT NULL,
+    document_id VARCHAR(255) NOT NULL,
+    user_id INTEGER NOT NULL,
+    page_number INTEGER NOT NULL,
+    view_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    seconds INTEGER NOT NULL DEFAULT 0,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant_id, document_id, user_id, page_number, view_date),
+    CONSTRAINT fk_analytics_page_time_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_analytics_page_time_document
+    FOREIGN KEY (document_id)
+    REFERENCES documents(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_analytics_page_time_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE
+);
+
+-- 2. Indexes
+CREATE INDEX IF NOT EXISTS idx_analytics_page_time_tenant_date
+    ON analytics_page_time(tenant_id, view_date);
+CREATE INDEX IF NOT EXISTS idx_analytics_page_time_document
+    ON analytics_page_time(document_id, page_number);
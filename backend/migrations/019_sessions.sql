@@ -0,0 +1,26 @@
+-- Sessions with refresh tokens
+-- Every login already records a row in analytics_sessions. Those rows now
+-- back the session itself: access tokens are short-lived and name their
+-- session, and a rotating refresh token, stored hashed, renews them until
+-- the session is revoked or expires.
+
+-- 1. Rows are created by the login itself, for superadmins too
+ALTER TABLE analytics_sessions ALTER COLUMN id SET DEFAULT gen_random_uuid()::text;
+ALTER TABLE analytics_sessions ALTER COLUMN email DROP NOT NULL;
+ALTER TABLE analytics_sessions ALTER COLUMN tenant_id DROP NOT NULL;
+
+-- 2. Refresh token and revocation. The previous refresh token is kept to
+-- recognise a stolen token being replayed after rotation.
+ALTER TABLE analytics_sessions ADD COLUMN IF NOT EXISTS refresh_token_hash VARCHAR(64);
+ALTER TABLE analytics_sessions ADD COLUMN IF NOT EXISTS previous_refresh_token_hash VARCHAR(64);
+ALTER TABLE analytics_sessions ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+ALTER TABLE analytics_sessions ADD COLUMN IF NOT EXISTS mfa BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE analytics_sessions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+
+-- 3. Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analytics_sessions_refresh_token
+    ON analytics_sessions(refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_analytics_sessions_previous_refresh_token
+    ON analytics_sessions(previous_refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_analytics_sessions_user_active
+    ON analytics_sessions(user_id) WHERE revoked_at IS NULL;
@@ -0,0 +1,64 @@
+-- Single sign-on
+-- Enterprise tenants can sign their members in through their own identity
+-- provider, with OpenID Connect or SAML 2.0. Members who sign in for the
+-- first time are created with a role mapped from the provider's claims.
+
+-- 1. SSO configuration, one per tenant. The OIDC client secret is stored
+-- encrypted. role_mapping maps tenant roles to claim values, e.g.
+-- {"admin": ["DataRoom Admins"], "investor": ["Bidders"]}.
+CREATE TABLE IF NOT EXISTS tenant_sso_configs (
+    tenant_id UUID PRIMARY KEY,
+    protocol VARCHAR(10) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT false,
+    enforce_sso BOOLEAN NOT NULL DEFAULT false,
+    oidc_issuer VARCHAR(500),
+    oidc_client_id VARCHAR(255),
+    oidc_client_secret TEXT,
+    saml_metadata_url VARCHAR(1000),
+    saml_entry_point VARCHAR(1000),
+    saml_idp_issuer VARCHAR(500),
+    saml_idp_certs TEXT[] NOT NULL DEFAULT '{}',
+    role_claim VARCHAR(255),
+    role_mapping JSONB NOT NULL DEFAULT '{}',
+    default_role VARCHAR(50) NOT NULL DEFAULT 'user',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_tenant_sso_configs_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT chk_tenant_sso_configs_protocol CHECK (protocol IN ('oidc', 'saml'))
+);
+
+-- 2. Identity provider subject of users who signed in with SSO
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sso_subject VARCHAR(255);
+
+-- 3. Sign-ins in progress: the OIDC state, nonce and PKCE verifier, or the
+-- SAML request id. Once the provider answers, a row with the user is kept
+-- briefly for the frontend to exchange for a session.
+CREATE TABLE IF NOT EXISTS sso_login_requests (
+    id VARCHAR(64) PRIMARY KEY,
+    tenant_id UUID NOT NULL,
+    nonce VARCHAR(64),
+    code_verifier VARCHAR(128),
+    saml_request_id VARCHAR(64),
+    user_id INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    CONSTRAINT fk_sso_login_requests_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_sso_login_requests_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE
+);
+
+-- 4. Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_tenant_sso_subject
+    ON users(tenant_id, sso_subject) WHERE sso_subject IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sso_login_requests_saml_request
+    ON sso_login_requests(saml_request_id);
+CREATE INDEX IF NOT EXISTS idx_sso_login_requests_expires
+    ON sso_login_requests(expires_at);
@@ -0,0 +1,35 @@
+-- Transactional email
+-- Every email sent on behalf of a tenant is recorded here and delivered by the
+-- job queue, which retries failed deliveries.
+
+-- 1. Delivery log. The rendered message is kept until it is sent, as it may
+-- hold one-time links.
+CREATE TABLE IF NOT EXISTS email_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    to_address VARCHAR(255) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    html_body TEXT,
+    text_body TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    transport VARCHAR(20),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    message_id VARCHAR(255),
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    CONSTRAINT fk_email_deliveries_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT chk_email_deliveries_status CHECK (status IN ('queued', 'sent', 'failed'))
+);
+
+-- 2. Indexes
+CREATE INDEX IF NOT EXISTS idx_email_deliveries_tenant_created
+    ON email_deliveries(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_deliveries_status
+    ON email_deliveries(status) WHERE status <> 'sent';
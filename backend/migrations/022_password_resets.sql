@@ -0,0 +1,30 @@
+-- Password resets
+-- Members who forgot their password get a link by email. The link's token
+-- works once, expires, and only for the organization it was requested
+-- from. Only the hash of the token is stored.
+
+-- 1. Reset tokens
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id INTEGER NOT NULL,
+    tenant_id UUID NOT NULL,
+    token_hash VARCHAR(64) NOT NULL,
+    requested_ip TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_password_reset_tokens_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_password_reset_tokens_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE
+);
+
+-- 2. Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_password_reset_tokens_hash
+    ON password_reset_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_open
+    ON password_reset_tokens(user_id) WHERE used_at IS NULL;
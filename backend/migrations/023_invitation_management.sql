@@ -0,0 +1,16 @@
+-- Invitation management
+-- Admins can list the tenant's invitations, send them again, revoke a link
+-- that leaked and extend one that expired. Invitations can also be created
+-- in bulk from a CSV file.
+
+-- 1. Revoked invitations can no longer be accepted
+ALTER TABLE tenant_invitations ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+
+-- 2. When the invitation email was last queued
+ALTER TABLE tenant_invitations ADD COLUMN IF NOT EXISTS last_sent_at TIMESTAMP;
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_tenant_invitations_tenant_created
+    ON tenant_invitations(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tenant_invitations_tenant_email
+    ON tenant_invitations(tenant_id, LOWER(email));
@@ -0,0 +1,56 @@
+-- Terms acceptance
+-- Tenants can require members to accept terms, such as an NDA, before they
+-- see documents or ask questions. Terms are versioned; publishing a new
+-- version asks everyone to accept again. Each acceptance is recorded with
+-- its time and IP address.
+
+-- 1. Whether members must accept the current terms
+ALTER TABLE tenant_settings ADD COLUMN IF NOT EXISTS require_terms BOOLEAN NOT NULL DEFAULT false;
+
+-- 2. Versions of a tenant's terms, numbered from 1. The newest is current.
+CREATE TABLE IF NOT EXISTS terms_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    version_number INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_terms_versions_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_terms_versions_user
+    FOREIGN KEY (created_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+    UNIQUE(tenant_id, version_number)
+);
+
+-- 3. Acceptances, one per member and version
+CREATE TABLE IF NOT EXISTS terms_acceptances (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    terms_version_id UUID NOT NULL,
+    user_id INTEGER NOT NULL,
+    accepted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ip_address TEXT,
+    user_agent TEXT,
+    CONSTRAINT fk_terms_acceptances_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_terms_acceptances_version
+    FOREIGN KEY (terms_version_id)
+    REFERENCES terms_versions(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_terms_acceptances_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE,
+    UNIQUE(terms_version_id, user_id)
+);
+
+-- 4. Indexes
+CREATE INDEX IF NOT EXISTS idx_terms_acceptances_tenant_user
+    ON terms_acceptances(tenant_id, user_id);
@@ -0,0 +1,91 @@
+-- Question requests
+-- Bidders submit questions to the seller's team alongside the AI Q&A.
+-- Admins assign each question to an expert, who drafts the answer (an AI
+-- suggestion can help); admins approve and publish it, to the asking group
+-- or to everyone. Bidders only see their own group's questions and answers
+-- published to everyone.
+
+-- 1. Questions, numbered per tenant (Q-1, Q-2, ...)
+CREATE TABLE IF NOT EXISTS question_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    reference_number INTEGER NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    category VARCHAR(100),
+    priority VARCHAR(20) NOT NULL DEFAULT 'normal',
+    status VARCHAR(20) NOT NULL DEFAULT 'submitted',
+    due_date DATE,
+    asked_by INTEGER,
+    group_id UUID,
+    assigned_to INTEGER,
+    assigned_at TIMESTAMP,
+    draft_answer TEXT,
+    drafted_by INTEGER,
+    drafted_at TIMESTAMP,
+    ai_draft TEXT,
+    ai_draft_citations JSONB,
+    ai_draft_at TIMESTAMP,
+    approved_by INTEGER,
+    approved_at TIMESTAMP,
+    answer TEXT,
+    published_to_all BOOLEAN NOT NULL DEFAULT false,
+    published_by INTEGER,
+    published_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_question_requests_tenant
+    FOREIGN KEY (tenant_id)
+    REFERENCES tenants(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_question_requests_asked_by
+    FOREIGN KEY (asked_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+    CONSTRAINT fk_question_requests_group
+    FOREIGN KEY (group_id)
+    REFERENCES user_groups(id)
+    ON DELETE SET NULL,
+    CONSTRAINT fk_question_requests_assigned_to
+    FOREIGN KEY (assigned_to)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+    CONSTRAINT fk_question_requests_drafted_by
+    FOREIGN KEY (drafted_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+    CONSTRAINT fk_question_requests_approved_by
+    FOREIGN KEY (approved_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+    CONSTRAINT fk_question_requests_published_by
+    FOREIGN KEY (published_by)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+    CONSTRAINT chk_question_requests_priority CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+    CONSTRAINT chk_question_requests_status CHECK (status IN ('submitted', 'assigned', 'pending_approval', 'approved', 'published')),
+    UNIQUE(tenant_id, reference_number)
+);
+
+-- 2. Documents a question refers to
+CREATE TABLE IF NOT EXISTS question_request_documents (
+    question_id UUID NOT NULL,
+    document_id VARCHAR(255) NOT NULL,
+    PRIMARY KEY (question_id, document_id),
+    CONSTRAINT fk_question_request_documents_question
+    FOREIGN KEY (question_id)
+    REFERENCES question_requests(id)
+    ON DELETE CASCADE,
+    CONSTRAINT fk_question_request_documents_document
+    FOREIGN KEY (document_id)
+    REFERENCES documents(id)
+    ON DELETE CASCADE
+);
+
+-- 3. Indexes
+CREATE INDEX IF NOT EXISTS idx_question_requests_tenant_status
+    ON question_requests(tenant_id, status);
+CREATE INDEX IF NOT EXISTS idx_question_requests_group
+    ON question_requests(group_id);
+CREATE INDEX IF NOT EXISTS idx_question_requests_assigned_to
+    ON question_requests(assigned_to);
@@ -0,0 +1,185 @@
+const pool = require('../database-pool');
+
+// Access levels, least to most permissive
+const ACCESS_LEVELS = ['none', 'view', 'download'];
+
+const mostPermissive = (levels) => levels.reduce(
+    (best, level) => (ACCESS_LEVELS.indexOf(level) > ACCESS_LEVELS.indexOf(best) ? level : best),
+    'none'
+);
+
+const isTenantAdmin = (user) => user.global_role === 'superadmin' || user.tenant_role === 'admin';
+
+class AccessRule {
+    static isValidAccess(access) {
+        return ACCESS_LEVELS.includes(access);
+    }
+
+    // Access granted by the rules of one document or folder, or null when it
+    // has no rules. A rule for the user wins over the rules of their groups
+    // (the most permissive applies), which win over a rule for everyone;
+    // users matched by no rule get none.
+    static levelAccess(rules, userId, groupIds) {
+        if (!rules || rules.length === 0) return null;
+
+        const userRule = rules.find(rule => rule.user_id === userId);
+        if (userRule) return userRule.access;
+
+        const groupRules = rules.filter(rule => rule.group_id && groupIds.includes(rule.group_id));
+        if (groupRules.length > 0) return mostPermissive(groupRules.map(rule => rule.access));
+
+        const everyoneRule = rules.find(rule => !rule.user_id && !rule.group_id);
+        return everyoneRule ? everyoneRule.access : 'none';
+    }
+
+    // documentAccess(document) and folderAccess(folderId) for one user. The
+    // document's own rules apply first, then those of its folder and the
+    // folder's ancestors; without rules anywhere everyone can download.
+    // View-only documents (document.view_only) are never downloadable for
+    // restricted users.
+    static buildResolver({ rules, userId, groupIds, folderParents, unrestricted = false }) {
+        const open = unrestricted || rules.length === 0;
+        const byResource = new Map();
+        for (const rule of rules) {
+            const key = rule.document_id ? `document:${rule.document_id}` : `folder:${rule.folder_id}`;
+            if (!byResource.has(key)) byResource.set(key, []);
+            byResource.get(key).push(rule);
+        }
+
+        const folderCache = new Map();
+        const folderAccess = (folderId) => {
+            if (open || !folderId) return 'download';
+            if (!folderCache.has(folderId)) {
+                const own = this.levelAccess(byResource.get(`folder:${folderId}`), userId, groupIds);
+                folderCache.set(folderId, own !== null ? own : folderAccess(folderParents.get(folderId)));
+            }
+            return folderCache.get(folderId);
+        };
+
+        const documentAccess = (document) => {
+            if (unrestricted) return 'download';
+            const own = this.levelAccess(byResource.get(`document:${document.id}`), userId, groupIds);
+            const access = own !== null ? own : folderAccess(document.folder_id);
+            return access === 'download' && document.view_only ? 'view' : access;
+        };
+
+        return {
+            unrestricted: open,
+            documentAccess,
+            folderAccess
+        };
+    }
+
+    // Access resolver for a user of a tenant; admins are never restricted
+    static async getResolver(tenantId, user) {
+        if (isTenantAdmin(user)) {
+            return this.buildResolver({ rules: [], unrestricted: true });
+        }
+
+        const rulesResult = await pool.query(
+            'SELECT document_id, folder_id, user_id, group_id, access FROM access_rules WHERE tenant_id = $1',
+            [tenantId]
+        );
+        if (rulesResult.rows.length === 0) {
+            return this.buildResolver({ rules: [] });
+        }
+
+        const groupsResult = await pool.query(`
+            SELECT m.group_id
+            FROM user_group_members m
+            JOIN user_groups g ON g.id = m.group_id
+            WHERE m.user_id = $1 AND g.tenant_id = $2
+        `, [user.id, tenantId]);
+
+        const foldersResult = await pool.query(
+            'SELECT id, parent_id FROM folders WHERE tenant_id = $1',
+            [tenantId]
+        );
+
+        return this.buildResolver({
+            rules: rulesResult.rows,
+            userId: user.id,
+            groupIds: groupsResult.rows.map(row => row.group_id),
+            folderParents: new Map(foldersResult.rows.map(row => [row.id, row.parent_id]))
+        });
+    }
+
+    // Ids and folders of the documents a resolver allows to view
+    static async visibleDocuments(tenantId, resolver) {
+        const result = await pool.query(
+            'SELECT id, folder_id FROM documents WHERE tenant_id = $1',
+            [tenantId]
+        );
+        return result.rows.filter(document => resolver.documentAccess(document) !== 'none');
+    }
+
+    // Ids of the documents a resolver allows to view, narrowed to
+    // `documentIds` when given. Returns null when nothing is restricted.
+    static async visibleDocumentIds(tenantId, resolver, documentIds = []) {
+        if (resolver.unrestricted) return null;
+
+        const visible = (await this.visibleDocuments(tenantId, resolver)).map(document => document.id);
+
+        return documentIds.length > 0
+            ? documentIds.filter(id => visible.includes(id))
+            : visible;
+    }
+
+    // Rules of a document or folder, with the names of their users and groups
+    static async listFor(tenantId, { documentId = null, folderId = null }) {
+        const query = `
+            SELECT
+                r.id,
+                r.user_id,
+                r.group_id,
+                r.access,
+                r.created_at,
+                u.name as user_name,
+                u.email as user_email,
+                g.name as group_name
+            FROM access_rules r
+            LEFT JOIN users u ON u.id = r.user_id
+            LEFT JOIN user_groups g ON g.id = r.group_id
+            WHERE r.tenant_id = $1
+            AND r.document_id IS NOT DISTINCT FROM $2
+            AND r.folder_id IS NOT DISTINCT FROM $3
+            ORDER BY r.user_id IS NULL AND r.group_id IS NULL, g.name, u.name
+        `;
+        const result = await pool.query(query, [tenantId, documentId, folderId]);
+        return result.rows;
+    }
+
+    // Replace the rules of a document or folder. `rules` are
+    // { userId, groupId, access }; an empty list removes all restrictions.
+    static async replaceFor(tenantId, { documentId = null, folderId = null }, rules, createdBy) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            await client.query(`
+                DELETE FROM access_rules
+                WHERE tenant_id = $1
+                AND document_id IS NOT DISTINCT FROM $2
+                AND folder_id IS NOT DISTINCT FROM $3
+            `, [tenantId, documentId, folderId]);
+
+            for (const rule of rules) {
+                await client.query(`
+                    INSERT INTO access_rules (tenant_id, document_id, folder_id, user_id, group_id, access, created_by)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                `, [tenantId, documentId, folderId, rule.userId || null, rule.groupId || null, rule.access, createdBy]);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return this.listFor(tenantId, { documentId, folderId });
+    }
+}
+
+module.exports = AccessRule;
@@ -0,0 +1,138 @@
+const pool = require('../database-pool');
+
+class Conversation {
+    static async create(tenantId, userId, title) {
+        const query = `
+            INSERT INTO conversations (tenant_id, user_id, title)
+            VALUES ($1, $2, $3)
+            RETURNING *
+        `;
+        const result = await pool.query(query, [tenantId, userId, title.substring(0, 255)]);
+        return result.rows[0];
+    }
+
+    // Conversations are private to the user who started them
+    static async findForUser(tenantId, userId, id) {
+        const query = `
+            SELECT * FROM conversations
+            WHERE id = $1 AND tenant_id = $2 AND user_id = $3 AND deleted_at IS NULL
+        `;
+        const result = await pool.query(query, [id, tenantId, userId]);
+        return result.rows[0];
+    }
+
+    static async listForUser(tenantId, userId, { archived = false, limit = 20, offset = 0 } = {}) {
+        const query = `
+            SELECT
+                c.id,
+                c.title,
+                c.archived_at,
+                c.last_message_at,
+                c.created_at,
+                COUNT(q.id) as message_count
+            FROM conversations c
+            LEFT JOIN analytics_questions q ON q.conversation_id = c.id
+            WHERE c.tenant_id = $1
+            AND c.user_id = $2
+            AND c.deleted_at IS NULL
+            AND (c.archived_at IS NOT NULL) = $3
+            GROUP BY c.id
+            ORDER BY c.last_message_at DESC
+            LIMIT $4 OFFSET $5
+        `;
+        const result = await pool.query(query, [tenantId, userId, archived, limit, offset]);
+        return result.rows;
+    }
+
+    // Messages (question / answer pairs) in chronological order
+    static async getMessages(conversationIds) {
+        if (conversationIds.length === 0) return [];
+
+        const query = `
+            SELECT
+                id,
+                conversation_id,
+                question,
+                answer,
+                sources_used,
+                processing_time,
+                created_at
+            FROM analytics_questions
+            WHERE conversation_id = ANY($1)
+            ORDER BY created_at ASC
+        `;
+        const result = await pool.query(query, [conversationIds]);
+        return result.rows;
+    }
+
+    // Most recent turns, oldest first, for sending back to Claude as context
+    static async getRecentTurns(conversationId, limit) {
+        const query = `
+            SELECT question, answer
+            FROM (
+                SELECT question, answer, created_at
+                FROM analytics_questions
+                WHERE conversation_id = $1 AND answer IS NOT NULL
+                ORDER BY created_at DESC
+                LIMIT $2
+            ) recent
+            ORDER BY created_at ASC
+        `;
+        const result = await pool.query(query, [conversationId, limit]);
+        return result.rows;
+    }
+
+    static async update(tenantId, userId, id, { title, archived }) {
+        const updateFields = [];
+        const values = [];
+        let paramCounter = 1;
+
+        if (title !== undefined) {
+            updateFields.push(`title = $${paramCounter}`);
+            values.push(title.substring(0, 255));
+            paramCounter++;
+        }
+
+        if (archived !== undefined) {
+            updateFields.push(archived ? 'archived_at = CURRENT_TIMESTAMP' : 'archived_at = NULL');
+        }
+
+        if (updateFields.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+
+        updateFields.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(id, tenantId, userId);
+
+        const query = `
+            UPDATE conversations
+            SET ${updateFields.join(', ')}
+            WHERE id = $${paramCounter} AND tenant_id = $${paramCounter + 1}
+            AND user_id = $${paramCounter + 2} AND deleted_at IS NULL
+            RETURNING *
+        `;
+        const result = await pool.query(query, values);
+        return result.rows[0];
+    }
+
+    static async touch(id) {
+        await pool.query(
+            'UPDATE conversations SET last_message_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [id]
+        );
+    }
+
+    // Hidden from the user; the questions stay available to tenant analytics
+    static async softDelete(tenantId, userId, id) {
+        const query = `
+            UPDATE conversations
+            SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND user_id = $3 AND deleted_at IS NULL
+            RETURNING id
+        `;
+        const result = await pool.query(query, [id, tenantId, userId]);
+        return result.rows[0];
+    }
+}
+
+module.exports = Conversation;
@@ -0,0 +1,133 @@
+const pool = require('../database-pool');
+
+// pgvector is optional; detected once from the schema created by migration 004
+let vectorColumnAvailable = null;
+
+const toVectorLiteral = (embedding) => `[${embedding.join(',')}]`;
+
+class DocumentChunk {
+    static async hasVectorColumn() {
+        if (vectorColumnAvailable === null) {
+            const result = await pool.query(`
+                SELECT 1 FROM information_schema.columns
+                WHERE table_name = 'document_chunks' AND column_name = 'embedding_vector'
+            `);
+            vectorColumnAvailable = result.rows.length > 0;
+        }
+        return vectorColumnAvailable;
+    }
+
+    // Replace all chunks for a document in a single transaction
+    static async replaceForDocument(tenantId, documentId, chunks, embeddingModel) {
+        const useVector = await DocumentChunk.hasVectorColumn();
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(
+                'DELETE FROM document_chunks WHERE document_id = $1 AND tenant_id = $2',
+                [documentId, tenantId]
+            );
+
+            for (const chunk of chunks) {
+                const params = [
+                    tenantId,
+                    documentId,
+                    chunk.index,
+                    chunk.pageNumber,
+                    chunk.label,
+                    chunk.text,
+                    chunk.embedding,
+                    embeddingModel
+                ];
+
+                if (useVector) {
+                    await client.query(`
+                        INSERT INTO document_chunks (
+                            tenant_id, document_id, chunk_index, page_number, label,
+                            content, embedding, embedding_model, embedding_vector
+                        )
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::vector)
+                    `, [...params, toVectorLiteral(chunk.embedding)]);
+                } else {
+                    await client.query(`
+                        INSERT INTO document_chunks (
+                            tenant_id, document_id, chunk_index, page_number, label,
+                            content, embedding, embedding_model
+                        )
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    `, params);
+                }
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Nearest chunks by cosine distance, computed by pgvector
+    static async searchByVector(tenantId, embedding, embeddingModel, limit, documentIds = null) {
+        const query = `
+            SELECT c.document_id, c.chunk_index, c.page_number, c.label, c.content,
+                   d.original_name,
+                   1 - (c.embedding_vector <=> $3::vector) AS score
+            FROM document_chunks c
+            JOIN documents d ON d.id = c.document_id
+            WHERE c.tenant_id = $1
+            AND c.embedding_model = $2
+            AND d.status = 'analyzed'
+            AND ($5::varchar[] IS NULL OR c.document_id = ANY($5))
+            ORDER BY c.embedding_vector <=> $3::vector
+            LIMIT $4
+        `;
+        const result = await pool.query(query, [
+            tenantId,
+            embeddingModel,
+            toVectorLiteral(embedding),
+            limit,
+            documentIds
+        ]);
+        return result.rows.map(row => ({ ...row, score: parseFloat(row.score) }));
+    }
+
+    // All candidate chunks with their embeddings, for in-process ranking
+    static async findCandidates(tenantId, embeddingModel, documentIds = null) {
+        const query = `
+            SELECT c.document_id, c.chunk_index, c.page_number, c.label, c.content,
+                   c.embedding, d.original_name
+            FROM document_chunks c
+            JOIN documents d ON d.id = c.document_id
+            WHERE c.tenant_id = $1
+            AND c.embedding_model = $2
+            AND d.status = 'analyzed'
+            AND ($3::varchar[] IS NULL OR c.document_id = ANY($3))
+        `;
+        const result = await pool.query(query, [tenantId, embeddingModel, documentIds]);
+        return result.rows;
+    }
+
+    // Analyzed documents that have extracted pages but no chunks for this model yet
+    static async findUnindexedDocumentIds(tenantId, embeddingModel, documentIds = null) {
+        const query = `
+            SELECT d.id
+            FROM documents d
+            WHERE d.tenant_id = $1
+            AND d.status = 'analyzed'
+            AND ($3::varchar[] IS NULL OR d.id = ANY($3))
+            AND EXISTS (SELECT 1 FROM document_pages p WHERE p.document_id = d.id)
+            AND NOT EXISTS (
+                SELECT 1 FROM document_chunks c
+                WHERE c.document_id = d.id AND c.embedding_model = $2
+            )
+        `;
+        const result = await pool.query(query, [tenantId, embeddingModel, documentIds]);
+        return result.rows.map(row => row.id);
+    }
+}
+
+module.exports = DocumentChunk;
@@ -0,0 +1,70 @@
+const pool = require('../database-pool');
+
+class DocumentPage {
+    // Replace all extracted pages for a document in a single transaction
+    static async replaceForDocument(tenantId, documentId, pages, extractor) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(
+                'DELETE FROM document_pages WHERE document_id = $1 AND tenant_id = $2',
+                [documentId, tenantId]
+            );
+
+            for (const page of pages) {
+                await client.query(`
+                    INSERT INTO document_pages (
+                        tenant_id, document_id, page_number, unit_type, label, content, char_count
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                `, [
+                    tenantId,
+                    documentId,
+                    page.number,
+                    page.unitType,
+                    page.label,
+                    page.text,
+                    page.text.length
+                ]);
+            }
+
+            await client.query(`
+                UPDATE documents
+                SET page_count = $1, extraction_method = $2, extracted_at = CURRENT_TIMESTAMP
+                WHERE id = $3 AND tenant_id = $4
+            `, [pages.length, extractor, documentId, tenantId]);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    static async findByDocument(tenantId, documentId) {
+        const query = `
+            SELECT page_number, unit_type, label, content, char_count
+            FROM document_pages
+            WHERE document_id = $1 AND tenant_id = $2
+            ORDER BY page_number
+        `;
+        const result = await pool.query(query, [documentId, tenantId]);
+        return result.rows;
+    }
+
+    static async findPage(tenantId, documentId, pageNumber) {
+        const query = `
+            SELECT page_number, unit_type, label, content, char_count
+            FROM document_pages
+            WHERE document_id = $1 AND tenant_id = $2 AND page_number = $3
+        `;
+        const result = await pool.query(query, [documentId, tenantId, pageNumber]);
+        return result.rows[0];
+    }
+}
+
+module.exports = DocumentPage;
@@ -0,0 +1,89 @@
+const pool = require('../database-pool');
+
+// Pending direct uploads stay resumable for a day
+const UPLOAD_TTL_HOURS = 24;
+
+class DocumentUpload {
+    static async create(tenantId, {
+        documentId,
+        folderId = null,
+        originalName,
+        mimeType,
+        fileSize,
+        partSize,
+        partCount,
+        storageDriver,
+        s3Bucket,
+        s3Key,
+        storageUploadId,
+        createdBy
+    }) {
+        const query = `
+            INSERT INTO document_uploads (
+                tenant_id, document_id, folder_id, original_name, mime_type, file_size,
+                part_size, part_count, storage_driver, s3_bucket, s3_key, storage_upload_id,
+                created_by, expires_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+                CURRENT_TIMESTAMP + ($14 || ' hours')::interval)
+            RETURNING *
+        `;
+        const result = await pool.query(query, [
+            tenantId,
+            documentId,
+            folderId,
+            originalName,
+            mimeType,
+            fileSize,
+            partSize,
+            partCount,
+            storageDriver,
+            s3Bucket,
+            s3Key,
+            storageUploadId,
+            createdBy,
+            UPLOAD_TTL_HOURS
+        ]);
+        return result.rows[0];
+    }
+
+    static async findById(tenantId, id) {
+        const result = await pool.query(
+            'SELECT * FROM document_uploads WHERE id = $1 AND tenant_id = $2',
+            [id, tenantId]
+        );
+        return result.rows[0];
+    }
+
+    // Bytes held by pending uploads, counted against the storage quota
+    static async reservedBytes(tenantId) {
+        const result = await pool.query(`
+            SELECT COALESCE(SUM(file_size), 0) as total
+            FROM document_uploads
+            WHERE tenant_id = $1 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP
+        `, [tenantId]);
+        return Number(result.rows[0].total);
+    }
+
+    static async listExpired(tenantId) {
+        const result = await pool.query(`
+            SELECT * FROM document_uploads
+            WHERE tenant_id = $1 AND status = 'pending' AND expires_at <= CURRENT_TIMESTAMP
+        `, [tenantId]);
+        return result.rows;
+    }
+
+    // Move a pending upload to `status`; returns undefined when it was no
+    // longer pending, so only one request can complete or abort it
+    static async finish(db, id, status) {
+        const result = await db.query(`
+            UPDATE document_uploads
+            SET status = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *
+        `, [id, status]);
+        return result.rows[0];
+    }
+}
+
+module.exports = DocumentUpload;
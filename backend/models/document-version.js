@@ -0,0 +1,121 @@
+const pool = require('../database-pool');
+
+class DocumentVersion {
+    // Add a version and make it the document's current one. `db` is a pool
+    // client when called inside a transaction.
+    static async create(db, tenantId, documentId, {
+        originalName,
+        s3Key,
+        s3Bucket,
+        storageDriver,
+        mimeType,
+        fileSize,
+        analysis = null,
+        comment = null,
+        restoredFrom = null,
+        uploadedBy
+    }) {
+        const query = `
+            INSERT INTO document_versions (
+                tenant_id, document_id, version_number, original_name, s3_key, s3_bucket,
+                storage_driver, mime_type, file_size, analysis, comment, restored_from, uploaded_by
+            )
+            VALUES ($1, $2::varchar, (
+                SELECT COALESCE(MAX(version_number), 0) + 1 FROM document_versions WHERE document_id = $2::varchar
+            ), $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING *
+        `;
+        const result = await db.query(query, [
+            tenantId,
+            documentId,
+            originalName,
+            s3Key,
+            s3Bucket,
+            storageDriver,
+            mimeType,
+            fileSize,
+            analysis,
+            comment,
+            restoredFrom,
+            uploadedBy
+        ]);
+        const version = result.rows[0];
+
+        // The documents row mirrors the current version. A copied analysis is
+        // reused by the next analysis job instead of calling the model again.
+        await db.query(`
+            UPDATE documents
+            SET current_version = $3, original_name = $4, s3_key = $5, s3_bucket = $6,
+                storage_driver = $7, mime_type = $8, file_size = $9, analysis = $10, status = 'uploaded',
+                error = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2
+        `, [
+            documentId,
+            tenantId,
+            version.version_number,
+            originalName,
+            s3Key,
+            s3Bucket,
+            storageDriver,
+            mimeType,
+            fileSize,
+            analysis
+        ]);
+
+        return version;
+    }
+
+    static async listForDocument(tenantId, documentId) {
+        const query = `
+            SELECT
+                v.id,
+                v.version_number,
+                v.original_name,
+                v.mime_type,
+                v.file_size,
+                v.comment,
+                v.restored_from,
+                v.analysis IS NOT NULL as analyzed,
+                v.created_at,
+                u.name as uploaded_by_name,
+                v.version_number = d.current_version as is_current
+            FROM document_versions v
+            JOIN documents d ON d.id = v.document_id
+            LEFT JOIN users u ON u.id = v.uploaded_by
+            WHERE v.tenant_id = $1 AND v.document_id = $2
+            ORDER BY v.version_number DESC
+        `;
+        const result = await pool.query(query, [tenantId, documentId]);
+        return result.rows;
+    }
+
+    static async findByNumber(tenantId, documentId, versionNumber) {
+        const query = `
+            SELECT * FROM document_versions
+            WHERE tenant_id = $1 AND document_id = $2 AND version_number = $3
+        `;
+        const result = await pool.query(query, [tenantId, documentId, versionNumber]);
+        return result.rows[0];
+    }
+
+    // Store the analysis of a version
+    static async saveAnalysis(documentId, versionNumber, analysis) {
+        await pool.query(
+            'UPDATE document_versions SET analysis = $3 WHERE document_id = $1 AND version_number = $2',
+            [documentId, versionNumber, analysis]
+        );
+    }
+
+    // Stored files of every version; restored versions share their file
+    static async getStorageObjects(tenantId, documentId) {
+        const query = `
+            SELECT DISTINCT s3_key, s3_bucket, storage_driver
+            FROM document_versions
+            WHERE tenant_id = $1 AND document_id = $2 AND s3_key IS NOT NULL
+        `;
+        const result = await pool.query(query, [tenantId, documentId]);
+        return result.rows;
+    }
+}
+
+module.exports = DocumentVersion;
@@ -0,0 +1,88 @@
+const pool = require('../database-pool');
+
+// Columns shown in the delivery log; message bodies are left out
+const LOG_COLUMNS = `
+    id, template, to_address, subject, status, transport, attempts,
+    last_error, message_id, created_by, created_at, sent_at
+`;
+
+class EmailDelivery {
+    static async create(tenantId, { template, to, subject, html, text, createdBy = null }) {
+        const query = `
+            INSERT INTO email_deliveries (tenant_id, template, to_address, subject, html_body, text_body, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING ${LOG_COLUMNS}
+        `;
+        const result = await pool.query(query, [tenantId, template, to, subject.substring(0, 500), html, text, createdBy]);
+        return result.rows[0];
+    }
+
+    static async findById(id) {
+        const result = await pool.query('SELECT * FROM email_deliveries WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    // The body is dropped once sent, as it may hold one-time links
+    static async markSent(id, { transport, messageId }) {
+        const query = `
+            UPDATE email_deliveries
+            SET status = 'sent',
+                transport = $2,
+                message_id = $3,
+                attempts = attempts + 1,
+                last_error = NULL,
+                html_body = NULL,
+                text_body = NULL,
+                sent_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `;
+        await pool.query(query, [id, transport, messageId ? String(messageId).substring(0, 255) : null]);
+    }
+
+    static async recordFailure(id, { transport, error }) {
+        const query = `
+            UPDATE email_deliveries
+            SET transport = $2,
+                attempts = attempts + 1,
+                last_error = $3,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `;
+        await pool.query(query, [id, transport, error]);
+    }
+
+    // Retries are used up. The body stays so an admin can send it again.
+    static async markFailed(id) {
+        await pool.query(`
+            UPDATE email_deliveries
+            SET status = 'failed', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'queued'
+        `, [id]);
+    }
+
+    // Queue a failed delivery again; null unless it failed
+    static async requeue(tenantId, id) {
+        const result = await pool.query(`
+            UPDATE email_deliveries
+            SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND status = 'failed'
+            RETURNING ${LOG_COLUMNS}
+        `, [id, tenantId]);
+        return result.rows[0];
+    }
+
+    static async listForTenant(tenantId, { status = null, limit = 50, offset = 0 } = {}) {
+        const query = `
+            SELECT ${LOG_COLUMNS}
+            FROM email_deliveries
+            WHERE tenant_id = $1 AND ($2::varchar IS NULL OR status = $2)
+            ORDER BY created_at DESC
+            LIMIT $3 OFFSET $4
+        `;
+        const result = await pool.query(query, [tenantId, status, limit, offset]);
+        return result.rows;
+    }
+}
+
+module.exports = EmailDelivery;
@@ -0,0 +1,219 @@
+const pool = require('../database-pool');
+
+// Folder ids are UUIDs; anything else matches no folder
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Folders and documents are ordered by position, then name
+const bySiblingOrder = (a, b) => a.position - b.position || a.name.localeCompare(b.name);
+
+// Move an item to `position` among its siblings (the end when omitted) and
+// renumber the siblings 0..n
+async function placeAmongSiblings(client, { table, parentColumn, nameColumn }, tenantId, parentId, id, position) {
+    const siblings = await client.query(`
+        SELECT id FROM ${table}
+        WHERE tenant_id = $1 AND ${parentColumn} IS NOT DISTINCT FROM $2 AND id <> $3
+        ORDER BY position, ${nameColumn}
+    `, [tenantId, parentId, id]);
+
+    const ids = siblings.rows.map(row => row.id);
+    const index = position === undefined || position === null
+        ? ids.length
+        : Math.max(0, Math.min(parseInt(position), ids.length));
+    ids.splice(index, 0, id);
+
+    await client.query(`
+        UPDATE ${table}
+        SET ${parentColumn} = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [id, parentId]);
+
+    for (let i = 0; i < ids.length; i++) {
+        await client.query(`UPDATE ${table} SET position = $2 WHERE id = $1`, [ids[i], i]);
+    }
+}
+
+const FOLDERS = { table: 'folders', parentColumn: 'parent_id', nameColumn: 'name' };
+const DOCUMENTS = { table: 'documents', parentColumn: 'folder_id', nameColumn: 'original_name' };
+
+class Folder {
+    // Nest a flat folder list and number it: top-level folders 1, 2, ...,
+    // subfolders 1.1, 1.2, ...
+    static buildTree(folders) {
+        const nodes = new Map(folders.map(folder => [folder.id, { ...folder, children: [] }]));
+        const roots = [];
+
+        for (const node of nodes.values()) {
+            const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+            (parent ? parent.children : roots).push(node);
+        }
+
+        const number = (siblings, prefix) => {
+            siblings.sort(bySiblingOrder);
+            siblings.forEach((node, i) => {
+                node.index = prefix ? `${prefix}.${i + 1}` : `${i + 1}`;
+                number(node.children, node.index);
+            });
+        };
+        number(roots, null);
+
+        return roots;
+    }
+
+    static flattenTree(tree) {
+        const nodes = new Map();
+        const visit = (node) => {
+            nodes.set(node.id, node);
+            node.children.forEach(visit);
+        };
+        tree.forEach(visit);
+        return nodes;
+    }
+
+    // Copy of a tree with only the folders for which keep(folder) is true and
+    // the folders leading to them. Index numbers are kept as they are.
+    static filterTree(tree, keep) {
+        return tree.flatMap(node => {
+            const children = this.filterTree(node.children, keep);
+            return keep(node) || children.length > 0 ? [{ ...node, children }] : [];
+        });
+    }
+
+    // Documents are numbered after the subfolders of their folder, so folder 1
+    // with two subfolders holds documents 1.3, 1.4, ... Documents outside any
+    // folder have no index number.
+    static documentIndex(document, nodes) {
+        const folder = document.folder_id ? nodes.get(document.folder_id) : null;
+        if (!folder) return null;
+
+        return `${folder.index}.${folder.children.length + parseInt(document.folder_position)}`;
+    }
+
+    static async listForTenant(tenantId) {
+        const query = `
+            SELECT
+                f.*,
+                COUNT(d.id) as document_count
+            FROM folders f
+            LEFT JOIN documents d ON d.folder_id = f.id
+            WHERE f.tenant_id = $1
+            GROUP BY f.id
+        `;
+        const result = await pool.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    static async getTree(tenantId) {
+        return this.buildTree(await this.listForTenant(tenantId));
+    }
+
+    static async findById(tenantId, id) {
+        if (!UUID_PATTERN.test(id)) {
+            return undefined;
+        }
+
+        const result = await pool.query(
+            'SELECT * FROM folders WHERE id = $1 AND tenant_id = $2',
+            [id, tenantId]
+        );
+        return result.rows[0];
+    }
+
+    // True when `folderId` is `ancestorId` or one of its subfolders
+    static async isWithin(tenantId, folderId, ancestorId) {
+        const query = `
+            WITH RECURSIVE ancestors AS (
+                SELECT id, parent_id FROM folders WHERE id = $1 AND tenant_id = $2
+                UNION ALL
+                SELECT f.id, f.parent_id
+                FROM folders f
+                JOIN ancestors a ON f.id = a.parent_id
+            )
+            SELECT 1 FROM ancestors WHERE id = $3
+        `;
+        const result = await pool.query(query, [folderId, tenantId, ancestorId]);
+        return result.rows.length > 0;
+    }
+
+    // New folders go after their siblings
+    static async create(tenantId, { name, parentId = null, createdBy = null }) {
+        const query = `
+            INSERT INTO folders (tenant_id, parent_id, name, position, created_by)
+            VALUES ($1, $2, $3, (
+                SELECT COALESCE(MAX(position) + 1, 0) FROM folders
+                WHERE tenant_id = $1 AND parent_id IS NOT DISTINCT FROM $2
+            ), $4)
+            RETURNING *
+        `;
+        const result = await pool.query(query, [tenantId, parentId, name.substring(0, 255), createdBy]);
+        return result.rows[0];
+    }
+
+    static async rename(tenantId, id, name) {
+        const query = `
+            UPDATE folders
+            SET name = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2
+            RETURNING *
+        `;
+        const result = await pool.query(query, [id, tenantId, name.substring(0, 255)]);
+        return result.rows[0];
+    }
+
+    // Move a folder under `parentId` (null for the top level) at `position`
+    static async move(tenantId, id, parentId, position) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            await placeAmongSiblings(client, FOLDERS, tenantId, parentId, id, position);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return this.findById(tenantId, id);
+    }
+
+    // Move a document into `folderId` (null for no folder) at `position`
+    static async moveDocument(tenantId, documentId, folderId, position) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            await placeAmongSiblings(client, DOCUMENTS, tenantId, folderId, documentId, position);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Position for a document added at the end of a folder
+    static async nextDocumentPosition(tenantId, folderId) {
+        const result = await pool.query(`
+            SELECT COALESCE(MAX(position) + 1, 0) as position FROM documents
+            WHERE tenant_id = $1 AND folder_id IS NOT DISTINCT FROM $2
+        `, [tenantId, folderId]);
+        return parseInt(result.rows[0].position);
+    }
+
+    // Only empty folders can be deleted; returns undefined otherwise
+    static async delete(tenantId, id) {
+        const query = `
+            DELETE FROM folders
+            WHERE id = $1 AND tenant_id = $2
+            AND NOT EXISTS (SELECT 1 FROM folders WHERE parent_id = $1)
+            AND NOT EXISTS (SELECT 1 FROM documents WHERE folder_id = $1)
+            RETURNING id
+        `;
+        const result = await pool.query(query, [id, tenantId]);
+        return result.rows[0];
+    }
+}
+
+module.exports = Folder;
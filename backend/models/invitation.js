@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const pool = require('../database-pool');
+
+// pending, expired, accepted or revoked
+const STATUS = `
+    CASE
+        WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+        WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+        WHEN i.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+        ELSE 'pending'
+    END
+`;
+
+// Columns shown to admins; the token is left out
+const LIST_COLUMNS = `
+    i.id, i.email, i.role, i.group_id, g.name as group_name,
+    i.invited_by, u.name as invited_by_name, i.expires_at, i.accepted_at,
+    i.revoked_at, i.last_sent_at, i.created_at, ${STATUS} as status
+`;
+
+class Invitation {
+    static generateToken() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    static async listForTenant(tenantId, { status = null } = {}) {
+        const query = `
+            SELECT * FROM (
+                SELECT ${LIST_COLUMNS}
+                FROM tenant_invitations i
+                LEFT JOIN user_groups g ON g.id = i.group_id
+                LEFT JOIN users u ON u.id = i.invited_by
+                WHERE i.tenant_id = $1
+            ) invitations
+            WHERE $2::varchar IS NULL OR status = $2
+            ORDER BY created_at DESC
+        `;
+        const result = await pool.query(query, [tenantId, status]);
+        return result.rows;
+    }
+
+    // With the token, for sending the invitation
+    static async findById(tenantId, id) {
+        const query = `
+            SELECT i.*, ${STATUS} as status
+            FROM tenant_invitations i
+            WHERE i.id = $1 AND i.tenant_id = $2
+        `;
+        const result = await pool.query(query, [id, tenantId]);
+        return result.rows[0];
+    }
+
+    static async create(tenantId, { email, role = 'user', groupId = null, invitedBy, ttlDays }) {
+        const query = `
+            INSERT INTO tenant_invitations
+            (tenant_id, email, role, invited_by, token, expires_at, group_id)
+            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6), $7)
+            RETURNING *
+        `;
+        const result = await pool.query(query, [tenantId, email, role, invitedBy, this.generateToken(), ttlDays, groupId]);
+        return result.rows[0];
+    }
+
+    static async markSent(id) {
+        await pool.query('UPDATE tenant_invitations SET last_sent_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+    }
+
+    // Null unless the invitation was still open
+    static async revoke(tenantId, id) {
+        const result = await pool.query(`
+            UPDATE tenant_invitations
+            SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+            RETURNING *
+        `, [id, tenantId]);
+        return result.rows[0];
+    }
+
+    // New expiry counted from now. Expired invitations can be extended;
+    // accepted and revoked ones cannot (null).
+    static async extend(tenantId, id, days) {
+        const result = await pool.query(`
+            UPDATE tenant_invitations
+            SET expires_at = CURRENT_TIMESTAMP + make_interval(days => $3)
+            WHERE id = $1 AND tenant_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+            RETURNING *
+        `, [id, tenantId, days]);
+        return result.rows[0];
+    }
+
+    // Lowercased emails of the given ones that have an open invitation
+    static async pendingEmails(tenantId, emails) {
+        const result = await pool.query(`
+            SELECT DISTINCT LOWER(email) as email
+            FROM tenant_invitations
+            WHERE tenant_id = $1 AND LOWER(email) = ANY($2)
+            AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        `, [tenantId, emails.map(email => email.toLowerCase())]);
+        return new Set(result.rows.map(row => row.email));
+    }
+}
+
+module.exports = Invitation;
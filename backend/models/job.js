@@ -0,0 +1,178 @@
+const pool = require('../database-pool');
+
+// Retry delay doubles with every attempt: 30s, 60s, 120s, ... capped at 30 minutes
+const BASE_RETRY_DELAY_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 30 * 60;
+
+class Job {
+    static getRetryDelaySeconds(attempts) {
+        return Math.min(BASE_RETRY_DELAY_SECONDS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_SECONDS);
+    }
+
+    // Enqueue a job. An already pending job of the same type for the same
+    // document is returned instead of creating a duplicate.
+    static async enqueue({ tenantId, type, payload = {}, documentId = null, createdBy = null, maxAttempts = 5 }) {
+        const query = `
+            INSERT INTO jobs (tenant_id, type, payload, document_id, created_by, max_attempts)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (type, document_id) WHERE status IN ('queued', 'running')
+            DO NOTHING
+            RETURNING *
+        `;
+        const result = await pool.query(query, [
+            tenantId,
+            type,
+            JSON.stringify(payload),
+            documentId,
+            createdBy,
+            maxAttempts
+        ]);
+
+        if (result.rows[0] || !documentId) {
+            return result.rows[0];
+        }
+
+        const existing = await pool.query(`
+            SELECT * FROM jobs
+            WHERE type = $1 AND document_id = $2 AND status IN ('queued', 'running')
+        `, [type, documentId]);
+        return existing.rows[0];
+    }
+
+    // Claim the next due job, skipping tenants already at their concurrency limit
+    static async claimNext(workerId, tenantConcurrency) {
+        const query = `
+            WITH candidate AS (
+                SELECT j.id
+                FROM jobs j
+                WHERE j.status = 'queued'
+                AND j.run_at <= CURRENT_TIMESTAMP
+                AND (
+                    SELECT COUNT(*) FROM jobs r
+                    WHERE r.tenant_id = j.tenant_id AND r.status = 'running'
+                ) < $2
+                ORDER BY j.run_at
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            UPDATE jobs
+            SET status = 'running',
+                attempts = jobs.attempts + 1,
+                locked_at = CURRENT_TIMESTAMP,
+                locked_by = $1,
+                progress = 0,
+                progress_message = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            FROM candidate
+            WHERE jobs.id = candidate.id
+            RETURNING jobs.*
+        `;
+        const result = await pool.query(query, [workerId, tenantConcurrency]);
+        return result.rows[0];
+    }
+
+    static async updateProgress(id, progress, message) {
+        await pool.query(`
+            UPDATE jobs
+            SET progress = $2, progress_message = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [id, progress, message]);
+    }
+
+    static async complete(id) {
+        await pool.query(`
+            UPDATE jobs
+            SET status = 'completed', progress = 100, locked_at = NULL, locked_by = NULL,
+                last_error = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [id]);
+    }
+
+    // Schedule a retry with backoff, or dead-letter the job once its attempts
+    // are used up (or the error is not retryable). Returns the updated job.
+    static async fail(job, error, { retryable = true } = {}) {
+        const dead = !retryable || job.attempts >= job.max_attempts;
+        const query = dead
+            ? `
+                UPDATE jobs
+                SET status = 'dead', last_error = $2, locked_at = NULL, locked_by = NULL,
+                    completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `
+            : `
+                UPDATE jobs
+                SET status = 'queued', last_error = $2, locked_at = NULL, locked_by = NULL,
+                    run_at = CURRENT_TIMESTAMP + ($3 || ' seconds')::interval,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `;
+        const params = dead
+            ? [job.id, error.message]
+            : [job.id, error.message, Job.getRetryDelaySeconds(job.attempts)];
+
+        const result = await pool.query(query, params);
+        return result.rows[0];
+    }
+
+    // Return jobs from crashed workers to the queue
+    static async requeueStale(timeoutMinutes) {
+        const result = await pool.query(`
+            UPDATE jobs
+            SET status = 'queued', locked_at = NULL, locked_by = NULL,
+                last_error = 'Worker timed out', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'running'
+            AND locked_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::interval
+            RETURNING id
+        `, [timeoutMinutes]);
+        return result.rows.length;
+    }
+
+    static async findById(tenantId, id) {
+        const result = await pool.query(
+            'SELECT * FROM jobs WHERE id = $1 AND tenant_id = $2',
+            [id, tenantId]
+        );
+        return result.rows[0];
+    }
+
+    static async findByDocument(tenantId, documentId) {
+        const query = `
+            SELECT * FROM jobs
+            WHERE tenant_id = $1 AND document_id = $2
+            ORDER BY created_at DESC
+        `;
+        const result = await pool.query(query, [tenantId, documentId]);
+        return result.rows;
+    }
+
+    static async findByTenant(tenantId, { status, limit = 50, offset = 0 } = {}) {
+        const query = `
+            SELECT j.*, d.original_name as document_name
+            FROM jobs j
+            LEFT JOIN documents d ON d.id = j.document_id
+            WHERE j.tenant_id = $1
+            AND ($2::varchar IS NULL OR j.status = $2)
+            ORDER BY j.created_at DESC
+            LIMIT $3 OFFSET $4
+        `;
+        const result = await pool.query(query, [tenantId, status || null, limit, offset]);
+        return result.rows;
+    }
+
+    // Put a dead-lettered job back in the queue with a fresh set of attempts
+    static async retry(tenantId, id) {
+        const result = await pool.query(`
+            UPDATE jobs
+            SET status = 'queued', attempts = 0, run_at = CURRENT_TIMESTAMP,
+                progress = 0, progress_message = NULL, completed_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND status = 'dead'
+            RETURNING *
+        `, [id, tenantId]);
+        return result.rows[0];
+    }
+}
+
+module.exports = Job;
@@ -0,0 +1,175 @@
+const pool = require('../database-pool');
+
+// Heatmap columns: the users' groups (users outside any group share one
+// column) or the users themselves
+const BREAKDOWNS = {
+    group: {
+        join: `
+            LEFT JOIN user_group_members m ON m.user_id = t.user_id
+                AND m.group_id IN (SELECT id FROM user_groups WHERE tenant_id = $1)
+            LEFT JOIN user_groups g ON g.id = m.group_id
+        `,
+        id: 'g.id',
+        name: 'g.name'
+    },
+    user: {
+        join: 'JOIN users u ON u.id = t.user_id',
+        id: 'u.id',
+        name: 'COALESCE(u.name, u.email)'
+    }
+};
+
+const NO_GROUP = { id: 'none', name: 'No group' };
+
+class PageTime {
+    static isValidBreakdown(by) {
+        return Object.prototype.hasOwnProperty.call(BREAKDOWNS, by);
+    }
+
+    // Add the seconds of one heartbeat to today's total for the page. No more
+    // than the time since the user's previous heartbeat for the document is
+    // credited, so heartbeats sent faster than that add nothing. Returns the
+    // seconds credited.
+    static async record(tenantId, { documentId, userId, pageNumber, seconds }) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // One heartbeat per user and document at a time
+            await client.query(
+                'SELECT pg_advisory_xact_lock(hashtext($1))',
+                [`page-time:${tenantId}:${documentId}:${userId}`]
+            );
+
+            const previous = await client.query(`
+                SELECT EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - MAX(last_seen_at))) as elapsed
+                FROM analytics_page_time
+                WHERE tenant_id = $1 AND document_id = $2 AND user_id = $3
+            `, [tenantId, documentId, userId]);
+
+            const elapsed = previous.rows[0].elapsed;
+            const credited = elapsed === null ? seconds : Math.min(seconds, Math.round(Number(elapsed)));
+
+            if (credited >= 1) {
+                await client.query(`
+                    INSERT INTO analytics_page_time (tenant_id, document_id, user_id, page_number, seconds)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (tenant_id, document_id, user_id, page_number, view_date)
+                    DO UPDATE SET
+                        seconds = analytics_page_time.seconds + EXCLUDED.seconds,
+                        last_seen_at = CURRENT_TIMESTAMP
+                `, [tenantId, documentId, userId, pageNumber, credited]);
+            }
+
+            await client.query('COMMIT');
+            return Math.max(credited, 0);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Shape rows of (row_id, row_name, column_id, column_name, seconds) and
+    // per-row totals into { columns, rows }, rows ordered by total time.
+    // Totals come separately because a user in several groups counts towards
+    // each group but only once towards the row.
+    static buildHeatmap(cells, totals) {
+        const columns = new Map();
+        const rows = new Map();
+
+        for (const total of totals) {
+            rows.set(String(total.row_id), {
+                id: total.row_id,
+                name: total.row_name,
+                totalSeconds: parseInt(total.seconds),
+                cells: {}
+            });
+        }
+
+        for (const cell of cells) {
+            const row = rows.get(String(cell.row_id));
+            if (!row) continue;
+
+            const column = cell.column_id === null
+                ? NO_GROUP
+                : { id: String(cell.column_id), name: cell.column_name };
+            columns.set(column.id, column);
+            row.cells[column.id] = (row.cells[column.id] || 0) + parseInt(cell.seconds);
+        }
+
+        return {
+            columns: [...columns.values()].sort((a, b) => (
+                (a === NO_GROUP) - (b === NO_GROUP) || a.name.localeCompare(b.name)
+            )),
+            rows: [...rows.values()].sort((a, b) => b.totalSeconds - a.totalSeconds)
+        };
+    }
+
+    // Time per document between two dates, by group or user, for the `limit`
+    // documents read longest. groupId narrows it to the members of one group.
+    static async documentHeatmap(tenantId, { start, end, by = 'group', groupId = null, limit = 20 }) {
+        const breakdown = BREAKDOWNS[by];
+        const filter = `
+            t.tenant_id = $1 AND t.view_date BETWEEN $2::date AND $3::date
+            AND ($4::uuid IS NULL OR t.user_id IN (SELECT user_id FROM user_group_members WHERE group_id = $4))
+        `;
+        const params = [tenantId, start, end, groupId];
+
+        const totals = await pool.query(`
+            SELECT t.document_id as row_id, d.original_name as row_name, SUM(t.seconds) as seconds
+            FROM analytics_page_time t
+            JOIN documents d ON d.id = t.document_id
+            WHERE ${filter}
+            GROUP BY t.document_id, d.original_name
+            ORDER BY seconds DESC
+            LIMIT ${parseInt(limit)}
+        `, params);
+
+        const cells = await pool.query(`
+            SELECT t.document_id as row_id, ${breakdown.id} as column_id, ${breakdown.name} as column_name,
+                SUM(t.seconds) as seconds
+            FROM analytics_page_time t
+            ${breakdown.join}
+            WHERE ${filter} AND t.document_id = ANY($5)
+            GROUP BY t.document_id, ${breakdown.id}, ${breakdown.name}
+        `, [...params, totals.rows.map(row => row.row_id)]);
+
+        return this.buildHeatmap(cells.rows, totals.rows);
+    }
+
+    // Time per page of one document between two dates, by group or user
+    static async pageHeatmap(tenantId, documentId, { start, end, by = 'group', groupId = null }) {
+        const breakdown = BREAKDOWNS[by];
+        const filter = `
+            t.tenant_id = $1 AND t.view_date BETWEEN $2::date AND $3::date
+            AND ($4::uuid IS NULL OR t.user_id IN (SELECT user_id FROM user_group_members WHERE group_id = $4))
+            AND t.document_id = $5
+        `;
+        const params = [tenantId, start, end, groupId, documentId];
+
+        const totals = await pool.query(`
+            SELECT t.page_number as row_id, 'Page ' || t.page_number as row_name, SUM(t.seconds) as seconds
+            FROM analytics_page_time t
+            WHERE ${filter}
+            GROUP BY t.page_number
+        `, params);
+
+        const cells = await pool.query(`
+            SELECT t.page_number as row_id, ${breakdown.id} as column_id, ${breakdown.name} as column_name,
+                SUM(t.seconds) as seconds
+            FROM analytics_page_time t
+            ${breakdown.join}
+            WHERE ${filter}
+            GROUP BY t.page_number, ${breakdown.id}, ${breakdown.name}
+        `, params);
+
+        const heatmap = this.buildHeatmap(cells.rows, totals.rows);
+        heatmap.rows.sort((a, b) => a.id - b.id);
+        return heatmap;
+    }
+}
+
+module.exports = PageTime;
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const pool = require('../database-pool');
+
+// Reset links work for this long
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+class PasswordReset {
+    static get ttlMinutes() {
+        return PASSWORD_RESET_TTL_MINUTES;
+    }
+
+    static generateToken() {
+        return crypto.randomBytes(32).toString('base64url');
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    // Issue a reset token for a tenant member. Earlier links stop working, so
+    // only the newest email can be used. Returns the token; only its hash is
+    // stored.
+    static async create(user, { ipAddress = null } = {}) {
+        const token = this.generateToken();
+
+        await this.invalidate(user.id);
+        await pool.query(`
+            INSERT INTO password_reset_tokens (user_id, tenant_id, token_hash, requested_ip, expires_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(mins => $5))
+        `, [user.id, user.tenant_id, this.hashToken(token), ipAddress, PASSWORD_RESET_TTL_MINUTES]);
+
+        return token;
+    }
+
+    // Use up a token of the given tenant. Returns its user_id and tenant_id,
+    // or null when the token is unknown, used, expired or from another
+    // tenant.
+    static async consume(token, tenantSlug) {
+        const result = await pool.query(`
+            UPDATE password_reset_tokens r
+            SET used_at = CURRENT_TIMESTAMP
+            FROM tenants t
+            WHERE r.token_hash = $1
+            AND t.id = r.tenant_id AND t.slug = $2
+            AND r.used_at IS NULL AND r.expires_at > CURRENT_TIMESTAMP
+            RETURNING r.user_id, r.tenant_id
+        `, [this.hashToken(token), tenantSlug]);
+        return result.rows[0] || null;
+    }
+
+    // Retire a user's unused tokens
+    static async invalidate(userId) {
+        await pool.query(
+            'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+            [userId]
+        );
+    }
+}
+
+module.exports = PasswordReset;
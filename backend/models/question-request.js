@@ -0,0 +1,232 @@
+const pool = require('../database-pool');
+
+// Question ids are UUIDs; anything else matches no question
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns of a question with the names of the people and group involved
+const COLUMNS = `
+    q.*,
+    'Q-' || q.reference_number as reference,
+    asker.name as asked_by_name,
+    asker.tenant_role as asked_by_role,
+    g.name as group_name,
+    assignee.name as assigned_to_name,
+    (q.due_date < CURRENT_DATE AND q.status <> 'published') as overdue
+`;
+
+const JOINS = `
+    LEFT JOIN users asker ON asker.id = q.asked_by
+    LEFT JOIN user_groups g ON g.id = q.group_id
+    LEFT JOIN users assignee ON assignee.id = q.assigned_to
+`;
+
+// Questions a member who is not an admin may see: their own, their groups',
+// those assigned to them and answers published to everyone. $2 is the
+// member's id.
+const VISIBLE_TO_MEMBER = `
+    (
+        q.asked_by = $2
+        OR q.assigned_to = $2
+        OR q.group_id IN (SELECT group_id FROM user_group_members WHERE user_id = $2)
+        OR (q.status = 'published' AND q.published_to_all)
+    )
+`;
+
+class QuestionRequest {
+    // Questions newest first. `viewerId` limits them to what that member may
+    // see; admins pass null. Filters left null are not applied.
+    static async list(tenantId, { viewerId = null, status = null, category = null, priority = null, assignedTo = null } = {}) {
+        const query = `
+            SELECT ${COLUMNS}
+            FROM question_requests q
+            ${JOINS}
+            WHERE q.tenant_id = $1
+            AND ($2::int IS NULL OR ${VISIBLE_TO_MEMBER})
+            AND ($3::varchar IS NULL OR q.status = $3)
+            AND ($4::varchar IS NULL OR q.category = $4)
+            AND ($5::varchar IS NULL OR q.priority = $5)
+            AND ($6::int IS NULL OR q.assigned_to = $6)
+            ORDER BY q.created_at DESC
+        `;
+        const result = await pool.query(query, [tenantId, viewerId, status, category, priority, assignedTo]);
+        return result.rows;
+    }
+
+    // Undefined when there is no such question or `viewerId` may not see it
+    static async findById(tenantId, id, { viewerId = null } = {}) {
+        if (!UUID_PATTERN.test(id)) {
+            return undefined;
+        }
+
+        const query = `
+            SELECT ${COLUMNS}
+            FROM question_requests q
+            ${JOINS}
+            WHERE q.id = $1 AND q.tenant_id = $3
+            AND ($2::int IS NULL OR ${VISIBLE_TO_MEMBER})
+        `;
+        const result = await pool.query(query, [id, viewerId, tenantId]);
+        return result.rows[0];
+    }
+
+    // Numbered after the tenant's latest question
+    static async create(tenantId, { subject, body, category = null, priority = 'normal', dueDate = null, askedBy, groupId = null }) {
+        const query = `
+            INSERT INTO question_requests
+            (tenant_id, reference_number, subject, body, category, priority, due_date, asked_by, group_id)
+            VALUES ($1, (
+                SELECT COALESCE(MAX(reference_number), 0) + 1 FROM question_requests WHERE tenant_id = $1
+            ), $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *, 'Q-' || reference_number as reference
+        `;
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Questions submitted at the same time are numbered one after
+            // the other
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`question-reference:${tenantId}`]);
+
+            const result = await client.query(query, [
+                tenantId,
+                subject.substring(0, 255),
+                body,
+                category ? category.substring(0, 100) : null,
+                priority,
+                dueDate,
+                askedBy,
+                groupId
+            ]);
+
+            await client.query('COMMIT');
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Category, priority and due date, all set at once
+    static async updateDetails(tenantId, id, { category, priority, dueDate }) {
+        const result = await pool.query(`
+            UPDATE question_requests
+            SET category = $3, priority = $4, due_date = $5, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2
+            RETURNING *
+        `, [id, tenantId, category ? category.substring(0, 100) : null, priority, dueDate]);
+        return result.rows[0];
+    }
+
+    // Assigning a new question moves it on; reassigning keeps the status.
+    // Undefined once the answer is published.
+    static async assign(tenantId, id, assigneeId) {
+        const result = await pool.query(`
+            UPDATE question_requests
+            SET assigned_to = $3,
+                assigned_at = CURRENT_TIMESTAMP,
+                status = CASE WHEN status = 'submitted' THEN 'assigned' ELSE status END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND status <> 'published'
+            RETURNING *
+        `, [id, tenantId, assigneeId]);
+        return result.rows[0];
+    }
+
+    // Undefined once the answer is published
+    static async saveDraft(tenantId, id, { answer, draftedBy, status }) {
+        const result = await pool.query(`
+            UPDATE question_requests
+            SET draft_answer = $3,
+                drafted_by = $4,
+                drafted_at = CURRENT_TIMESTAMP,
+                status = $5,
+                approved_by = NULL,
+                approved_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND status <> 'published'
+            RETURNING *
+        `, [id, tenantId, answer, draftedBy, status]);
+        return result.rows[0];
+    }
+
+    static async saveAiDraft(tenantId, id, { answer, citations }) {
+        const result = await pool.query(`
+            UPDATE question_requests
+            SET ai_draft = $3, ai_draft_citations = $4, ai_draft_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2
+            RETURNING *
+        `, [id, tenantId, answer, JSON.stringify(citations)]);
+        return result.rows[0];
+    }
+
+    // Undefined unless the draft is waiting for approval
+    static async approve(tenantId, id, approvedBy) {
+        const result = await pool.query(`
+            UPDATE question_requests
+            SET status = 'approved', approved_by = $3, approved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND status = 'pending_approval'
+            RETURNING *
+        `, [id, tenantId, approvedBy]);
+        return result.rows[0];
+    }
+
+    // Send a draft back to its expert. Undefined unless it was waiting for
+    // approval or approved.
+    static async returnDraft(tenantId, id) {
+        const result = await pool.query(`
+            UPDATE question_requests
+            SET status = CASE WHEN assigned_to IS NULL THEN 'submitted' ELSE 'assigned' END,
+                approved_by = NULL,
+                approved_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND status IN ('pending_approval', 'approved')
+            RETURNING *
+        `, [id, tenantId]);
+        return result.rows[0];
+    }
+
+    // The approved draft becomes the answer. Undefined unless approved.
+    static async publish(tenantId, id, { publishedBy, toAll = false }) {
+        const result = await pool.query(`
+            UPDATE question_requests
+            SET status = 'published',
+                answer = draft_answer,
+                published_to_all = $4,
+                published_by = $3,
+                published_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND status = 'approved'
+            RETURNING *
+        `, [id, tenantId, publishedBy, toAll]);
+        return result.rows[0];
+    }
+
+    // Linked documents, with what access checks need
+    static async listDocuments(questionId) {
+        const query = `
+            SELECT d.id, d.original_name, d.folder_id, d.view_only
+            FROM question_request_documents qd
+            JOIN documents d ON d.id = qd.document_id
+            WHERE qd.question_id = $1
+            ORDER BY d.original_name
+        `;
+        const result = await pool.query(query, [questionId]);
+        return result.rows;
+    }
+
+    static async setDocuments(questionId, documentIds) {
+        await pool.query('DELETE FROM question_request_documents WHERE question_id = $1', [questionId]);
+        if (documentIds.length === 0) return;
+
+        await pool.query(`
+            INSERT INTO question_request_documents (question_id, document_id)
+            SELECT $1, unnest($2::varchar[])
+            ON CONFLICT DO NOTHING
+        `, [questionId, documentIds]);
+    }
+}
+
+module.exports = QuestionRequest;
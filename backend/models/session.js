@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const pool = require('../database-pool');
+
+// Sessions last this long after their last refresh
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// last_activity is written at most this often per session
+const ACTIVITY_INTERVAL = '1 minute';
+
+const SESSION_COLUMNS = 'id, user_id, tenant_id, login_time, last_activity, ip_address, user_agent, mfa, expires_at';
+
+const BROWSERS = [[/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+const SYSTEMS = [[/iPhone|iPad/, 'iOS'], [/Android/, 'Android'], [/Windows/, 'Windows'], [/Mac OS X|Macintosh/, 'macOS'], [/Linux/, 'Linux']];
+
+class Session {
+    static generateRefreshToken() {
+        return crypto.randomBytes(32).toString('base64url');
+    }
+
+    static hashRefreshToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    // Short description of the device of a user agent, e.g. "Chrome on macOS"
+    static describeDevice(userAgent) {
+        if (!userAgent) return 'Unknown device';
+
+        const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+        const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent));
+
+        if (!browser && !system) return userAgent.substring(0, 60);
+        return [browser && browser[1], system && system[1]].filter(Boolean).join(' on ');
+    }
+
+    // Record a new session. Returns its id and refresh token; only the hash of
+    // the token is stored.
+    static async create(user, { mfa = false, ipAddress = null, userAgent = null } = {}) {
+        const refreshToken = this.generateRefreshToken();
+
+        const result = await pool.query(`
+            INSERT INTO analytics_sessions (
+                user_id, tenant_id, email, login_time, last_activity, ip_address, user_agent,
+                refresh_token_hash, expires_at, mfa
+            )
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $4, $5, $6,
+                CURRENT_TIMESTAMP + make_interval(days => $7), $8)
+            RETURNING id
+        `, [
+            user.id,
+            user.tenant_id || null,
+            user.email,
+            ipAddress,
+            userAgent,
+            this.hashRefreshToken(refreshToken),
+            REFRESH_TOKEN_TTL_DAYS,
+            mfa
+        ]);
+
+        return { id: result.rows[0].id, refreshToken };
+    }
+
+    // Swap a refresh token for a new one, extending the session. Returns the
+    // session and the new token, or null. A token that was already swapped
+    // has been copied, so its session is revoked.
+    static async rotate(refreshToken, { ipAddress = null, userAgent = null } = {}) {
+        const hash = this.hashRefreshToken(refreshToken);
+        const nextToken = this.generateRefreshToken();
+
+        const result = await pool.query(`
+            UPDATE analytics_sessions
+            SET refresh_token_hash = $2,
+                previous_refresh_token_hash = $1,
+                expires_at = CURRENT_TIMESTAMP + make_interval(days => $3),
+                last_activity = CURRENT_TIMESTAMP,
+                ip_address = COALESCE($4, ip_address),
+                user_agent = COALESCE($5, user_agent)
+            WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            RETURNING ${SESSION_COLUMNS}
+        `, [hash, this.hashRefreshToken(nextToken), REFRESH_TOKEN_TTL_DAYS, ipAddress, userAgent]);
+
+        if (result.rows[0]) {
+            return { session: result.rows[0], refreshToken: nextToken };
+        }
+
+        await pool.query(`
+            UPDATE analytics_sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE previous_refresh_token_hash = $1 AND revoked_at IS NULL
+        `, [hash]);
+
+        return null;
+    }
+
+    // Whether a session is still live, recording activity on it
+    static async isActive(id) {
+        const result = await pool.query(`
+            WITH live AS (
+                SELECT id, last_activity FROM analytics_sessions
+                WHERE id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            ), touched AS (
+                UPDATE analytics_sessions s SET last_activity = CURRENT_TIMESTAMP
+                FROM live
+                WHERE s.id = live.id
+                AND (live.last_activity IS NULL OR live.last_activity < CURRENT_TIMESTAMP - INTERVAL '${ACTIVITY_INTERVAL}')
+            )
+            SELECT id FROM live
+        `, [id]);
+        return result.rows.length > 0;
+    }
+
+    // Live sessions of a user, most recently used first
+    static async listForUser(userId) {
+        const result = await pool.query(`
+            SELECT ${SESSION_COLUMNS}
+            FROM analytics_sessions
+            WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            ORDER BY last_activity DESC NULLS LAST
+        `, [userId]);
+
+        return result.rows.map(session => ({
+            ...session,
+            device: this.describeDevice(session.user_agent)
+        }));
+    }
+
+    // The session passed a second factor after it started
+    static async markMfa(id) {
+        await pool.query('UPDATE analytics_sessions SET mfa = true WHERE id = $1', [id]);
+    }
+
+    static async revoke(userId, id) {
+        const result = await pool.query(`
+            UPDATE analytics_sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+            RETURNING id
+        `, [id, userId]);
+        return result.rowCount > 0;
+    }
+
+    static async revokeByRefreshToken(refreshToken) {
+        await pool.query(`
+            UPDATE analytics_sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+        `, [this.hashRefreshToken(refreshToken)]);
+    }
+
+    // Revoke every session of a user, except `exceptId` when given. Returns
+    // how many were revoked.
+    static async revokeAll(userId, { exceptId = null } = {}) {
+        const result = await pool.query(`
+            UPDATE analytics_sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND revoked_at IS NULL AND ($2::text IS NULL OR id <> $2)
+        `, [userId, exceptId]);
+        return result.rowCount;
+    }
+}
+
+module.exports = Session;
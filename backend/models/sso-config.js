@@ -0,0 +1,72 @@
+const pool = require('../database-pool');
+
+const FIELDS = [
+    'protocol',
+    'enabled',
+    'enforce_sso',
+    'oidc_issuer',
+    'oidc_client_id',
+    'oidc_client_secret',
+    'saml_metadata_url',
+    'saml_entry_point',
+    'saml_idp_issuer',
+    'saml_idp_certs',
+    'role_claim',
+    'role_mapping',
+    'default_role'
+];
+
+class SsoConfig {
+    static async findByTenant(tenantId) {
+        const result = await pool.query(
+            'SELECT * FROM tenant_sso_configs WHERE tenant_id = $1',
+            [tenantId]
+        );
+        return result.rows[0];
+    }
+
+    // Configuration together with the tenant it belongs to, for sign-ins
+    // started from the tenant's login page
+    static async findByTenantSlug(slug) {
+        const query = `
+            SELECT c.*, t.name as tenant_name, t.slug as tenant_slug, t.is_active as tenant_active
+            FROM tenant_sso_configs c
+            JOIN tenants t ON t.id = c.tenant_id
+            WHERE t.slug = $1
+        `;
+        const result = await pool.query(query, [slug]);
+        return result.rows[0];
+    }
+
+    // Whether password sign-in is switched off for the tenant's members
+    static async isEnforced(tenantId) {
+        const result = await pool.query(
+            'SELECT 1 FROM tenant_sso_configs WHERE tenant_id = $1 AND enabled AND enforce_sso',
+            [tenantId]
+        );
+        return result.rows.length > 0;
+    }
+
+    // Create or replace the tenant's configuration. The client secret is kept
+    // when none is given.
+    static async upsert(tenantId, config) {
+        const values = FIELDS.map(field => (field === 'role_mapping'
+            ? JSON.stringify(config.role_mapping || {})
+            : config[field] === undefined ? null : config[field]));
+
+        const query = `
+            INSERT INTO tenant_sso_configs (tenant_id, ${FIELDS.join(', ')})
+            VALUES ($1, ${FIELDS.map((field, i) => `$${i + 2}`).join(', ')})
+            ON CONFLICT (tenant_id) DO UPDATE SET
+                ${FIELDS.map(field => (field === 'oidc_client_secret'
+                    ? `${field} = COALESCE(EXCLUDED.${field}, tenant_sso_configs.${field})`
+                    : `${field} = EXCLUDED.${field}`)).join(',\n                ')},
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `;
+        const result = await pool.query(query, [tenantId, ...values]);
+        return result.rows[0];
+    }
+}
+
+module.exports = SsoConfig;
@@ -1,6 +1,16 @@
 const pool = require('../database-pool');
 const crypto = require('crypto');
 
+// AI token allowances per subscription tier. perMinute is the tenant's share of
+// the process-wide rate limit; perMonth can be overridden per tenant with
+// tenants.max_ai_tokens_per_month.
+const AI_TOKEN_LIMITS = {
+    free: { perMinute: 4000, perMonth: 250000 },
+    starter: { perMinute: 8000, perMonth: 1000000 },
+    professional: { perMinute: 12000, perMonth: 5000000 },
+    enterprise: { perMinute: 20000, perMonth: 20000000 }
+};
+
 class Tenant {
     static async create(tenantData) {
         const {
@@ -43,7 +53,7 @@ class Tenant {
         const allowedFields = [
             'name', 'subscription_tier', 'settings',
             'subscription_status', 'subscription_expires_at',
-            'max_users', 'max_storage_gb', 'max_documents',
+            'max_users', 'max_storage_gb', 'max_documents', 'max_ai_tokens_per_month',
             'primary_contact_email', 'billing_email'
         ];
 
@@ -89,16 +99,26 @@ class Tenant {
                 FROM documents 
                 WHERE tenant_id = $1
             `,
+            // Every kept version counts; restored versions share their file
             storageUsed: `
-                SELECT COALESCE(SUM(file_size), 0) as total 
-                FROM documents 
-                WHERE tenant_id = $1
+                SELECT COALESCE(SUM(file_size), 0) as total
+                FROM (
+                    SELECT DISTINCT s3_key, file_size
+                    FROM document_versions
+                    WHERE tenant_id = $1
+                ) versions
             `,
             monthlyApiCalls: `
                 SELECT COUNT(*) as count 
                 FROM analytics_questions 
                 WHERE tenant_id = $1 
                 AND created_at >= date_trunc('month', CURRENT_DATE)
+            `,
+            monthlyAiTokens: `
+                SELECT COALESCE(SUM(ai_input_tokens + ai_output_tokens), 0) as total
+                FROM tenant_usage
+                WHERE tenant_id = $1
+                AND month = date_trunc('month', CURRENT_DATE)
             `
         };
 
@@ -114,6 +134,7 @@ class Tenant {
     static async checkLimits(tenantId) {
         const tenant = await this.findById(tenantId);
         const usage = await this.getUsageStats(tenantId);
+        const aiLimits = this.getAiTokenLimits(tenant);
 
         return {
             users: {
@@ -130,10 +151,44 @@ class Tenant {
                 current: Math.round(usage.storageUsed / (1024 * 1024 * 1024)), // Convert to GB
                 limit: tenant.max_storage_gb,
                 exceeded: usage.storageUsed >= (tenant.max_storage_gb * 1024 * 1024 * 1024)
+            },
+            ai_tokens: {
+                current: Number(usage.monthlyAiTokens),
+                limit: aiLimits.perMonth,
+                exceeded: Number(usage.monthlyAiTokens) >= aiLimits.perMonth
             }
         };
     }
 
+    static getAiTokenLimits(tenant) {
+        const tierLimits = AI_TOKEN_LIMITS[tenant.subscription_tier] || AI_TOKEN_LIMITS.free;
+
+        return {
+            perMinute: tierLimits.perMinute,
+            perMonth: tenant.max_ai_tokens_per_month
+                ? Number(tenant.max_ai_tokens_per_month)
+                : tierLimits.perMonth
+        };
+    }
+
+    // Add the tokens reported by the LLM provider to this month's usage
+    static async recordAiUsage(tenantId, { input_tokens = 0, output_tokens = 0 }) {
+        const query = `
+            INSERT INTO tenant_usage (
+                tenant_id, month, ai_input_tokens, ai_output_tokens, ai_requests_count
+            )
+            VALUES ($1, date_trunc('month', CURRENT_DATE), $2, $3, 1)
+            ON CONFLICT (tenant_id, month)
+            DO UPDATE SET
+                ai_input_tokens = tenant_usage.ai_input_tokens + $2,
+                ai_output_tokens = tenant_usage.ai_output_tokens + $3,
+                ai_requests_count = tenant_usage.ai_requests_count + 1,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+
+        await pool.query(query, [tenantId, input_tokens, output_tokens]);
+    }
+
     static async getAllForSuperAdmin() {
         const query = `
             SELECT 
@@ -0,0 +1,126 @@
+const pool = require('../database-pool');
+
+class Terms {
+    // The tenant's current terms, or undefined before any were published
+    static async current(tenantId) {
+        const result = await pool.query(`
+            SELECT * FROM terms_versions
+            WHERE tenant_id = $1
+            ORDER BY version_number DESC
+            LIMIT 1
+        `, [tenantId]);
+        return result.rows[0];
+    }
+
+    static async listVersions(tenantId) {
+        const query = `
+            SELECT
+                v.id, v.version_number, v.title, v.created_by, u.name as created_by_name, v.created_at,
+                COUNT(a.id) as acceptance_count
+            FROM terms_versions v
+            LEFT JOIN users u ON u.id = v.created_by
+            LEFT JOIN terms_acceptances a ON a.terms_version_id = v.id
+            WHERE v.tenant_id = $1
+            GROUP BY v.id, u.name
+            ORDER BY v.version_number DESC
+        `;
+        const result = await pool.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    static async findVersion(tenantId, id) {
+        const result = await pool.query(
+            'SELECT * FROM terms_versions WHERE id = $1 AND tenant_id = $2',
+            [id, tenantId]
+        );
+        return result.rows[0];
+    }
+
+    // Publish a new version; it becomes the current one
+    static async publish(tenantId, { title, body, createdBy = null }) {
+        const query = `
+            INSERT INTO terms_versions (tenant_id, version_number, title, body, created_by)
+            VALUES ($1, (
+                SELECT COALESCE(MAX(version_number), 0) + 1 FROM terms_versions WHERE tenant_id = $1
+            ), $2, $3, $4)
+            RETURNING *
+        `;
+        const result = await pool.query(query, [tenantId, title.substring(0, 255), body, createdBy]);
+        return result.rows[0];
+    }
+
+    // Whether the tenant requires its terms, and the user's acceptance of the
+    // current version: { required, terms, accepted_at }
+    static async status(tenantId, userId) {
+        const query = `
+            SELECT
+                COALESCE(ts.require_terms, false) as required,
+                v.id, v.version_number, v.title, v.body, v.created_at,
+                a.accepted_at
+            FROM tenants t
+            LEFT JOIN tenant_settings ts ON ts.tenant_id = t.id
+            LEFT JOIN LATERAL (
+                SELECT * FROM terms_versions
+                WHERE tenant_id = t.id
+                ORDER BY version_number DESC
+                LIMIT 1
+            ) v ON true
+            LEFT JOIN terms_acceptances a ON a.terms_version_id = v.id AND a.user_id = $2
+            WHERE t.id = $1
+        `;
+        const result = await pool.query(query, [tenantId, userId]);
+        const row = result.rows[0] || {};
+
+        return {
+            required: Boolean(row.required),
+            terms: row.id ? {
+                id: row.id,
+                version_number: row.version_number,
+                title: row.title,
+                body: row.body,
+                created_at: row.created_at
+            } : null,
+            accepted_at: row.accepted_at || null
+        };
+    }
+
+    // Record that a user accepted a version. Accepting again keeps the first
+    // record.
+    static async accept(tenantId, versionId, userId, { ipAddress = null, userAgent = null } = {}) {
+        await pool.query(`
+            INSERT INTO terms_acceptances (tenant_id, terms_version_id, user_id, ip_address, user_agent)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (terms_version_id, user_id) DO NOTHING
+        `, [tenantId, versionId, userId, ipAddress, userAgent]);
+
+        const result = await pool.query(
+            'SELECT * FROM terms_acceptances WHERE terms_version_id = $1 AND user_id = $2',
+            [versionId, userId]
+        );
+        return result.rows[0];
+    }
+
+    // Every member of the tenant with their acceptance of a version, if any,
+    // and the newest version they ever accepted
+    static async acceptanceReport(tenantId, versionId) {
+        const query = `
+            SELECT
+                u.id as user_id, u.name, u.email, u.tenant_role, u.is_active,
+                a.accepted_at, a.ip_address, a.user_agent,
+                (
+                    SELECT MAX(v.version_number)
+                    FROM terms_acceptances la
+                    JOIN terms_versions v ON v.id = la.terms_version_id
+                    WHERE la.user_id = u.id AND la.tenant_id = $1
+                ) as latest_accepted_version
+            FROM users u
+            LEFT JOIN terms_acceptances a ON a.user_id = u.id AND a.terms_version_id = $2
+            WHERE u.tenant_id = $1
+            ORDER BY a.accepted_at IS NULL DESC, a.accepted_at DESC, u.name
+        `;
+        const result = await pool.query(query, [tenantId, versionId]);
+        return result.rows;
+    }
+}
+
+module.exports = Terms;
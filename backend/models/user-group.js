@@ -0,0 +1,132 @@
+const pool = require('../database-pool');
+
+class UserGroup {
+    static async listForTenant(tenantId) {
+        const query = `
+            SELECT
+                g.*,
+                COUNT(m.user_id) as member_count
+            FROM user_groups g
+            LEFT JOIN user_group_members m ON m.group_id = g.id
+            WHERE g.tenant_id = $1
+            GROUP BY g.id
+            ORDER BY g.name
+        `;
+        const result = await pool.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    static async findById(tenantId, id) {
+        const result = await pool.query(
+            'SELECT * FROM user_groups WHERE id = $1 AND tenant_id = $2',
+            [id, tenantId]
+        );
+        return result.rows[0];
+    }
+
+    static async create(tenantId, { name, description = null, createdBy = null }) {
+        const query = `
+            INSERT INTO user_groups (tenant_id, name, description, created_by)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `;
+        const result = await pool.query(query, [tenantId, name.substring(0, 255), description, createdBy]);
+        return result.rows[0];
+    }
+
+    static async update(tenantId, id, { name, description }) {
+        const query = `
+            UPDATE user_groups
+            SET name = COALESCE($3, name),
+                description = COALESCE($4, description),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2
+            RETURNING *
+        `;
+        const result = await pool.query(query, [
+            id,
+            tenantId,
+            name ? name.substring(0, 255) : null,
+            description === undefined ? null : description
+        ]);
+        return result.rows[0];
+    }
+
+    // Memberships and access rules of the group go with it
+    static async delete(tenantId, id) {
+        const result = await pool.query(
+            'DELETE FROM user_groups WHERE id = $1 AND tenant_id = $2 RETURNING id',
+            [id, tenantId]
+        );
+        return result.rows[0];
+    }
+
+    static async listMembers(tenantId, groupId) {
+        const query = `
+            SELECT
+                u.id,
+                u.name,
+                u.email,
+                u.tenant_role,
+                u.is_active,
+                m.added_at
+            FROM user_group_members m
+            JOIN user_groups g ON g.id = m.group_id
+            JOIN users u ON u.id = m.user_id
+            WHERE g.tenant_id = $1 AND m.group_id = $2
+            ORDER BY u.name
+        `;
+        const result = await pool.query(query, [tenantId, groupId]);
+        return result.rows;
+    }
+
+    // Users that are already members are skipped. `db` is a pool client when
+    // called inside a transaction.
+    static async addMembers(groupId, userIds, db = pool) {
+        if (userIds.length === 0) return;
+
+        await db.query(`
+            INSERT INTO user_group_members (group_id, user_id)
+            SELECT $1, unnest($2::int[])
+            ON CONFLICT (group_id, user_id) DO NOTHING
+        `, [groupId, userIds]);
+    }
+
+    static async removeMember(groupId, userId) {
+        const result = await pool.query(
+            'DELETE FROM user_group_members WHERE group_id = $1 AND user_id = $2 RETURNING user_id',
+            [groupId, userId]
+        );
+        return result.rows[0];
+    }
+
+    // Ids among `userIds` that belong to the tenant
+    static async tenantUserIds(tenantId, userIds) {
+        const result = await pool.query(
+            'SELECT id FROM users WHERE tenant_id = $1 AND id = ANY($2::int[])',
+            [tenantId, userIds]
+        );
+        return result.rows.map(row => row.id);
+    }
+
+    // Groups of every user of a tenant, as a map of user id to [{ id, name }]
+    static async groupsByUser(tenantId) {
+        const query = `
+            SELECT m.user_id, g.id, g.name
+            FROM user_group_members m
+            JOIN user_groups g ON g.id = m.group_id
+            WHERE g.tenant_id = $1
+            ORDER BY g.name
+        `;
+        const result = await pool.query(query, [tenantId]);
+
+        const groups = new Map();
+        for (const row of result.rows) {
+            if (!groups.has(row.user_id)) groups.set(row.user_id, []);
+            groups.get(row.user_id).push({ id: row.id, name: row.name });
+        }
+        return groups;
+    }
+}
+
+module.exports = UserGroup;
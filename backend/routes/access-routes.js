@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../database-pool');
+const AccessRule = require('../models/access-rule');
+const Folder = require('../models/folder');
+const { authenticateToken } = require('../middleware/auth-middleware');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+// Check a submitted rule list against the tenant's users and groups. Returns
+// an error message, or null when the rules are valid.
+async function validateRules(tenantId, rules) {
+    if (!Array.isArray(rules)) {
+        return 'Rules must be an array';
+    }
+
+    const principals = new Set();
+    for (const rule of rules) {
+        if (!AccessRule.isValidAccess(rule.access)) {
+            return `Invalid access level: ${rule.access}. Use none, view or download`;
+        }
+        if (rule.userId && rule.groupId) {
+            return 'A rule applies to a user or a group, not both';
+        }
+
+        const principal = rule.userId ? `user:${rule.userId}` : rule.groupId ? `group:${rule.groupId}` : 'everyone';
+        if (principals.has(principal)) {
+            return 'Each user, group and everyone can only have one rule';
+        }
+        principals.add(principal);
+    }
+
+    const userIds = rules.filter(rule => rule.userId).map(rule => rule.userId);
+    if (userIds.length > 0) {
+        const result = await pool.query(
+            'SELECT COUNT(*) as count FROM users WHERE tenant_id = $1 AND id = ANY($2::int[])',
+            [tenantId, userIds]
+        );
+        if (parseInt(result.rows[0].count) !== userIds.length) {
+            return 'Unknown user in rules';
+        }
+    }
+
+    const groupIds = rules.filter(rule => rule.groupId).map(rule => rule.groupId);
+    if (groupIds.length > 0) {
+        const result = await pool.query(
+            'SELECT COUNT(*) as count FROM user_groups WHERE tenant_id = $1 AND id = ANY($2::uuid[])',
+            [tenantId, groupIds]
+        );
+        if (parseInt(result.rows[0].count) !== groupIds.length) {
+            return 'Unknown group in rules';
+        }
+    }
+
+    return null;
+}
+
+// Access rules of a document
+router.get('/documents/:id/access',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const docResult = await pool.query(
+                'SELECT id FROM documents WHERE id = $1 AND tenant_id = $2',
+                [req.params.id, req.tenantId]
+            );
+
+            if (docResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document not found'
+                });
+            }
+
+            const rules = await AccessRule.listFor(req.tenantId, { documentId: req.params.id });
+
+            res.json({
+                success: true,
+                rules
+            });
+        } catch (error) {
+            console.error('Get document access error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve access rules'
+            });
+        }
+    }
+);
+
+// Replace the access rules of a document. An empty list makes it follow its
+// folder again.
+router.put('/documents/:id/access',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('DOCUMENT_ACCESS_UPDATED', 'document'),
+    async (req, res) => {
+        try {
+            const docResult = await pool.query(
+                'SELECT id FROM documents WHERE id = $1 AND tenant_id = $2',
+                [req.params.id, req.tenantId]
+            );
+
+            if (docResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document not found'
+                });
+            }
+
+            const { rules } = req.body;
+            const validationError = await validateRules(req.tenantId, rules);
+
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: validationError
+                });
+            }
+
+            const saved = await AccessRule.replaceFor(req.tenantId, { documentId: req.params.id }, rules, req.user.id);
+
+            res.json({
+                success: true,
+                rules: saved
+            });
+        } catch (error) {
+            console.error('Update document access error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update access rules'
+            });
+        }
+    }
+);
+
+// Access rules of a folder; they apply to its documents and subfolders
+router.get('/folders/:id/access',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            if (!(await Folder.findById(req.tenantId, req.params.id))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Folder not found'
+                });
+            }
+
+            const rules = await AccessRule.listFor(req.tenantId, { folderId: req.params.id });
+
+            res.json({
+                success: true,
+                rules
+            });
+        } catch (error) {
+            console.error('Get folder access error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve access rules'
+            });
+        }
+    }
+);
+
+// Replace the access rules of a folder. An empty list makes it follow its
+// parent folder again.
+router.put('/folders/:id/access',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('FOLDER_ACCESS_UPDATED', 'folder'),
+    async (req, res) => {
+        try {
+            if (!(await Folder.findById(req.tenantId, req.params.id))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Folder not found'
+                });
+            }
+
+            const { rules } = req.body;
+            const validationError = await validateRules(req.tenantId, rules);
+
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: validationError
+                });
+            }
+
+            const saved = await AccessRule.replaceFor(req.tenantId, { folderId: req.params.id }, rules, req.user.id);
+
+            res.json({
+                success: true,
+                rules: saved
+            });
+        } catch (error) {
+            console.error('Update folder access error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update access rules'
+            });
+        }
+    }
+);
+
+module.exports = router;
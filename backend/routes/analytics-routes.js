@@ -3,6 +3,51 @@ const router = express.Router();
 const pool = require('../database-pool');
 const { authenticateToken, requireAdmin } = require('../middleware/auth-middleware');
 const tenantMiddleware = require('../middleware/tenant-middleware');
+const PageTime = require('../models/page-time');
+
+// SQL condition limiting `column` to members of the group in parameter $n
+const inGroup = (column, n) => `${column} IN (SELECT user_id FROM user_group_members WHERE group_id = $${n})`;
+
+// Activity per user group between two dates. Users in several groups count
+// towards each of them.
+async function groupActivity(tenantId, start, end) {
+    const result = await pool.query(`
+        WITH sessions AS (
+            SELECT user_id, COUNT(*) as sessions, MAX(login_time) as last_active
+            FROM analytics_sessions
+            WHERE tenant_id = $1 AND login_time BETWEEN $2 AND $3
+            GROUP BY user_id
+        ), questions AS (
+            SELECT user_id, COUNT(*) as questions
+            FROM analytics_questions
+            WHERE tenant_id = $1 AND created_at BETWEEN $2 AND $3
+            GROUP BY user_id
+        ), documents AS (
+            SELECT user_id, COUNT(*) as documents
+            FROM analytics_documents
+            WHERE tenant_id = $1 AND timestamp BETWEEN $2 AND $3
+            GROUP BY user_id
+        )
+        SELECT
+            g.id,
+            g.name,
+            COUNT(m.user_id) as member_count,
+            COUNT(s.user_id) as active_users,
+            COALESCE(SUM(s.sessions), 0) as sessions,
+            COALESCE(SUM(q.questions), 0) as questions_asked,
+            COALESCE(SUM(d.documents), 0) as documents_accessed,
+            MAX(s.last_active) as last_active
+        FROM user_groups g
+        LEFT JOIN user_group_members m ON m.group_id = g.id
+        LEFT JOIN sessions s ON s.user_id = m.user_id
+        LEFT JOIN questions q ON q.user_id = m.user_id
+        LEFT JOIN documents d ON d.user_id = m.user_id
+        WHERE g.tenant_id = $1
+        GROUP BY g.id, g.name
+        ORDER BY questions_asked DESC, g.name
+    `, [tenantId, start, end]);
+    return result.rows;
+}
 
 // Get analytics dashboard data
 router.get('/analytics/dashboard',
@@ -26,7 +71,9 @@ router.get('/analytics/dashboard',
                 questionsByDay,
                 topDocuments,
                 userActivity,
-                avgProcessingTime
+                avgProcessingTime,
+                activityByGroup,
+                documentTime
             ] = await Promise.all([
                 // Total questions
                 pool.query(
@@ -106,7 +153,13 @@ router.get('/analytics/dashboard',
                 pool.query(
                     'SELECT AVG(processing_time) as avg_time FROM analytics_questions WHERE tenant_id = $1 AND created_at BETWEEN $2 AND $3',
                     [req.tenantId, start, end]
-                )
+                ),
+
+                // Activity by group
+                groupActivity(req.tenantId, start, end),
+
+                // Reading time per document and group
+                PageTime.documentHeatmap(req.tenantId, { start, end })
             ]);
 
             res.json({
@@ -122,7 +175,9 @@ router.get('/analytics/dashboard',
                 charts: {
                     questionsByDay: questionsByDay.rows,
                     topDocuments: topDocuments.rows,
-                    userActivity: userActivity.rows
+                    userActivity: userActivity.rows,
+                    groupActivity: activityByGroup,
+                    documentTime
                 }
             });
         } catch (error) {
@@ -142,7 +197,7 @@ router.get('/analytics/questions',
     tenantMiddleware.requireTenantAdmin,
     async (req, res) => {
         try {
-            const { limit = 100, offset = 0, userId, startDate, endDate } = req.query;
+            const { limit = 100, offset = 0, userId, groupId, startDate, endDate } = req.query;
             
             let query = `
                 SELECT 
@@ -163,6 +218,12 @@ router.get('/analytics/questions',
                 paramCount++;
             }
 
+            if (groupId) {
+                query += ` AND ${inGroup('aq.user_id', paramCount)}`;
+                params.push(groupId);
+                paramCount++;
+            }
+
             if (startDate) {
                 query += ` AND aq.created_at >= $${paramCount}`;
                 params.push(startDate);
@@ -185,9 +246,14 @@ router.get('/analytics/questions',
             const countParams = [req.tenantId];
             
             if (userId) {
-                countQuery += ' AND user_id = $2';
+                countQuery += ` AND user_id = $${countParams.length + 1}`;
                 countParams.push(userId);
             }
+
+            if (groupId) {
+                countQuery += ` AND ${inGroup('user_id', countParams.length + 1)}`;
+                countParams.push(groupId);
+            }
             
             const countResult = await pool.query(countQuery, countParams);
 
@@ -215,7 +281,7 @@ router.get('/analytics/sessions',
     tenantMiddleware.requireTenantAdmin,
     async (req, res) => {
         try {
-            const { limit = 100, offset = 0, userId, startDate, endDate } = req.query;
+            const { limit = 100, offset = 0, userId, groupId, startDate, endDate } = req.query;
             
             let query = `
                 SELECT 
@@ -237,6 +303,12 @@ router.get('/analytics/sessions',
                 paramCount++;
             }
 
+            if (groupId) {
+                query += ` AND ${inGroup('as2.user_id', paramCount)}`;
+                params.push(groupId);
+                paramCount++;
+            }
+
             if (startDate) {
                 query += ` AND as2.login_time >= $${paramCount}`;
                 params.push(startDate);
@@ -270,6 +342,109 @@ router.get('/analytics/sessions',
     }
 );
 
+// Activity broken down by user group
+router.get('/analytics/groups',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const { startDate, endDate } = req.query;
+
+            const start = startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+            const end = endDate || new Date().toISOString();
+
+            const groups = await groupActivity(req.tenantId, start, end);
+
+            res.json({
+                success: true,
+                period: { startDate: start, endDate: end },
+                groups
+            });
+        } catch (error) {
+            console.error('Get group analytics error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve group analytics'
+            });
+        }
+    }
+);
+
+// Reading time per document, by group or user (`by`), optionally for the
+// members of one group
+router.get('/analytics/page-time',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const { startDate, endDate, by = 'group', groupId = null } = req.query;
+
+            if (!PageTime.isValidBreakdown(by)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'by must be group or user'
+                });
+            }
+
+            const start = startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+            const end = endDate || new Date().toISOString();
+
+            const heatmap = await PageTime.documentHeatmap(req.tenantId, { start, end, by, groupId });
+
+            res.json({
+                success: true,
+                period: { startDate: start, endDate: end },
+                heatmap
+            });
+        } catch (error) {
+            console.error('Get page time analytics error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve page time analytics'
+            });
+        }
+    }
+);
+
+// Reading time per page of one document, by group or user
+router.get('/analytics/documents/:id/page-time',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const { startDate, endDate, by = 'group', groupId = null } = req.query;
+
+            if (!PageTime.isValidBreakdown(by)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'by must be group or user'
+                });
+            }
+
+            const start = startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+            const end = endDate || new Date().toISOString();
+
+            const heatmap = await PageTime.pageHeatmap(req.tenantId, req.params.id, { start, end, by, groupId });
+
+            res.json({
+                success: true,
+                period: { startDate: start, endDate: end },
+                documentId: req.params.id,
+                heatmap
+            });
+        } catch (error) {
+            console.error('Get document page time error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve page time analytics'
+            });
+        }
+    }
+);
+
 // Export analytics data
 router.get('/analytics/export',
     authenticateToken,
@@ -277,7 +452,7 @@ router.get('/analytics/export',
     tenantMiddleware.requireTenantAdmin,
     async (req, res) => {
         try {
-            const { type, startDate, endDate, format = 'json' } = req.query;
+            const { type, groupId, startDate, endDate, format = 'json' } = req.query;
             
             if (!type || !['questions', 'sessions', 'documents', 'all'].includes(type)) {
                 return res.status(400).json({
@@ -289,6 +464,10 @@ router.get('/analytics/export',
             const start = startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
             const end = endDate || new Date().toISOString();
 
+            // Optionally limited to the members of one group
+            const params = groupId ? [req.tenantId, start, end, groupId] : [req.tenantId, start, end];
+            const groupFilter = (column) => (groupId ? `AND ${inGroup(column, 4)}` : '');
+
             const exportData = {};
 
             if (type === 'questions' || type === 'all') {
@@ -301,8 +480,9 @@ router.get('/analytics/export',
                     JOIN users u ON aq.user_id = u.id
                     WHERE aq.tenant_id = $1 
                     AND aq.created_at BETWEEN $2 AND $3
+                    ${groupFilter('aq.user_id')}
                     ORDER BY aq.created_at DESC
-                `, [req.tenantId, start, end]);
+                `, params);
                 
                 exportData.questions = questionsResult.rows;
             }
@@ -317,8 +497,9 @@ router.get('/analytics/export',
                     JOIN users u ON as2.user_id = u.id
                     WHERE as2.tenant_id = $1 
                     AND as2.login_time BETWEEN $2 AND $3
+                    ${groupFilter('as2.user_id')}
                     ORDER BY as2.login_time DESC
-                `, [req.tenantId, start, end]);
+                `, params);
                 
                 exportData.sessions = sessionsResult.rows;
             }
@@ -335,8 +516,9 @@ router.get('/analytics/export',
                     JOIN documents d ON ad.document_id = d.id
                     WHERE ad.tenant_id = $1 
                     AND ad.timestamp BETWEEN $2 AND $3
+                    ${groupFilter('ad.user_id')}
                     ORDER BY ad.timestamp DESC
-                `, [req.tenantId, start, end]);
+                `, params);
                 
                 exportData.documents = documentsResult.rows;
             }
@@ -347,6 +529,7 @@ router.get('/analytics/export',
                 tenant_name: req.tenant.name,
                 export_date: new Date().toISOString(),
                 period: { start, end },
+                group_id: groupId || null,
                 exported_by: req.user.email
             };
 
@@ -381,7 +564,11 @@ function convertToCSV(data) {
     if (data.questions) {
         csv += 'Date,User,Email,Question,Answer,Processing Time (ms),Sources Used\n';
         data.questions.forEach(q => {
-            csv += `"${q.created_at}","${q.user_name}","${q.user_email}","${q.question.replace(/"/g, '""')}","${(q.answer || '').replace(/"/g, '""')}","${q.processing_time}","${q.sources_used || ''}"\n`;
+            // sources_used holds structured citations; list them as "document (page)"
+            const sources = (q.sources_used || [])
+                .map(source => source.label ? `${source.documentName} (${source.label})` : (source.documentName || source.name))
+                .join('; ');
+            csv += `"${q.created_at}","${q.user_name}","${q.user_email}","${q.question.replace(/"/g, '""')}","${(q.answer || '').replace(/"/g, '""')}","${q.processing_time}","${sources.replace(/"/g, '""')}"\n`;
         });
     }
     
@@ -2,11 +2,21 @@ const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
 const AuthService = require('../services/auth-service');
+const MfaService = require('../services/mfa-service');
+const UserGroup = require('../models/user-group');
+const Tenant = require('../models/tenant');
+const Session = require('../models/session');
+const PasswordReset = require('../models/password-reset');
+const { InvitationService } = require('../services/invitation-service');
+const { emailService } = require('../services/background-jobs');
 const pool = require('../database-pool');
 const bcrypt = require('bcryptjs');
 const { authenticateToken, requireAdmin } = require('../middleware/auth-middleware');
 const tenantMiddleware = require('../middleware/tenant-middleware');
 
+const mfa = new MfaService();
+const invitations = new InvitationService({ emailService });
+
 // Rate limiting for login attempts
 const loginLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -14,6 +24,28 @@ const loginLimiter = rateLimit({
     message: { error: 'Too many login attempts, please try again later.' }
 });
 
+// Password reset requests and attempts are limited the same way
+const passwordResetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: { error: 'Too many password reset attempts, please try again later.' }
+});
+
+// Where a session was started or refreshed from
+const clientInfo = (req) => ({
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null
+});
+
+// Audit an MFA change of the signed-in user once the response is sent, as
+// logActivity does; a failed write is only logged
+const auditMfaChange = (req, action) => {
+    if (req.user.tenant_id) {
+        Tenant.logAudit(req.user.tenant_id, req.user.id, action, 'user', null, {})
+            .catch(err => console.error('Audit log error:', err));
+    }
+};
+
 // Public login endpoint with tenant context
 router.post('/auth/login', loginLimiter, async (req, res) => {
     try {
@@ -27,11 +59,22 @@ router.post('/auth/login', loginLimiter, async (req, res) => {
         }
 
         // Authenticate user
-        const result = await AuthService.authenticate(email, password, tenantSlug);
+        const result = await AuthService.authenticate(email, password, tenantSlug, clientInfo(req));
+
+        // The password was right; a second step follows
+        if (result.mfaToken) {
+            return res.json({
+                success: true,
+                mfaRequired: result.mfaRequired,
+                mfaSetupRequired: result.mfaSetupRequired,
+                mfaToken: result.mfaToken
+            });
+        }
 
         res.json({
             success: true,
             token: result.token,
+            refreshToken: result.refreshToken,
             user: result.user
         });
     } catch (error) {
@@ -43,6 +86,232 @@ router.post('/auth/login', loginLimiter, async (req, res) => {
     }
 });
 
+// User of the MFA step token in the request body. Sends a 401 and returns
+// null when the token is invalid or expired.
+async function mfaStepUser(req, res) {
+    const userId = AuthService.verifyMfaToken(req.body.mfaToken);
+    const user = userId ? await AuthService.getUserWithTenant(userId) : null;
+
+    if (!user) {
+        res.status(401).json({
+            success: false,
+            error: 'Your sign-in has expired, please start again'
+        });
+        return null;
+    }
+
+    return user;
+}
+
+// Second login step: a code from the authenticator app or a recovery code
+router.post('/auth/login/mfa', loginLimiter, async (req, res) => {
+    try {
+        const { code, recoveryCode } = req.body;
+
+        const user = await mfaStepUser(req, res);
+        if (!user) return;
+
+        if (!(await mfa.verify(user, { code, recoveryCode }))) {
+            return res.status(401).json({
+                success: false,
+                error: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code'
+            });
+        }
+
+        const result = await AuthService.completeLogin(user, { mfa: true, ...clientInfo(req) });
+
+        res.json({
+            success: true,
+            token: result.token,
+            refreshToken: result.refreshToken,
+            user: result.user,
+            recoveryCodesRemaining: await mfa.remainingRecoveryCodes(user.id)
+        });
+    } catch (error) {
+        console.error('MFA login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify code'
+        });
+    }
+});
+
+// Users who must use MFA but have not set it up do so while signing in
+router.post('/auth/login/mfa/setup', loginLimiter, async (req, res) => {
+    try {
+        const user = await mfaStepUser(req, res);
+        if (!user) return;
+
+        if (user.mfa_enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Multi-factor authentication is already set up'
+            });
+        }
+
+        const enrollment = await mfa.startEnrollment(user);
+
+        res.json({
+            success: true,
+            ...enrollment
+        });
+    } catch (error) {
+        console.error('MFA login setup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to set up multi-factor authentication'
+        });
+    }
+});
+
+router.post('/auth/login/mfa/enable', loginLimiter, async (req, res) => {
+    try {
+        const user = await mfaStepUser(req, res);
+        if (!user) return;
+
+        const recoveryCodes = await mfa.confirmEnrollment(user.id, req.body.code);
+
+        if (!recoveryCodes) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid verification code'
+            });
+        }
+
+        const result = await AuthService.completeLogin(user, { mfa: true, ...clientInfo(req) });
+
+        res.json({
+            success: true,
+            token: result.token,
+            refreshToken: result.refreshToken,
+            user: result.user,
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('MFA login enable error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to set up multi-factor authentication'
+        });
+    }
+});
+
+// New access token for a refresh token. The refresh token is replaced by a
+// new one on every use.
+router.post('/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const result = refreshToken ? await AuthService.refresh(refreshToken, clientInfo(req)) : null;
+
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session expired',
+                sessionExpired: true
+            });
+        }
+
+        res.json({
+            success: true,
+            token: result.token,
+            refreshToken: result.refreshToken
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to refresh session'
+        });
+    }
+});
+
+// End the session of a refresh token. Works after the access token expired.
+router.post('/auth/logout', async (req, res) => {
+    try {
+        if (req.body.refreshToken) {
+            await Session.revokeByRefreshToken(req.body.refreshToken);
+        }
+
+        res.json({
+            success: true,
+            message: 'Signed out'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to sign out'
+        });
+    }
+});
+
+// Email a password reset link. The answer is the same whether or not the
+// account exists, and is sent before the lookup so that its timing does not
+// tell either.
+router.post('/auth/forgot-password', passwordResetLimiter, async (req, res) => {
+    const { email, tenantSlug } = req.body;
+
+    if (!email || !tenantSlug) {
+        return res.status(400).json({
+            success: false,
+            error: 'Email and organization are required'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'If an account exists for that email, a reset link is on its way'
+    });
+
+    try {
+        const reset = await AuthService.requestPasswordReset(email, tenantSlug, clientInfo(req));
+        if (reset) {
+            await emailService.sendPasswordReset(reset.user.tenant_id, reset.user, {
+                token: reset.token,
+                tenantSlug,
+                expiresInMinutes: PasswordReset.ttlMinutes
+            });
+        }
+    } catch (error) {
+        console.error('Forgot password error:', error);
+    }
+});
+
+// Choose a new password with the token from a reset link
+router.post('/auth/reset-password', passwordResetLimiter, async (req, res) => {
+    try {
+        const { token, tenantSlug, password } = req.body;
+
+        if (!token || !tenantSlug || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Token, organization and password are required'
+            });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password must be at least 8 characters long'
+            });
+        }
+
+        await AuthService.resetPassword(token, tenantSlug, password);
+
+        res.json({
+            success: true,
+            message: 'Your password was reset. Sign in with your new password.'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message || 'Failed to reset password'
+        });
+    }
+});
+
 // Get current user profile with tenant info
 router.get('/auth/profile', authenticateToken, async (req, res) => {
     try {
@@ -56,6 +325,7 @@ router.get('/auth/profile', authenticateToken, async (req, res) => {
                 name: user.name,
                 global_role: user.global_role,
                 tenant_role: user.tenant_role,
+                mfa_enabled: user.mfa_enabled,
                 tenant: user.tenant_id ? {
                     id: user.tenant_id,
                     name: user.tenant_name,
@@ -171,6 +441,7 @@ router.get('/auth/users',
             }
 
             const result = await pool.query(query, params);
+            const groups = await UserGroup.groupsByUser(req.tenantId);
             
             const sanitizedUsers = result.rows.map(user => ({
                 id: user.id,
@@ -181,6 +452,8 @@ router.get('/auth/users',
                 tenant_name: user.tenant_name,
                 tenant_slug: user.tenant_slug,
                 is_active: user.is_active,
+                mfa_enabled: user.mfa_enabled,
+                groups: groups.get(user.id) || [],
                 created_at: user.created_at,
                 last_login: user.last_login
             }));
@@ -277,6 +550,11 @@ router.put('/auth/users/:id',
             const result = await pool.query(updateQuery, values);
             const updatedUser = result.rows[0];
 
+            // Deactivated users are signed out everywhere
+            if (!updatedUser.is_active) {
+                await Session.revokeAll(updatedUser.id);
+            }
+
             res.json({
                 success: true,
                 user: {
@@ -345,6 +623,7 @@ router.delete('/auth/users/:id',
             // Soft delete (set is_active = false)
             const deleteQuery = 'UPDATE users SET is_active = false WHERE id = $1';
             await pool.query(deleteQuery, [userId]);
+            await Session.revokeAll(userId);
 
             res.json({
                 success: true,
@@ -394,6 +673,9 @@ router.put('/auth/change-password',
             const updateQuery = 'UPDATE users SET password = $1 WHERE id = $2';
             await pool.query(updateQuery, [hashedPassword, req.user.id]);
 
+            // Other sessions may have been started with the old password
+            await Session.revokeAll(req.user.id, { exceptId: req.sessionId });
+
             res.json({
                 success: true,
                 message: 'Password changed successfully'
@@ -408,6 +690,400 @@ router.put('/auth/change-password',
     }
 );
 
+// MFA status of the signed-in user
+router.get('/auth/mfa',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                enabled: req.user.mfa_enabled,
+                required: MfaService.isRequired(req.user),
+                recoveryCodesRemaining: req.user.mfa_enabled
+                    ? await mfa.remainingRecoveryCodes(req.user.id)
+                    : 0
+            });
+        } catch (error) {
+            console.error('Get MFA status error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve MFA status'
+            });
+        }
+    }
+);
+
+// Start TOTP enrollment: a new secret and its QR code
+router.post('/auth/mfa/setup',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            if (req.user.mfa_enabled) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Multi-factor authentication is already set up'
+                });
+            }
+
+            const enrollment = await mfa.startEnrollment(req.user);
+
+            res.json({
+                success: true,
+                ...enrollment
+            });
+        } catch (error) {
+            console.error('MFA setup error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to set up multi-factor authentication'
+            });
+        }
+    }
+);
+
+// Confirm enrollment with a first code. The response carries the recovery
+// codes, shown once, and a new access token; the current session counts as
+// having passed MFA.
+router.post('/auth/mfa/enable',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const recoveryCodes = await mfa.confirmEnrollment(req.user.id, req.body.code);
+
+            if (!recoveryCodes) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid verification code'
+                });
+            }
+
+            await Session.markMfa(req.sessionId);
+
+            res.json({
+                success: true,
+                recoveryCodes,
+                token: AuthService.generateToken(
+                    req.user,
+                    { slug: req.user.tenant_slug },
+                    { mfa: true, sessionId: req.sessionId }
+                )
+            });
+            auditMfaChange(req, 'MFA_ENABLED');
+        } catch (error) {
+            console.error('MFA enable error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to enable multi-factor authentication'
+            });
+        }
+    }
+);
+
+// New recovery codes replace the old ones; needs a current code
+router.post('/auth/mfa/recovery-codes',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            if (!(await mfa.verify(req.user, { code: req.body.code }))) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid verification code'
+                });
+            }
+
+            res.json({
+                success: true,
+                recoveryCodes: await mfa.replaceRecoveryCodes(req.user.id)
+            });
+        } catch (error) {
+            console.error('Regenerate recovery codes error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create recovery codes'
+            });
+        }
+    }
+);
+
+// Turn MFA off with a current or recovery code, unless it is required
+router.delete('/auth/mfa',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const { code, recoveryCode } = req.body;
+
+            if (MfaService.isRequired(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Multi-factor authentication is required for your account'
+                });
+            }
+
+            if (!(await mfa.verify(req.user, { code, recoveryCode }))) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid verification code'
+                });
+            }
+
+            await mfa.disable(req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Multi-factor authentication turned off'
+            });
+            auditMfaChange(req, 'MFA_DISABLED');
+        } catch (error) {
+            console.error('MFA disable error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to turn off multi-factor authentication'
+            });
+        }
+    }
+);
+
+// Reset a member's MFA when they lost their device and recovery codes; they
+// are signed out everywhere and set it up again at their next login if it is
+// required (admin only; admins' MFA only by superadmins)
+router.delete('/auth/users/:id/mfa',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('USER_MFA_RESET', 'user'),
+    async (req, res) => {
+        try {
+            const userResult = await pool.query('SELECT id, tenant_id, tenant_role FROM users WHERE id = $1', [req.params.id]);
+            const user = userResult.rows[0];
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            // Check tenant access
+            if (req.user.global_role !== 'superadmin' && user.tenant_id !== req.tenantId) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Cannot update users from other tenants'
+                });
+            }
+
+            // A peer admin's second factor is not another admin's to remove
+            if (user.tenant_role === 'admin' && req.user.global_role !== 'superadmin') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only superadmin can reset MFA for admin users'
+                });
+            }
+
+            await mfa.disable(user.id);
+            await Session.revokeAll(user.id);
+
+            res.json({
+                success: true,
+                message: 'Multi-factor authentication reset'
+            });
+        } catch (error) {
+            console.error('Reset MFA error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to reset multi-factor authentication'
+            });
+        }
+    }
+);
+
+// Sessions in API responses
+const formatSession = (session, currentId = null) => ({
+    id: session.id,
+    device: session.device,
+    ip_address: session.ip_address,
+    login_time: session.login_time,
+    last_activity: session.last_activity,
+    expires_at: session.expires_at,
+    current: session.id === currentId
+});
+
+// Sessions of the signed-in user
+router.get('/auth/sessions',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const sessions = await Session.listForUser(req.user.id);
+
+            res.json({
+                success: true,
+                sessions: sessions.map(session => formatSession(session, req.sessionId))
+            });
+        } catch (error) {
+            console.error('List sessions error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve sessions'
+            });
+        }
+    }
+);
+
+// Sign out everywhere, this session included
+router.delete('/auth/sessions',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const revoked = await Session.revokeAll(req.user.id);
+
+            res.json({
+                success: true,
+                revoked
+            });
+        } catch (error) {
+            console.error('Revoke sessions error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to sign out sessions'
+            });
+        }
+    }
+);
+
+router.delete('/auth/sessions/:sessionId',
+    authenticateToken,
+    async (req, res) => {
+        try {
+            if (!(await Session.revoke(req.user.id, req.params.sessionId))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Session signed out'
+            });
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to sign out session'
+            });
+        }
+    }
+);
+
+// User of the :id param an admin may manage. Sends a 404 or 403 and returns
+// null otherwise.
+async function managedUser(req, res) {
+    const result = await pool.query('SELECT id, tenant_id FROM users WHERE id = $1', [req.params.id]);
+    const user = result.rows[0];
+
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+        return null;
+    }
+
+    if (req.user.global_role !== 'superadmin' && user.tenant_id !== req.tenantId) {
+        res.status(403).json({
+            success: false,
+            error: 'Cannot manage users from other tenants'
+        });
+        return null;
+    }
+
+    return user;
+}
+
+// Sessions of a member (admin only)
+router.get('/auth/users/:id/sessions',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const user = await managedUser(req, res);
+            if (!user) return;
+
+            const sessions = await Session.listForUser(user.id);
+
+            res.json({
+                success: true,
+                sessions: sessions.map(session => formatSession(session, req.sessionId))
+            });
+        } catch (error) {
+            console.error('List user sessions error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve sessions'
+            });
+        }
+    }
+);
+
+// Sign a member out of every session (admin only)
+router.delete('/auth/users/:id/sessions',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('USER_SESSIONS_REVOKED', 'user'),
+    async (req, res) => {
+        try {
+            const user = await managedUser(req, res);
+            if (!user) return;
+
+            const revoked = await Session.revokeAll(user.id);
+
+            res.json({
+                success: true,
+                revoked
+            });
+        } catch (error) {
+            console.error('Revoke user sessions error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to sign out sessions'
+            });
+        }
+    }
+);
+
+// Sign a member out of one session (admin only)
+router.delete('/auth/users/:id/sessions/:sessionId',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('USER_SESSIONS_REVOKED', 'user'),
+    async (req, res) => {
+        try {
+            const user = await managedUser(req, res);
+            if (!user) return;
+
+            if (!(await Session.revoke(user.id, req.params.sessionId))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Session signed out'
+            });
+        } catch (error) {
+            console.error('Revoke user session error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to sign out session'
+            });
+        }
+    }
+);
+
 // Create invitation (admin only)
 router.post('/auth/invite',
     authenticateToken,
@@ -416,7 +1092,7 @@ router.post('/auth/invite',
     tenantMiddleware.checkTenantLimits('users'),
     async (req, res) => {
         try {
-            const { email, role = 'user' } = req.body;
+            const { email, role = 'user', groupId = null } = req.body;
 
             if (!email) {
                 return res.status(400).json({
@@ -425,6 +1101,20 @@ router.post('/auth/invite',
                 });
             }
 
+            if (!InvitationService.roles.includes(role)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid role'
+                });
+            }
+
+            if (groupId && !(await UserGroup.findById(req.tenantId, groupId))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+
             // Check if user already exists
             const existingQuery = 'SELECT id FROM users WHERE email = $1 AND tenant_id = $2';
             const existing = await pool.query(existingQuery, [email, req.tenantId]);
@@ -436,38 +1126,18 @@ router.post('/auth/invite',
                 });
             }
 
-            // Generate invitation token
-            const crypto = require('crypto');
-            const token = crypto.randomBytes(32).toString('hex');
-            const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-
-            // Create invitation
-            const inviteQuery = `
-                INSERT INTO tenant_invitations 
-                (tenant_id, email, role, invited_by, token, expires_at)
-                VALUES ($1, $2, $3, $4, $5, $6)
-                RETURNING *
-            `;
-
-            const result = await pool.query(inviteQuery, [
-                req.tenantId,
-                email,
-                role,
-                req.user.id,
-                token,
-                expiresAt
-            ]);
-
-            // TODO: Send invitation email
+            const { invitation, emailQueued } = await invitations.invite(req.tenantId, { email, role, groupId }, req.user);
 
             res.status(201).json({
                 success: true,
                 invitation: {
-                    id: result.rows[0].id,
-                    email: result.rows[0].email,
-                    role: result.rows[0].role,
-                    expires_at: result.rows[0].expires_at,
-                    invitation_link: `/invite/${token}` // Frontend will handle this
+                    id: invitation.id,
+                    email: invitation.email,
+                    role: invitation.role,
+                    group_id: invitation.group_id,
+                    expires_at: invitation.expires_at,
+                    invitation_link: `/invite/${invitation.token}`, // Frontend will handle this
+                    email_queued: emailQueued
                 }
             });
         } catch (error) {
@@ -480,6 +1150,16 @@ router.post('/auth/invite',
     }
 );
 
+// Email the tenant's admins about an event. Failures are only logged.
+function notifyAdmins(tenantId, notification) {
+    pool.query(
+        "SELECT email FROM users WHERE tenant_id = $1 AND tenant_role = 'admin' AND is_active = true",
+        [tenantId]
+    )
+        .then(result => emailService.notifyActivity(tenantId, result.rows, notification))
+        .catch(error => console.error('Admin notification error:', error));
+}
+
 // Accept invitation (public)
 router.post('/auth/accept-invite', async (req, res) => {
     try {
@@ -494,12 +1174,14 @@ router.post('/auth/accept-invite', async (req, res) => {
 
         // Get invitation
         const inviteQuery = `
-            SELECT i.*, t.name as tenant_name, t.slug as tenant_slug
+            SELECT i.*, t.name as tenant_name, t.slug as tenant_slug, ts.require_mfa
             FROM tenant_invitations i
             JOIN tenants t ON i.tenant_id = t.id
+            LEFT JOIN tenant_settings ts ON ts.tenant_id = t.id
             WHERE i.token = $1 
             AND i.expires_at > CURRENT_TIMESTAMP
             AND i.accepted_at IS NULL
+            AND i.revoked_at IS NULL
         `;
 
         const inviteResult = await pool.query(inviteQuery, [token]);
@@ -536,13 +1218,35 @@ router.post('/auth/accept-invite', async (req, res) => {
             [invitation.id]
         );
 
-        // Generate token
+        // Join the group the invitation was made for
         const user = userResult.rows[0];
-        const authToken = AuthService.generateToken(user, { slug: invitation.tenant_slug });
+        if (invitation.group_id) {
+            await UserGroup.addMembers(invitation.group_id, [user.id]);
+        }
+
+        notifyAdmins(invitation.tenant_id, {
+            title: `${name} joined the data room`,
+            message: `${name} (${invitation.email}) accepted their invitation and joined as ${invitation.role}.`
+        });
+
+        // Tenants that require MFA have new members set it up before their
+        // first session
+        if (invitation.require_mfa) {
+            return res.status(201).json({
+                success: true,
+                mfaSetupRequired: true,
+                mfaToken: AuthService.generateMfaToken(user)
+            });
+        }
+
+        // Start a session
+        const session = await Session.create(user, clientInfo(req));
+        const authToken = AuthService.generateToken(user, { slug: invitation.tenant_slug }, { sessionId: session.id });
 
         res.status(201).json({
             success: true,
             token: authToken,
+            refreshToken: session.refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
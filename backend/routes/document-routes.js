@@ -1,33 +1,228 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const crypto = require('crypto');
 const pool = require('../database-pool');
-const S3ServiceV2 = require('../services/s3-service');
+const StorageService = require('../services/storage-service');
+const { WatermarkService, WATERMARK_LINK_TTL } = require('../services/watermark-service');
+const { DocumentViewerService, ViewerUnavailableError, RENDER_SCALES } = require('../services/document-viewer-service');
 const Tenant = require('../models/tenant');
+const DocumentPage = require('../models/document-page');
+const Folder = require('../models/folder');
+const DocumentVersion = require('../models/document-version');
+const PageTime = require('../models/page-time');
+const DocumentUpload = require('../models/document-upload');
+const AccessRule = require('../models/access-rule');
+const Job = require('../models/job');
+const { documentAnalysis } = require('../services/background-jobs');
 const { authenticateToken, requireAdmin } = require('../middleware/auth-middleware');
 const tenantMiddleware = require('../middleware/tenant-middleware');
 
-const s3Service = new S3ServiceV2();
+const storage = new StorageService();
+const watermarks = new WatermarkService();
+const viewer = new DocumentViewerService({ storage });
 
-// Get all documents for tenant
+const ALLOWED_FILE_TYPES = /\.(pdf|jpe?g|png|txt|docx?|xlsx?|pptx?)$/i;
+
+// The viewer reports page time every 15 seconds; longer heartbeats are capped
+const MAX_HEARTBEAT_SECONDS = 60;
+
+// Direct uploads are sent in 8MB parts (S3 needs at least 5MB for every part
+// but the last)
+const UPLOAD_PART_SIZE = 8 * 1024 * 1024;
+const MAX_DIRECT_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024; // 5GB
+
+// In-memory uploads, used for new documents and new versions
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 100 * 1024 * 1024, // 100MB
+        files: 10
+    },
+    fileFilter: (req, file, cb) => {
+        if (ALLOWED_FILE_TYPES.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type'));
+        }
+    }
+});
+
+// Insert a stored file as a new document with its first version
+async function insertDocument(client, tenantId, {
+    id,
+    originalName,
+    stored,
+    mimeType,
+    fileSize,
+    uploadedBy,
+    folderId,
+    position
+}) {
+    const insertQuery = `
+        INSERT INTO documents (
+            id, tenant_id, original_name, s3_key, s3_bucket, storage_driver,
+            mime_type, file_size, status, uploaded_by, tags,
+            folder_id, position
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+    `;
+
+    const result = await client.query(insertQuery, [
+        id,
+        tenantId,
+        originalName,
+        stored.key,
+        stored.bucket,
+        stored.driver,
+        mimeType,
+        fileSize,
+        'uploaded',
+        uploadedBy,
+        [],
+        folderId,
+        position
+    ]);
+
+    await DocumentVersion.create(client, tenantId, id, {
+        originalName,
+        s3Key: stored.key,
+        s3Bucket: stored.bucket,
+        storageDriver: stored.driver,
+        mimeType,
+        fileSize,
+        uploadedBy
+    });
+
+    return result.rows[0];
+}
+
+// True when `bytes` more fit in the tenant's storage quota. Pending direct
+// uploads count as used so parallel uploads cannot overshoot it.
+async function fitsStorageQuota(tenant, bytes) {
+    const usage = await Tenant.getUsageStats(tenant.id);
+    const reserved = await DocumentUpload.reservedBytes(tenant.id);
+    return Number(usage.storageUsed) + reserved + bytes <= tenant.max_storage_gb * 1024 * 1024 * 1024;
+}
+
+// Release the storage of a tenant's expired direct uploads
+async function abortExpiredUploads(tenantId) {
+    for (const upload of await DocumentUpload.listExpired(tenantId)) {
+        if (await DocumentUpload.finish(pool, upload.id, 'aborted')) {
+            await storage.abortUpload(upload)
+                .catch(error => console.error('Abort expired upload error:', error));
+        }
+    }
+}
+
+const formatUpload = (upload) => ({
+    id: upload.id,
+    documentId: upload.document_id,
+    folderId: upload.folder_id,
+    fileName: upload.original_name,
+    fileSize: Number(upload.file_size),
+    partSize: Number(upload.part_size),
+    partCount: upload.part_count,
+    status: upload.status,
+    expiresAt: upload.expires_at
+});
+
+// Version number in the URL, or null when it is not a positive integer
+const versionParam = (req) => {
+    const version = Number(req.params.version);
+    return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+// Watermark of the tenant filled in for the requesting user
+const watermarkText = (req, watermark, fileName) => WatermarkService.renderTemplate(watermark.template, {
+    email: req.user.email,
+    name: req.user.name,
+    ip: req.ip,
+    timestamp: new Date().toISOString(),
+    document: fileName,
+    company: watermark.companyName
+});
+
+// Download link for a version of a document. When the tenant has watermarking
+// on, PDFs and images go through a short-lived backend link that stamps them
+// with the requesting user's details instead of a direct storage link.
+async function createDownloadLink(req, documentId, file) {
+    const watermark = await watermarks.settingsFor(req.tenantId);
+
+    if (watermark.enabled && watermarks.isSupported(file.mime_type)) {
+        const text = watermarkText(req, watermark, file.original_name);
+
+        return {
+            downloadUrl: watermarks.createDownloadUrl({
+                tenantId: req.tenantId,
+                documentId,
+                version: file.version_number,
+                text
+            }),
+            watermarked: true,
+            expiresIn: WATERMARK_LINK_TTL
+        };
+    }
+
+    return {
+        downloadUrl: await storage.generateDownloadUrl(file, file.original_name, 3600), // 1 hour expiry
+        watermarked: false,
+        expiresIn: 3600
+    };
+}
+
+// Get all documents for tenant. ?folderId= limits the list to a folder
+// ('root' for documents outside any folder); add recursive=true to include
+// its subfolders.
 router.get('/documents',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
     async (req, res) => {
         try {
-            const { status, tags, search } = req.query;
+            const { status, tags, search, folderId, recursive } = req.query;
             
+            // Position within the folder is computed before filtering so index
+            // numbers stay the same in filtered lists
             let query = `
-                SELECT d.*, u.name as uploaded_by_name
-                FROM documents d
-                LEFT JOIN users u ON d.uploaded_by = u.id
-                WHERE d.tenant_id = $1
+                SELECT * FROM (
+                    SELECT
+                        d.*,
+                        u.name as uploaded_by_name,
+                        ROW_NUMBER() OVER (
+                            PARTITION BY d.folder_id ORDER BY d.position, d.original_name
+                        ) as folder_position
+                    FROM documents d
+                    LEFT JOIN users u ON d.uploaded_by = u.id
+                    WHERE d.tenant_id = $1
+                ) d
+                WHERE true
             `;
             
             const params = [req.tenantId];
             let paramCount = 2;
 
             // Add filters
+            if (folderId === 'root') {
+                query += ' AND d.folder_id IS NULL';
+            } else if (folderId && recursive === 'true') {
+                query += ` AND d.folder_id IN (
+                    WITH RECURSIVE subfolders AS (
+                        SELECT id FROM folders WHERE id = $${paramCount} AND tenant_id = $1
+                        UNION ALL
+                        SELECT f.id FROM folders f JOIN subfolders s ON f.parent_id = s.id
+                    )
+                    SELECT id FROM subfolders
+                )`;
+                params.push(folderId);
+                paramCount++;
+            } else if (folderId) {
+                query += ` AND d.folder_id = $${paramCount}`;
+                params.push(folderId);
+                paramCount++;
+            }
+
             if (status) {
                 query += ` AND d.status = $${paramCount}`;
                 params.push(status);
@@ -46,14 +241,29 @@ router.get('/documents',
                 paramCount++;
             }
 
-            query += ' ORDER BY d.uploaded_at DESC';
+            // Folder listings follow the folder order, everything else is newest first
+            query += folderId
+                ? ' ORDER BY d.folder_id, d.position, d.original_name'
+                : ' ORDER BY d.uploaded_at DESC';
 
             const result = await pool.query(query, params);
+            const folders = Folder.flattenTree(await Folder.getTree(req.tenantId));
+            const access = await AccessRule.getResolver(req.tenantId, req.user);
+
+            // Documents the user has no access to are left out; index numbers
+            // still count them so they match the admins' view
+            const documents = result.rows
+                .map(doc => ({
+                    ...doc,
+                    index: Folder.documentIndex(doc, folders),
+                    access: access.documentAccess(doc)
+                }))
+                .filter(doc => doc.access !== 'none');
             
             res.json({
                 success: true,
-                documents: result.rows,
-                count: result.rows.length
+                documents,
+                count: documents.length
             });
         } catch (error) {
             console.error('Get documents error:', error);
@@ -69,6 +279,8 @@ router.get('/documents',
 router.get('/documents/:id',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('view'),
     async (req, res) => {
         try {
             const query = `
@@ -105,32 +317,16 @@ router.get('/documents/:id',
 router.post('/documents/upload',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
     tenantMiddleware.requireTenantAdmin,
     tenantMiddleware.checkTenantLimits('documents'),
     tenantMiddleware.logActivity('DOCUMENT_UPLOAD', 'document'),
     async (req, res) => {
         try {
-            // Use tenant's AWS bucket
-            const bucketName = req.tenant.aws_bucket_name || `dataroom-${req.tenant.slug}`;
-            
-            // Ensure bucket exists
-            await s3Service.createClientBucket(req.tenant.slug);
-
-            const upload = multer({
-                storage: multer.memoryStorage(),
-                limits: {
-                    fileSize: 100 * 1024 * 1024, // 100MB
-                    files: 10
-                },
-                fileFilter: (req, file, cb) => {
-                    const allowed = /\.(pdf|jpe?g|png|txt|docx?|xlsx?|pptx?)$/i;
-                    if (allowed.test(file.originalname)) {
-                        cb(null, true);
-                    } else {
-                        cb(new Error('Invalid file type'));
-                    }
-                }
-            }).array('files', 10);
+            // Ensure the tenant's bucket or directory exists
+            await storage.ensureTenantContainer(req.tenant);
+
+            const upload = documentUpload.array('files', 10);
 
             upload(req, res, async (err) => {
                 if (err) {
@@ -144,14 +340,24 @@ router.post('/documents/upload',
                 const client = await pool.connect();
 
                 try {
+                    // Optional target folder, sent as a form field
+                    const folderId = req.body.folderId || null;
+                    if (folderId && !(await Folder.findById(req.tenantId, folderId))) {
+                        return res.status(404).json({
+                            success: false,
+                            error: 'Folder not found'
+                        });
+                    }
+
+                    let position = await Folder.nextDocumentPosition(req.tenantId, folderId);
                     await client.query('BEGIN');
 
                     for (const file of req.files) {
-                        const documentId = require('crypto').randomUUID();
+                        const documentId = crypto.randomUUID();
                         
-                        // Upload to S3
-                        const s3Result = await s3Service.uploadDocument(
-                            req.tenant.slug,
+                        // Upload to the tenant's storage
+                        const stored = await storage.uploadDocument(
+                            req.tenant,
                             documentId,
                             file.buffer,
                             file.originalname,
@@ -159,29 +365,16 @@ router.post('/documents/upload',
                         );
 
                         // Save to database
-                        const insertQuery = `
-                            INSERT INTO documents (
-                                id, tenant_id, original_name, s3_key, s3_bucket,
-                                mime_type, file_size, status, uploaded_by, tags
-                            )
-                            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                            RETURNING *
-                        `;
-
-                        const result = await client.query(insertQuery, [
-                            documentId,
-                            req.tenantId,
-                            file.originalname,
-                            s3Result.key,
-                            bucketName,
-                            file.mimetype,
-                            file.size,
-                            'uploaded',
-                            req.user.id,
-                            []
-                        ]);
-
-                        uploadedDocs.push(result.rows[0]);
+                        uploadedDocs.push(await insertDocument(client, req.tenantId, {
+                            id: documentId,
+                            originalName: file.originalname,
+                            stored,
+                            mimeType: file.mimetype,
+                            fileSize: file.size,
+                            uploadedBy: req.user.id,
+                            folderId,
+                            position: position++
+                        }));
                     }
 
                     await client.query('COMMIT');
@@ -189,15 +382,30 @@ router.post('/documents/upload',
                     // Update usage tracking
                     await Tenant.updateUsageTracking(req.tenantId);
 
+                    // Queue analysis for every file we can extract text from
+                    const jobs = [];
+                    for (const doc of uploadedDocs) {
+                        if (documentAnalysis.canAnalyze(doc)) {
+                            const job = await documentAnalysis.enqueueAnalysis(req.tenantId, doc.id, req.user.id);
+                            doc.status = 'queued';
+                            jobs.push({ documentId: doc.id, jobId: job.id });
+                        }
+                    }
+
                     res.json({
                         success: true,
                         documents: uploadedDocs,
+                        jobs,
                         message: `${uploadedDocs.length} document(s) uploaded successfully`
                     });
 
                 } catch (error) {
                     await client.query('ROLLBACK');
-                    throw error;
+                    console.error('Upload documents error:', error);
+                    res.status(500).json({
+                        success: false,
+                        error: 'Failed to upload documents'
+                    });
                 } finally {
                     client.release();
                 }
@@ -212,10 +420,305 @@ router.post('/documents/upload',
     }
 );
 
+// Start a direct upload. The client PUTs each part to its presigned URL, then
+// completes the upload; the file never passes through this server. The
+// storage quota is checked against the declared size before anything is sent.
+router.post('/documents/uploads',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.checkTenantLimits('documents'),
+    tenantMiddleware.checkTenantLimits('storage'),
+    tenantMiddleware.logActivity('DOCUMENT_UPLOAD_STARTED', 'document'),
+    async (req, res) => {
+        try {
+            const { fileName, mimeType, folderId = null } = req.body;
+            const fileSize = parseInt(req.body.fileSize);
+
+            if (!fileName || !ALLOWED_FILE_TYPES.test(fileName)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid file type'
+                });
+            }
+
+            if (!(fileSize > 0) || fileSize > MAX_DIRECT_UPLOAD_SIZE) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'File size must be between 1 byte and 5GB'
+                });
+            }
+
+            if (folderId && !(await Folder.findById(req.tenantId, folderId))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Folder not found'
+                });
+            }
+
+            await abortExpiredUploads(req.tenantId);
+
+            if (req.user.global_role !== 'superadmin' && !(await fitsStorageQuota(req.tenant, fileSize))) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Tenant limit exceeded for storage',
+                    code: 'STORAGE_QUOTA_EXCEEDED'
+                });
+            }
+
+            const documentId = crypto.randomUUID();
+            const stored = await storage.createUpload(req.tenant, documentId, fileName, mimeType);
+            const partCount = Math.ceil(fileSize / UPLOAD_PART_SIZE);
+
+            const upload = await DocumentUpload.create(req.tenantId, {
+                documentId,
+                folderId,
+                originalName: fileName,
+                mimeType: mimeType || 'application/octet-stream',
+                fileSize,
+                partSize: UPLOAD_PART_SIZE,
+                partCount,
+                storageDriver: stored.driver,
+                s3Bucket: stored.bucket,
+                s3Key: stored.key,
+                storageUploadId: stored.uploadId,
+                createdBy: req.user.id
+            });
+
+            const parts = await storage.getUploadPartUrls(
+                upload,
+                Array.from({ length: partCount }, (_, i) => i + 1)
+            );
+
+            res.status(201).json({
+                success: true,
+                upload: formatUpload(upload),
+                parts
+            });
+        } catch (error) {
+            console.error('Start upload error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to start upload'
+            });
+        }
+    }
+);
+
+// State of a direct upload, to resume it: the parts already stored and fresh
+// URLs for the missing ones
+router.get('/documents/uploads/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const upload = await DocumentUpload.findById(req.tenantId, req.params.id);
+
+            if (!upload) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Upload not found'
+                });
+            }
+
+            if (upload.status !== 'pending') {
+                return res.json({
+                    success: true,
+                    upload: formatUpload(upload),
+                    uploadedParts: [],
+                    parts: []
+                });
+            }
+
+            if (new Date(upload.expires_at) <= new Date()) {
+                return res.status(410).json({
+                    success: false,
+                    error: 'Upload expired'
+                });
+            }
+
+            const uploadedParts = await storage.listUploadedParts(upload);
+            const uploaded = new Set(uploadedParts.map(part => part.partNumber));
+            const missing = Array.from({ length: upload.part_count }, (_, i) => i + 1)
+                .filter(partNumber => !uploaded.has(partNumber));
+
+            res.json({
+                success: true,
+                upload: formatUpload(upload),
+                uploadedParts: uploadedParts.map(({ partNumber, size }) => ({ partNumber, size })),
+                parts: await storage.getUploadPartUrls(upload, missing)
+            });
+        } catch (error) {
+            console.error('Get upload error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve upload'
+            });
+        }
+    }
+);
+
+// Complete a direct upload once every part is stored, and create the document
+router.post('/documents/uploads/:id/complete',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('DOCUMENT_UPLOAD', 'document'),
+    async (req, res) => {
+        try {
+            const upload = await DocumentUpload.findById(req.tenantId, req.params.id);
+
+            if (!upload) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Upload not found'
+                });
+            }
+
+            if (upload.status !== 'pending') {
+                return res.status(409).json({
+                    success: false,
+                    error: `Upload is already ${upload.status}`
+                });
+            }
+
+            if (new Date(upload.expires_at) <= new Date()) {
+                return res.status(410).json({
+                    success: false,
+                    error: 'Upload expired'
+                });
+            }
+
+            const parts = (await storage.listUploadedParts(upload))
+                .filter(part => part.partNumber <= upload.part_count);
+            const uploaded = new Set(parts.map(part => part.partNumber));
+            const missingParts = Array.from({ length: upload.part_count }, (_, i) => i + 1)
+                .filter(partNumber => !uploaded.has(partNumber));
+
+            if (missingParts.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Upload is missing parts',
+                    missingParts
+                });
+            }
+
+            if (parts.reduce((sum, part) => sum + Number(part.size), 0) !== Number(upload.file_size)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Uploaded size does not match the declared file size'
+                });
+            }
+
+            const client = await pool.connect();
+            let document;
+
+            try {
+                await client.query('BEGIN');
+
+                // Only one request can complete an upload
+                if (!(await DocumentUpload.finish(client, upload.id, 'completed'))) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Upload is no longer pending'
+                    });
+                }
+
+                await storage.completeUpload(upload, parts);
+
+                document = await insertDocument(client, req.tenantId, {
+                    id: upload.document_id,
+                    originalName: upload.original_name,
+                    stored: { driver: upload.storage_driver, bucket: upload.s3_bucket, key: upload.s3_key },
+                    mimeType: upload.mime_type,
+                    fileSize: Number(upload.file_size),
+                    uploadedBy: req.user.id,
+                    folderId: upload.folder_id,
+                    position: await Folder.nextDocumentPosition(req.tenantId, upload.folder_id)
+                });
+
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+            await Tenant.updateUsageTracking(req.tenantId);
+
+            let job = null;
+            if (documentAnalysis.canAnalyze(document)) {
+                job = await documentAnalysis.enqueueAnalysis(req.tenantId, document.id, req.user.id);
+                document.status = 'queued';
+            }
+
+            res.status(201).json({
+                success: true,
+                document,
+                jobId: job ? job.id : null
+            });
+        } catch (error) {
+            console.error('Complete upload error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to complete upload'
+            });
+        }
+    }
+);
+
+// Abort a direct upload and discard its parts
+router.delete('/documents/uploads/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const upload = await DocumentUpload.findById(req.tenantId, req.params.id);
+
+            if (!upload) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Upload not found'
+                });
+            }
+
+            if (!(await DocumentUpload.finish(pool, upload.id, 'aborted'))) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Upload is already ${upload.status}`
+                });
+            }
+
+            await storage.abortUpload(upload);
+
+            res.json({
+                success: true,
+                message: 'Upload aborted'
+            });
+        } catch (error) {
+            console.error('Abort upload error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to abort upload'
+            });
+        }
+    }
+);
+
 // Download document with tenant validation
 router.get('/documents/:id/download',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('download'),
     tenantMiddleware.logActivity('DOCUMENT_DOWNLOAD', 'document'),
     async (req, res) => {
         try {
@@ -249,21 +752,19 @@ router.get('/documents/:id/download',
                 'download'
             ]);
 
-            // Generate pre-signed URL
-            const downloadUrl = await s3Service.generateDownloadUrl(
-                document.s3_key,
-                document.s3_bucket,
-                document.original_name,
-                3600 // 1 hour expiry
-            );
+            const link = await createDownloadLink(req, document.id, {
+                ...document,
+                version_number: document.current_version
+            });
 
             res.json({
                 success: true,
-                downloadUrl,
+                downloadUrl: link.downloadUrl,
+                watermarked: link.watermarked,
                 fileName: document.original_name,
                 fileSize: document.file_size,
                 contentType: document.mime_type,
-                expiresAt: new Date(Date.now() + 3600 * 1000).toISOString()
+                expiresAt: new Date(Date.now() + link.expiresIn * 1000).toISOString()
             });
         } catch (error) {
             console.error('Download document error:', error);
@@ -279,6 +780,7 @@ router.get('/documents/:id/download',
 router.delete('/documents/:id',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
     tenantMiddleware.requireTenantAdmin,
     tenantMiddleware.logActivity('DOCUMENT_DELETE', 'document'),
     async (req, res) => {
@@ -305,9 +807,15 @@ router.delete('/documents/:id',
                 
                 const document = checkResult.rows[0];
 
-                // Delete from S3
-                if (document.s3_key && document.s3_bucket) {
-                    await s3Service.deleteFile(document.s3_key, document.s3_bucket);
+                // Delete the files of every version
+                const objects = await DocumentVersion.getStorageObjects(req.tenantId, document.id);
+                if (document.s3_key && !objects.some(object => object.s3_key === document.s3_key)) {
+                    objects.push(document);
+                }
+                for (const object of objects) {
+                    if (object.s3_bucket) {
+                        await storage.deleteFile(object);
+                    }
                 }
 
                 // Delete analytics records
@@ -324,6 +832,8 @@ router.delete('/documents/:id',
 
                 await client.query('COMMIT');
 
+                await viewer.clearCache(req.tenantId, document.id);
+
                 // Update usage tracking
                 await Tenant.updateUsageTracking(req.tenantId);
 
@@ -356,6 +866,7 @@ router.delete('/documents/:id',
 router.put('/documents/:id/tags',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
     tenantMiddleware.requireTenantAdmin,
     tenantMiddleware.logActivity('DOCUMENT_UPDATE', 'document'),
     async (req, res) => {
@@ -400,20 +911,34 @@ router.put('/documents/:id/tags',
     }
 );
 
-// Get document analysis
-router.get('/documents/:id/analysis',
+// Mark a document view only: users other than admins can read it in the
+// viewer but not download it
+router.put('/documents/:id/view-only',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('DOCUMENT_UPDATE', 'document'),
     async (req, res) => {
         try {
+            const { viewOnly } = req.body;
+
+            if (typeof viewOnly !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'viewOnly must be true or false'
+                });
+            }
+
             const query = `
-                SELECT id, original_name, status, analysis, error
-                FROM documents 
-                WHERE id = $1 AND tenant_id = $2
+                UPDATE documents 
+                SET view_only = $1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $2 AND tenant_id = $3
+                RETURNING *
             `;
-            
-            const result = await pool.query(query, [req.params.id, req.tenantId]);
-            
+
+            const result = await pool.query(query, [viewOnly, req.params.id, req.tenantId]);
+
             if (result.rows.length === 0) {
                 return res.status(404).json({
                     success: false,
@@ -421,76 +946,693 @@ router.get('/documents/:id/analysis',
                 });
             }
 
-            const document = result.rows[0];
-
-            if (document.status !== 'analyzed') {
-                return res.json({
-                    success: true,
-                    status: document.status,
-                    error: document.error
-                });
-            }
-
             res.json({
                 success: true,
-                analysis: document.analysis,
-                status: document.status
+                document: result.rows[0]
             });
         } catch (error) {
-            console.error('Get analysis error:', error);
+            console.error('Update view only error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to retrieve analysis'
+                error: 'Failed to update document'
             });
         }
     }
 );
 
-// Trigger document analysis
-router.post('/documents/:id/analyze',
+// Move a document to a folder (null for none) and/or reorder it in the folder
+router.put('/documents/:id/folder',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
     tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('DOCUMENT_MOVED', 'document'),
     async (req, res) => {
         try {
-            // Verify document belongs to tenant
-            const checkQuery = `
-                SELECT * FROM documents 
-                WHERE id = $1 AND tenant_id = $2
-            `;
-            const checkResult = await pool.query(checkQuery, [req.params.id, req.tenantId]);
-            
-            if (checkResult.rows.length === 0) {
+            const { folderId = null, position } = req.body;
+
+            const docResult = await pool.query(
+                'SELECT id FROM documents WHERE id = $1 AND tenant_id = $2',
+                [req.params.id, req.tenantId]
+            );
+
+            if (docResult.rows.length === 0) {
                 return res.status(404).json({
                     success: false,
                     error: 'Document not found'
                 });
             }
 
-            const document = checkResult.rows[0];
-
-            // Update status to processing
-            await pool.query(
-                'UPDATE documents SET status = $1 WHERE id = $2 AND tenant_id = $3',
-                ['processing', document.id, req.tenantId]
-            );
+            if (folderId && !(await Folder.findById(req.tenantId, folderId))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Folder not found'
+                });
+            }
+
+            await Folder.moveDocument(req.tenantId, req.params.id, folderId, position);
+
+            const result = await pool.query('SELECT * FROM documents WHERE id = $1', [req.params.id]);
+
+            res.json({
+                success: true,
+                document: result.rows[0]
+            });
+        } catch (error) {
+            console.error('Move document error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to move document'
+            });
+        }
+    }
+);
 
-            // TODO: Trigger Claude analysis here
-            // This would integrate with your existing Claude service
+// Get document analysis
+router.get('/documents/:id/analysis',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('view'),
+    async (req, res) => {
+        try {
+            const query = `
+                SELECT id, original_name, status, analysis, error
+                FROM documents 
+                WHERE id = $1 AND tenant_id = $2
+            `;
             
+            const result = await pool.query(query, [req.params.id, req.tenantId]);
+            
+            if (result.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document not found'
+                });
+            }
+
+            const document = result.rows[0];
+
+            if (document.status !== 'analyzed') {
+                return res.json({
+                    success: true,
+                    status: document.status,
+                    error: document.error
+                });
+            }
+
+            res.json({
+                success: true,
+                analysis: document.analysis,
+                status: document.status
+            });
+        } catch (error) {
+            console.error('Get analysis error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve analysis'
+            });
+        }
+    }
+);
+
+// Get extracted text for a document, one entry per page / sheet / slide
+router.get('/documents/:id/pages',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('view'),
+    async (req, res) => {
+        try {
+            const docResult = await pool.query(
+                'SELECT id, original_name, page_count, extraction_method, extracted_at FROM documents WHERE id = $1 AND tenant_id = $2',
+                [req.params.id, req.tenantId]
+            );
+
+            if (docResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document not found'
+                });
+            }
+
+            const pages = await DocumentPage.findByDocument(req.tenantId, req.params.id);
+
+            res.json({
+                success: true,
+                document: docResult.rows[0],
+                pages
+            });
+        } catch (error) {
+            console.error('Get document pages error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve document pages'
+            });
+        }
+    }
+);
+
+// Get a single extracted page
+router.get('/documents/:id/pages/:pageNumber',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('view'),
+    async (req, res) => {
+        try {
+            const page = await DocumentPage.findPage(
+                req.tenantId,
+                req.params.id,
+                parseInt(req.params.pageNumber, 10)
+            );
+
+            if (!page) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Page not found'
+                });
+            }
+
             res.json({
                 success: true,
-                message: 'Analysis started',
-                documentId: document.id
+                page
             });
         } catch (error) {
-            console.error('Start analysis error:', error);
+            console.error('Get document page error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve document page'
+            });
+        }
+    }
+);
+
+// Page count of the current version for the in-browser viewer
+router.get('/documents/:id/viewer',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('view'),
+    async (req, res) => {
+        try {
+            const docResult = await pool.query(
+                'SELECT * FROM documents WHERE id = $1 AND tenant_id = $2',
+                [req.params.id, req.tenantId]
+            );
+            const document = docResult.rows[0];
+
+            if (!DocumentViewerService.canRender(document.mime_type, document.original_name)) {
+                return res.status(415).json({
+                    success: false,
+                    error: 'This file type cannot be shown in the viewer'
+                });
+            }
+
+            const version = await DocumentVersion.findByNumber(req.tenantId, document.id, document.current_version);
+            const pageCount = await viewer.pageCount(version);
+
+            res.json({
+                success: true,
+                documentId: document.id,
+                version: version.version_number,
+                fileName: document.original_name,
+                pageCount,
+                viewOnly: document.view_only,
+                canDownload: req.documentAccess === 'download',
+                scales: RENDER_SCALES
+            });
+        } catch (error) {
+            if (error instanceof ViewerUnavailableError) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'The document viewer is not available on this server'
+                });
+            }
+
+            console.error('Get viewer error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to open document'
+            });
+        }
+    }
+);
+
+// One page of the current version as an image, watermarked when the tenant
+// has watermarking on. Each page view is recorded.
+router.get('/documents/:id/viewer/pages/:pageNumber',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('view'),
+    async (req, res) => {
+        try {
+            const docResult = await pool.query(
+                'SELECT * FROM documents WHERE id = $1 AND tenant_id = $2',
+                [req.params.id, req.tenantId]
+            );
+            const document = docResult.rows[0];
+
+            if (!DocumentViewerService.canRender(document.mime_type, document.original_name)) {
+                return res.status(415).json({
+                    success: false,
+                    error: 'This file type cannot be shown in the viewer'
+                });
+            }
+
+            const version = await DocumentVersion.findByNumber(req.tenantId, document.id, document.current_version);
+            const pageNumber = parseInt(req.params.pageNumber);
+
+            if (!(pageNumber >= 1 && pageNumber <= await viewer.pageCount(version))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Page not found'
+                });
+            }
+
+            const page = await viewer.renderPage(version, pageNumber, req.query.scale);
+
+            const watermark = await watermarks.settingsFor(req.tenantId);
+            const data = watermark.enabled
+                ? await watermarks.watermarkImage(page.data, page.contentType, watermarkText(req, watermark, document.original_name))
+                : page.data;
+
+            await pool.query(`
+                INSERT INTO analytics_documents (
+                    user_id, tenant_id, document_id, document_name, action, page_number, timestamp
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+            `, [req.user.id, req.tenantId, document.id, document.original_name, 'page_view', pageNumber]);
+
+            res.set('Cache-Control', 'private, no-store');
+            res.type(page.contentType).send(data);
+        } catch (error) {
+            if (error instanceof ViewerUnavailableError) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'The document viewer is not available on this server'
+                });
+            }
+
+            console.error('Render page error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to start analysis'
+                error: 'Failed to render page'
             });
         }
     }
 );
 
+// Heartbeat from the viewer: seconds the page was on screen since the last one
+router.post('/documents/:id/viewer/heartbeat',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('view'),
+    async (req, res) => {
+        try {
+            const pageNumber = parseInt(req.body.pageNumber);
+            const seconds = Math.round(Number(req.body.seconds));
+
+            if (!(pageNumber >= 1) || !(seconds >= 1)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'pageNumber and seconds must be positive numbers'
+                });
+            }
+
+            const docResult = await pool.query(
+                'SELECT id, current_version FROM documents WHERE id = $1 AND tenant_id = $2',
+                [req.params.id, req.tenantId]
+            );
+            const version = await DocumentVersion.findByNumber(req.tenantId, req.params.id, docResult.rows[0].current_version);
+
+            if (pageNumber > await viewer.pageCount(version)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Page not found'
+                });
+            }
+
+            const credited = await PageTime.record(req.tenantId, {
+                documentId: req.params.id,
+                userId: req.user.id,
+                pageNumber,
+                seconds: Math.min(seconds, MAX_HEARTBEAT_SECONDS)
+            });
+
+            res.json({
+                success: true,
+                seconds: credited
+            });
+        } catch (error) {
+            if (error instanceof ViewerUnavailableError) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'The document viewer is not available on this server'
+                });
+            }
+
+            console.error('Record page time error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to record page time'
+            });
+        }
+    }
+);
+
+// Get background job progress for a document, latest first
+router.get('/documents/:id/jobs',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('view'),
+    async (req, res) => {
+        try {
+            const docResult = await pool.query(
+                'SELECT id, status, error FROM documents WHERE id = $1 AND tenant_id = $2',
+                [req.params.id, req.tenantId]
+            );
+
+            if (docResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document not found'
+                });
+            }
+
+            const jobs = await Job.findByDocument(req.tenantId, req.params.id);
+
+            res.json({
+                success: true,
+                documentId: req.params.id,
+                documentStatus: docResult.rows[0].status,
+                error: docResult.rows[0].error,
+                currentJob: jobs[0] || null,
+                jobs
+            });
+        } catch (error) {
+            console.error('Get document jobs error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve document jobs'
+            });
+        }
+    }
+);
+
+// Version history of a document, newest first
+router.get('/documents/:id/versions',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('view'),
+    async (req, res) => {
+        try {
+            const docResult = await pool.query(
+                'SELECT id, current_version FROM documents WHERE id = $1 AND tenant_id = $2',
+                [req.params.id, req.tenantId]
+            );
+
+            if (docResult.rows.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document not found'
+                });
+            }
+
+            const versions = await DocumentVersion.listForDocument(req.tenantId, req.params.id);
+
+            res.json({
+                success: true,
+                documentId: req.params.id,
+                currentVersion: docResult.rows[0].current_version,
+                versions
+            });
+        } catch (error) {
+            console.error('Get document versions error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve document versions'
+            });
+        }
+    }
+);
+
+// Upload a new version of a document. Earlier versions and their files are kept.
+router.post('/documents/:id/versions',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.checkTenantLimits('storage'),
+    tenantMiddleware.logActivity('DOCUMENT_VERSION_UPLOAD', 'document'),
+    async (req, res) => {
+        try {
+            await storage.ensureTenantContainer(req.tenant);
+
+            documentUpload.single('file')(req, res, async (err) => {
+                if (err) {
+                    return res.status(400).json({
+                        success: false,
+                        error: err.message
+                    });
+                }
+
+                if (!req.file) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'A file is required'
+                    });
+                }
+
+                const client = await pool.connect();
+
+                try {
+                    await client.query('BEGIN');
+
+                    // Lock the document so concurrent uploads get consecutive numbers
+                    const docResult = await client.query(
+                        'SELECT id FROM documents WHERE id = $1 AND tenant_id = $2 FOR UPDATE',
+                        [req.params.id, req.tenantId]
+                    );
+
+                    if (docResult.rows.length === 0) {
+                        await client.query('ROLLBACK');
+                        return res.status(404).json({
+                            success: false,
+                            error: 'Document not found'
+                        });
+                    }
+
+                    const latest = await client.query(
+                        'SELECT COALESCE(MAX(version_number), 0) as version FROM document_versions WHERE document_id = $1',
+                        [req.params.id]
+                    );
+
+                    const stored = await storage.uploadDocument(
+                        req.tenant,
+                        req.params.id,
+                        req.file.buffer,
+                        req.file.originalname,
+                        req.file.mimetype,
+                        parseInt(latest.rows[0].version) + 1
+                    );
+
+                    const version = await DocumentVersion.create(client, req.tenantId, req.params.id, {
+                        originalName: req.file.originalname,
+                        s3Key: stored.key,
+                        s3Bucket: stored.bucket,
+                        storageDriver: stored.driver,
+                        mimeType: req.file.mimetype,
+                        fileSize: req.file.size,
+                        comment: req.body.comment || null,
+                        uploadedBy: req.user.id
+                    });
+
+                    await client.query('COMMIT');
+
+                    await Tenant.updateUsageTracking(req.tenantId);
+
+                    // Pages, chunks and analysis are rebuilt for the new version
+                    const docAfter = await pool.query('SELECT * FROM documents WHERE id = $1', [req.params.id]);
+                    let job = null;
+                    if (documentAnalysis.canAnalyze(docAfter.rows[0])) {
+                        job = await documentAnalysis.enqueueAnalysis(req.tenantId, req.params.id, req.user.id);
+                    }
+
+                    res.status(201).json({
+                        success: true,
+                        version,
+                        jobId: job ? job.id : null
+                    });
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    console.error('Upload document version error:', error);
+                    res.status(500).json({
+                        success: false,
+                        error: 'Failed to upload new version'
+                    });
+                } finally {
+                    client.release();
+                }
+            });
+        } catch (error) {
+            console.error('Upload document version error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to upload new version'
+            });
+        }
+    }
+);
+
+// Download a specific version
+router.get('/documents/:id/versions/:version/download',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireDocumentAccess('download'),
+    tenantMiddleware.logActivity('DOCUMENT_DOWNLOAD', 'document'),
+    async (req, res) => {
+        try {
+            const versionNumber = versionParam(req);
+            const version = versionNumber && await DocumentVersion.findByNumber(
+                req.tenantId,
+                req.params.id,
+                versionNumber
+            );
+
+            if (!version) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document version not found'
+                });
+            }
+
+            await pool.query(`
+                INSERT INTO analytics_documents (
+                    user_id, tenant_id, document_id, action, timestamp
+                )
+                VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+            `, [req.user.id, req.tenantId, req.params.id, 'download']);
+
+            const link = await createDownloadLink(req, req.params.id, version);
+
+            res.json({
+                success: true,
+                downloadUrl: link.downloadUrl,
+                watermarked: link.watermarked,
+                version: version.version_number,
+                fileName: version.original_name,
+                fileSize: version.file_size,
+                contentType: version.mime_type,
+                expiresAt: new Date(Date.now() + link.expiresIn * 1000).toISOString()
+            });
+        } catch (error) {
+            console.error('Download document version error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to generate download link'
+            });
+        }
+    }
+);
+
+// Restore an older version. The restore is added as a new version that
+// reuses the old file and analysis, so the history is never rewritten.
+router.post('/documents/:id/versions/:version/restore',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('DOCUMENT_VERSION_RESTORE', 'document'),
+    async (req, res) => {
+        const versionNumber = versionParam(req);
+        if (!versionNumber) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document version not found'
+            });
+        }
+
+        let client;
+
+        try {
+            client = await pool.connect();
+            await client.query('BEGIN');
+
+            const docResult = await client.query(
+                'SELECT * FROM documents WHERE id = $1 AND tenant_id = $2 FOR UPDATE',
+                [req.params.id, req.tenantId]
+            );
+
+            const source = await DocumentVersion.findByNumber(
+                req.tenantId,
+                req.params.id,
+                versionNumber
+            );
+
+            if (docResult.rows.length === 0 || !source) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    success: false,
+                    error: 'Document version not found'
+                });
+            }
+
+            if (docResult.rows[0].current_version === source.version_number) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    success: false,
+                    error: 'This version is already the current version'
+                });
+            }
+
+            const version = await DocumentVersion.create(client, req.tenantId, req.params.id, {
+                originalName: source.original_name,
+                s3Key: source.s3_key,
+                s3Bucket: source.s3_bucket,
+                storageDriver: source.storage_driver,
+                mimeType: source.mime_type,
+                fileSize: source.file_size,
+                analysis: source.analysis,
+                comment: `Restored from version ${source.version_number}`,
+                restoredFrom: source.version_number,
+                uploadedBy: req.user.id
+            });
+
+            await client.query('COMMIT');
+
+            // Rebuild the pages and chunk index from the restored file
+            const docAfter = await pool.query('SELECT * FROM documents WHERE id = $1', [req.params.id]);
+            let job = null;
+            if (documentAnalysis.canAnalyze(docAfter.rows[0])) {
+                job = await documentAnalysis.enqueueAnalysis(req.tenantId, req.params.id, req.user.id);
+            }
+
+            res.json({
+                success: true,
+                version,
+                jobId: job ? job.id : null
+            });
+        } catch (error) {
+            if (client) {
+                await client.query('ROLLBACK');
+            }
+            console.error('Restore document version error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to restore version'
+            });
+        } finally {
+            if (client) {
+                client.release();
+            }
+        }
+    }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const EmailDelivery = require('../models/email-delivery');
+const { emailService } = require('../services/background-jobs');
+const { authenticateToken } = require('../middleware/auth-middleware');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+const STATUSES = ['queued', 'sent', 'failed'];
+
+// Delivery log of the tenant's emails, newest first
+router.get('/email/deliveries',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const status = STATUSES.includes(req.query.status) ? req.query.status : null;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const deliveries = await EmailDelivery.listForTenant(req.tenantId, { status, limit, offset });
+
+            res.json({
+                success: true,
+                deliveries
+            });
+        } catch (error) {
+            console.error('Get email deliveries error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve email deliveries'
+            });
+        }
+    }
+);
+
+// Send a failed email again
+router.post('/email/deliveries/:id/retry',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('EMAIL_RETRIED', 'email'),
+    async (req, res) => {
+        try {
+            const delivery = await emailService.retry(req.tenantId, req.params.id, req.user.id);
+
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'No failed email found'
+                });
+            }
+
+            res.json({
+                success: true,
+                delivery
+            });
+        } catch (error) {
+            console.error('Retry email error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retry email'
+            });
+        }
+    }
+);
+
+module.exports = router;
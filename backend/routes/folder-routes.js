@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router();
+const Folder = require('../models/folder');
+const AccessRule = require('../models/access-rule');
+const { authenticateToken } = require('../middleware/auth-middleware');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+// Folder tree with index numbers and document counts
+router.get('/folders',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    async (req, res) => {
+        try {
+            let folders = await Folder.getTree(req.tenantId);
+            const access = await AccessRule.getResolver(req.tenantId, req.user);
+
+            // Restricted users see the folders they can open or that hold
+            // documents they can see, the folders leading to them, and counts
+            // of the documents they can see
+            if (!access.unrestricted) {
+                const counts = new Map();
+                for (const document of await AccessRule.visibleDocuments(req.tenantId, access)) {
+                    counts.set(document.folder_id, (counts.get(document.folder_id) || 0) + 1);
+                }
+
+                folders = Folder.filterTree(
+                    folders,
+                    folder => access.folderAccess(folder.id) !== 'none' || counts.has(folder.id)
+                );
+                Folder.flattenTree(folders).forEach(folder => {
+                    folder.document_count = counts.get(folder.id) || 0;
+                });
+            }
+
+            res.json({
+                success: true,
+                folders
+            });
+        } catch (error) {
+            console.error('Get folders error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve folders'
+            });
+        }
+    }
+);
+
+// Create a folder, at the top level or inside parentId
+router.post('/folders',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('FOLDER_CREATED', 'folder'),
+    async (req, res) => {
+        try {
+            const { name, parentId = null } = req.body;
+
+            if (!name || name.trim().length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Folder name is required'
+                });
+            }
+
+            if (parentId && !(await Folder.findById(req.tenantId, parentId))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Parent folder not found'
+                });
+            }
+
+            const folder = await Folder.create(req.tenantId, {
+                name: name.trim(),
+                parentId,
+                createdBy: req.user.id
+            });
+
+            res.status(201).json({
+                success: true,
+                folder
+            });
+        } catch (error) {
+            console.error('Create folder error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create folder'
+            });
+        }
+    }
+);
+
+// Rename a folder
+router.patch('/folders/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('FOLDER_UPDATED', 'folder'),
+    async (req, res) => {
+        try {
+            const { name } = req.body;
+
+            if (!name || name.trim().length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Folder name is required'
+                });
+            }
+
+            const folder = await Folder.rename(req.tenantId, req.params.id, name.trim());
+
+            if (!folder) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Folder not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                folder
+            });
+        } catch (error) {
+            console.error('Update folder error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update folder'
+            });
+        }
+    }
+);
+
+// Move a folder to another parent (null for the top level) and/or reorder it
+// among its siblings. Index numbers follow from the new position.
+router.post('/folders/:id/move',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('FOLDER_MOVED', 'folder'),
+    async (req, res) => {
+        try {
+            const folder = await Folder.findById(req.tenantId, req.params.id);
+
+            if (!folder) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Folder not found'
+                });
+            }
+
+            const parentId = req.body.parentId !== undefined ? req.body.parentId : folder.parent_id;
+
+            if (parentId) {
+                if (!(await Folder.findById(req.tenantId, parentId))) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Parent folder not found'
+                    });
+                }
+
+                if (await Folder.isWithin(req.tenantId, parentId, folder.id)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'A folder cannot be moved into itself or one of its subfolders'
+                    });
+                }
+            }
+
+            const moved = await Folder.move(req.tenantId, folder.id, parentId, req.body.position);
+
+            res.json({
+                success: true,
+                folder: moved
+            });
+        } catch (error) {
+            console.error('Move folder error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to move folder'
+            });
+        }
+    }
+);
+
+// Delete an empty folder
+router.delete('/folders/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('FOLDER_DELETED', 'folder'),
+    async (req, res) => {
+        try {
+            const folder = await Folder.findById(req.tenantId, req.params.id);
+
+            if (!folder) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Folder not found'
+                });
+            }
+
+            const deleted = await Folder.delete(req.tenantId, folder.id);
+
+            if (!deleted) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Only empty folders can be deleted. Move or delete its contents first.'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Folder deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete folder error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete folder'
+            });
+        }
+    }
+);
+
+module.exports = router;
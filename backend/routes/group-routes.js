@@ -0,0 +1,272 @@
+const express = require('express');
+const router = express.Router();
+const UserGroup = require('../models/user-group');
+const { authenticateToken } = require('../middleware/auth-middleware');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+// Groups of the tenant with their member counts
+router.get('/groups',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const groups = await UserGroup.listForTenant(req.tenantId);
+
+            res.json({
+                success: true,
+                groups
+            });
+        } catch (error) {
+            console.error('Get groups error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve groups'
+            });
+        }
+    }
+);
+
+// Create a group, e.g. one per bidder team
+router.post('/groups',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('GROUP_CREATED', 'group'),
+    async (req, res) => {
+        try {
+            const { name, description = null } = req.body;
+
+            if (!name || name.trim().length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Group name is required'
+                });
+            }
+
+            const group = await UserGroup.create(req.tenantId, {
+                name: name.trim(),
+                description,
+                createdBy: req.user.id
+            });
+
+            res.status(201).json({
+                success: true,
+                group
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A group with this name already exists'
+                });
+            }
+
+            console.error('Create group error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create group'
+            });
+        }
+    }
+);
+
+// Rename a group or change its description
+router.patch('/groups/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('GROUP_UPDATED', 'group'),
+    async (req, res) => {
+        try {
+            const { name, description } = req.body;
+
+            if (name !== undefined && (!name || name.trim().length === 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Group name is required'
+                });
+            }
+
+            const group = await UserGroup.update(req.tenantId, req.params.id, {
+                name: name && name.trim(),
+                description
+            });
+
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                group
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A group with this name already exists'
+                });
+            }
+
+            console.error('Update group error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update group'
+            });
+        }
+    }
+);
+
+// Delete a group; its members stay in the tenant
+router.delete('/groups/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('GROUP_DELETED', 'group'),
+    async (req, res) => {
+        try {
+            const deleted = await UserGroup.delete(req.tenantId, req.params.id);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Group deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete group error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete group'
+            });
+        }
+    }
+);
+
+// Members of a group
+router.get('/groups/:id/members',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            if (!(await UserGroup.findById(req.tenantId, req.params.id))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+
+            const members = await UserGroup.listMembers(req.tenantId, req.params.id);
+
+            res.json({
+                success: true,
+                members
+            });
+        } catch (error) {
+            console.error('Get group members error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve group members'
+            });
+        }
+    }
+);
+
+// Add users of the tenant to a group
+router.post('/groups/:id/members',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('GROUP_MEMBERS_ADDED', 'group'),
+    async (req, res) => {
+        try {
+            const { userIds } = req.body;
+
+            if (!Array.isArray(userIds) || userIds.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'userIds must be a non-empty array'
+                });
+            }
+
+            if (!(await UserGroup.findById(req.tenantId, req.params.id))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+
+            const tenantUserIds = await UserGroup.tenantUserIds(req.tenantId, userIds);
+            if (tenantUserIds.length !== new Set(userIds.map(String)).size) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'All users must belong to this organization'
+                });
+            }
+
+            await UserGroup.addMembers(req.params.id, tenantUserIds);
+            const members = await UserGroup.listMembers(req.tenantId, req.params.id);
+
+            res.json({
+                success: true,
+                members
+            });
+        } catch (error) {
+            console.error('Add group members error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to add group members'
+            });
+        }
+    }
+);
+
+// Remove a user from a group
+router.delete('/groups/:id/members/:userId',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('GROUP_MEMBER_REMOVED', 'group'),
+    async (req, res) => {
+        try {
+            if (!(await UserGroup.findById(req.tenantId, req.params.id))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Group not found'
+                });
+            }
+
+            const removed = await UserGroup.removeMember(req.params.id, req.params.userId);
+
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User is not a member of this group'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Member removed successfully'
+            });
+        } catch (error) {
+            console.error('Remove group member error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to remove group member'
+            });
+        }
+    }
+);
+
+module.exports = router;
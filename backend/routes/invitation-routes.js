@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const Invitation = require('../models/invitation');
+const { InvitationService, InvitationError } = require('../services/invitation-service');
+const { emailService } = require('../services/background-jobs');
+const { authenticateToken } = require('../middleware/auth-middleware');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+const invitations = new InvitationService({ emailService });
+
+const STATUSES = ['pending', 'expired', 'accepted', 'revoked'];
+
+// Invitation fields sent to admins; the token only as the link
+const formatInvitation = (invitation) => ({
+    id: invitation.id,
+    email: invitation.email,
+    role: invitation.role,
+    group_id: invitation.group_id,
+    expires_at: invitation.expires_at,
+    accepted_at: invitation.accepted_at,
+    revoked_at: invitation.revoked_at,
+    last_sent_at: invitation.last_sent_at,
+    invitation_link: `/invite/${invitation.token}`
+});
+
+// Sends the error of a failed invitation request; `message` is shown for
+// unexpected errors, which are logged as `label`
+const invitationFailure = (res, error, label, message) => {
+    if (error instanceof InvitationError) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        error: message
+    });
+};
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Invitation not found'
+});
+
+// The tenant's invitations, newest first, optionally of one status
+router.get('/auth/invitations',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const status = STATUSES.includes(req.query.status) ? req.query.status : null;
+            const list = await Invitation.listForTenant(req.tenantId, { status });
+
+            res.json({
+                success: true,
+                invitations: list
+            });
+        } catch (error) {
+            console.error('Get invitations error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve invitations'
+            });
+        }
+    }
+);
+
+// Invite everyone in a CSV file of email, role and group (name or id)
+// columns. Role and groupId in the body are the defaults for empty cells.
+// With dryRun the rows are only checked.
+router.post('/auth/invitations/bulk',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.checkTenantLimits('users'),
+    tenantMiddleware.logActivity('INVITATIONS_BULK_CREATED', 'invitation'),
+    async (req, res) => {
+        try {
+            const { csv, role = 'user', groupId = null, dryRun = false } = req.body;
+
+            if (!csv) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'A CSV file is required'
+                });
+            }
+
+            const { results, summary } = await invitations.bulkInvite(req.tenantId, csv, {
+                role,
+                groupId,
+                dryRun: Boolean(dryRun)
+            }, req.user);
+
+            res.status(dryRun ? 200 : 201).json({
+                success: true,
+                dryRun: Boolean(dryRun),
+                summary,
+                results
+            });
+        } catch (error) {
+            invitationFailure(res, error, 'Bulk invite', 'Failed to send invitations');
+        }
+    }
+);
+
+// Email a pending invitation again, with the same link
+router.post('/auth/invitations/:id/resend',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('INVITATION_RESENT', 'invitation'),
+    async (req, res) => {
+        try {
+            const resent = await invitations.resend(req.tenantId, req.params.id, req.user);
+            if (!resent) return notFound(res);
+
+            res.json({
+                success: true,
+                invitation: {
+                    ...formatInvitation(resent.invitation),
+                    email_queued: resent.emailQueued
+                }
+            });
+        } catch (error) {
+            invitationFailure(res, error, 'Resend invitation', 'Failed to resend invitation');
+        }
+    }
+);
+
+// Give an open invitation `days` more days from now (default 7), including
+// one that expired
+router.post('/auth/invitations/:id/extend',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('INVITATION_EXTENDED', 'invitation'),
+    async (req, res) => {
+        try {
+            const invitation = await invitations.extend(req.tenantId, req.params.id, req.body.days);
+            if (!invitation) return notFound(res);
+
+            res.json({
+                success: true,
+                invitation: formatInvitation(invitation)
+            });
+        } catch (error) {
+            invitationFailure(res, error, 'Extend invitation', 'Failed to extend invitation');
+        }
+    }
+);
+
+// Revoke an open invitation; its link stops working
+router.delete('/auth/invitations/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('INVITATION_REVOKED', 'invitation'),
+    async (req, res) => {
+        try {
+            const invitation = await invitations.revoke(req.tenantId, req.params.id);
+            if (!invitation) return notFound(res);
+
+            res.json({
+                success: true,
+                invitation: formatInvitation(invitation)
+            });
+        } catch (error) {
+            invitationFailure(res, error, 'Revoke invitation', 'Failed to revoke invitation');
+        }
+    }
+);
+
+module.exports = router;
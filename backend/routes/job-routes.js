@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../database-pool');
+const Job = require('../models/job');
+const { authenticateToken } = require('../middleware/auth-middleware');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+// List background jobs for the tenant, e.g. ?status=dead for the dead-letter queue
+router.get('/jobs',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const { status, limit = 50, offset = 0 } = req.query;
+
+            const jobs = await Job.findByTenant(req.tenantId, { status, limit, offset });
+
+            res.json({
+                success: true,
+                jobs,
+                limit: parseInt(limit),
+                offset: parseInt(offset)
+            });
+        } catch (error) {
+            console.error('Get jobs error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve jobs'
+            });
+        }
+    }
+);
+
+// Requeue a dead-lettered job
+router.post('/jobs/:id/retry',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('JOB_RETRIED', 'job'),
+    async (req, res) => {
+        try {
+            const existing = await Job.findById(req.tenantId, req.params.id);
+
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Job not found'
+                });
+            }
+
+            if (existing.status !== 'dead') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Only failed jobs can be retried'
+                });
+            }
+
+            const job = await Job.retry(req.tenantId, req.params.id);
+
+            if (job.document_id) {
+                await pool.query(
+                    'UPDATE documents SET status = $1, error = NULL WHERE id = $2 AND tenant_id = $3',
+                    ['queued', job.document_id, req.tenantId]
+                );
+            }
+
+            res.json({
+                success: true,
+                job
+            });
+        } catch (error) {
+            // Another job for the same document is already pending
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A job for this document is already queued'
+                });
+            }
+
+            console.error('Retry job error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retry job'
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -4,19 +4,182 @@ const pool = require('../database-pool');
 const { authenticateToken } = require('../middleware/auth-middleware');
 const tenantMiddleware = require('../middleware/tenant-middleware');
 const Tenant = require('../models/tenant');
+const Conversation = require('../models/conversation');
+const AccessRule = require('../models/access-rule');
+const QuestionRequest = require('../models/question-request');
+const { QuestionService } = require('../services/question-service');
 const { ClaudeRateLimiter, createClaudeApiWithRateLimit } = require('../services/claude-rate-limiter');
+const DocumentIndexService = require('../services/document-index-service');
+const { documentAnalysis } = require('../services/background-jobs');
+const {
+    CITATION_INSTRUCTIONS,
+    formatSources,
+    parseAnswer,
+    visibleAnswerText
+} = require('../services/citation-service');
 
 // Initialize Claude service
 const claudeApi = createClaudeApiWithRateLimit();
+const documentIndex = new DocumentIndexService();
+
+// Number of retrieved chunks used as context for a question
+const MAX_CONTEXT_CHUNKS = 12;
+
+// Earlier turns of a conversation sent back to Claude with a follow-up
+const MAX_HISTORY_TURNS = 6;
+const MAX_HISTORY_ANSWER_CHARS = 2000;
+
+// Retrieve context for a question and build the Claude request, including
+// the earlier turns of the conversation when continuing one. Only documents
+// the user (by default the one asking) may view are searched.
+// Returns null when the tenant has no indexed content to answer from.
+async function buildQuestionRequest(req, question, requestedDocumentIds, conversation, user = req.user) {
+    const access = await AccessRule.getResolver(req.tenantId, user);
+    const visibleIds = await AccessRule.visibleDocumentIds(req.tenantId, access, requestedDocumentIds);
+    if (visibleIds && visibleIds.length === 0) {
+        return null;
+    }
+    const documentIds = visibleIds || requestedDocumentIds;
+
+    // Get tenant settings for context
+    const settingsQuery = 'SELECT * FROM tenant_settings WHERE tenant_id = $1';
+    const settingsResult = await pool.query(settingsQuery, [req.tenantId]);
+    const settings = settingsResult.rows[0] || {};
+
+    // Documents analyzed before the chunk index existed are indexed on first use
+    await documentIndex.indexMissing(req.tenantId, documentIds.length > 0 ? documentIds : null);
+
+    const history = conversation
+        ? await Conversation.getRecentTurns(conversation.id, MAX_HISTORY_TURNS)
+        : [];
+
+    // Follow-ups like "and what about 2023?" only make sense together with
+    // the previous question, so both are used for retrieval
+    const previousQuestion = history.length > 0 ? history[history.length - 1].question : '';
+    const searchQuery = `${previousQuestion} ${question}`.trim();
+
+    // Retrieve the most relevant chunks across the tenant's documents
+    const chunks = await documentIndex.search(req.tenantId, searchQuery, {
+        topK: MAX_CONTEXT_CHUNKS,
+        documentIds
+    });
+
+    if (chunks.length === 0) {
+        return null;
+    }
+
+    // Prepare Claude prompt with tenant context
+    const systemPrompt = `You are an AI assistant helping users understand documents from ${settings.company_name || req.tenant.name}.
+            
+            IMPORTANT INSTRUCTIONS:
+            - Answer based ONLY on the provided document content
+            - If the information isn't in the documents, say so clearly
+            - Keep responses concise and professional
+            - Respond in the same language as the question
+
+            CITATIONS:
+            ${CITATION_INSTRUCTIONS}
+            
+            Company Context: ${settings.company_name || req.tenant.name}
+            `;
+
+    const userPrompt = `Based on the following excerpts, please answer this question: "${question}"
+            
+            Excerpts:
+            ${formatSources(chunks)}
+            `;
+
+    return {
+        chunks,
+        // Provider and model chosen in the tenant's settings
+        messages: claudeApi.forTenant(req.tenant, settings),
+        params: {
+            max_tokens: 2000,
+            temperature: 0.3,
+            system: systemPrompt,
+            messages: [
+                ...history.flatMap(turn => [
+                    { role: 'user', content: turn.question },
+                    { role: 'assistant', content: turn.answer.substring(0, MAX_HISTORY_ANSWER_CHARS) }
+                ]),
+                {
+                    role: 'user',
+                    content: userPrompt
+                }
+            ]
+        }
+    };
+}
+
+// Parse citations from the model output, log the question and update usage.
+// A first question starts a new conversation titled after it.
+async function recordAnswer(req, conversation, question, rawAnswer, chunks, processingTime) {
+    const { answer, citations } = parseAnswer(rawAnswer, chunks);
+
+    if (!conversation) {
+        conversation = await Conversation.create(req.tenantId, req.user.id, question.trim().substring(0, 80));
+    }
+
+    // Documents that were actually cited, with the pages cited
+    const sources = [];
+    citations.forEach(citation => {
+        let doc = sources.find(d => d.id === citation.documentId);
+        if (!doc) {
+            doc = { id: citation.documentId, name: citation.documentName, pages: [] };
+            sources.push(doc);
+        }
+        if (citation.label && !doc.pages.includes(citation.label)) {
+            doc.pages.push(citation.label);
+        }
+    });
+
+    // Log the question and answer
+    const logQuery = `
+        INSERT INTO analytics_questions (
+            user_id, tenant_id, conversation_id, question, answer, 
+            processing_time, sources_used, created_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+        RETURNING id
+    `;
+    
+    const logResult = await pool.query(logQuery, [
+        req.user.id,
+        req.tenantId,
+        conversation.id,
+        question,
+        answer,
+        processingTime,
+        JSON.stringify(citations)
+    ]);
+    await Conversation.touch(conversation.id);
+
+    // Update usage tracking
+    await Tenant.updateUsageTracking(req.tenantId);
+
+    return {
+        answer,
+        citations,
+        sources,
+        processingTime,
+        questionId: logResult.rows[0].id,
+        conversationId: conversation.id,
+        documentsAnalyzed: new Set(chunks.map(chunk => chunk.document_id)).size
+    };
+}
+
+const NO_DOCUMENTS_ERROR = 'No analyzed documents found. Please upload and analyze documents first.';
 
 // Ask question about documents
 router.post('/ask',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.checkTenantLimits('ai_tokens'),
     tenantMiddleware.logActivity('QUESTION_ASKED', 'question'),
     async (req, res) => {
         try {
-            const { question, documentIds = [], includeAllDocuments = false } = req.body;
+            const { question, documentIds = [], conversationId } = req.body;
             
             if (!question || question.trim().length === 0) {
                 return res.status(400).json({
@@ -25,151 +188,44 @@ router.post('/ask',
                 });
             }
 
-            // Get tenant settings for context
-            const settingsQuery = 'SELECT * FROM tenant_settings WHERE tenant_id = $1';
-            const settingsResult = await pool.query(settingsQuery, [req.tenantId]);
-            const settings = settingsResult.rows[0] || {};
+            const conversation = conversationId
+                ? await Conversation.findForUser(req.tenantId, req.user.id, conversationId)
+                : null;
 
-            // Get relevant documents
-            let documentsQuery;
-            let documentsParams;
-            
-            if (documentIds.length > 0) {
-                // Specific documents requested
-                documentsQuery = `
-                    SELECT id, original_name, analysis, status
-                    FROM documents 
-                    WHERE tenant_id = $1 
-                    AND id = ANY($2)
-                    AND status = 'analyzed'
-                `;
-                documentsParams = [req.tenantId, documentIds];
-            } else if (includeAllDocuments) {
-                // All analyzed documents
-                documentsQuery = `
-                    SELECT id, original_name, analysis, status
-                    FROM documents 
-                    WHERE tenant_id = $1 
-                    AND status = 'analyzed'
-                    ORDER BY uploaded_at DESC
-                    LIMIT 50
-                `;
-                documentsParams = [req.tenantId];
-            } else {
-                // Smart document selection based on question relevance
-                documentsQuery = `
-                    SELECT id, original_name, analysis, status
-                    FROM documents 
-                    WHERE tenant_id = $1 
-                    AND status = 'analyzed'
-                    AND (
-                        original_name ILIKE $2
-                        OR analysis::text ILIKE $2
-                    )
-                    ORDER BY uploaded_at DESC
-                    LIMIT 20
-                `;
-                documentsParams = [req.tenantId, `%${question.split(' ')[0]}%`];
+            if (conversationId && !conversation) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Conversation not found'
+                });
             }
 
-            const documentsResult = await pool.query(documentsQuery, documentsParams);
-            const documents = documentsResult.rows;
+            const request = await buildQuestionRequest(req, question, documentIds, conversation);
 
-            if (documents.length === 0) {
+            if (!request) {
                 return res.status(404).json({
                     success: false,
-                    error: 'No analyzed documents found. Please upload and analyze documents first.'
+                    error: NO_DOCUMENTS_ERROR
                 });
             }
 
-            // Build context from documents
-            const documentContext = documents.map(doc => ({
-                name: doc.original_name,
-                id: doc.id,
-                content: doc.analysis ? 
-                    (typeof doc.analysis === 'string' ? doc.analysis : JSON.stringify(doc.analysis)) 
-                    : 'No analysis available'
-            }));
-
-            // Prepare Claude prompt with tenant context
-            const systemPrompt = `You are an AI assistant helping users understand documents from ${settings.company_name || req.tenant.name}.
-            
-            IMPORTANT INSTRUCTIONS:
-            - Answer based ONLY on the provided document content
-            - Be specific and cite which documents you're referencing
-            - If the information isn't in the documents, say so clearly
-            - Keep responses concise and professional
-            - Respond in the same language as the question
-            
-            Company Context: ${settings.company_name || req.tenant.name}
-            `;
-
-            const userPrompt = `Based on the following documents, please answer this question: "${question}"
-            
-            Documents:
-            ${documentContext.map((doc, i) => `
-            Document ${i + 1}: ${doc.name}
-            Content: ${doc.content.substring(0, 2000)}...
-            `).join('\n\n')}
-            `;
-
             // Track start time for analytics
             const startTime = Date.now();
 
             // Call Claude API
-            const response = await claudeApi.messages.create({
-                model: 'claude-3-5-sonnet-20241022',
-                max_tokens: 2000,
-                temperature: 0.3,
-                system: systemPrompt,
-                messages: [
-                    {
-                        role: 'user',
-                        content: userPrompt
-                    }
-                ]
-            });
+            const response = await request.messages.create(request.params);
 
-            const answer = response.content[0].text;
-            const processingTime = Date.now() - startTime;
-
-            // Identify which documents were used in the answer
-            const sourcesUsed = documents
-                .filter(doc => answer.toLowerCase().includes(doc.original_name.toLowerCase()))
-                .map(doc => ({
-                    id: doc.id,
-                    name: doc.original_name
-                }));
-
-            // Log the question and answer
-            const logQuery = `
-                INSERT INTO analytics_questions (
-                    user_id, tenant_id, question, answer, 
-                    processing_time, sources_used, created_at
-                )
-                VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
-                RETURNING id
-            `;
-            
-            const logResult = await pool.query(logQuery, [
-                req.user.id,
-                req.tenantId,
+            const result = await recordAnswer(
+                req,
+                conversation,
                 question,
-                answer,
-                processingTime,
-                JSON.stringify(sourcesUsed)
-            ]);
-
-            // Update usage tracking
-            await Tenant.updateUsageTracking(req.tenantId);
+                response.content[0].text,
+                request.chunks,
+                Date.now() - startTime
+            );
 
             res.json({
                 success: true,
-                answer,
-                sources: sourcesUsed,
-                processingTime,
-                questionId: logResult.rows[0].id,
-                documentsAnalyzed: documents.length
+                ...result
             });
 
         } catch (error) {
@@ -191,38 +247,155 @@ router.post('/ask',
     }
 );
 
-// Get question history for current user
+// Ask question and stream the answer as Server-Sent Events:
+//   event: token  data: { text }            partial answer text
+//   event: done   data: { answer, ... }     same fields as POST /ask
+//   event: error  data: { error }
+// Closing the connection cancels generation; cancelled answers are not logged.
+router.post('/ask/stream',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.checkTenantLimits('ai_tokens'),
+    async (req, res) => {
+        const { question, documentIds = [], conversationId } = req.body;
+
+        if (!question || question.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Question is required'
+            });
+        }
+
+        const abortController = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                abortController.abort();
+            }
+        });
+
+        const sendEvent = (event, data) => {
+            if (!res.writableEnded) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        };
+
+        try {
+            const conversation = conversationId
+                ? await Conversation.findForUser(req.tenantId, req.user.id, conversationId)
+                : null;
+
+            if (conversationId && !conversation) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Conversation not found'
+                });
+            }
+
+            const request = await buildQuestionRequest(req, question, documentIds, conversation);
+
+            if (!request) {
+                return res.status(404).json({
+                    success: false,
+                    error: NO_DOCUMENTS_ERROR
+                });
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+
+            const startTime = Date.now();
+            let streamedText = '';
+            let sentLength = 0;
+
+            const response = await request.messages.stream(request.params, {
+                signal: abortController.signal,
+                onText: (text) => {
+                    streamedText += text;
+
+                    // Hold back the trailing <citations> block; it is parsed at the end
+                    const visible = visibleAnswerText(streamedText);
+                    if (visible.length > sentLength) {
+                        sendEvent('token', { text: visible.slice(sentLength) });
+                        sentLength = visible.length;
+                    }
+                }
+            });
+
+            if (response.stop_reason === 'cancelled') {
+                console.log(`⏹️ Streaming answer cancelled by client after ${Date.now() - startTime}ms`);
+                return res.end();
+            }
+
+            const result = await recordAnswer(
+                req,
+                conversation,
+                question,
+                response.content[0].text,
+                request.chunks,
+                Date.now() - startTime
+            );
+
+            sendEvent('done', { success: true, ...result });
+            res.end();
+
+            // logActivity only sees res.send, so streamed questions are audited here
+            Tenant.logAudit(req.tenantId, req.user.id, 'QUESTION_ASKED', 'question', result.questionId, {
+                method: req.method,
+                path: req.path,
+                ip: req.ip,
+                userAgent: req.get('user-agent'),
+                conversationId: result.conversationId
+            }).catch(err => console.error('Audit log error:', err));
+
+        } catch (error) {
+            console.error('Q&A stream error:', error);
+
+            const rateLimited = error.message && error.message.includes('rate');
+            const message = rateLimited
+                ? 'Rate limit exceeded. Please try again in a moment.'
+                : 'Failed to process question. Please try again.';
+
+            if (!res.headersSent) {
+                return res.status(rateLimited ? 429 : 500).json({
+                    success: false,
+                    error: message
+                });
+            }
+
+            sendEvent('error', { success: false, error: message });
+            res.end();
+        }
+    }
+);
+
+// Get question history for current user, grouped by conversation thread
 router.get('/ask/history',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
     async (req, res) => {
         try {
-            const { limit = 20, offset = 0 } = req.query;
-            
-            const query = `
-                SELECT 
-                    id,
-                    question,
-                    answer,
-                    sources_used,
-                    processing_time,
-                    created_at
-                FROM analytics_questions
-                WHERE user_id = $1 AND tenant_id = $2
-                ORDER BY created_at DESC
-                LIMIT $3 OFFSET $4
-            `;
-            
-            const result = await pool.query(query, [
-                req.user.id,
-                req.tenantId,
+            const { limit = 20, offset = 0, archived = 'false' } = req.query;
+
+            const conversations = await Conversation.listForUser(req.tenantId, req.user.id, {
+                archived: archived === 'true',
                 limit,
                 offset
-            ]);
+            });
+            const messages = await Conversation.getMessages(conversations.map(c => c.id));
 
             res.json({
                 success: true,
-                history: result.rows,
+                conversations: conversations.map(conversation => ({
+                    ...conversation,
+                    message_count: parseInt(conversation.message_count),
+                    messages: messages.filter(message => message.conversation_id === conversation.id)
+                })),
                 limit: parseInt(limit),
                 offset: parseInt(offset)
             });
@@ -236,23 +409,145 @@ router.get('/ask/history',
     }
 );
 
+// Get a single conversation with all its messages
+router.get('/ask/conversations/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    async (req, res) => {
+        try {
+            const conversation = await Conversation.findForUser(req.tenantId, req.user.id, req.params.id);
+
+            if (!conversation) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Conversation not found'
+                });
+            }
+
+            const messages = await Conversation.getMessages([conversation.id]);
+
+            res.json({
+                success: true,
+                conversation: {
+                    ...conversation,
+                    messages
+                }
+            });
+        } catch (error) {
+            console.error('Get conversation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve conversation'
+            });
+        }
+    }
+);
+
+// Rename or archive / unarchive a conversation
+router.patch('/ask/conversations/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    async (req, res) => {
+        try {
+            const { title, archived } = req.body;
+
+            if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Title cannot be empty'
+                });
+            }
+
+            if (title === undefined && archived === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Nothing to update'
+                });
+            }
+
+            const conversation = await Conversation.update(req.tenantId, req.user.id, req.params.id, {
+                title: title !== undefined ? title.trim() : undefined,
+                archived: archived !== undefined ? Boolean(archived) : undefined
+            });
+
+            if (!conversation) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Conversation not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                conversation
+            });
+        } catch (error) {
+            console.error('Update conversation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update conversation'
+            });
+        }
+    }
+);
+
+// Delete a conversation from the user's history
+router.delete('/ask/conversations/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.logActivity('CONVERSATION_DELETED', 'conversation'),
+    async (req, res) => {
+        try {
+            const deleted = await Conversation.softDelete(req.tenantId, req.user.id, req.params.id);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Conversation not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Conversation deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete conversation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete conversation'
+            });
+        }
+    }
+);
+
 // Get suggested questions based on documents
 router.get('/ask/suggestions',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
     async (req, res) => {
         try {
-            // Get recent documents
+            // Get recent documents the user can see
+            const access = await AccessRule.getResolver(req.tenantId, req.user);
             const docsQuery = `
-                SELECT original_name, tags
+                SELECT id, folder_id, original_name, tags
                 FROM documents
                 WHERE tenant_id = $1 AND status = 'analyzed'
                 ORDER BY uploaded_at DESC
-                LIMIT 5
+                LIMIT 50
             `;
             const docsResult = await pool.query(docsQuery, [req.tenantId]);
+            const recentDocs = docsResult.rows
+                .filter(doc => access.documentAccess(doc) !== 'none')
+                .slice(0, 5);
             
-            // Get popular questions from this tenant
+            // Get popular questions from this tenant. Other users' questions
+            // can name restricted documents, so they are only suggested when
+            // nothing is restricted for this user.
             const popularQuery = `
                 SELECT question, COUNT(*) as count
                 FROM analytics_questions
@@ -261,13 +556,15 @@ router.get('/ask/suggestions',
                 ORDER BY count DESC
                 LIMIT 5
             `;
-            const popularResult = await pool.query(popularQuery, [req.tenantId]);
+            const popularResult = access.unrestricted
+                ? await pool.query(popularQuery, [req.tenantId])
+                : { rows: [] };
 
             // Generate suggestions based on document types and popular questions
             const suggestions = [];
             
             // Add document-specific suggestions
-            docsResult.rows.forEach(doc => {
+            recentDocs.forEach(doc => {
                 const docName = doc.original_name.replace(/\.[^/.]+$/, '');
                 suggestions.push(`What are the key points in ${docName}?`);
                 suggestions.push(`Summarize the main findings from ${docName}`);
@@ -309,101 +606,123 @@ router.get('/ask/suggestions',
     }
 );
 
-// Analyze document with Claude
+// Suggest an answer to a question request for its expert to start from.
+// Only documents the asker may view are searched, so the suggestion cannot
+// reveal anything hidden from them. The suggestion is kept with the question.
+router.post('/questions/:id/ai-draft',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.checkTenantLimits('ai_tokens'),
+    tenantMiddleware.logActivity('QUESTION_AI_DRAFTED', 'question_request'),
+    async (req, res) => {
+        try {
+            const question = await QuestionRequest.findById(req.tenantId, req.params.id, QuestionService.viewerOptions(req.user));
+
+            if (!question) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Question not found'
+                });
+            }
+
+            if (!QuestionService.canDraft(question, req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only the assigned expert can draft the answer'
+                });
+            }
+
+            // Askers who left the tenant see what is open to everyone
+            const asker = {
+                id: question.asked_by,
+                tenant_role: question.asked_by_role || 'investor',
+                global_role: 'user'
+            };
+            const request = await buildQuestionRequest(req, `${question.subject}\n\n${question.body}`, [], null, asker);
+
+            if (!request) {
+                return res.status(404).json({
+                    success: false,
+                    error: NO_DOCUMENTS_ERROR
+                });
+            }
+
+            const response = await request.messages.create(request.params);
+            const { answer, citations } = parseAnswer(response.content[0].text, request.chunks);
+            const saved = await QuestionRequest.saveAiDraft(req.tenantId, question.id, { answer, citations });
+
+            res.json({
+                success: true,
+                ai_draft: saved.ai_draft,
+                ai_draft_citations: citations,
+                ai_draft_at: saved.ai_draft_at
+            });
+
+        } catch (error) {
+            console.error('AI draft error:', error);
+
+            if (error.message && error.message.includes('rate')) {
+                return res.status(429).json({
+                    success: false,
+                    error: 'Rate limit exceeded. Please try again in a moment.'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to suggest an answer. Please try again.'
+            });
+        }
+    }
+);
+
+// Queue document analysis; progress is reported by GET /documents/:id/jobs
 router.post('/documents/:id/analyze',
     authenticateToken,
     tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
     tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.checkTenantLimits('ai_tokens'),
     async (req, res) => {
         try {
-            const documentId = req.params.id;
-            
-            // Get document
-            const docQuery = `
-                SELECT * FROM documents 
-                WHERE id = $1 AND tenant_id = $2
-            `;
-            const docResult = await pool.query(docQuery, [documentId, req.tenantId]);
-            
+            const docResult = await pool.query(
+                'SELECT id, original_name, mime_type FROM documents WHERE id = $1 AND tenant_id = $2',
+                [req.params.id, req.tenantId]
+            );
+
             if (docResult.rows.length === 0) {
                 return res.status(404).json({
                     success: false,
                     error: 'Document not found'
                 });
             }
-            
-            const document = docResult.rows[0];
-            
-            // Update status to processing
-            await pool.query(
-                'UPDATE documents SET status = $1 WHERE id = $2',
-                ['processing', documentId]
-            );
 
-            // Get document content from S3
-            const S3Service = require('../services/s3-service');
-            const s3Service = new S3Service();
-            
-            // For now, we'll use the document metadata
-            // In production, you'd download and extract text from the actual file
-            const documentContent = `Document: ${document.original_name}
-            Type: ${document.mime_type}
-            Size: ${document.file_size} bytes
-            Uploaded: ${document.uploaded_at}`;
-
-            // Analyze with Claude
-            const systemPrompt = `You are analyzing a document for a data room. 
-            Extract and summarize the following:
-            1. Document type and purpose
-            2. Key information and data points
-            3. Important dates and deadlines
-            4. Main parties or stakeholders mentioned
-            5. Critical numbers, metrics, or financial data
-            6. Any risks or concerns noted
-            7. Action items or next steps
-            
-            Be concise but thorough. Structure your response in JSON format.`;
-
-            const response = await claudeApi.messages.create({
-                model: 'claude-3-5-sonnet-20241022',
-                max_tokens: 2000,
-                temperature: 0.3,
-                system: systemPrompt,
-                messages: [
-                    {
-                        role: 'user',
-                        content: `Please analyze this document:\n\n${documentContent}`
-                    }
-                ]
-            });
+            const document = docResult.rows[0];
 
-            const analysis = response.content[0].text;
+            if (!documentAnalysis.canAnalyze(document)) {
+                return res.status(415).json({
+                    success: false,
+                    error: `No text extractor available for ${document.mime_type || 'unknown type'} (${document.original_name})`
+                });
+            }
 
-            // Update document with analysis
-            await pool.query(
-                'UPDATE documents SET status = $1, analysis = $2 WHERE id = $3',
-                ['analyzed', analysis, documentId]
-            );
+            const job = await documentAnalysis.enqueueAnalysis(req.tenantId, document.id, req.user.id, {
+                reanalyze: true
+            });
 
-            res.json({
+            res.status(202).json({
                 success: true,
-                documentId,
-                analysis,
-                message: 'Document analyzed successfully'
+                documentId: document.id,
+                job,
+                message: 'Document analysis queued'
             });
 
         } catch (error) {
             console.error('Document analysis error:', error);
-            
-            // Update document status to error
-            await pool.query(
-                'UPDATE documents SET status = $1, error = $2 WHERE id = $3',
-                ['error', error.message, req.params.id]
-            );
-
             res.status(500).json({
                 success: false,
-                error: 'Failed to analyze document'
+                error: 'Failed to queue document analysis'
             });
         }
     }
@@ -0,0 +1,285 @@
+const express = require('express');
+const router = express.Router();
+const QuestionRequest = require('../models/question-request');
+const AccessRule = require('../models/access-rule');
+const { QuestionService, QuestionError } = require('../services/question-service');
+const { emailService } = require('../services/background-jobs');
+const { authenticateToken } = require('../middleware/auth-middleware');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+const questions = new QuestionService({ emailService });
+
+// Sends the error of a failed question request; `message` is shown for
+// unexpected errors, which are logged as `label`
+const questionFailure = (res, error, label, message) => {
+    if (error instanceof QuestionError) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({
+        success: false,
+        error: message
+    });
+};
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Question not found'
+});
+
+// A question with the linked documents the user may see, as they may see it
+async function questionFor(req, question) {
+    const resolver = await AccessRule.getResolver(req.tenantId, req.user);
+    const documents = (await QuestionRequest.listDocuments(question.id))
+        .filter(document => resolver.documentAccess(document) !== 'none')
+        .map(document => ({ id: document.id, name: document.original_name }));
+
+    return QuestionService.forViewer({ ...question, documents }, req.user);
+}
+
+// Questions to the seller's team, newest first. Admins see all of them;
+// other members their own, their groups', those assigned to them and
+// answers published to everyone.
+router.get('/questions',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    async (req, res) => {
+        try {
+            const { status, category, priority, assignedTo } = req.query;
+            const viewer = QuestionService.viewerOptions(req.user);
+
+            // Members only see whether a question is answered, so they
+            // cannot filter on the steps in between
+            const statuses = viewer.viewerId ? ['submitted', 'published'] : QuestionService.statuses;
+
+            const list = await QuestionRequest.list(req.tenantId, {
+                ...viewer,
+                status: statuses.includes(status) ? status : null,
+                category: category || null,
+                priority: QuestionService.priorities.includes(priority) ? priority : null,
+                assignedTo: assignedTo === 'me' ? req.user.id : (parseInt(assignedTo) || null)
+            });
+
+            res.json({
+                success: true,
+                questions: list.map(question => QuestionService.forViewer(question, req.user)),
+                // Groups the member can ask for
+                groups: await questions.memberGroups(req.tenantId, req.user.id)
+            });
+        } catch (error) {
+            console.error('Get questions error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve questions'
+            });
+        }
+    }
+);
+
+// Ask the seller's team a question. Members of several groups name the
+// group they ask for (groupId); documentIds link documents it refers to.
+router.post('/questions',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.logActivity('QUESTION_REQUEST_SUBMITTED', 'question_request'),
+    async (req, res) => {
+        try {
+            const { subject, body, category, priority, dueDate, groupId, documentIds } = req.body;
+            const question = await questions.submit(req.tenantId, req.user, {
+                subject,
+                body,
+                category,
+                priority,
+                dueDate,
+                groupId,
+                documentIds: Array.isArray(documentIds) ? documentIds : []
+            });
+
+            res.status(201).json({
+                success: true,
+                question: await questionFor(req, question)
+            });
+        } catch (error) {
+            questionFailure(res, error, 'Submit question', 'Failed to submit question');
+        }
+    }
+);
+
+router.get('/questions/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    async (req, res) => {
+        try {
+            const question = await QuestionRequest.findById(req.tenantId, req.params.id, QuestionService.viewerOptions(req.user));
+            if (!question) return notFound(res);
+
+            res.json({
+                success: true,
+                question: await questionFor(req, question)
+            });
+        } catch (error) {
+            console.error('Get question error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve question'
+            });
+        }
+    }
+);
+
+// Change the category, priority, due date (null clears it) or linked
+// documents of a question
+router.patch('/questions/:id',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('QUESTION_REQUEST_UPDATED', 'question_request'),
+    async (req, res) => {
+        try {
+            const { category, priority, dueDate, documentIds } = req.body;
+            const question = await questions.update(req.tenantId, req.params.id, req.user, {
+                category,
+                priority,
+                dueDate,
+                documentIds: documentIds === undefined || Array.isArray(documentIds) ? documentIds : []
+            });
+            if (!question) return notFound(res);
+
+            res.json({
+                success: true,
+                question: await questionFor(req, question)
+            });
+        } catch (error) {
+            questionFailure(res, error, 'Update question', 'Failed to update question');
+        }
+    }
+);
+
+// Assign the question to the expert who drafts the answer (userId)
+router.post('/questions/:id/assign',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('QUESTION_REQUEST_ASSIGNED', 'question_request'),
+    async (req, res) => {
+        try {
+            const question = await questions.assign(req.tenantId, req.params.id, parseInt(req.body.userId), req.user);
+            if (!question) return notFound(res);
+
+            res.json({
+                success: true,
+                question: await questionFor(req, question)
+            });
+        } catch (error) {
+            questionFailure(res, error, 'Assign question', 'Failed to assign question');
+        }
+    }
+);
+
+// Save the draft answer (the expert or admins). With submit it goes to the
+// admins for approval.
+router.put('/questions/:id/draft',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTermsAccepted,
+    tenantMiddleware.logActivity('QUESTION_ANSWER_DRAFTED', 'question_request'),
+    async (req, res) => {
+        try {
+            const question = await QuestionRequest.findById(req.tenantId, req.params.id, QuestionService.viewerOptions(req.user));
+            if (!question) return notFound(res);
+
+            if (!QuestionService.canDraft(question, req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only the assigned expert can draft the answer'
+                });
+            }
+
+            const drafted = await questions.saveDraft(req.tenantId, question, req.user, {
+                answer: req.body.answer,
+                submit: Boolean(req.body.submit)
+            });
+
+            res.json({
+                success: true,
+                question: await questionFor(req, drafted)
+            });
+        } catch (error) {
+            questionFailure(res, error, 'Draft answer', 'Failed to save the draft answer');
+        }
+    }
+);
+
+router.post('/questions/:id/approve',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('QUESTION_ANSWER_APPROVED', 'question_request'),
+    async (req, res) => {
+        try {
+            const question = await questions.approve(req.tenantId, req.params.id, req.user);
+            if (!question) return notFound(res);
+
+            res.json({
+                success: true,
+                question: await questionFor(req, question)
+            });
+        } catch (error) {
+            questionFailure(res, error, 'Approve answer', 'Failed to approve the answer');
+        }
+    }
+);
+
+// Send the draft back to the expert, with an optional note
+router.post('/questions/:id/return',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('QUESTION_ANSWER_RETURNED', 'question_request'),
+    async (req, res) => {
+        try {
+            const note = (req.body.note || '').trim() || null;
+            const question = await questions.returnDraft(req.tenantId, req.params.id, req.user, { note });
+            if (!question) return notFound(res);
+
+            res.json({
+                success: true,
+                question: await questionFor(req, question)
+            });
+        } catch (error) {
+            questionFailure(res, error, 'Return answer', 'Failed to send the answer back');
+        }
+    }
+);
+
+// Publish the approved answer to the asking group, or with toAll to every
+// member
+router.post('/questions/:id/publish',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('QUESTION_ANSWER_PUBLISHED', 'question_request'),
+    async (req, res) => {
+        try {
+            const question = await questions.publish(req.tenantId, req.params.id, req.user, {
+                toAll: Boolean(req.body.toAll)
+            });
+            if (!question) return notFound(res);
+
+            res.json({
+                success: true,
+                question: await questionFor(req, question)
+            });
+        } catch (error) {
+            questionFailure(res, error, 'Publish answer', 'Failed to publish the answer');
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const AuthService = require('../services/auth-service');
+const SamlProvider = require('../services/sso/saml-provider');
+const { SsoService, SsoError } = require('../services/sso-service');
+const SsoConfig = require('../models/sso-config');
+const { authenticateToken } = require('../middleware/auth-middleware');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+const sso = new SsoService();
+
+// Where the browser returns to after signing in at the identity provider
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const ssoLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30,
+    message: { error: 'Too many sign-in attempts, please try again later.' }
+});
+
+// Back to the login page with the handoff code, or with an error to show.
+// Both go in the fragment so they stay out of server logs.
+const redirectToApp = (res, params) => {
+    res.redirect(`${APP_URL}/login#${new URLSearchParams(params)}`);
+};
+
+const ssoFailure = (res, error) => {
+    if (!(error instanceof SsoError)) {
+        console.error('SSO sign-in error:', error);
+    }
+    redirectToApp(res, {
+        ssoError: error instanceof SsoError ? error.message : 'Single sign-on failed. Please try again.'
+    });
+};
+
+// SSO is part of the enterprise plan. Sends a 403 and returns false for
+// other tenants.
+function requireSsoPlan(req, res) {
+    if (req.tenant.subscription_tier !== 'enterprise') {
+        res.status(403).json({
+            success: false,
+            error: 'Single sign-on is available on the Enterprise plan'
+        });
+        return false;
+    }
+    return true;
+}
+
+// Whether a tenant's login page offers SSO
+router.get('/auth/sso/:tenantSlug', async (req, res) => {
+    try {
+        const config = await SsoConfig.findByTenantSlug(req.params.tenantSlug);
+        const enabled = Boolean(config && config.enabled && config.tenant_active);
+
+        res.json({
+            success: true,
+            enabled,
+            protocol: enabled ? config.protocol : null,
+            enforced: enabled && config.enforce_sso
+        });
+    } catch (error) {
+        console.error('Get SSO status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve single sign-on status'
+        });
+    }
+});
+
+// Start a sign-in at the tenant's identity provider
+router.get('/auth/sso/:tenantSlug/login', ssoLimiter, async (req, res) => {
+    try {
+        const config = await sso.loginConfig(req.params.tenantSlug);
+        res.redirect(await sso.startLogin(config));
+    } catch (error) {
+        ssoFailure(res, error);
+    }
+});
+
+// OpenID Connect redirect URI
+router.get('/auth/sso/:tenantSlug/oidc/callback', ssoLimiter, async (req, res) => {
+    try {
+        const config = await sso.loginConfig(req.params.tenantSlug);
+        const code = await sso.handleOidcCallback(config, {
+            state: req.query.state,
+            code: req.query.code,
+            error: req.query.error
+        });
+        redirectToApp(res, { ssoCode: code });
+    } catch (error) {
+        ssoFailure(res, error);
+    }
+});
+
+// SAML assertion consumer service (HTTP-POST binding)
+router.post('/auth/sso/:tenantSlug/saml/acs', ssoLimiter, async (req, res) => {
+    try {
+        if (!req.body.SAMLResponse) {
+            throw new SsoError('The identity provider did not send a SAML response');
+        }
+
+        const config = await sso.loginConfig(req.params.tenantSlug);
+        const code = await sso.handleSamlResponse(config, req.body.SAMLResponse);
+        redirectToApp(res, { ssoCode: code });
+    } catch (error) {
+        ssoFailure(res, error);
+    }
+});
+
+// Service provider metadata to register with the identity provider
+router.get('/auth/sso/:tenantSlug/saml/metadata', (req, res) => {
+    res.type('application/xml').send(SamlProvider.metadata(sso.endpoints(req.params.tenantSlug)));
+});
+
+// Exchange a handoff code for a session. Answers like /auth/login, so
+// members with MFA continue with the MFA step.
+router.post('/auth/sso/complete', ssoLimiter, async (req, res) => {
+    try {
+        const userId = req.body.code ? await sso.redeemHandoff(req.body.code) : null;
+        const user = userId ? await AuthService.getUserWithTenant(userId) : null;
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Sign-in expired, please try again'
+            });
+        }
+
+        const result = await AuthService.signIn(user, {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent') || null
+        });
+
+        if (result.mfaToken) {
+            return res.json({
+                success: true,
+                mfaRequired: result.mfaRequired,
+                mfaSetupRequired: result.mfaSetupRequired,
+                mfaToken: result.mfaToken
+            });
+        }
+
+        res.json({
+            success: true,
+            token: result.token,
+            refreshToken: result.refreshToken,
+            user: result.user
+        });
+    } catch (error) {
+        console.error('SSO complete error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to sign in'
+        });
+    }
+});
+
+// The tenant's SSO configuration and the addresses to give the identity
+// provider
+router.get('/sso/config',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            if (!requireSsoPlan(req, res)) return;
+
+            const config = await SsoConfig.findByTenant(req.tenantId);
+
+            res.json({
+                success: true,
+                config: SsoService.publicConfig(config),
+                endpoints: sso.endpoints(req.tenant.slug)
+            });
+        } catch (error) {
+            console.error('Get SSO config error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve single sign-on settings'
+            });
+        }
+    }
+);
+
+router.put('/sso/config',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('SSO_CONFIG_UPDATED', 'tenant'),
+    async (req, res) => {
+        try {
+            if (!requireSsoPlan(req, res)) return;
+
+            const config = await sso.saveConfig(req.tenantId, req.body);
+
+            res.json({
+                success: true,
+                config: SsoService.publicConfig(config)
+            });
+        } catch (error) {
+            if (error instanceof SsoError) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            console.error('Update SSO config error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update single sign-on settings'
+            });
+        }
+    }
+);
+
+module.exports = router;
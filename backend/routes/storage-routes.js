@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { getDriver, listDrivers } = require('../services/storage');
+const StorageService = require('../services/storage-service');
+const { WatermarkService } = require('../services/watermark-service');
+const DocumentVersion = require('../models/document-version');
+const { authenticateToken } = require('../middleware/auth-middleware');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+const storage = new StorageService();
+const watermarks = new WatermarkService();
+
+// Signed download URLs of the local storage driver. The signature stands in
+// for authentication, as with S3 pre-signed URLs.
+router.get('/storage/local/:container/*',
+    async (req, res) => {
+        try {
+            const driver = getDriver('local');
+            const container = req.params.container;
+            const key = req.params[0];
+
+            if (!driver.verifySignedUrl(container, key, req.query)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Invalid or expired download link'
+                });
+            }
+
+            if (req.query.filename) {
+                res.attachment(req.query.filename);
+            }
+
+            res.sendFile(driver.resolvePath(container, key), (error) => {
+                if (error && !res.headersSent) {
+                    res.status(error.status || 500).json({
+                        success: false,
+                        error: error.status === 404 ? 'File not found' : 'Failed to read file'
+                    });
+                }
+            });
+        } catch (error) {
+            console.error('Local storage download error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to read file'
+            });
+        }
+    }
+);
+
+// Presigned part uploads of the local storage driver. The request body is
+// the raw part; the ETag header mirrors what S3 returns.
+router.put('/storage/local/uploads/:uploadId/:partNumber',
+    async (req, res) => {
+        try {
+            const driver = getDriver('local');
+            const { uploadId, partNumber } = req.params;
+
+            if (!driver.verifyPartUrl(uploadId, partNumber, req.query)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Invalid or expired upload link'
+                });
+            }
+
+            const part = await driver.writePart(uploadId, partNumber, req);
+
+            res.set('ETag', `"${part.etag}"`).json({
+                success: true,
+                partNumber: parseInt(partNumber),
+                size: part.size
+            });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Upload not found'
+                });
+            }
+            console.error('Local storage part upload error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to store upload part'
+            });
+        }
+    }
+);
+
+// Watermarked downloads. The file is stamped with the text fixed in the
+// signed link and streamed from here instead of from storage.
+router.get('/storage/watermarked/:token',
+    async (req, res) => {
+        try {
+            const grant = watermarks.verifyDownloadToken(req.params.token);
+
+            if (!grant) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Invalid or expired download link'
+                });
+            }
+
+            const version = await DocumentVersion.findByNumber(grant.tenantId, grant.documentId, grant.version);
+
+            if (!version) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'File not found'
+                });
+            }
+
+            const file = await storage.getFile(version);
+            const watermarked = await watermarks.apply(file, version.mime_type, grant.text);
+
+            res.attachment(version.original_name);
+            res.set('Cache-Control', 'private, no-store');
+            res.type(version.mime_type).send(watermarked);
+        } catch (error) {
+            console.error('Watermarked download error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to prepare watermarked file'
+            });
+        }
+    }
+);
+
+// Superadmin: available storage drivers, for tenants.settings.storage_driver
+router.get('/storage/drivers',
+    authenticateToken,
+    tenantMiddleware.requireSuperAdmin,
+    (req, res) => {
+        res.json({
+            success: true,
+            drivers: listDrivers()
+        });
+    }
+);
+
+module.exports = router;
@@ -64,7 +64,8 @@ router.get('/superadmin/metrics/realtime',
                     SELECT 
                         COUNT(DISTINCT t.id) as healthy_tenants,
                         COUNT(DISTINCT CASE WHEN tu.storage_used_mb > 1000 THEN t.id END) as high_storage_tenants,
-                        COUNT(DISTINCT CASE WHEN tu.api_calls_count > 1000 THEN t.id END) as high_usage_tenants
+                        COUNT(DISTINCT CASE WHEN tu.api_calls_count > 1000 THEN t.id END) as high_usage_tenants,
+                        COALESCE(SUM(tu.ai_input_tokens + tu.ai_output_tokens), 0) as ai_tokens_this_month
                     FROM tenants t
                     LEFT JOIN tenant_usage tu ON t.id = tu.tenant_id 
                         AND tu.month = date_trunc('month', CURRENT_DATE)
@@ -373,7 +374,10 @@ router.get('/superadmin/system/performance',
                         COALESCE(tu.storage_used_mb, 0) as storage_mb,
                         COALESCE(tu.api_calls_count, 0) as api_calls,
                         COALESCE(tu.active_users_count, 0) as active_users,
-                        COALESCE(tu.documents_count, 0) as documents
+                        COALESCE(tu.documents_count, 0) as documents,
+                        COALESCE(tu.ai_input_tokens, 0) as ai_input_tokens,
+                        COALESCE(tu.ai_output_tokens, 0) as ai_output_tokens,
+                        COALESCE(tu.ai_requests_count, 0) as ai_requests
                     FROM tenants t
                     LEFT JOIN tenant_usage tu ON t.id = tu.tenant_id 
                         AND tu.month = date_trunc('month', CURRENT_DATE)
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Tenant = require('../models/tenant');
 const AuthService = require('../services/auth-service');
+const { hasDriver } = require('../services/storage');
 const tenantMiddleware = require('../middleware/tenant-middleware');
 const { authenticateToken } = require('../middleware/auth-middleware');
 
@@ -105,6 +106,14 @@ router.put('/tenants/:id',
             const tenantId = req.params.id;
             const updates = req.body;
 
+            const storageDriver = updates.settings && updates.settings.storage_driver;
+            if (storageDriver && !hasDriver(storageDriver)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown storage driver: ${storageDriver}`
+                });
+            }
+
             const updatedTenant = await Tenant.update(tenantId, updates);
 
             res.json({
@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const Terms = require('../models/terms');
+const { authenticateToken } = require('../middleware/auth-middleware');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+// Terms and the signed-in member's acceptance of them
+router.get('/terms',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    async (req, res) => {
+        try {
+            const status = await Terms.status(req.tenantId, req.user.id);
+
+            res.json({
+                success: true,
+                required: status.required,
+                terms: status.terms,
+                accepted: Boolean(status.accepted_at),
+                accepted_at: status.accepted_at
+            });
+        } catch (error) {
+            console.error('Get terms error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve terms'
+            });
+        }
+    }
+);
+
+// Accept the current terms. versionId names the version the member read, so
+// that terms replaced in the meantime are not accepted unseen.
+router.post('/terms/accept',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.logActivity('TERMS_ACCEPTED', 'terms'),
+    async (req, res) => {
+        try {
+            const { versionId } = req.body;
+            const current = await Terms.current(req.tenantId);
+
+            if (!current) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'There are no terms to accept'
+                });
+            }
+
+            if (versionId !== current.id) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'The terms have changed. Please read the new version.'
+                });
+            }
+
+            const acceptance = await Terms.accept(req.tenantId, current.id, req.user.id, {
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent') || null
+            });
+
+            res.json({
+                success: true,
+                accepted_at: acceptance.accepted_at,
+                version_number: current.version_number
+            });
+        } catch (error) {
+            console.error('Accept terms error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to accept terms'
+            });
+        }
+    }
+);
+
+// Versions of the terms, newest first, with how many members accepted each
+router.get('/terms/versions',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const versions = await Terms.listVersions(req.tenantId);
+
+            res.json({
+                success: true,
+                versions
+            });
+        } catch (error) {
+            console.error('Get terms versions error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve terms versions'
+            });
+        }
+    }
+);
+
+// Publish new terms. Members accept them again before their next document
+// or Q&A request once the tenant requires terms.
+router.post('/terms/versions',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    tenantMiddleware.logActivity('TERMS_PUBLISHED', 'terms'),
+    async (req, res) => {
+        try {
+            const title = (req.body.title || '').trim();
+            const body = (req.body.body || '').trim();
+
+            if (!title || !body) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Title and text are required'
+                });
+            }
+
+            const version = await Terms.publish(req.tenantId, { title, body, createdBy: req.user.id });
+
+            res.status(201).json({
+                success: true,
+                version
+            });
+        } catch (error) {
+            console.error('Publish terms error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to publish terms'
+            });
+        }
+    }
+);
+
+// Who accepted a version (default: the current one), when and from where.
+// Members who have not accepted it are listed first.
+router.get('/terms/acceptances',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    tenantMiddleware.requireTenantAdmin,
+    async (req, res) => {
+        try {
+            const version = req.query.versionId
+                ? await Terms.findVersion(req.tenantId, req.query.versionId)
+                : await Terms.current(req.tenantId);
+
+            if (!version) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Terms version not found'
+                });
+            }
+
+            const members = await Terms.acceptanceReport(req.tenantId, version.id);
+            const accepted = members.filter(member => member.accepted_at).length;
+
+            res.json({
+                success: true,
+                version: {
+                    id: version.id,
+                    version_number: version.version_number,
+                    title: version.title,
+                    created_at: version.created_at
+                },
+                summary: {
+                    members: members.length,
+                    accepted,
+                    pending: members.length - accepted
+                },
+                members
+            });
+        } catch (error) {
+            console.error('Get terms acceptances error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve terms acceptances'
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -289,6 +289,18 @@ const documentRoutes = require('./routes/document-routes');
 const analyticsRoutes = require('./routes/analytics-routes');
 const qaRoutes = require('./routes/qa-routes');
 const superAdminAnalyticsRoutes = require('./routes/superadmin-analytics-routes');
+const jobRoutes = require('./routes/job-routes');
+const folderRoutes = require('./routes/folder-routes');
+const storageRoutes = require('./routes/storage-routes');
+const accessRoutes = require('./routes/access-routes');
+const groupRoutes = require('./routes/group-routes');
+const ssoRoutes = require('./routes/sso-routes');
+const emailRoutes = require('./routes/email-routes');
+const invitationRoutes = require('./routes/invitation-routes');
+const termsRoutes = require('./routes/terms-routes');
+const questionRoutes = require('./routes/question-routes');
+const { jobQueue } = require('./services/background-jobs');
+const { hasProvider, listProviders } = require('./services/llm-providers');
 
 // Enhanced CORS with custom domain support
 const corsOptions = {
@@ -311,7 +323,7 @@ const corsOptions = {
         // Check custom domains
         checkCustomDomain(origin, callback);
     },
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'x-tenant-slug'],
     credentials: true
 };
@@ -404,6 +416,16 @@ app.use('/api', documentRoutes);
 app.use('/api', analyticsRoutes);
 app.use('/api', qaRoutes);
 app.use('/api', superAdminAnalyticsRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', folderRoutes);
+app.use('/api', storageRoutes);
+app.use('/api', accessRoutes);
+app.use('/api', groupRoutes);
+app.use('/api', ssoRoutes);
+app.use('/api', emailRoutes);
+app.use('/api', invitationRoutes);
+app.use('/api', termsRoutes);
+app.use('/api', questionRoutes);
 
 // Tenant settings with custom domain support
 app.get('/api/settings',
@@ -430,6 +452,10 @@ app.get('/api/settings',
                     primary_color: '#4F46E5',
                     secondary_color: '#10B981',
                     logo_url: null,
+                    watermark_enabled: false,
+                    watermark_template: null,
+                    require_mfa: false,
+                    require_terms: false,
                     subscription_tier: req.tenant.subscription_tier
                 });
             }
@@ -456,16 +482,40 @@ app.put('/api/settings',
                 secondary_color,
                 app_title,
                 welcome_message,
-                custom_domain
+                custom_domain,
+                ai_provider,
+                ai_model,
+                watermark_enabled,
+                watermark_template,
+                require_mfa,
+                require_terms
             } = req.body;
+
+            if (ai_provider && !hasProvider(ai_provider)) {
+                return res.status(400).json({ error: `Unknown AI provider: ${ai_provider}` });
+            }
+
+            // Requiring MFA would otherwise end the admin's own session
+            if (require_mfa && !req.user.mfa_enabled) {
+                return res.status(400).json({ error: 'Set up multi-factor authentication for your own account first' });
+            }
             
+            // AI, watermark, MFA and terms settings left out of the request
+            // keep their stored value (sent as null); empty text clears it ('')
+            const text = (value) => (value === undefined ? null : (value || ''));
+            const flag = (value) => (value === undefined ? null : Boolean(value));
+
             const query = `
                 INSERT INTO tenant_settings (
                     tenant_id, company_name, logo_url, 
                     primary_color, secondary_color, app_title,
-                    welcome_message, custom_domain
+                    welcome_message, custom_domain, ai_provider, ai_model,
+                    watermark_enabled, watermark_template, require_mfa, require_terms
+                )
+                VALUES (
+                    $1, $2, $3, $4, $5, $6, $7, $8, NULLIF($9, ''), NULLIF($10, ''),
+                    COALESCE($11, false), NULLIF($12, ''), COALESCE($13, false), COALESCE($14, false)
                 )
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
                 ON CONFLICT (tenant_id) 
                 DO UPDATE SET
                     company_name = EXCLUDED.company_name,
@@ -475,6 +525,12 @@ app.put('/api/settings',
                     app_title = EXCLUDED.app_title,
                     welcome_message = EXCLUDED.welcome_message,
                     custom_domain = EXCLUDED.custom_domain,
+                    ai_provider = NULLIF(COALESCE($9, tenant_settings.ai_provider), ''),
+                    ai_model = NULLIF(COALESCE($10, tenant_settings.ai_model), ''),
+                    watermark_enabled = COALESCE($11, tenant_settings.watermark_enabled),
+                    watermark_template = NULLIF(COALESCE($12, tenant_settings.watermark_template), ''),
+                    require_mfa = COALESCE($13, tenant_settings.require_mfa),
+                    require_terms = COALESCE($14, tenant_settings.require_terms),
                     updated_at = CURRENT_TIMESTAMP
                 RETURNING *
             `;
@@ -487,7 +543,17 @@ app.put('/api/settings',
                 secondary_color,
                 app_title,
                 welcome_message,
-                custom_domain
+                custom_domain,
+                // Empty values fall back to the server's LLM_PROVIDER and its default model
+                text(ai_provider),
+                text(ai_model),
+                // An empty template falls back to the default one
+                flag(watermark_enabled),
+                text(watermark_template),
+                // Members without MFA set it up at their next login
+                flag(require_mfa),
+                // Only holds members back once terms are published
+                flag(require_terms)
             ]);
             
             res.json(result.rows[0]);
@@ -498,6 +564,18 @@ app.put('/api/settings',
     }
 );
 
+// LLM providers a tenant can choose from in its settings
+app.get('/api/settings/ai-providers',
+    authenticateToken,
+    tenantMiddleware.extractTenant,
+    (req, res) => {
+        res.json({
+            success: true,
+            providers: listProviders()
+        });
+    }
+);
+
 // Global error handler
 app.use((err, req, res, next) => {
     console.error('Global error:', err);
@@ -558,6 +636,12 @@ async function initializeApp() {
             console.log(`   🔐 Mode: ${process.env.NODE_ENV || 'development'}`);
             console.log('\n✨ Multi-tenant architecture fully operational!\n');
         });
+
+        // Background workers (document analysis); disable with JOB_WORKER_ENABLED=false
+        // when running workers in a separate process
+        if (process.env.JOB_WORKER_ENABLED !== 'false') {
+            jobQueue.start();
+        }
         
     } catch (error) {
         console.error('❌ Failed to initialize application:', error);
@@ -569,6 +653,7 @@ const gracefulShutdown = async (signal) => {
     console.log(`\n📴 ${signal} received, shutting down gracefully...`);
     
     try {
+        await jobQueue.stop();
         await pool.end();
         console.log('✅ Database connections closed');
         process.exit(0);
@@ -578,8 +663,12 @@ const gracefulShutdown = async (signal) => {
     }
 };
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+// Start the application when run directly; tests require the app instead
+if (require.main === module) {
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+    process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+    initializeApp();
+}
 
-// Start the application
-initializeApp();
+module.exports = app;
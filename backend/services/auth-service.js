@@ -2,35 +2,68 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const pool = require('../database-pool');
 const Tenant = require('../models/tenant');
+const Session = require('../models/session');
+const PasswordReset = require('../models/password-reset');
+const SsoConfig = require('../models/sso-config');
+const MfaService = require('./mfa-service');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
+// Access tokens are short-lived; the session's refresh token renews them
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Time allowed between the password step and the MFA step of a login
+const MFA_TOKEN_TTL = '10m';
+
 class AuthService {
-    // Generate JWT with tenant context
-    static generateToken(user, tenant = null) {
+    // Generate JWT with tenant context for a session. `mfa` records that the
+    // session passed a second factor.
+    static generateToken(user, tenant = null, { mfa = false, sessionId = null } = {}) {
         const payload = {
             id: user.id,
             email: user.email,
             global_role: user.global_role,
             tenant_role: user.tenant_role,
             tenant_id: user.tenant_id,
-            tenant_slug: tenant?.slug
+            tenant_slug: tenant?.slug,
+            mfa,
+            sid: sessionId
         };
 
-        return jwt.sign(payload, JWT_SECRET, { expiresIn: '24h' });
+        return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    }
+
+    // Short-lived token for the second step of a login; it only grants
+    // access to the MFA endpoints
+    static generateMfaToken(user) {
+        return jwt.sign({ id: user.id, purpose: 'mfa' }, JWT_SECRET, { expiresIn: MFA_TOKEN_TTL });
+    }
+
+    // User id of a valid MFA step token, or null
+    static verifyMfaToken(token) {
+        try {
+            const decoded = jwt.verify(token, JWT_SECRET);
+            return decoded.purpose === 'mfa' ? decoded.id : null;
+        } catch (error) {
+            return null;
+        }
     }
 
-    // Authenticate user with tenant context
-    static async authenticate(email, password, tenantSlug = null) {
+    // Authenticate user with tenant context. Users with MFA on, or who must
+    // set it up first, get an MFA step token instead of a session. `client`
+    // holds the ipAddress and userAgent recorded on the session. Members of
+    // tenants that enforce SSO cannot use a password.
+    static async authenticate(email, password, tenantSlug = null, client = {}) {
         let query;
         let params;
 
         if (tenantSlug) {
             // Tenant-specific login
             query = `
-                SELECT u.*, t.slug as tenant_slug, t.name as tenant_name
+                SELECT u.*, t.slug as tenant_slug, t.name as tenant_name, ts.require_mfa
                 FROM users u
                 JOIN tenants t ON u.tenant_id = t.id
+                LEFT JOIN tenant_settings ts ON ts.tenant_id = t.id
                 WHERE u.email = $1 AND t.slug = $2 AND u.is_active = true
             `;
             params = [email, tenantSlug];
@@ -56,25 +89,43 @@ class AuthService {
             throw new Error('Invalid credentials');
         }
 
+        // Tenant admins keep their password so a broken identity provider
+        // cannot lock the tenant out
+        if (user.tenant_id && user.tenant_role !== 'admin' && await SsoConfig.isEnforced(user.tenant_id)) {
+            throw new Error('This organization signs in with single sign-on');
+        }
+
+        return this.signIn(user, client);
+    }
+
+    // Next login step for a user who proved who they are: an MFA step token,
+    // or a session
+    static async signIn(user, client = {}) {
+        if (user.mfa_enabled || MfaService.isRequired(user)) {
+            return {
+                mfaRequired: user.mfa_enabled,
+                mfaSetupRequired: !user.mfa_enabled,
+                mfaToken: this.generateMfaToken(user)
+            };
+        }
+
+        return this.completeLogin(user, client);
+    }
+
+    // Start a session for a user who passed every login step
+    static async completeLogin(user, { mfa = false, ipAddress = null, userAgent = null } = {}) {
         // Update last login
         await pool.query(
             'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
             [user.id]
         );
 
-        // Log session
-        if (user.tenant_id) {
-            await pool.query(
-                `INSERT INTO analytics_sessions (user_id, tenant_id, login_time, ip_address, user_agent)
-                 VALUES ($1, $2, CURRENT_TIMESTAMP, $3, $4)`,
-                [user.id, user.tenant_id, '0.0.0.0', 'web']
-            );
-        }
-
-        const token = this.generateToken(user, { slug: user.tenant_slug });
+        const session = await Session.create(user, { mfa, ipAddress, userAgent });
+        const token = this.generateToken(user, { slug: user.tenant_slug }, { mfa, sessionId: session.id });
 
         return {
             token,
+            refreshToken: session.refreshToken,
             user: {
                 id: user.id,
                 email: user.email,
@@ -83,11 +134,77 @@ class AuthService {
                 tenant_role: user.tenant_role,
                 tenant_id: user.tenant_id,
                 tenant_name: user.tenant_name,
-                tenant_slug: user.tenant_slug
+                tenant_slug: user.tenant_slug,
+                mfa_enabled: Boolean(user.mfa_enabled) || mfa
             }
         };
     }
 
+    // New access and refresh tokens for a refresh token, or null when the
+    // session is over. Sessions of users who were deactivated, or who now
+    // need MFA the session did not pass, end here.
+    static async refresh(refreshToken, client = {}) {
+        const rotated = await Session.rotate(refreshToken, client);
+        if (!rotated) return null;
+
+        const { session } = rotated;
+        const user = await this.getUserWithTenant(session.user_id);
+
+        if (!user || (!session.mfa && (user.mfa_enabled || MfaService.isRequired(user)))) {
+            await Session.revoke(session.user_id, session.id);
+            return null;
+        }
+
+        return {
+            token: this.generateToken(user, { slug: user.tenant_slug }, { mfa: session.mfa, sessionId: session.id }),
+            refreshToken: rotated.refreshToken
+        };
+    }
+
+    // Start a password reset for a member of a tenant: resolves to the user
+    // and a reset token, or null when there is no such active member or the
+    // member must sign in with SSO. Callers answer the same either way.
+    static async requestPasswordReset(email, tenantSlug, { ipAddress = null } = {}) {
+        const result = await pool.query(`
+            SELECT u.id, u.email, u.name, u.tenant_id, u.tenant_role
+            FROM users u
+            JOIN tenants t ON u.tenant_id = t.id
+            WHERE u.email = $1 AND t.slug = $2 AND u.is_active = true AND t.is_active = true
+        `, [email, tenantSlug]);
+        const user = result.rows[0];
+
+        if (!user || (user.tenant_role !== 'admin' && await SsoConfig.isEnforced(user.tenant_id))) {
+            return null;
+        }
+
+        const token = await PasswordReset.create(user, { ipAddress });
+        return { user, token };
+    }
+
+    // Set a new password with a reset token of the tenant. The token is used
+    // up, and every session of the user ends.
+    static async resetPassword(token, tenantSlug, password) {
+        const reset = await PasswordReset.consume(token, tenantSlug);
+        const user = reset && await this.getUserWithTenant(reset.user_id);
+
+        if (!user || user.tenant_id !== reset.tenant_id) {
+            throw new Error('This reset link is invalid or has expired');
+        }
+
+        // The link may predate the tenant enforcing SSO
+        if (user.tenant_role !== 'admin' && await SsoConfig.isEnforced(user.tenant_id)) {
+            throw new Error('This organization signs in with single sign-on');
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await pool.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, user.id]);
+
+        await PasswordReset.invalidate(user.id);
+        await Session.revokeAll(user.id);
+
+        return user;
+    }
+
     // Create new user with tenant assignment
     static async createUser(userData, createdBy) {
         const {
@@ -188,10 +305,9 @@ class AuthService {
                 `${tenantData.name} DataRoom`
             ]);
 
-            // Create S3 bucket for tenant
-            const S3Service = require('./s3-service');
-            const s3Service = new S3Service();
-            await s3Service.createClientBucket(tenant.slug);
+            // Create the tenant's bucket or storage directory
+            const StorageService = require('./storage-service');
+            await new StorageService().ensureTenantContainer(tenant);
 
             await client.query('COMMIT');
 
@@ -227,7 +343,8 @@ class AuthService {
                 ts.company_name,
                 ts.logo_url,
                 ts.primary_color,
-                ts.app_title
+                ts.app_title,
+                ts.require_mfa
             FROM users u
             LEFT JOIN tenants t ON u.tenant_id = t.id
             LEFT JOIN tenant_settings ts ON t.id = ts.tenant_id
@@ -0,0 +1,18 @@
+const { JobQueue } = require('./job-queue');
+const { DocumentAnalysisService } = require('./document-analysis-service');
+const { EmailService } = require('./email-service');
+
+// Shared queue and job handlers. Routes enqueue work here; server-final.js
+// starts the worker loop.
+const jobQueue = new JobQueue();
+const documentAnalysis = new DocumentAnalysisService();
+const emailService = new EmailService();
+
+documentAnalysis.registerJobs(jobQueue);
+emailService.registerJobs(jobQueue);
+
+module.exports = {
+    jobQueue,
+    documentAnalysis,
+    emailService
+};
@@ -0,0 +1,143 @@
+// Structured citations for /ask answers.
+// Retrieved chunks are presented to the model as numbered sources ([S1], [S2], ...);
+// the model cites them inline and appends a <citations> block with exact quotes,
+// which is parsed and checked against the chunk text here.
+
+const CITATIONS_BLOCK = /<citations>([\s\S]*?)(<\/citations>|$)/i;
+const INLINE_MARKER = /\[S(\d+)\]/g;
+
+const sourceId = (index) => `S${index + 1}`;
+
+const CITATION_INSTRUCTIONS = `Each excerpt is labelled with a source id such as [S1].
+            - Cite the excerpts you use inline with their source id, e.g. "Revenue grew 12% [S2]"
+            - After the answer, add a <citations> block containing a JSON array with one entry per
+              citation: {"source": "S2", "quote": "<short exact quote copied from that excerpt>"}
+            - Quotes must be copied verbatim from the excerpt, at most 200 characters
+            - If nothing in the excerpts answers the question, return an empty <citations>[]</citations> block`;
+
+// Render retrieved chunks as labelled sources for the prompt
+const formatSources = (chunks) => chunks.map((chunk, i) => `
+            [${sourceId(i)}] ${chunk.original_name}, ${chunk.label}:
+            ${chunk.content}
+            `).join('\n\n');
+
+// Collapse whitespace and map each normalized character back to its original
+// index, so a quote can be matched regardless of line breaks
+const normalizeWithMap = (text) => {
+    let normalized = '';
+    const map = [];
+    let previousSpace = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const isSpace = /\s/.test(text[i]);
+        if (isSpace && (previousSpace || normalized.length === 0)) continue;
+
+        normalized += isSpace ? ' ' : text[i].toLowerCase();
+        map.push(i);
+        previousSpace = isSpace;
+    }
+
+    return { normalized, map };
+};
+
+// Locate a quote in a chunk; returns character offsets into the chunk or null
+const locateQuote = (content, quote) => {
+    const target = normalizeWithMap(quote.replace(/^["'“”…\s]+|["'“”…\s]+$/g, '')).normalized;
+    if (!target) return null;
+
+    const { normalized, map } = normalizeWithMap(content);
+    const position = normalized.indexOf(target);
+    if (position === -1) return null;
+
+    return {
+        start: map[position],
+        end: map[position + target.length - 1] + 1
+    };
+};
+
+const parseCitationsBlock = (block) => {
+    const json = block.replace(/^\s*```(?:json)?|```\s*$/g, '').trim();
+    if (!json) return [];
+
+    try {
+        const parsed = JSON.parse(json);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        console.warn('⚠️ Could not parse citations block:', error.message);
+        return [];
+    }
+};
+
+const toCitation = (chunk, source, quote, location) => ({
+    source,
+    documentId: chunk.document_id,
+    documentName: chunk.original_name,
+    pageNumber: chunk.page_number,
+    label: chunk.label,
+    chunkIndex: chunk.chunk_index,
+    quote: location ? chunk.content.substring(location.start, location.end) : quote,
+    start: location ? location.start : null,
+    end: location ? location.end : null,
+    verified: Boolean(location)
+});
+
+// Split the model output into the answer text and verified citations.
+// Citations pointing at unknown sources are dropped; quotes that cannot be
+// found in the cited chunk are kept but marked unverified.
+const parseAnswer = (rawAnswer, chunks) => {
+    const blockMatch = rawAnswer.match(CITATIONS_BLOCK);
+    const answer = rawAnswer.replace(CITATIONS_BLOCK, '').trim();
+    const citations = [];
+    const seen = new Set();
+
+    const addCitation = (source, quote) => {
+        const index = parseInt(String(source).replace(/^\[?S/i, ''), 10) - 1;
+        const chunk = chunks[index];
+        const key = `${index}|${quote || ''}`;
+        if (!chunk || seen.has(key)) return;
+
+        seen.add(key);
+        const location = quote ? locateQuote(chunk.content, quote) : null;
+        citations.push(toCitation(chunk, sourceId(index), quote || null, location));
+    };
+
+    if (blockMatch) {
+        parseCitationsBlock(blockMatch[1]).forEach(entry => {
+            if (entry && entry.source) addCitation(entry.source, entry.quote);
+        });
+    }
+
+    // Inline markers without a quote in the block still count as citations
+    for (const match of answer.matchAll(INLINE_MARKER)) {
+        const source = `S${match[1]}`;
+        if (!citations.some(c => c.source === source)) {
+            addCitation(source, null);
+        }
+    }
+
+    return { answer, citations };
+};
+
+// Portion of a partially streamed answer that is safe to show: everything
+// before the <citations> block, holding back a trailing partial tag
+const visibleAnswerText = (partialAnswer) => {
+    const tag = '<citations>';
+    const blockStart = partialAnswer.toLowerCase().indexOf(tag);
+    if (blockStart !== -1) return partialAnswer.slice(0, blockStart);
+
+    for (let length = Math.min(tag.length - 1, partialAnswer.length); length > 0; length--) {
+        if (tag.startsWith(partialAnswer.slice(-length).toLowerCase())) {
+            return partialAnswer.slice(0, -length);
+        }
+    }
+
+    return partialAnswer;
+};
+
+module.exports = {
+    CITATION_INSTRUCTIONS,
+    formatSources,
+    locateQuote,
+    parseAnswer,
+    visibleAnswerText
+};
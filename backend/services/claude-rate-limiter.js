@@ -1,6 +1,11 @@
+const { DEFAULT_PROVIDER, createProvider } = require('./llm-providers');
 
+
+// Requests are queued per process. Besides the process-wide limit, requests made
+// for a tenant ({ tenantId, tokensPerMinute }) also count against that tenant's
+// own bucket, so one busy tenant cannot use up the whole budget.
 class ClaudeRateLimiter {
-  constructor(maxTokensPerMinute = 20000) {
+  constructor(maxTokensPerMinute = parseInt(process.env.AI_TOKENS_PER_MINUTE) || 20000) {
     this.maxTokensPerMinute = maxTokensPerMinute;
     this.tokenUsageWindow = []; // Array to track token usage with timestamps
     this.requestQueue = []; // Queue for pending requests
@@ -15,8 +20,8 @@ class ClaudeRateLimiter {
     return Math.ceil(text.length / 4);
   }
 
-  // Calculate current token usage in the last minute
-  getCurrentUsage() {
+  // Entries in the last minute, for all tenants or a single one
+  getWindow(tenantId = null) {
     const oneMinuteAgo = Date.now() - 60000;
     
     // Remove entries older than 1 minute
@@ -24,34 +29,60 @@ class ClaudeRateLimiter {
       entry => entry.timestamp > oneMinuteAgo
     );
     
+    return tenantId
+      ? this.tokenUsageWindow.filter(entry => entry.tenantId === tenantId)
+      : this.tokenUsageWindow;
+  }
+
+  // Calculate current token usage in the last minute
+  getCurrentUsage(tenantId = null) {
     // Sum up tokens used in the last minute
-    return this.tokenUsageWindow.reduce((sum, entry) => sum + entry.tokens, 0);
+    return this.getWindow(tenantId).reduce((sum, entry) => sum + entry.tokens, 0);
   }
 
   // Add token usage to the tracking window
-  addUsage(tokens) {
+  addUsage(tokens, tenantId = null) {
     this.tokenUsageWindow.push({
       timestamp: Date.now(),
-      tokens: tokens
+      tokens: tokens,
+      tenantId
     });
   }
 
   // Check if we can make a request with estimated tokens
-  canMakeRequest(estimatedTokens) {
+  canMakeRequest(estimatedTokens, tenant = null) {
     const currentUsage = this.getCurrentUsage();
-    return (currentUsage + estimatedTokens) <= this.maxTokensPerMinute;
+    if ((currentUsage + estimatedTokens) > this.maxTokensPerMinute) {
+      return false;
+    }
+
+    return !tenant ||
+      (this.getCurrentUsage(tenant.tenantId) + estimatedTokens) <= tenant.tokensPerMinute;
   }
 
-  // Calculate how long to wait before the next request
-  getWaitTime(estimatedTokens) {
-    const currentUsage = this.getCurrentUsage();
+  // Calculate how long to wait before the next request, taking the longer of
+  // the process-wide and the tenant's wait
+  getWaitTime(estimatedTokens, tenant = null) {
+    const globalWait = this.getWindowWaitTime(this.getWindow(), this.maxTokensPerMinute, estimatedTokens);
+    if (!tenant) {
+      return globalWait;
+    }
+
+    return Math.max(
+      globalWait,
+      this.getWindowWaitTime(this.getWindow(tenant.tenantId), tenant.tokensPerMinute, estimatedTokens)
+    );
+  }
+
+  getWindowWaitTime(window, limit, estimatedTokens) {
+    const currentUsage = window.reduce((sum, entry) => sum + entry.tokens, 0);
     
-    if ((currentUsage + estimatedTokens) <= this.maxTokensPerMinute) {
+    if ((currentUsage + estimatedTokens) <= limit) {
       return 0; // No wait needed
     }
 
     // Find the oldest entry that, when removed, would allow the request
-    const targetUsage = this.maxTokensPerMinute - estimatedTokens;
+    const targetUsage = limit - estimatedTokens;
     let tokensToRemove = currentUsage - targetUsage;
     
     if (tokensToRemove <= 0) {
@@ -59,7 +90,7 @@ class ClaudeRateLimiter {
     }
     
     // Sort by timestamp to find when enough tokens will "expire"
-    const sortedEntries = [...this.tokenUsageWindow].sort((a, b) => a.timestamp - b.timestamp);
+    const sortedEntries = [...window].sort((a, b) => a.timestamp - b.timestamp);
     
     let removedTokens = 0;
     let waitUntil = Date.now() + 5000; // Default 5 second wait as fallback
@@ -87,12 +118,16 @@ class ClaudeRateLimiter {
 
     try {
       while (this.requestQueue.length > 0) {
-        const request = this.requestQueue[0];
-        const estimatedTokens = request.estimatedTokens;
+        // Oldest request that fits both its tenant's bucket and the process-wide
+        // limit; requests of a tenant over its limit don't block the others
+        const index = this.requestQueue.findIndex(
+          queued => this.canMakeRequest(queued.estimatedTokens, queued.tenant)
+        );
 
-        if (this.canMakeRequest(estimatedTokens)) {
+        if (index !== -1) {
           // Remove from queue and process
-          this.requestQueue.shift();
+          const [request] = this.requestQueue.splice(index, 1);
+          const estimatedTokens = request.estimatedTokens;
           
           try {
             console.log(`🤖 Processing Claude API request (estimated: ${estimatedTokens} tokens, queue: ${this.requestQueue.length} remaining)`);
@@ -100,10 +135,11 @@ class ClaudeRateLimiter {
             const result = await request.apiCall();
             const duration = Date.now() - startTime;
             
-            // Track actual usage (estimate response tokens too)
-            const responseTokens = this.estimateTokens(result);
-            const totalTokens = estimatedTokens + responseTokens;
-            this.addUsage(totalTokens);
+            // Track actual usage when the API reports it, otherwise estimate the response
+            const totalTokens = result && result.usage
+              ? result.usage.input_tokens + result.usage.output_tokens
+              : estimatedTokens + this.estimateTokens(result);
+            this.addUsage(totalTokens, request.tenant ? request.tenant.tenantId : null);
             
             console.log(`✅ Claude API request completed in ${duration}ms (used ~${totalTokens} tokens, current usage: ${this.getCurrentUsage()}/${this.maxTokensPerMinute})`);
             
@@ -113,8 +149,10 @@ class ClaudeRateLimiter {
             request.reject(error);
           }
         } else {
-          // Wait before processing more requests
-          const waitTime = this.getWaitTime(estimatedTokens);
+          // Wait until the first queued request can go
+          const waitTime = Math.min(...this.requestQueue.map(
+            queued => this.getWaitTime(queued.estimatedTokens, queued.tenant)
+          ));
           console.log(`⏱️ Rate limit reached. Waiting ${Math.round(waitTime/1000)}s before next Claude API call (usage: ${this.getCurrentUsage()}/${this.maxTokensPerMinute})`);
           
           // CRITICAL FIX: Always wait at least 1 second to prevent infinite loops
@@ -137,8 +175,9 @@ class ClaudeRateLimiter {
     }
   }
 
-  // Queue a Claude API request
-  async queueRequest(apiCall, prompt, documentContent = null) {
+  // Queue a Claude API request. tenant ({ tenantId, tokensPerMinute }) is set
+  // for requests made on behalf of a tenant.
+  async queueRequest(apiCall, prompt, documentContent = null, tenant = null) {
     return new Promise((resolve, reject) => {
       // Estimate tokens for the request
       let estimatedTokens = this.estimateTokens(prompt);
@@ -154,10 +193,15 @@ class ClaudeRateLimiter {
       
       // Cap the estimation to prevent issues with very large documents
       estimatedTokens = Math.min(estimatedTokens, 15000); // Max ~15k tokens per request
+      if (tenant) {
+        // A request must always fit in an empty tenant bucket
+        estimatedTokens = Math.min(estimatedTokens, tenant.tokensPerMinute);
+      }
 
       const request = {
         apiCall,
         estimatedTokens,
+        tenant,
         resolve,
         reject,
         queuedAt: Date.now()
@@ -197,107 +241,146 @@ class ClaudeRateLimiter {
   }
 }
 
-// Enhanced Claude API functions with rate limiting
-const createClaudeApiWithRateLimit = (rateLimiter, apiKey) => {
-  const callClaudeWithDocument = async (prompt, base64Content, mimeType) => {
-    if (!apiKey) {
-      throw new Error('CLAUDE_API_KEY environment variable not set');
+// Enhanced Claude API functions with rate limiting. Requests go through an
+// LLM provider (see services/llm-providers); `messages` uses the provider
+// chosen by LLM_PROVIDER, forTenant() the one in a tenant's settings and
+// meters the tokens used against the tenant's quota.
+const createClaudeApiWithRateLimit = (
+  rateLimiter = new ClaudeRateLimiter(),
+  apiKey = process.env.CLAUDE_API_KEY,
+  { provider = DEFAULT_PROVIDER } = {}
+) => {
+  // One instance per provider, shared by every tenant using it
+  const providers = new Map();
+  const getProvider = (name) => {
+    if (!providers.has(name)) {
+      providers.set(name, createProvider(name, name === 'anthropic' ? { apiKey } : {}));
     }
+    return providers.get(name);
+  };
 
-    // Create the API call function
-    const apiCall = async () => {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 4000,
-          messages: [{
-            role: 'user',
-            content: [{
-              type: 'text',
-              text: prompt
-            }, {
-              type: 'document',
-              source: {
-                type: 'base64',
-                media_type: mimeType,
-                data: base64Content
-              }
-            }]
-          }]
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        
-        // Check for rate limit errors specifically
-        if (response.status === 429) {
-          throw new Error(`Claude API rate limit exceeded: ${errorText}`);
-        }
-        
-        throw new Error(`Claude API error: ${response.statusText} - ${errorText}`);
-      }
+  const promptText = (params) => [
+    params.system || '',
+    ...params.messages.map(message =>
+      typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+    )
+  ].join('\n');
 
-      const data = await response.json();
-      return data.content[0].text;
+  // Messages API surface used by the routes, mirroring the Anthropic SDK:
+  // resolves with the full response body ({ content, usage, ... })
+  const createMessages = (providerName, model, tenant = null) => {
+    const withModel = (params) => {
+      const llm = getProvider(providerName);
+      return { llm, params: { ...params, model: model || params.model || llm.defaultModel } };
     };
 
-    // Queue the request with rate limiting
-    return rateLimiter.queueRequest(apiCall, prompt, base64Content);
-  };
+    // Required lazily so the limiter can be used without a database
+    const Tenant = tenant ? require('../models/tenant') : null;
+    const bucket = tenant
+      ? { tenantId: tenant.id, tokensPerMinute: Tenant.getAiTokenLimits(tenant).perMinute }
+      : null;
 
-  const callClaude = async (prompt) => {
-    if (!apiKey) {
-      throw new Error('CLAUDE_API_KEY environment variable not set');
-    }
+    const queue = async (apiCall, request) => {
+      const result = await rateLimiter.queueRequest(apiCall, promptText(request), null, bucket);
 
-    // Create the API call function
-    const apiCall = async () => {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: 'claude-3-5-sonnet-20241022',
-          max_tokens: 4000,
-          messages: [{
-            role: 'user',
-            content: prompt
-          }]
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        
-        // Check for rate limit errors specifically
-        if (response.status === 429) {
-          throw new Error(`Claude API rate limit exceeded: ${errorText}`);
-        }
-        
-        throw new Error(`Claude API error: ${response.statusText} - ${errorText}`);
+      if (tenant && result.usage) {
+        await Tenant.recordAiUsage(tenant.id, result.usage)
+          .catch(error => console.error('AI usage tracking error:', error));
       }
 
-      const data = await response.json();
-      return data.content[0].text;
+      return result;
     };
 
-    // Queue the request with rate limiting
-    return rateLimiter.queueRequest(apiCall, prompt);
+    return {
+      create: async (params) => {
+        const { llm, params: request } = withModel(params);
+        return queue(() => llm.create(request), request);
+      },
+
+      // Stream a response, calling onText for every text delta. Resolves with the
+      // same shape as create() once the stream ends. Aborting through `signal`
+      // resolves with the partial text and stop_reason 'cancelled'.
+      stream: async (params, { onText = () => {}, signal } = {}) => {
+        const { llm, params: request } = withModel(params);
+
+        const apiCall = async () => {
+          let text = '';
+
+          try {
+            return await llm.stream(request, {
+              onText: (delta) => {
+                text += delta;
+                onText(delta);
+              },
+              signal
+            });
+          } catch (error) {
+            if (!signal || !signal.aborted) {
+              throw error;
+            }
+
+            // Cancelled by the caller: keep what was generated and estimate its cost
+            return {
+              content: [{ type: 'text', text }],
+              stop_reason: 'cancelled',
+              usage: {
+                input_tokens: rateLimiter.estimateTokens(promptText(request)),
+                output_tokens: rateLimiter.estimateTokens(text)
+              }
+            };
+          }
+        };
+
+        return queue(apiCall, request);
+      }
+    };
+  };
+
+  const messages = createMessages(provider);
+
+  // Messages API bound to a tenant (tenants row) and its provider and model
+  // (tenant_settings ai_provider / ai_model), falling back to the server defaults
+  const forTenant = (tenant, settings = {}) => {
+    return createMessages(settings.ai_provider || provider, settings.ai_model || null, tenant);
+  };
+
+  const callClaudeWithDocument = async (prompt, base64Content, mimeType) => {
+    const response = await messages.create({
+      max_tokens: 4000,
+      messages: [{
+        role: 'user',
+        content: [{
+          type: 'text',
+          text: prompt
+        }, {
+          type: 'document',
+          source: {
+            type: 'base64',
+            media_type: mimeType,
+            data: base64Content
+          }
+        }]
+      }]
+    });
+    return response.content[0].text;
+  };
+
+  const callClaude = async (prompt) => {
+    const response = await messages.create({
+      max_tokens: 4000,
+      messages: [{
+        role: 'user',
+        content: prompt
+      }]
+    });
+    return response.content[0].text;
   };
 
   return {
     callClaude,
-    callClaudeWithDocument
+    callClaudeWithDocument,
+    messages,
+    forTenant
   };
 };
 
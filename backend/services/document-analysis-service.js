@@ -0,0 +1,217 @@
+const pool = require('../database-pool');
+const DocumentPage = require('../models/document-page');
+const Tenant = require('../models/tenant');
+const DocumentVersion = require('../models/document-version');
+const StorageService = require('./storage-service');
+const { createClaudeApiWithRateLimit } = require('./claude-rate-limiter');
+const { TextExtractionService, UnsupportedDocumentTypeError } = require('./text-extraction-service');
+const DocumentIndexService = require('./document-index-service');
+const { NonRetryableJobError } = require('./job-queue');
+
+const ANALYSIS_JOB = 'document.analyze';
+
+// Character budget for extracted text sent to Claude (~4 chars per token)
+const MAX_ANALYSIS_CHARS = 40000;
+
+class DocumentAnalysisService {
+    constructor({
+        claudeApi = createClaudeApiWithRateLimit(),
+        storage = new StorageService(),
+        textExtraction = new TextExtractionService(),
+        documentIndex = new DocumentIndexService()
+    } = {}) {
+        this.claudeApi = claudeApi;
+        this.storage = storage;
+        this.textExtraction = textExtraction;
+        this.documentIndex = documentIndex;
+    }
+
+    canAnalyze(document) {
+        return this.textExtraction.canExtract(document.mime_type, document.original_name);
+    }
+
+    // Extract, index and summarize the current version of a document.
+    // progress(percent, message) is called between steps. Unless `reanalyze`
+    // is set, a version that already has an analysis keeps it.
+    async analyzeDocument(tenantId, documentId, progress = () => {}, { reanalyze = false } = {}) {
+        const docResult = await pool.query(
+            'SELECT * FROM documents WHERE id = $1 AND tenant_id = $2',
+            [documentId, tenantId]
+        );
+
+        if (docResult.rows.length === 0) {
+            throw new NonRetryableJobError('Document not found');
+        }
+
+        const document = docResult.rows[0];
+
+        // Update status to processing
+        await pool.query(
+            'UPDATE documents SET status = $1, error = NULL WHERE id = $2',
+            ['processing', documentId]
+        );
+
+        // Download the file and extract its text page by page
+        await progress(10, 'Downloading file');
+        const fileBuffer = await this.storage.getFile(document);
+
+        await progress(25, 'Extracting text');
+        let extraction;
+        try {
+            extraction = await this.textExtraction.extract(
+                fileBuffer,
+                document.mime_type,
+                document.original_name
+            );
+        } catch (error) {
+            if (error instanceof UnsupportedDocumentTypeError) {
+                throw new NonRetryableJobError(error.message);
+            }
+            throw error;
+        }
+
+        if (extraction.pages.length === 0) {
+            throw new NonRetryableJobError('No extractable text found in document');
+        }
+
+        await DocumentPage.replaceForDocument(
+            tenantId,
+            document.id,
+            extraction.pages,
+            extraction.extractor
+        );
+
+        await progress(45, 'Indexing text');
+        const chunksIndexed = await this.documentIndex.indexDocument(tenantId, document.id, extraction.pages);
+
+        // A restored version brings its earlier analysis along
+        const version = await DocumentVersion.findByNumber(tenantId, documentId, document.current_version);
+        let analysis;
+        if (version && version.analysis && !reanalyze) {
+            analysis = version.analysis;
+        } else {
+            await progress(60, 'Analyzing with AI');
+            analysis = await this.summarize(tenantId, document, extraction.pages);
+        }
+
+        // Update the analyzed version, and the document unless a newer version
+        // was uploaded in the meantime
+        await progress(90, 'Saving analysis');
+        await DocumentVersion.saveAnalysis(documentId, document.current_version, analysis);
+        const updated = await pool.query(
+            'UPDATE documents SET status = $1, analysis = $2, error = NULL WHERE id = $3 AND current_version = $4',
+            ['analyzed', analysis, documentId, document.current_version]
+        );
+
+        if (updated.rowCount === 0) {
+            return this.analyzeDocument(tenantId, documentId, progress, { reanalyze });
+        }
+
+        return {
+            analysis,
+            version: document.current_version,
+            pagesExtracted: extraction.pages.length,
+            chunksIndexed
+        };
+    }
+
+    // Summarize extracted pages with the tenant's LLM
+    async summarize(tenantId, document, pages) {
+        const tenant = await Tenant.findById(tenantId);
+        if (!tenant) {
+            throw new NonRetryableJobError('Tenant not found or inactive');
+        }
+
+        const limits = await Tenant.checkLimits(tenantId);
+        if (limits.ai_tokens.exceeded) {
+            throw new NonRetryableJobError('Monthly AI token quota exceeded');
+        }
+
+        const documentContent = `Document: ${document.original_name}
+            Type: ${document.mime_type}
+            ${pages.length} ${pages[0].unitType}(s)
+
+            ${TextExtractionService.formatForPrompt(pages, MAX_ANALYSIS_CHARS)}`;
+
+        const systemPrompt = `You are analyzing a document for a data room.
+            Extract and summarize the following:
+            1. Document type and purpose
+            2. Key information and data points
+            3. Important dates and deadlines
+            4. Main parties or stakeholders mentioned
+            5. Critical numbers, metrics, or financial data
+            6. Any risks or concerns noted
+            7. Action items or next steps
+
+            The document text is split into labelled pages, sheets or slides; reference
+            those labels where relevant.
+            Be concise but thorough. Structure your response in JSON format.`;
+
+        // Use the provider and model chosen in the tenant's settings
+        const settingsResult = await pool.query(
+            'SELECT ai_provider, ai_model FROM tenant_settings WHERE tenant_id = $1',
+            [tenantId]
+        );
+
+        const response = await this.claudeApi.forTenant(tenant, settingsResult.rows[0]).create({
+            max_tokens: 2000,
+            temperature: 0.3,
+            system: systemPrompt,
+            messages: [
+                {
+                    role: 'user',
+                    content: `Please analyze this document:\n\n${documentContent}`
+                }
+            ]
+        });
+
+        return response.content[0].text;
+    }
+
+    // Register the analysis job with a queue. Failed attempts put the document
+    // back in the queue; the error is only recorded once the job is dead.
+    registerJobs(jobQueue) {
+        this.jobQueue = jobQueue;
+        jobQueue.register(ANALYSIS_JOB, async (job, { progress }) => {
+            try {
+                await this.analyzeDocument(job.tenant_id, job.document_id, progress, {
+                    reanalyze: Boolean(job.payload && job.payload.reanalyze)
+                });
+            } catch (error) {
+                await pool.query(
+                    'UPDATE documents SET status = $1 WHERE id = $2 AND tenant_id = $3',
+                    ['queued', job.document_id, job.tenant_id]
+                );
+                throw error;
+            }
+        }, {
+            onDeadLetter: async (job, error) => {
+                await pool.query(
+                    'UPDATE documents SET status = $1, error = $2 WHERE id = $3 AND tenant_id = $4',
+                    ['error', error.message, job.document_id, job.tenant_id]
+                );
+            }
+        });
+    }
+
+    async enqueueAnalysis(tenantId, documentId, userId = null, { reanalyze = false } = {}) {
+        const job = await this.jobQueue.enqueue(ANALYSIS_JOB, {
+            tenantId,
+            documentId,
+            createdBy: userId,
+            payload: { reanalyze }
+        });
+
+        await pool.query(
+            'UPDATE documents SET status = $1, error = NULL WHERE id = $2 AND tenant_id = $3 AND status <> $4',
+            ['queued', documentId, tenantId, 'processing']
+        );
+
+        return job;
+    }
+}
+
+module.exports = {
+    DocumentAnalysisService,
+    ANALYSIS_JOB
+};
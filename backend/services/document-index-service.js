@@ -0,0 +1,116 @@
+const DocumentChunk = require('../models/document-chunk');
+const DocumentPage = require('../models/document-page');
+const { createEmbeddingProvider, cosineSimilarity } = require('./embedding-provider');
+
+const DEFAULT_CHUNK_SIZE = 1200;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+class DocumentIndexService {
+    constructor({
+        embeddingProvider = createEmbeddingProvider(),
+        chunkSize = DEFAULT_CHUNK_SIZE,
+        chunkOverlap = DEFAULT_CHUNK_OVERLAP
+    } = {}) {
+        if (chunkOverlap >= chunkSize) {
+            throw new Error('Chunk overlap must be smaller than the chunk size');
+        }
+
+        this.embeddingProvider = embeddingProvider;
+        this.chunkSize = chunkSize;
+        this.chunkOverlap = chunkOverlap;
+    }
+
+    // Split extracted pages into overlapping chunks. Chunks never span pages,
+    // so every chunk keeps the page / sheet / slide label it came from.
+    chunkPages(pages) {
+        const chunks = [];
+
+        pages.forEach(page => {
+            const text = page.text.replace(/[ \t]+/g, ' ').trim();
+            let start = 0;
+
+            while (start < text.length) {
+                let end = Math.min(start + this.chunkSize, text.length);
+
+                // Prefer to break on whitespace rather than mid-word
+                if (end < text.length) {
+                    const lastSpace = text.lastIndexOf(' ', end);
+                    if (lastSpace > start + this.chunkOverlap) {
+                        end = lastSpace;
+                    }
+                }
+
+                chunks.push({
+                    index: chunks.length,
+                    pageNumber: page.number,
+                    label: page.label,
+                    text: text.substring(start, end).trim()
+                });
+
+                if (end >= text.length) break;
+                start = end - this.chunkOverlap;
+            }
+        });
+
+        return chunks.filter(chunk => chunk.text.length > 0);
+    }
+
+    // Chunk, embed and store a document's extracted pages
+    async indexDocument(tenantId, documentId, pages) {
+        const chunks = this.chunkPages(pages);
+        const embeddings = await this.embeddingProvider.embed(chunks.map(chunk => chunk.text));
+
+        chunks.forEach((chunk, i) => {
+            chunk.embedding = embeddings[i];
+        });
+
+        await DocumentChunk.replaceForDocument(tenantId, documentId, chunks, this.embeddingProvider.name);
+        console.log(`🧩 Indexed ${chunks.length} chunk(s) for document ${documentId} with ${this.embeddingProvider.name}`);
+
+        return chunks.length;
+    }
+
+    // Index documents analyzed before the chunk store existed (or with another
+    // embedding model) from their stored pages
+    async indexMissing(tenantId, documentIds = null) {
+        const missing = await DocumentChunk.findUnindexedDocumentIds(
+            tenantId,
+            this.embeddingProvider.name,
+            documentIds
+        );
+
+        for (const documentId of missing) {
+            const rows = await DocumentPage.findByDocument(tenantId, documentId);
+            await this.indexDocument(tenantId, documentId, rows.map(row => ({
+                number: row.page_number,
+                label: row.label,
+                text: row.content
+            })));
+        }
+
+        return missing.length;
+    }
+
+    // Top-k chunks across the tenant's analyzed documents, most similar first
+    async search(tenantId, query, { topK = 8, documentIds = null } = {}) {
+        const [queryEmbedding] = await this.embeddingProvider.embed([query]);
+        const model = this.embeddingProvider.name;
+        const scope = documentIds && documentIds.length > 0 ? documentIds : null;
+
+        if (await DocumentChunk.hasVectorColumn()) {
+            return DocumentChunk.searchByVector(tenantId, queryEmbedding, model, topK, scope);
+        }
+
+        const candidates = await DocumentChunk.findCandidates(tenantId, model, scope);
+
+        return candidates
+            .map(({ embedding, ...chunk }) => ({
+                ...chunk,
+                score: cosineSimilarity(queryEmbedding, embedding)
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+}
+
+module.exports = DocumentIndexService;
@@ -0,0 +1,178 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { PDFDocument } = require('pdf-lib');
+const StorageService = require('./storage-service');
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+// Converted to PDF with LibreOffice before rendering
+const OFFICE_FILES = /\.(docx?|xlsx?|pptx?|odt|ods|odp|rtf|txt)$/i;
+
+// Pages are rendered at 96 DPI times one of these scales, so zooming only
+// ever produces a few cached sizes per page
+const RENDER_SCALES = [1, 1.5, 2, 3];
+
+// The converters are not installed on this server
+class ViewerUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ViewerUnavailableError';
+    }
+}
+
+const runCommand = (command, args, timeout) => new Promise((resolve, reject) => {
+    execFile(command, args, { timeout }, (error, stdout, stderr) => {
+        if (error && error.code === 'ENOENT') {
+            return reject(new ViewerUnavailableError(`${command} is not installed`));
+        }
+        if (error) {
+            return reject(new Error(`${command} failed: ${stderr || error.message}`));
+        }
+        resolve(stdout);
+    });
+});
+
+// Renders document versions to page images: PDFs with pdftoppm (poppler),
+// Office files after a LibreOffice conversion to PDF. Conversions and
+// rendered pages are cached on local disk per version.
+class DocumentViewerService {
+    constructor({
+        storage = new StorageService(),
+        cachePath = process.env.VIEWER_CACHE_PATH || path.join(os.tmpdir(), 'dataroom-viewer'),
+        pdftoppmPath = process.env.PDFTOPPM_PATH || 'pdftoppm',
+        sofficePath = process.env.SOFFICE_PATH || 'soffice',
+        run = runCommand
+    } = {}) {
+        this.storage = storage;
+        this.cachePath = cachePath;
+        this.pdftoppmPath = pdftoppmPath;
+        this.sofficePath = sofficePath;
+        this.run = run;
+    }
+
+    static canRender(mimeType, fileName) {
+        return mimeType === 'application/pdf' || IMAGE_TYPES.includes(mimeType) || OFFICE_FILES.test(fileName || '');
+    }
+
+    // Closest supported render scale
+    static renderScale(scale) {
+        const value = parseFloat(scale) || 1;
+        return RENDER_SCALES.reduce((best, candidate) => (
+            Math.abs(candidate - value) < Math.abs(best - value) ? candidate : best
+        ));
+    }
+
+    // Versions never change, so their cache entries stay valid until the
+    // document is deleted
+    documentDir(tenantId, documentId) {
+        return path.join(this.cachePath, String(tenantId), String(documentId));
+    }
+
+    versionDir(file) {
+        return path.join(this.documentDir(file.tenant_id, file.document_id), `v${file.version_number}`);
+    }
+
+    // Contents of a cache file, created with create() when missing. Files are
+    // written under a temporary name first so readers never see half of one.
+    async cached(filePath, create) {
+        try {
+            return await fs.readFile(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const data = await create();
+        const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, filePath);
+        return data;
+    }
+
+    // Path of the version as a PDF
+    async getPdfPath(file) {
+        const pdfPath = path.join(this.versionDir(file), 'document.pdf');
+
+        await this.cached(pdfPath, async () => {
+            const original = await this.storage.getFile(file);
+            return file.mime_type === 'application/pdf'
+                ? original
+                : this.convertToPdf(original, file.original_name);
+        });
+
+        return pdfPath;
+    }
+
+    async convertToPdf(buffer, fileName) {
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dataroom-convert-'));
+
+        try {
+            const input = path.join(workDir, `document${path.extname(fileName).toLowerCase()}`);
+            await fs.writeFile(input, buffer);
+            await this.run(this.sofficePath, ['--headless', '--convert-to', 'pdf', '--outdir', workDir, input], 120000);
+            return await fs.readFile(path.join(workDir, 'document.pdf'));
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    async pageCount(file) {
+        if (IMAGE_TYPES.includes(file.mime_type)) return 1;
+
+        const count = await this.cached(path.join(this.versionDir(file), 'page-count'), async () => {
+            const pdf = await PDFDocument.load(await fs.readFile(await this.getPdfPath(file)), {
+                ignoreEncryption: true,
+                updateMetadata: false
+            });
+            return String(pdf.getPageCount());
+        });
+
+        return parseInt(count.toString());
+    }
+
+    // Image of one page; images are their own single page
+    async renderPage(file, pageNumber, scale = 1) {
+        if (IMAGE_TYPES.includes(file.mime_type)) {
+            return { data: await this.storage.getFile(file), contentType: file.mime_type };
+        }
+
+        const renderScale = DocumentViewerService.renderScale(scale);
+        const pagePath = path.join(this.versionDir(file), `page-${pageNumber}@${renderScale}x.png`);
+
+        const data = await this.cached(pagePath, async () => {
+            const pdfPath = await this.getPdfPath(file);
+            const outputBase = `${pagePath}.${crypto.randomBytes(6).toString('hex')}`;
+
+            await this.run(this.pdftoppmPath, [
+                '-png',
+                '-r', String(Math.round(96 * renderScale)),
+                '-f', String(pageNumber),
+                '-l', String(pageNumber),
+                '-singlefile',
+                pdfPath,
+                outputBase
+            ], 60000);
+
+            try {
+                return await fs.readFile(`${outputBase}.png`);
+            } finally {
+                await fs.rm(`${outputBase}.png`, { force: true });
+            }
+        });
+
+        return { data, contentType: 'image/png' };
+    }
+
+    async clearCache(tenantId, documentId) {
+        await fs.rm(this.documentDir(tenantId, documentId), { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    DocumentViewerService,
+    ViewerUnavailableError,
+    RENDER_SCALES
+};
@@ -0,0 +1,142 @@
+const pool = require('../database-pool');
+const EmailDelivery = require('../models/email-delivery');
+const { getTransport } = require('./email');
+const { renderEmail } = require('./email/templates');
+
+const EMAIL_JOB = 'email.send';
+
+// Transient SMTP failures usually clear within a few retries
+const MAX_ATTEMPTS = 5;
+
+// Tenant-branded transactional email. Messages are rendered when they are
+// sent, recorded in the delivery log and handed to the job queue, which
+// delivers them through the configured transport and retries failures.
+class EmailService {
+    constructor({
+        transport = null,
+        from = process.env.EMAIL_FROM || 'Smart DataRoom <no-reply@localhost>',
+        appUrl = process.env.APP_URL || 'http://localhost:3000'
+    } = {}) {
+        this.transport = transport;
+        this.from = from;
+        this.appUrl = appUrl.replace(/\/+$/, '');
+        this.jobQueue = null;
+    }
+
+    getTransport() {
+        return this.transport || getTransport();
+    }
+
+    registerJobs(jobQueue) {
+        this.jobQueue = jobQueue;
+        jobQueue.register(EMAIL_JOB, async (job) => {
+            await this.deliver(job.payload.deliveryId);
+        }, {
+            onDeadLetter: async (job) => {
+                await EmailDelivery.markFailed(job.payload.deliveryId);
+            }
+        });
+    }
+
+    // Absolute frontend URL of a path such as /invite/<token>
+    link(path) {
+        return `${this.appUrl}${path}`;
+    }
+
+    // Branding of a tenant's emails
+    async tenantSettings(tenantId) {
+        const result = await pool.query(`
+            SELECT ts.app_title, ts.company_name, ts.primary_color, ts.logo_url, t.name as tenant_name
+            FROM tenants t
+            LEFT JOIN tenant_settings ts ON ts.tenant_id = t.id
+            WHERE t.id = $1
+        `, [tenantId]);
+        return result.rows[0] || {};
+    }
+
+    // Render a template and queue it; resolves to the delivery log entry
+    async send(tenantId, template, to, data = {}, { createdBy = null } = {}) {
+        const message = renderEmail(template, data, await this.tenantSettings(tenantId));
+        const delivery = await EmailDelivery.create(tenantId, { template, to, ...message, createdBy });
+
+        await this.enqueue(tenantId, delivery.id, createdBy);
+        return delivery;
+    }
+
+    async enqueue(tenantId, deliveryId, createdBy = null) {
+        if (!this.jobQueue) {
+            throw new Error('Email jobs are not registered');
+        }
+        await this.jobQueue.enqueue(EMAIL_JOB, {
+            tenantId,
+            payload: { deliveryId },
+            createdBy,
+            maxAttempts: MAX_ATTEMPTS
+        });
+    }
+
+    // Queue a failed delivery again (admins); null unless it failed
+    async retry(tenantId, deliveryId, userId = null) {
+        const delivery = await EmailDelivery.requeue(tenantId, deliveryId);
+        if (delivery) {
+            await this.enqueue(tenantId, delivery.id, userId);
+        }
+        return delivery;
+    }
+
+    // Job handler: send one logged message. Throwing leaves the retry to the
+    // job queue.
+    async deliver(deliveryId) {
+        const delivery = await EmailDelivery.findById(deliveryId);
+        if (!delivery || delivery.status === 'sent') return;
+
+        const transport = this.getTransport();
+        try {
+            const result = await transport.send({
+                from: this.from,
+                to: delivery.to_address,
+                subject: delivery.subject,
+                html: delivery.html_body,
+                text: delivery.text_body
+            });
+            await EmailDelivery.markSent(delivery.id, { transport: transport.name, messageId: result.messageId });
+        } catch (error) {
+            await EmailDelivery.recordFailure(delivery.id, { transport: transport.name, error: error.message });
+            throw error;
+        }
+    }
+
+    async sendInvitation(tenantId, invitation, inviter = null) {
+        return this.send(tenantId, 'invitation', invitation.email, {
+            inviterName: inviter && inviter.name,
+            role: invitation.role,
+            link: this.link(`/invite/${invitation.token}`),
+            expiresAt: invitation.expires_at
+        }, { createdBy: inviter && inviter.id });
+    }
+
+    // The link names the tenant, as reset tokens only work for their own
+    async sendPasswordReset(tenantId, user, { token, tenantSlug, expiresInMinutes }) {
+        return this.send(tenantId, 'password_reset', user.email, {
+            name: user.name,
+            link: this.link(`/reset-password/${token}?tenant=${encodeURIComponent(tenantSlug)}`),
+            expiresInMinutes
+        });
+    }
+
+    // Tell members about something that happened in the data room. `path`
+    // is where the email's button leads.
+    async notifyActivity(tenantId, recipients, { title, message, path = '/', linkLabel = null }) {
+        return Promise.all(recipients.map(recipient => this.send(tenantId, 'activity', recipient.email, {
+            title,
+            message,
+            link: this.link(path),
+            linkLabel
+        })));
+    }
+}
+
+module.exports = {
+    EmailService,
+    EMAIL_JOB
+};
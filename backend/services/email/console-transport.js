@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// Prints messages to the server log instead of sending them. The default
+// until a transport is configured, so invitation links stay reachable.
+class ConsoleTransport {
+    constructor({ log = console.log } = {}) {
+        this.name = 'console';
+        this.log = log;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async send(message) {
+        const messageId = `<${crypto.randomUUID()}@console>`;
+        this.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId };
+    }
+}
+
+module.exports = ConsoleTransport;
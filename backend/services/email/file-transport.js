@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Writes each message as an .eml file under EMAIL_FILE_PATH, for local
+// development and staging servers that must not send real email
+class FileTransport {
+    constructor({
+        directory = process.env.EMAIL_FILE_PATH || path.join(__dirname, '..', '..', 'storage', '.emails')
+    } = {}) {
+        this.name = 'file';
+        this.directory = path.resolve(directory);
+        this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(path.join(this.directory, fileName), info.message);
+
+        return { messageId: info.messageId, path: path.join(this.directory, fileName) };
+    }
+}
+
+module.exports = FileTransport;
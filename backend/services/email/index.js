@@ -0,0 +1,40 @@
+const SmtpTransport = require('./smtp-transport');
+const FileTransport = require('./file-transport');
+const ConsoleTransport = require('./console-transport');
+
+// Transports implement { name, isConfigured(), send({ from, to, subject,
+// html, text }) } and resolve to { messageId }
+const transports = {
+    smtp: (options) => new SmtpTransport(options),
+    file: (options) => new FileTransport(options),
+    console: (options) => new ConsoleTransport(options)
+};
+
+const DEFAULT_TRANSPORT = process.env.EMAIL_TRANSPORT || 'console';
+
+// Transport instances hold connection pools, so they are shared
+const instances = new Map();
+
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+    instances.delete(name);
+};
+
+const hasTransport = (name) => Object.prototype.hasOwnProperty.call(transports, name);
+
+const getTransport = (name = DEFAULT_TRANSPORT) => {
+    if (!hasTransport(name)) {
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+    if (!instances.has(name)) {
+        instances.set(name, transports[name]());
+    }
+    return instances.get(name);
+};
+
+module.exports = {
+    DEFAULT_TRANSPORT,
+    registerTransport,
+    hasTransport,
+    getTransport
+};
@@ -0,0 +1,38 @@
+const nodemailer = require('nodemailer');
+
+// Sends through an SMTP relay (SES, SendGrid, Postfix...) configured with
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASSWORD
+class SmtpTransport {
+    constructor({
+        host = process.env.SMTP_HOST,
+        port = parseInt(process.env.SMTP_PORT) || 587,
+        secure = process.env.SMTP_SECURE === 'true',
+        user = process.env.SMTP_USER,
+        password = process.env.SMTP_PASSWORD,
+        ignoreTLS = false
+    } = {}) {
+        this.name = 'smtp';
+        this.host = host;
+        this.transporter = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            ignoreTLS,
+            auth: user ? { user, pass: password } : undefined,
+            connectionTimeout: 10000,
+            greetingTimeout: 10000,
+            socketTimeout: 30000
+        });
+    }
+
+    isConfigured() {
+        return Boolean(this.host);
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,109 @@
+const DEFAULT_COLOR = '#4F46E5';
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatDate = (value) => new Date(value).toUTCString().replace(/:\d\d GMT$/, ' UTC');
+
+// Each template gives the subject, paragraphs, an optional call to action
+// and a closing note
+const templates = {
+    invitation: ({ inviterName, role, link, expiresAt }, { appTitle, companyName }) => ({
+        subject: `You're invited to ${appTitle}`,
+        paragraphs: [
+            `${inviterName || 'An administrator'} invited you to join ${companyName} on ${appTitle}${role ? ` as ${role === 'admin' ? 'an admin' : `a ${role}`}` : ''}.`,
+            'Accept the invitation to choose your password and open the data room.'
+        ],
+        action: { label: 'Accept invitation', url: link },
+        note: expiresAt ? `This invitation expires on ${formatDate(expiresAt)}.` : null
+    }),
+
+    password_reset: ({ name, link, expiresInMinutes }, { appTitle }) => ({
+        subject: `Reset your ${appTitle} password`,
+        paragraphs: [
+            `Hi ${name || 'there'},`,
+            `We received a request to reset your ${appTitle} password.`
+        ],
+        action: { label: 'Choose a new password', url: link },
+        note: `The link works once and expires in ${expiresInMinutes || 60} minutes. If you did not ask for it, you can ignore this email.`
+    }),
+
+    activity: ({ title, message, link, linkLabel }, { appTitle }) => ({
+        subject: `[${appTitle}] ${title}`,
+        paragraphs: [message],
+        action: link ? { label: linkLabel || 'Open the data room', url: link } : null,
+        note: null
+    })
+};
+
+// Tenant branding from tenant_settings, with the app's defaults. Only
+// hosted logos are used; clients block inline data URLs.
+const resolveBranding = (settings = {}) => ({
+    appTitle: settings.app_title || 'Smart DataRoom',
+    companyName: settings.company_name || settings.tenant_name || settings.app_title || 'Smart DataRoom',
+    primaryColor: /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(settings.primary_color || '') ? settings.primary_color : DEFAULT_COLOR,
+    logoUrl: /^https?:\/\//.test(settings.logo_url || '') ? settings.logo_url : null
+});
+
+const renderHtml = (content, branding) => {
+    const color = branding.primaryColor;
+    const header = branding.logoUrl
+        ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.companyName)}" style="max-height:40px;">`
+        : `<span style="color:#ffffff;font-size:20px;font-weight:bold;">${escapeHtml(branding.appTitle)}</span>`;
+
+    const paragraphs = content.paragraphs
+        .map(text => `<p style="margin:0 0 16px;">${escapeHtml(text)}</p>`)
+        .join('');
+
+    const action = content.action
+        ? `<p style="margin:24px 0;"><a href="${escapeHtml(content.action.url)}" style="background:${color};color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block;">${escapeHtml(content.action.label)}</a></p>`
+            + `<p style="margin:0 0 16px;font-size:12px;color:#6b7280;">Or open this link: ${escapeHtml(content.action.url)}</p>`
+        : '';
+
+    const note = content.note
+        ? `<p style="margin:0;font-size:12px;color:#6b7280;">${escapeHtml(content.note)}</p>`
+        : '';
+
+    return `<!DOCTYPE html><html><body style="margin:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">`
+        + '<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center" style="padding:24px;">'
+        + '<table role="presentation" width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;overflow:hidden;">'
+        + `<tr><td style="background:${color};padding:20px 24px;">${header}</td></tr>`
+        + `<tr><td style="padding:24px;font-size:15px;line-height:1.5;">${paragraphs}${action}${note}</td></tr>`
+        + `<tr><td style="padding:16px 24px;font-size:12px;color:#6b7280;border-top:1px solid #e5e7eb;">Sent by ${escapeHtml(branding.companyName)} via ${escapeHtml(branding.appTitle)}</td></tr>`
+        + '</table></td></tr></table></body></html>';
+};
+
+const renderText = (content, branding) => [
+    ...content.paragraphs,
+    ...(content.action ? [`${content.action.label}: ${content.action.url}`] : []),
+    ...(content.note ? [content.note] : []),
+    `-- \nSent by ${branding.companyName} via ${branding.appTitle}`
+].join('\n\n');
+
+const hasTemplate = (name) => Object.prototype.hasOwnProperty.call(templates, name);
+
+// { subject, html, text } of a template for a tenant's settings
+const renderEmail = (name, data, settings) => {
+    if (!hasTemplate(name)) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const branding = resolveBranding(settings);
+    const content = templates[name](data, branding);
+
+    return {
+        subject: content.subject,
+        html: renderHtml(content, branding),
+        text: renderText(content, branding)
+    };
+};
+
+module.exports = {
+    hasTemplate,
+    renderEmail,
+    resolveBranding
+};
@@ -0,0 +1,91 @@
+// Embedding providers turn text into fixed-length vectors for chunk retrieval.
+// A provider exposes { name, dimensions, embed(texts) } and must be
+// deterministic so that query and chunk vectors are comparable.
+
+// 32-bit FNV-1a hash
+const hashToken = (token, seed = 0x811c9dc5) => {
+    let hash = seed;
+    for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Local embedder using the hashing trick over words and word bigrams.
+// Needs no model download or external API, so it works in every environment.
+class HashingEmbeddingProvider {
+    constructor({ dimensions = 512 } = {}) {
+        this.dimensions = dimensions;
+        this.name = `local-hashing-${dimensions}`;
+    }
+
+    embedOne(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const tokens = tokenize(text);
+        const counts = new Map();
+
+        tokens.forEach((token, i) => {
+            counts.set(token, (counts.get(token) || 0) + 1);
+            if (i > 0) {
+                const bigram = `${tokens[i - 1]} ${token}`;
+                counts.set(bigram, (counts.get(bigram) || 0) + 1);
+            }
+        });
+
+        counts.forEach((count, feature) => {
+            const hash = hashToken(feature);
+            const sign = hashToken(feature, 0x9747b28c) & 1 ? 1 : -1;
+            vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+        });
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedOne(text));
+    }
+}
+
+const providers = {
+    'local-hashing': (options) => new HashingEmbeddingProvider(options)
+};
+
+// Register an additional provider factory, e.g. one backed by a local model server
+const registerEmbeddingProvider = (name, factory) => {
+    providers[name] = factory;
+};
+
+const createEmbeddingProvider = (name = process.env.EMBEDDING_PROVIDER || 'local-hashing', options = {}) => {
+    const factory = providers[name];
+
+    if (!factory) {
+        throw new Error(`Unknown embedding provider: ${name}`);
+    }
+
+    return factory(options);
+};
+
+const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+module.exports = {
+    HashingEmbeddingProvider,
+    registerEmbeddingProvider,
+    createEmbeddingProvider,
+    cosineSimilarity
+};
@@ -0,0 +1,54 @@
+// DOCX extractor: splits word/document.xml on explicit and rendered page breaks
+const JSZip = require('jszip');
+const { collectTagText, normalizeText } = require('./xml-text');
+
+const PAGE_BREAK = /<w:br\b[^>]*w:type="page"[^>]*\/>|<w:lastRenderedPageBreak\/>/;
+
+function paragraphText(paragraphXml) {
+    // Tabs and soft line breaks live outside <w:t>, so map them first
+    const withBreaks = paragraphXml
+        .replace(/<w:tab\/>/g, '<w:t>\t</w:t>')
+        .replace(/<w:br\/>/g, '<w:t>\n</w:t>');
+
+    return collectTagText(withBreaks, 'w:t').join('');
+}
+
+module.exports = {
+    name: 'docx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+
+    async extract(buffer) {
+        const zip = await JSZip.loadAsync(buffer);
+        const documentFile = zip.file('word/document.xml');
+
+        if (!documentFile) {
+            throw new Error('Invalid DOCX file: word/document.xml not found');
+        }
+
+        const xml = await documentFile.async('string');
+        const paragraphs = xml.match(/<w:p\b[\s\S]*?<\/w:p>/g) || [];
+
+        const pages = [[]];
+        for (const paragraph of paragraphs) {
+            const segments = paragraph.split(PAGE_BREAK);
+
+            segments.forEach((segment, index) => {
+                if (index > 0 && pages[pages.length - 1].length > 0) {
+                    pages.push([]);
+                }
+                const text = paragraphText(segment);
+                if (text) {
+                    pages[pages.length - 1].push(text);
+                }
+            });
+        }
+
+        return pages.map((lines, index) => ({
+            unitType: 'page',
+            number: index + 1,
+            label: `Page ${index + 1}`,
+            text: normalizeText(lines.join('\n'))
+        }));
+    }
+};
@@ -0,0 +1,59 @@
+// PDF extractor: one unit per page, using pdf.js through pdf-parse
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { normalizeText } = require('./xml-text');
+
+// Rebuild line breaks from the vertical position of each text item
+async function renderPageText(pageData) {
+    const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+    });
+
+    let lastY = null;
+    let text = '';
+
+    for (const item of textContent.items) {
+        const y = item.transform[5];
+        if (lastY !== null && y !== lastY) {
+            text += '\n';
+        }
+        text += item.str;
+        lastY = y;
+    }
+
+    return text;
+}
+
+module.exports = {
+    name: 'pdf',
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+
+    async extract(buffer) {
+        const pages = [];
+
+        // pdf.js reads the underlying ArrayBuffer from offset 0, so small pooled
+        // Buffers have to be copied into their own backing store first
+        const data = new Uint8Array(buffer);
+
+        await pdfParse(data, {
+            pagerender: async (pageData) => {
+                const text = await renderPageText(pageData);
+                pages.push({
+                    number: pageData.pageIndex + 1,
+                    text
+                });
+                return text;
+            }
+        });
+
+        return pages
+            .sort((a, b) => a.number - b.number)
+            .map(page => ({
+                unitType: 'page',
+                number: page.number,
+                label: `Page ${page.number}`,
+                text: normalizeText(page.text)
+            }));
+    }
+};
@@ -0,0 +1,38 @@
+// PPTX extractor: one unit per slide, in presentation order
+const JSZip = require('jszip');
+const { collectTagText, normalizeText } = require('./xml-text');
+
+const SLIDE_PATH = /^ppt\/slides\/slide(\d+)\.xml$/;
+
+module.exports = {
+    name: 'pptx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extensions: ['.pptx'],
+
+    async extract(buffer) {
+        const zip = await JSZip.loadAsync(buffer);
+
+        const slideFiles = Object.keys(zip.files)
+            .map(path => ({ path, match: path.match(SLIDE_PATH) }))
+            .filter(entry => entry.match)
+            .map(entry => ({ path: entry.path, number: parseInt(entry.match[1], 10) }))
+            .sort((a, b) => a.number - b.number);
+
+        const slides = [];
+        for (const slideFile of slideFiles) {
+            const xml = await zip.file(slideFile.path).async('string');
+            const paragraphs = (xml.match(/<a:p\b[\s\S]*?<\/a:p>/g) || [])
+                .map(paragraph => collectTagText(paragraph, 'a:t').join(''))
+                .filter(Boolean);
+
+            slides.push({
+                unitType: 'slide',
+                number: slideFile.number,
+                label: `Slide ${slideFile.number}`,
+                text: normalizeText(paragraphs.join('\n'))
+            });
+        }
+
+        return slides;
+    }
+};
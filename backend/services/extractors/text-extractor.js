@@ -0,0 +1,19 @@
+// Plain text extractor: form feeds mark page boundaries, otherwise a single page
+module.exports = {
+    name: 'text',
+    mimeTypes: ['text/plain', 'text/markdown'],
+    extensions: ['.txt', '.md'],
+
+    async extract(buffer) {
+        const text = buffer.toString('utf8')
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n/g, '\n');
+
+        return text.split('\f').map((pageText, index) => ({
+            unitType: 'page',
+            number: index + 1,
+            label: `Page ${index + 1}`,
+            text: pageText.trim()
+        }));
+    }
+};
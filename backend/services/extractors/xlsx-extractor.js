@@ -0,0 +1,29 @@
+// Spreadsheet extractor: one unit per worksheet, rendered as CSV
+const XLSX = require('xlsx');
+
+module.exports = {
+    name: 'xlsx',
+    mimeTypes: [
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-excel',
+        'text/csv'
+    ],
+    extensions: ['.xlsx', '.xls', '.csv'],
+
+    async extract(buffer) {
+        const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+
+        return workbook.SheetNames.map((sheetName, index) => {
+            const csv = XLSX.utils.sheet_to_csv(workbook.Sheets[sheetName], {
+                blankrows: false
+            });
+
+            return {
+                unitType: 'sheet',
+                number: index + 1,
+                label: `Sheet: ${sheetName}`,
+                text: csv.trim()
+            };
+        });
+    }
+};
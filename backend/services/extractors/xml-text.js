@@ -0,0 +1,43 @@
+// Helpers shared by the Office Open XML extractors (DOCX, PPTX)
+
+const XML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': "'"
+};
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+}
+
+// Collect the inner text of every <tag>...</tag> element in an XML fragment
+function collectTagText(xml, tag) {
+    const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+    const parts = [];
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+        parts.push(decodeXmlEntities(match[1]));
+    }
+
+    return parts;
+}
+
+// Collapse runs of blank lines and trailing whitespace left over from markup
+function normalizeText(text) {
+    return text
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    decodeXmlEntities,
+    collectTagText,
+    normalizeText
+};
@@ -0,0 +1,254 @@
+const XLSX = require('xlsx');
+const pool = require('../database-pool');
+const Invitation = require('../models/invitation');
+const UserGroup = require('../models/user-group');
+const Tenant = require('../models/tenant');
+
+const TENANT_ROLES = ['admin', 'user', 'investor'];
+
+// Invitation links are valid this long, and can be extended by up to
+// MAX_EXTENSION_DAYS at a time
+const INVITATION_TTL_DAYS = 7;
+const MAX_EXTENSION_DAYS = 30;
+
+const MAX_BULK_ROWS = 500;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Request problems, shown to the admin as they are
+class InvitationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvitationError';
+    }
+}
+
+class InvitationService {
+    constructor({ emailService }) {
+        this.emailService = emailService;
+    }
+
+    static get roles() {
+        return TENANT_ROLES;
+    }
+
+    // Queue the invitation email. The invitation stands if it cannot be
+    // queued, as the admin still has the link; resolves to whether it was.
+    async send(tenantId, invitation, inviter) {
+        try {
+            await this.emailService.sendInvitation(tenantId, invitation, inviter);
+            await Invitation.markSent(invitation.id);
+            return true;
+        } catch (error) {
+            console.error('Invitation email error:', error);
+            return false;
+        }
+    }
+
+    async invite(tenantId, { email, role = 'user', groupId = null }, inviter) {
+        const invitation = await Invitation.create(tenantId, {
+            email,
+            role,
+            groupId,
+            invitedBy: inviter.id,
+            ttlDays: INVITATION_TTL_DAYS
+        });
+        const emailQueued = await this.send(tenantId, invitation, inviter);
+
+        return { invitation, emailQueued };
+    }
+
+    // Send a pending invitation's email again, with the same link. Null when
+    // there is no such invitation.
+    async resend(tenantId, id, inviter) {
+        const invitation = await Invitation.findById(tenantId, id);
+        if (!invitation) return null;
+
+        if (invitation.status === 'expired') {
+            throw new InvitationError('This invitation has expired; extend it before sending it again');
+        }
+        if (invitation.status !== 'pending') {
+            throw new InvitationError(`This invitation was ${invitation.status}`);
+        }
+
+        const emailQueued = await this.send(tenantId, invitation, inviter);
+        return { invitation, emailQueued };
+    }
+
+    // Null when there is no such invitation
+    async revoke(tenantId, id) {
+        const invitation = await Invitation.findById(tenantId, id);
+        if (!invitation) return null;
+
+        const revoked = await Invitation.revoke(tenantId, id);
+        if (!revoked) {
+            throw new InvitationError(`This invitation was already ${invitation.status}`);
+        }
+        return revoked;
+    }
+
+    // Let the link work for `days` more days from now. Null when there is
+    // no such invitation.
+    async extend(tenantId, id, days = INVITATION_TTL_DAYS) {
+        const extension = parseInt(days);
+        if (!(extension >= 1 && extension <= MAX_EXTENSION_DAYS)) {
+            throw new InvitationError(`Invitations can be extended by 1 to ${MAX_EXTENSION_DAYS} days`);
+        }
+
+        const invitation = await Invitation.findById(tenantId, id);
+        if (!invitation) return null;
+
+        const extended = await Invitation.extend(tenantId, id, extension);
+        if (!extended) {
+            throw new InvitationError(`This invitation was ${invitation.status}`);
+        }
+        return extended;
+    }
+
+    // Rows of a CSV file as { row, email, role, group }, where row is the
+    // line number. A header row naming an "email" column is optional; without
+    // one the columns are email, role, group.
+    static parseCsv(text) {
+        const workbook = XLSX.read(String(text || ''), { type: 'string', raw: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        const lines = sheet
+            ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true })
+            : [];
+
+        const heading = (lines[0] || []).map(cell => String(cell).trim().toLowerCase());
+        const hasHeader = heading.includes('email');
+        const column = (name, position) => (hasHeader ? heading.indexOf(name) : position);
+        const columns = { email: column('email', 0), role: column('role', 1), group: column('group', 2) };
+        const cell = (line, index) => (index >= 0 && line[index] !== undefined ? String(line[index]).trim() : '');
+
+        return lines
+            .map((line, index) => ({
+                row: index + 1,
+                email: cell(line, columns.email),
+                role: cell(line, columns.role).toLowerCase(),
+                group: cell(line, columns.group)
+            }))
+            .slice(hasHeader ? 1 : 0)
+            .filter(line => line.email || line.role || line.group);
+    }
+
+    // Invite everyone in a CSV file. Each row is checked and gets its own
+    // result; rows with problems are skipped and the others invited. Empty
+    // role and group cells take the defaults. With dryRun nothing is sent.
+    async bulkInvite(tenantId, csv, { role = 'user', groupId = null, dryRun = false } = {}, inviter) {
+        const rows = InvitationService.parseCsv(csv);
+
+        if (rows.length === 0) {
+            throw new InvitationError('The file has no invitations');
+        }
+        if (rows.length > MAX_BULK_ROWS) {
+            throw new InvitationError(`At most ${MAX_BULK_ROWS} invitations can be sent at once`);
+        }
+        if (!TENANT_ROLES.includes(role)) {
+            throw new InvitationError(`Unknown role "${role}"`);
+        }
+
+        const groups = await UserGroup.listForTenant(tenantId);
+        const defaultGroup = groupId ? groups.find(group => group.id === groupId) : null;
+        if (groupId && !defaultGroup) {
+            throw new InvitationError('Group not found');
+        }
+
+        const emails = rows.map(row => row.email).filter(Boolean);
+        const members = await this.memberEmails(tenantId, emails);
+        const invited = await Invitation.pendingEmails(tenantId, emails);
+        let seats = await this.remainingSeats(tenantId, inviter);
+
+        const seen = new Map();
+        const results = [];
+
+        for (const row of rows) {
+            const errors = [];
+            const email = row.email.toLowerCase();
+            const group = row.group
+                ? groups.find(candidate => candidate.id === row.group || candidate.name.toLowerCase() === row.group.toLowerCase())
+                : defaultGroup;
+            const result = {
+                row: row.row,
+                email: row.email,
+                role: row.role || role,
+                group_id: group ? group.id : null,
+                group_name: group ? group.name : null
+            };
+
+            if (!EMAIL_PATTERN.test(row.email)) {
+                errors.push('Invalid email address');
+            } else if (seen.has(email)) {
+                errors.push(`Same email as row ${seen.get(email)}`);
+            } else if (members.has(email)) {
+                errors.push('Already a member of this organization');
+            } else if (invited.has(email)) {
+                errors.push('Already invited; resend the pending invitation instead');
+            }
+            if (!TENANT_ROLES.includes(result.role)) {
+                errors.push(`Unknown role "${row.role}"`);
+            }
+            if (row.group && !group) {
+                errors.push(`Unknown group "${row.group}"`);
+            }
+            if (errors.length === 0 && seats <= 0) {
+                errors.push('User limit reached');
+            }
+
+            if (!seen.has(email)) {
+                seen.set(email, row.row);
+            }
+
+            if (errors.length > 0) {
+                results.push({ ...result, status: 'failed', errors });
+                continue;
+            }
+
+            seats -= 1;
+            if (dryRun) {
+                results.push({ ...result, status: 'ready', errors });
+                continue;
+            }
+
+            const { invitation, emailQueued } = await this.invite(tenantId, {
+                email: row.email,
+                role: result.role,
+                groupId: result.group_id
+            }, inviter);
+            results.push({ ...result, status: 'invited', errors, invitation_id: invitation.id, email_queued: emailQueued });
+        }
+
+        return {
+            results,
+            summary: {
+                total: results.length,
+                invited: results.filter(result => result.status === 'invited').length,
+                ready: results.filter(result => result.status === 'ready').length,
+                failed: results.filter(result => result.status === 'failed').length
+            }
+        };
+    }
+
+    // Lowercased emails of the given ones that belong to tenant members
+    async memberEmails(tenantId, emails) {
+        const result = await pool.query(
+            'SELECT LOWER(email) as email FROM users WHERE tenant_id = $1 AND LOWER(email) = ANY($2)',
+            [tenantId, emails.map(email => email.toLowerCase())]
+        );
+        return new Set(result.rows.map(row => row.email));
+    }
+
+    // Users the tenant can still add under its plan; superadmins are not
+    // limited
+    async remainingSeats(tenantId, inviter) {
+        if (inviter.global_role === 'superadmin') return Infinity;
+
+        const limits = await Tenant.checkLimits(tenantId);
+        return Math.max(limits.users.limit - limits.users.current, 0);
+    }
+}
+
+module.exports = {
+    InvitationService,
+    InvitationError
+};
@@ -0,0 +1,139 @@
+const os = require('os');
+const Job = require('../models/job');
+
+// Errors that retrying cannot fix (e.g. unsupported file types) are
+// dead-lettered immediately
+class NonRetryableJobError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NonRetryableJobError';
+    }
+}
+
+class JobQueue {
+    constructor({
+        concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2,
+        tenantConcurrency = parseInt(process.env.JOB_TENANT_CONCURRENCY) || 1,
+        pollIntervalMs = 2000,
+        staleTimeoutMinutes = 15
+    } = {}) {
+        this.concurrency = concurrency;
+        this.tenantConcurrency = tenantConcurrency;
+        this.pollIntervalMs = pollIntervalMs;
+        this.staleTimeoutMinutes = staleTimeoutMinutes;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+
+        this.handlers = new Map();
+        this.failureHandlers = new Map();
+        this.activeJobs = new Set();
+        this.running = false;
+        this.polling = false;
+        this.timer = null;
+    }
+
+    // handler(job, { progress }) does the work; onDeadLetter(job, error) runs
+    // once a job has used up its attempts
+    register(type, handler, { onDeadLetter } = {}) {
+        this.handlers.set(type, handler);
+        if (onDeadLetter) {
+            this.failureHandlers.set(type, onDeadLetter);
+        }
+    }
+
+    enqueue(type, options) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`No handler registered for job type: ${type}`);
+        }
+        return Job.enqueue({ ...options, type });
+    }
+
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        console.log(`⚙️ Job worker ${this.workerId} started (concurrency: ${this.concurrency}, per tenant: ${this.tenantConcurrency})`);
+
+        Job.requeueStale(this.staleTimeoutMinutes)
+            .then(count => count > 0 && console.log(`♻️ Requeued ${count} stale job(s)`))
+            .catch(error => console.error('Requeue stale jobs error:', error))
+            .finally(() => this.poll());
+    }
+
+    // Stop claiming new jobs and wait for the running ones to finish
+    async stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        await Promise.allSettled([...this.activeJobs]);
+        console.log(`⚙️ Job worker ${this.workerId} stopped`);
+    }
+
+    async poll() {
+        if (!this.running || this.polling) return;
+        this.polling = true;
+
+        try {
+            while (this.running && this.activeJobs.size < this.concurrency) {
+                const job = await Job.claimNext(this.workerId, this.tenantConcurrency);
+                if (!job) break;
+
+                const execution = this.execute(job).finally(() => {
+                    this.activeJobs.delete(execution);
+                    // A slot is free again; look for more work right away
+                    if (this.running) setImmediate(() => this.poll());
+                });
+                this.activeJobs.add(execution);
+            }
+        } catch (error) {
+            console.error('Job poll error:', error);
+        } finally {
+            this.polling = false;
+        }
+
+        if (this.running) {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.poll(), this.pollIntervalMs);
+        }
+    }
+
+    async execute(job) {
+        const handler = this.handlers.get(job.type);
+        const startTime = Date.now();
+
+        const progress = (percent, message) => Job.updateProgress(job.id, percent, message)
+            .catch(error => console.error('Job progress error:', error));
+
+        try {
+            if (!handler) {
+                throw new NonRetryableJobError(`No handler registered for job type: ${job.type}`);
+            }
+
+            await handler(job, { progress });
+            await Job.complete(job.id);
+            console.log(`✅ Job ${job.type} ${job.id} completed in ${Date.now() - startTime}ms (attempt ${job.attempts}/${job.max_attempts})`);
+        } catch (error) {
+            const updated = await Job.fail(job, error, {
+                retryable: !(error instanceof NonRetryableJobError)
+            }).catch(failError => {
+                console.error('Job failure bookkeeping error:', failError);
+                return null;
+            });
+
+            if (updated && updated.status === 'dead') {
+                console.error(`☠️ Job ${job.type} ${job.id} dead-lettered after ${job.attempts} attempt(s):`, error.message);
+
+                const onDeadLetter = this.failureHandlers.get(job.type);
+                if (onDeadLetter) {
+                    await Promise.resolve(onDeadLetter(job, error))
+                        .catch(hookError => console.error('Dead letter handler error:', hookError));
+                }
+            } else if (updated) {
+                console.warn(`🔁 Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying at ${updated.run_at}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = {
+    JobQueue,
+    NonRetryableJobError
+};
@@ -0,0 +1,86 @@
+const { readSseEvents } = require('./sse');
+
+// Anthropic Messages API. Requests and responses already use the shape the
+// routes work with, so params are passed through unchanged.
+class AnthropicProvider {
+    constructor({
+        apiKey = process.env.CLAUDE_API_KEY,
+        baseUrl = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+        defaultModel = process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022'
+    } = {}) {
+        this.name = 'anthropic';
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+        this.defaultModel = defaultModel;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async post(body, signal) {
+        if (!this.apiKey) {
+            throw new Error('CLAUDE_API_KEY environment variable not set');
+        }
+
+        const response = await fetch(`${this.baseUrl}/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01'
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+
+            // Check for rate limit errors specifically
+            if (response.status === 429) {
+                throw new Error(`Claude API rate limit exceeded: ${errorText}`);
+            }
+
+            throw new Error(`Claude API error: ${response.statusText} - ${errorText}`);
+        }
+
+        return response;
+    }
+
+    async create(params, { signal } = {}) {
+        const response = await this.post(params, signal);
+        return response.json();
+    }
+
+    async stream(params, { onText = () => {}, signal } = {}) {
+        const response = await this.post({ ...params, stream: true }, signal);
+        let text = '';
+        let stopReason = null;
+        const usage = { input_tokens: 0, output_tokens: 0 };
+
+        for await (const { data } of readSseEvents(response.body)) {
+            const event = JSON.parse(data);
+
+            if (event.type === 'message_start') {
+                usage.input_tokens = event.message.usage.input_tokens;
+            } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                text += event.delta.text;
+                onText(event.delta.text);
+            } else if (event.type === 'message_delta') {
+                stopReason = event.delta.stop_reason;
+                usage.output_tokens = event.usage.output_tokens;
+            } else if (event.type === 'error') {
+                throw new Error(`Claude API error: ${event.error.type} - ${event.error.message}`);
+            }
+        }
+
+        return {
+            content: [{ type: 'text', text }],
+            stop_reason: stopReason,
+            usage
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,44 @@
+const AnthropicProvider = require('./anthropic-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const MockProvider = require('./mock-provider');
+
+// Providers implement { name, defaultModel, isConfigured(), create(params, { signal }),
+// stream(params, { onText, signal }) } using Anthropic Messages API shapes.
+const providers = {
+    anthropic: (options) => new AnthropicProvider(options),
+    'openai-compatible': (options) => new OpenAICompatibleProvider(options),
+    mock: (options) => new MockProvider(options)
+};
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'anthropic';
+
+const registerProvider = (name, factory) => {
+    providers[name] = factory;
+};
+
+const hasProvider = (name) => Object.prototype.hasOwnProperty.call(providers, name);
+
+const createProvider = (name = DEFAULT_PROVIDER, options = {}) => {
+    if (!hasProvider(name)) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return providers[name](options);
+};
+
+// Provider names with their default model and whether credentials are set
+const listProviders = () => Object.keys(providers).map(name => {
+    const provider = createProvider(name);
+    return {
+        name,
+        defaultModel: provider.defaultModel,
+        configured: provider.isConfigured()
+    };
+});
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    registerProvider,
+    hasProvider,
+    createProvider,
+    listProviders
+};
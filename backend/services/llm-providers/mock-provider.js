@@ -0,0 +1,80 @@
+// Deterministic offline provider for tests and local development. The reply
+// depends only on the request, and cites the first excerpt when the prompt
+// contains [S#] sources, so the Q&A and citation flow work end to end.
+class MockProvider {
+    constructor({ defaultModel = 'mock-1' } = {}) {
+        this.name = 'mock';
+        this.defaultModel = defaultModel;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    buildReply(params) {
+        const lastMessage = params.messages[params.messages.length - 1];
+        const prompt = typeof lastMessage.content === 'string'
+            ? lastMessage.content
+            : lastMessage.content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+
+        const question = (prompt.match(/answer this question: "([^"]*)"/) || [])[1];
+        const firstSource = prompt.match(/\[S1\][^\n]*:\s*\n\s*([^\n]+)/);
+
+        if (question && firstSource) {
+            const quote = firstSource[1].trim().substring(0, 80);
+            return `Mock answer to "${question}" based on the provided excerpts [S1].\n\n` +
+                `<citations>${JSON.stringify([{ source: 'S1', quote }])}</citations>`;
+        }
+
+        if (question) {
+            return `Mock answer to "${question}".`;
+        }
+
+        return JSON.stringify({
+            summary: `Mock analysis of ${prompt.length} characters of input`,
+            model: params.model
+        });
+    }
+
+    usageFor(params, text) {
+        const input = [params.system || '', ...params.messages.map(message => JSON.stringify(message.content))].join('\n');
+        return {
+            input_tokens: Math.ceil(input.length / 4),
+            output_tokens: Math.ceil(text.length / 4)
+        };
+    }
+
+    async create(params) {
+        const text = this.buildReply(params);
+        return {
+            id: 'mock-message',
+            model: params.model,
+            content: [{ type: 'text', text }],
+            stop_reason: 'end_turn',
+            usage: this.usageFor(params, text)
+        };
+    }
+
+    async stream(params, { onText = () => {}, signal } = {}) {
+        const text = this.buildReply(params);
+
+        // Emit word by word, yielding to the event loop so cancellation works
+        for (const piece of text.match(/\S+\s*/g) || []) {
+            if (signal && signal.aborted) {
+                throw new Error('Request aborted');
+            }
+            onText(piece);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        return {
+            id: 'mock-message',
+            model: params.model,
+            content: [{ type: 'text', text }],
+            stop_reason: 'end_turn',
+            usage: this.usageFor(params, text)
+        };
+    }
+}
+
+module.exports = MockProvider;
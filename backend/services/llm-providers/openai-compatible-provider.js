@@ -0,0 +1,145 @@
+const { readSseEvents } = require('./sse');
+
+const STOP_REASONS = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    content_filter: 'refusal'
+};
+
+// Flatten Anthropic-style content (string or blocks) into plain text
+const contentToText = (content) => {
+    if (typeof content === 'string') return content;
+
+    return content.map(block => {
+        if (block.type !== 'text') {
+            throw new Error(`Content blocks of type "${block.type}" are not supported by OpenAI-compatible providers`);
+        }
+        return block.text;
+    }).join('\n');
+};
+
+// Any endpoint implementing the OpenAI Chat Completions API (OpenAI, Azure
+// OpenAI, vLLM, Ollama, LM Studio, ...). Translates to and from the Anthropic
+// message shape used by the rest of the backend.
+class OpenAICompatibleProvider {
+    constructor({
+        apiKey = process.env.OPENAI_COMPATIBLE_API_KEY,
+        baseUrl = process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1',
+        defaultModel = process.env.OPENAI_COMPATIBLE_MODEL || 'gpt-4o-mini'
+    } = {}) {
+        this.name = 'openai-compatible';
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.defaultModel = defaultModel;
+    }
+
+    // Local servers usually need no key, so a custom base URL is enough
+    isConfigured() {
+        return Boolean(this.apiKey || process.env.OPENAI_COMPATIBLE_BASE_URL);
+    }
+
+    toRequest(params) {
+        const messages = params.messages.map(message => ({
+            role: message.role,
+            content: contentToText(message.content)
+        }));
+
+        if (params.system) {
+            messages.unshift({ role: 'system', content: params.system });
+        }
+
+        const request = {
+            model: params.model,
+            messages,
+            max_tokens: params.max_tokens
+        };
+
+        if (params.temperature !== undefined) {
+            request.temperature = params.temperature;
+        }
+
+        return request;
+    }
+
+    async post(body, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+
+            if (response.status === 429) {
+                throw new Error(`LLM API rate limit exceeded: ${errorText}`);
+            }
+
+            throw new Error(`LLM API error: ${response.statusText} - ${errorText}`);
+        }
+
+        return response;
+    }
+
+    async create(params, { signal } = {}) {
+        const response = await this.post(this.toRequest(params), signal);
+        const data = await response.json();
+        const choice = data.choices[0];
+
+        return {
+            id: data.id,
+            model: data.model,
+            content: [{ type: 'text', text: choice.message.content || '' }],
+            stop_reason: STOP_REASONS[choice.finish_reason] || choice.finish_reason,
+            usage: {
+                input_tokens: data.usage ? data.usage.prompt_tokens : 0,
+                output_tokens: data.usage ? data.usage.completion_tokens : 0
+            }
+        };
+    }
+
+    async stream(params, { onText = () => {}, signal } = {}) {
+        const response = await this.post({
+            ...this.toRequest(params),
+            stream: true,
+            stream_options: { include_usage: true }
+        }, signal);
+
+        let text = '';
+        let stopReason = null;
+        const usage = { input_tokens: 0, output_tokens: 0 };
+
+        for await (const { data } of readSseEvents(response.body)) {
+            if (data === '[DONE]') break;
+
+            const chunk = JSON.parse(data);
+            const choice = chunk.choices && chunk.choices[0];
+
+            if (choice && choice.delta && choice.delta.content) {
+                text += choice.delta.content;
+                onText(choice.delta.content);
+            }
+            if (choice && choice.finish_reason) {
+                stopReason = STOP_REASONS[choice.finish_reason] || choice.finish_reason;
+            }
+            if (chunk.usage) {
+                usage.input_tokens = chunk.usage.prompt_tokens;
+                usage.output_tokens = chunk.usage.completion_tokens;
+            }
+        }
+
+        return {
+            content: [{ type: 'text', text }],
+            stop_reason: stopReason,
+            usage
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
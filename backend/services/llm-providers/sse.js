@@ -0,0 +1,30 @@
+// Parse a fetch response body as Server-Sent Events, yielding { event, data }
+// for each event. `data` is the raw string; callers decide how to parse it.
+async function* readSseEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of body) {
+        buffer += decoder.decode(bytes, { stream: true }).replace(/\r\n/g, '\n');
+
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const lines = rawEvent.split('\n');
+            const event = lines.find(line => line.startsWith('event:'));
+            const data = lines
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('');
+
+            if (data) {
+                yield { event: event ? event.slice(6).trim() : null, data };
+            }
+        }
+    }
+}
+
+module.exports = { readSseEvents };
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const pool = require('../database-pool');
+const SecretBox = require('./secret-box');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults, which every authenticator app supports
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Codes from one step before or after are accepted for clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// Recovery codes are compared case-insensitively and without dashes
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+// TOTP enrollment and verification, and recovery codes. Secrets are kept
+// encrypted.
+class MfaService {
+    constructor({
+        encryptionKey = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
+        issuer = process.env.MFA_ISSUER || 'Smart DataRoom'
+    } = {}) {
+        this.secrets = new SecretBox(encryptionKey);
+        this.issuer = issuer;
+    }
+
+    // Superadmins always need MFA; tenant members when their tenant requires
+    // it (tenant_settings.require_mfa on the user row)
+    static isRequired(user) {
+        return user.global_role === 'superadmin' || Boolean(user.require_mfa);
+    }
+
+    static generateSecret() {
+        return base32Encode(crypto.randomBytes(20));
+    }
+
+    // Code of a base32 secret for one time step
+    static totp(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+
+        return String(value).padStart(TOTP_DIGITS, '0');
+    }
+
+    // Time step a code matches, or null. Steps up to lastStep were used
+    // already and are not accepted again.
+    static matchStep(secret, code, { now = Date.now(), lastStep = null } = {}) {
+        const cleaned = String(code || '').replace(/\s/g, '');
+        if (!/^\d{6}$/.test(cleaned)) return null;
+
+        const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+        for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+            if (lastStep !== null && step <= lastStep) continue;
+
+            const expected = this.totp(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleaned))) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    static generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+        return Array.from({ length: count }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+        });
+    }
+
+    static hashRecoveryCode(code) {
+        return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+    }
+
+    encrypt(secret) {
+        return this.secrets.encrypt(secret);
+    }
+
+    decrypt(value) {
+        return this.secrets.decrypt(value);
+    }
+
+    otpauthUrl(secret, accountName) {
+        const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: 'SHA1',
+            digits: String(TOTP_DIGITS),
+            period: String(TOTP_STEP_SECONDS)
+        });
+        return `otpauth://totp/${label}?${params}`;
+    }
+
+    // New secret for a user, kept as pending until a code confirms it. The
+    // QR code is a data URL for authenticator apps to scan.
+    async startEnrollment(user) {
+        const secret = MfaService.generateSecret();
+
+        await pool.query(
+            'UPDATE users SET mfa_pending_secret = $2 WHERE id = $1',
+            [user.id, this.encrypt(secret)]
+        );
+
+        const otpauthUrl = this.otpauthUrl(secret, user.email);
+        return {
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        };
+    }
+
+    // Turn MFA on when the code matches the pending secret. Returns new
+    // recovery codes, or null for a wrong code.
+    async confirmEnrollment(userId, code) {
+        const result = await pool.query('SELECT mfa_pending_secret FROM users WHERE id = $1', [userId]);
+        const pending = result.rows[0] && result.rows[0].mfa_pending_secret;
+        if (!pending) return null;
+
+        const step = MfaService.matchStep(this.decrypt(pending), code);
+        if (step === null) return null;
+
+        await pool.query(`
+            UPDATE users
+            SET mfa_enabled = true, mfa_secret = mfa_pending_secret, mfa_pending_secret = NULL,
+                mfa_enabled_at = CURRENT_TIMESTAMP, mfa_last_step = $2
+            WHERE id = $1
+        `, [userId, step]);
+
+        return this.replaceRecoveryCodes(userId);
+    }
+
+    // Check a TOTP code or, failing that, a recovery code of a user with MFA
+    // on. Each TOTP step and each recovery code only works once.
+    async verify(user, { code, recoveryCode }) {
+        if (!user.mfa_enabled || !user.mfa_secret) return false;
+
+        if (code) {
+            const lastStep = user.mfa_last_step === null || user.mfa_last_step === undefined
+                ? null
+                : parseInt(user.mfa_last_step);
+            const step = MfaService.matchStep(this.decrypt(user.mfa_secret), code, { lastStep });
+            if (step === null) return false;
+
+            // Guards against the same code arriving twice at once
+            const result = await pool.query(`
+                UPDATE users SET mfa_last_step = $2
+                WHERE id = $1 AND (mfa_last_step IS NULL OR mfa_last_step < $2)
+            `, [user.id, step]);
+            return result.rowCount > 0;
+        }
+
+        if (recoveryCode) {
+            const result = await pool.query(`
+                UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+                RETURNING id
+            `, [user.id, MfaService.hashRecoveryCode(recoveryCode)]);
+            return result.rowCount > 0;
+        }
+
+        return false;
+    }
+
+    // Replace a user's recovery codes; only the hashes are stored
+    async replaceRecoveryCodes(userId) {
+        const codes = MfaService.generateRecoveryCodes();
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+            await client.query(`
+                INSERT INTO user_recovery_codes (user_id, code_hash)
+                SELECT $1, UNNEST($2::varchar[])
+            `, [userId, codes.map(code => MfaService.hashRecoveryCode(code))]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return codes;
+    }
+
+    async remainingRecoveryCodes(userId) {
+        const result = await pool.query(
+            'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+            [userId]
+        );
+        return parseInt(result.rows[0].count);
+    }
+
+    async disable(userId) {
+        await pool.query(`
+            UPDATE users
+            SET mfa_enabled = false, mfa_secret = NULL, mfa_pending_secret = NULL,
+                mfa_enabled_at = NULL, mfa_last_step = NULL
+            WHERE id = $1
+        `, [userId]);
+        await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    }
+}
+
+module.exports = MfaService;
@@ -0,0 +1,324 @@
+const pool = require('../database-pool');
+const QuestionRequest = require('../models/question-request');
+const AccessRule = require('../models/access-rule');
+const UserGroup = require('../models/user-group');
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const STATUSES = ['submitted', 'assigned', 'pending_approval', 'approved', 'published'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields of a question shown to bidders; drafts and who works on the answer
+// stay with the seller's team
+const MEMBER_FIELDS = [
+    'id', 'reference', 'reference_number', 'subject', 'body', 'category', 'priority',
+    'due_date', 'overdue', 'asked_by', 'asked_by_name', 'group_id', 'group_name',
+    'answer', 'published_to_all', 'published_at', 'created_at', 'updated_at', 'documents'
+];
+
+// pg reads DATE columns as local midnight
+const formatDate = (date) => (date instanceof Date
+    ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+    : date || null);
+
+const isTenantAdmin = (user) => user.global_role === 'superadmin' || user.tenant_role === 'admin';
+
+// Request problems, shown to the user as they are
+class QuestionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuestionError';
+    }
+}
+
+class QuestionService {
+    constructor({ emailService }) {
+        this.emailService = emailService;
+    }
+
+    static get priorities() {
+        return PRIORITIES;
+    }
+
+    static get statuses() {
+        return STATUSES;
+    }
+
+    // Options for QuestionRequest.list and findById: admins see every
+    // question, other members what concerns them
+    static viewerOptions(user) {
+        return { viewerId: isTenantAdmin(user) ? null : user.id };
+    }
+
+    // Admins and the question's expert work on the answer
+    static canDraft(question, user) {
+        return isTenantAdmin(user) || question.assigned_to === user.id;
+    }
+
+    // A question as `user` may see it, with the due date as YYYY-MM-DD.
+    // Bidders see submitted, in_progress or published, and the answer once it
+    // is published.
+    static forViewer(question, user) {
+        const dated = { ...question, due_date: formatDate(question.due_date) };
+        if (this.canDraft(question, user)) return dated;
+
+        const shown = Object.fromEntries(MEMBER_FIELDS.map(field => [field, dated[field]]));
+        return {
+            ...shown,
+            status: ['submitted', 'published'].includes(question.status) ? question.status : 'in_progress'
+        };
+    }
+
+    // Category, priority and due date checked and tidied
+    static normalizeDetails({ category = null, priority = 'normal', dueDate = null }) {
+        if (!PRIORITIES.includes(priority)) {
+            throw new QuestionError(`Priority must be one of ${PRIORITIES.join(', ')}`);
+        }
+        if (dueDate && !(DATE_PATTERN.test(dueDate) && !isNaN(new Date(dueDate).getTime()))) {
+            throw new QuestionError('Due date must be a date (YYYY-MM-DD)');
+        }
+
+        return {
+            category: category && String(category).trim() ? String(category).trim() : null,
+            priority,
+            dueDate: dueDate || null
+        };
+    }
+
+    // Email the active members of the tenant that `where` selects (a
+    // condition on users with parameters from $2). Failures are only logged.
+    notify(tenantId, where, params, notification) {
+        pool.query(
+            `SELECT email FROM users WHERE tenant_id = $1 AND is_active = true AND ${where}`,
+            [tenantId, ...params]
+        )
+            .then(result => result.rows.length > 0
+                && this.emailService.notifyActivity(tenantId, result.rows, notification))
+            .catch(error => console.error('Question notification error:', error));
+    }
+
+    notifyAdmins(tenantId, notification) {
+        this.notify(tenantId, "tenant_role = 'admin'", [], notification);
+    }
+
+    // The documents among `documentIds` that `user` may see; an unknown or
+    // hidden one is an error
+    async linkableDocumentIds(tenantId, user, documentIds = []) {
+        const ids = [...new Set(documentIds)];
+        if (ids.length === 0) return [];
+
+        const result = await pool.query(
+            'SELECT id, folder_id, view_only FROM documents WHERE tenant_id = $1 AND id = ANY($2::varchar[])',
+            [tenantId, ids]
+        );
+        const resolver = await AccessRule.getResolver(tenantId, user);
+        const visible = result.rows.filter(document => resolver.documentAccess(document) !== 'none');
+
+        if (visible.length < ids.length) {
+            throw new QuestionError('Some of the linked documents were not found');
+        }
+        return visible.map(document => document.id);
+    }
+
+    // Groups a member can ask for, as [{ id, name }]
+    async memberGroups(tenantId, userId) {
+        const result = await pool.query(`
+            SELECT g.id, g.name
+            FROM user_group_members m
+            JOIN user_groups g ON g.id = m.group_id
+            WHERE m.user_id = $1 AND g.tenant_id = $2
+            ORDER BY g.name
+        `, [userId, tenantId]);
+        return result.rows;
+    }
+
+    // The group a question is asked for. Members of one group ask for it;
+    // members of several choose. Admins may name any group.
+    async askingGroupId(tenantId, user, groupId) {
+        if (groupId && isTenantAdmin(user)) {
+            if (!await UserGroup.findById(tenantId, groupId)) {
+                throw new QuestionError('Group not found');
+            }
+            return groupId;
+        }
+
+        const groupIds = (await this.memberGroups(tenantId, user.id)).map(group => group.id);
+
+        if (groupId) {
+            if (!groupIds.includes(groupId)) {
+                throw new QuestionError('You can only ask for your own groups');
+            }
+            return groupId;
+        }
+        if (groupIds.length > 1) {
+            throw new QuestionError('Choose the group you are asking for');
+        }
+        return groupIds[0] || null;
+    }
+
+    async submit(tenantId, user, { subject, body, category, priority, dueDate, groupId = null, documentIds = [] }) {
+        const cleanSubject = (subject || '').trim();
+        const cleanBody = (body || '').trim();
+        if (!cleanSubject || !cleanBody) {
+            throw new QuestionError('Subject and question are required');
+        }
+
+        const details = QuestionService.normalizeDetails({ category, priority, dueDate });
+        const askingGroupId = await this.askingGroupId(tenantId, user, groupId);
+        const linkedIds = await this.linkableDocumentIds(tenantId, user, documentIds);
+
+        const question = await QuestionRequest.create(tenantId, {
+            subject: cleanSubject,
+            body: cleanBody,
+            ...details,
+            askedBy: user.id,
+            groupId: askingGroupId
+        });
+        await QuestionRequest.setDocuments(question.id, linkedIds);
+
+        this.notifyAdmins(tenantId, {
+            title: `New question ${question.reference}: ${question.subject}`,
+            message: `${user.name} asked: ${question.body}`,
+            linkLabel: 'Review the question'
+        });
+
+        return QuestionRequest.findById(tenantId, question.id);
+    }
+
+    // Change category, priority, due date or linked documents (admins).
+    // Fields left undefined keep their value. Null when there is no such
+    // question.
+    async update(tenantId, id, user, { category, priority, dueDate, documentIds }) {
+        const question = await QuestionRequest.findById(tenantId, id);
+        if (!question) return null;
+
+        const keep = (value, current) => (value === undefined ? current : value);
+        const details = QuestionService.normalizeDetails({
+            category: keep(category, question.category),
+            priority: keep(priority, question.priority),
+            dueDate: keep(dueDate, formatDate(question.due_date))
+        });
+        await QuestionRequest.updateDetails(tenantId, id, details);
+
+        if (documentIds !== undefined) {
+            await QuestionRequest.setDocuments(id, await this.linkableDocumentIds(tenantId, user, documentIds));
+        }
+
+        return QuestionRequest.findById(tenantId, id);
+    }
+
+    // Hand the question to an expert, who is emailed. Null when there is no
+    // such question.
+    async assign(tenantId, id, assigneeId, admin) {
+        const question = await QuestionRequest.findById(tenantId, id);
+        if (!question) return null;
+
+        const assignee = Number.isInteger(assigneeId)
+            ? (await pool.query(
+                'SELECT id, name, email FROM users WHERE id = $1 AND tenant_id = $2 AND is_active = true',
+                [assigneeId, tenantId]
+            )).rows[0]
+            : null;
+        if (!assignee) {
+            throw new QuestionError('Choose an active member of this organization');
+        }
+
+        if (!await QuestionRequest.assign(tenantId, id, assignee.id)) {
+            throw new QuestionError('This question was already answered');
+        }
+
+        if (assignee.id !== admin.id) {
+            this.notify(tenantId, 'id = $2', [assignee.id], {
+                title: `Question ${question.reference} was assigned to you`,
+                message: `${admin.name} asked you to draft the answer to "${question.subject}"${question.due_date ? `, due ${formatDate(question.due_date)}` : ''}.`,
+                linkLabel: 'Draft the answer'
+            });
+        }
+
+        return QuestionRequest.findById(tenantId, id);
+    }
+
+    // Save the draft answer; with submit it goes to the admins for approval.
+    // Changing an approved draft needs approval again.
+    async saveDraft(tenantId, question, user, { answer, submit = false }) {
+        const draft = (answer || '').trim();
+        if (!draft) {
+            throw new QuestionError('The draft answer is empty');
+        }
+
+        const status = submit ? 'pending_approval' : (question.assigned_to ? 'assigned' : 'submitted');
+        if (!await QuestionRequest.saveDraft(tenantId, question.id, { answer: draft, draftedBy: user.id, status })) {
+            throw new QuestionError('This question was already answered');
+        }
+
+        if (submit) {
+            this.notifyAdmins(tenantId, {
+                title: `Answer to ${question.reference} is ready for approval`,
+                message: `${user.name} drafted the answer to "${question.subject}".`,
+                linkLabel: 'Review the answer'
+            });
+        }
+
+        return QuestionRequest.findById(tenantId, question.id);
+    }
+
+    // Null when there is no such question
+    async approve(tenantId, id, admin) {
+        const question = await QuestionRequest.findById(tenantId, id);
+        if (!question) return null;
+
+        if (!await QuestionRequest.approve(tenantId, id, admin.id)) {
+            throw new QuestionError('Only answers waiting for approval can be approved');
+        }
+        return QuestionRequest.findById(tenantId, id);
+    }
+
+    // Send the draft back to the expert with an optional note. Null when
+    // there is no such question.
+    async returnDraft(tenantId, id, admin, { note = null } = {}) {
+        const question = await QuestionRequest.findById(tenantId, id);
+        if (!question) return null;
+
+        if (!await QuestionRequest.returnDraft(tenantId, id)) {
+            throw new QuestionError('Only answers waiting for approval can be sent back');
+        }
+
+        if (question.assigned_to && question.assigned_to !== admin.id) {
+            this.notify(tenantId, 'id = $2', [question.assigned_to], {
+                title: `Answer to ${question.reference} needs changes`,
+                message: note
+                    ? `${admin.name} sent back your draft for "${question.subject}": ${note}`
+                    : `${admin.name} sent back your draft for "${question.subject}".`,
+                linkLabel: 'Revise the answer'
+            });
+        }
+
+        return QuestionRequest.findById(tenantId, id);
+    }
+
+    // Publish the approved answer to the asking group, or to everyone with
+    // toAll. The asker and their group are emailed. Null when there is no
+    // such question.
+    async publish(tenantId, id, admin, { toAll = false } = {}) {
+        const question = await QuestionRequest.findById(tenantId, id);
+        if (!question) return null;
+
+        if (!await QuestionRequest.publish(tenantId, id, { publishedBy: admin.id, toAll: Boolean(toAll) })) {
+            throw new QuestionError('Approve the answer before publishing it');
+        }
+
+        const askers = '(id = $2 OR id IN (SELECT user_id FROM user_group_members WHERE group_id = $3))';
+        this.notify(tenantId, askers, [question.asked_by, question.group_id], {
+            title: `Question ${question.reference} was answered`,
+            message: `The answer to "${question.subject}" is now available.`,
+            linkLabel: 'Read the answer'
+        });
+
+        return QuestionRequest.findById(tenantId, id);
+    }
+}
+
+module.exports = {
+    QuestionService,
+    QuestionError
+};
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Encrypts secrets kept in the database with AES-256-GCM. Values are stored
+// as base64 "iv.tag.data".
+class SecretBox {
+    constructor(key) {
+        this.key = crypto.createHash('sha256').update(key).digest();
+    }
+
+    encrypt(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+    }
+
+    decrypt(value) {
+        const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+}
+
+module.exports = SecretBox;
@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const pool = require('../database-pool');
+const Tenant = require('../models/tenant');
+const SsoConfig = require('../models/sso-config');
+const SecretBox = require('./secret-box');
+const OidcProvider = require('./sso/oidc-provider');
+const SamlProvider = require('./sso/saml-provider');
+
+// Time allowed at the identity provider, and for the frontend to exchange
+// the handoff code once the provider answered
+const LOGIN_REQUEST_TTL_MINUTES = 10;
+const HANDOFF_TTL_MINUTES = 1;
+
+const TENANT_ROLES = ['admin', 'user', 'investor'];
+
+// Checked in this order, so a member matching several roles gets the highest
+const ROLE_PRIORITY = ['admin', 'user', 'investor'];
+
+// A sign-in or configuration the user or admin can correct
+class SsoError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SsoError';
+    }
+}
+
+const randomId = () => crypto.randomBytes(32).toString('base64url');
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+const trimSlash = (url) => String(url).replace(/\/+$/, '');
+
+const asList = (value) => {
+    if (value === undefined || value === null) return [];
+    return (Array.isArray(value) ? value : [value]).map(String);
+};
+
+// Single sign-on through a tenant's OpenID Connect or SAML identity provider.
+// Members are created on their first sign-in and get their role from the
+// provider's claims on every sign-in. A successful sign-in ends with a
+// one-time handoff code, which the frontend exchanges for a session.
+class SsoService {
+    constructor({
+        oidc = new OidcProvider(),
+        saml = new SamlProvider(),
+        encryptionKey = process.env.SSO_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
+        apiUrl = process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`
+    } = {}) {
+        this.oidc = oidc;
+        this.saml = saml;
+        this.secrets = new SecretBox(encryptionKey);
+        this.apiUrl = trimSlash(apiUrl);
+    }
+
+    // Addresses the identity provider is configured with
+    endpoints(tenantSlug) {
+        const base = `${this.apiUrl}/api/auth/sso/${encodeURIComponent(tenantSlug)}`;
+        return {
+            redirectUri: `${base}/oidc/callback`,
+            entityId: `${base}/saml/metadata`,
+            acsUrl: `${base}/saml/acs`
+        };
+    }
+
+    // node-saml cache provider over the tenant's pending sign-ins. Rows are
+    // written when the request is made; a response consumes its row.
+    samlRequestCache(tenantId) {
+        return {
+            saveAsync: async (key, value) => value,
+            getAsync: async (key) => {
+                const result = await pool.query(`
+                    SELECT created_at FROM sso_login_requests
+                    WHERE tenant_id = $1 AND saml_request_id = $2 AND expires_at > CURRENT_TIMESTAMP
+                `, [tenantId, key]);
+                return result.rows[0] ? new Date(result.rows[0].created_at).toISOString() : null;
+            },
+            removeAsync: async (key) => {
+                await pool.query(
+                    'DELETE FROM sso_login_requests WHERE tenant_id = $1 AND saml_request_id = $2',
+                    [tenantId, key]
+                );
+                return key;
+            }
+        };
+    }
+
+    // Configuration of an enabled tenant's SSO, for a sign-in
+    async loginConfig(tenantSlug) {
+        const config = await SsoConfig.findByTenantSlug(tenantSlug);
+        if (!config || !config.enabled || !config.tenant_active) {
+            throw new SsoError('Single sign-on is not enabled for this organization');
+        }
+        return config;
+    }
+
+    // Address of the identity provider to send the browser to
+    async startLogin(config) {
+        const endpoints = this.endpoints(config.tenant_slug);
+        const expiresAt = new Date(Date.now() + LOGIN_REQUEST_TTL_MINUTES * 60 * 1000);
+
+        if (config.protocol === 'saml') {
+            const requestId = `_${crypto.randomBytes(20).toString('hex')}`;
+            await pool.query(`
+                INSERT INTO sso_login_requests (id, tenant_id, saml_request_id, expires_at)
+                VALUES ($1, $2, $3, $4)
+            `, [randomId(), config.tenant_id, requestId, expiresAt]);
+
+            return this.saml.authorizationUrl(config, {
+                ...endpoints,
+                requestId,
+                requestCache: this.samlRequestCache(config.tenant_id)
+            });
+        }
+
+        const state = randomId();
+        const nonce = randomId();
+        const codeVerifier = randomId();
+        await pool.query(`
+            INSERT INTO sso_login_requests (id, tenant_id, nonce, code_verifier, expires_at)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [state, config.tenant_id, nonce, codeVerifier, expiresAt]);
+
+        return this.oidc.authorizationUrl(config, {
+            redirectUri: endpoints.redirectUri,
+            state,
+            nonce,
+            codeVerifier
+        });
+    }
+
+    // Finish an OIDC sign-in; returns a handoff code
+    async handleOidcCallback(config, { state, code, error }) {
+        // The state is consumed whatever the outcome
+        const result = await pool.query(`
+            DELETE FROM sso_login_requests
+            WHERE id = $1 AND tenant_id = $2 AND user_id IS NULL AND expires_at > CURRENT_TIMESTAMP
+            RETURNING nonce, code_verifier
+        `, [String(state || ''), config.tenant_id]);
+        const request = result.rows[0];
+
+        if (!request || !request.code_verifier) {
+            throw new SsoError('The sign-in request expired. Please try again.');
+        }
+        if (error || !code) {
+            throw new SsoError('The identity provider did not sign you in');
+        }
+        if (config.protocol !== 'oidc') {
+            throw new SsoError('Single sign-on is not set up for OpenID Connect');
+        }
+
+        const identity = await this.oidc.exchangeCode(config, this.secrets.decrypt(config.oidc_client_secret), {
+            code,
+            redirectUri: this.endpoints(config.tenant_slug).redirectUri,
+            codeVerifier: request.code_verifier,
+            nonce: request.nonce
+        });
+        const user = await this.provisionUser(config, identity);
+        return this.createHandoff(config.tenant_id, user.id);
+    }
+
+    // Finish a SAML sign-in; returns a handoff code
+    async handleSamlResponse(config, samlResponse) {
+        if (config.protocol !== 'saml') {
+            throw new SsoError('Single sign-on is not set up for SAML');
+        }
+
+        const identity = await this.saml.validateResponse(config, {
+            ...this.endpoints(config.tenant_slug),
+            requestCache: this.samlRequestCache(config.tenant_id),
+            samlResponse
+        });
+        const user = await this.provisionUser(config, identity);
+        return this.createHandoff(config.tenant_id, user.id);
+    }
+
+    async createHandoff(tenantId, userId) {
+        const code = randomId();
+        await pool.query(`
+            INSERT INTO sso_login_requests (id, tenant_id, user_id, expires_at)
+            VALUES ($1, $2, $3, $4)
+        `, [hashCode(code), tenantId, userId, new Date(Date.now() + HANDOFF_TTL_MINUTES * 60 * 1000)]);
+        return code;
+    }
+
+    // User id of a handoff code, which works once; null when it is unknown
+    // or expired
+    async redeemHandoff(code) {
+        const result = await pool.query(`
+            DELETE FROM sso_login_requests
+            WHERE id = $1 AND user_id IS NOT NULL AND expires_at > CURRENT_TIMESTAMP
+            RETURNING user_id
+        `, [hashCode(code)]);
+        return result.rows[0] ? result.rows[0].user_id : null;
+    }
+
+    // Tenant role for the provider's claims, or null when none is mapped.
+    // role_mapping lists the claim values that grant each role.
+    static mapRole(config, claims) {
+        if (!config.role_claim) return null;
+
+        const values = asList(claims[config.role_claim]);
+        const mapping = config.role_mapping || {};
+
+        return ROLE_PRIORITY.find(role => asList(mapping[role]).some(value => values.includes(value))) || null;
+    }
+
+    // The member signing in: found by their subject at the provider, linked
+    // by verified email on their first SSO sign-in, or created
+    async provisionUser(config, identity) {
+        if (!identity.subject) {
+            throw new SsoError('The identity provider did not identify the user');
+        }
+
+        const role = SsoService.mapRole(config, identity.claims || {});
+        const email = identity.email ? String(identity.email).trim().toLowerCase() : null;
+
+        let result = await pool.query(
+            'SELECT * FROM users WHERE tenant_id = $1 AND sso_subject = $2',
+            [config.tenant_id, identity.subject]
+        );
+        let user = result.rows[0];
+
+        if (!user && email && identity.emailVerified) {
+            result = await pool.query(`
+                UPDATE users SET sso_subject = $3
+                WHERE tenant_id = $1 AND LOWER(email) = $2 AND sso_subject IS NULL
+                RETURNING *
+            `, [config.tenant_id, email, identity.subject]);
+            user = result.rows[0];
+        }
+
+        if (!user) {
+            return this.createUser(config, identity, email, role);
+        }
+
+        if (!user.is_active) {
+            throw new SsoError('Your account has been deactivated');
+        }
+
+        if (role && role !== user.tenant_role) {
+            result = await pool.query(
+                'UPDATE users SET tenant_role = $2 WHERE id = $1 RETURNING *',
+                [user.id, role]
+            );
+            user = result.rows[0];
+        }
+
+        return user;
+    }
+
+    async createUser(config, identity, email, role) {
+        if (!email) {
+            throw new SsoError('The identity provider did not share an email address');
+        }
+
+        const limits = await Tenant.checkLimits(config.tenant_id);
+        if (limits.users.exceeded) {
+            throw new SsoError(`User limit reached (${limits.users.limit} users maximum)`);
+        }
+
+        // Members created here sign in with SSO only; nobody knows this password
+        const password = await bcrypt.hash(randomId(), 10);
+
+        try {
+            const result = await pool.query(`
+                INSERT INTO users (email, password, name, tenant_role, tenant_id, sso_subject, is_active)
+                VALUES ($1, $2, $3, $4, $5, $6, true)
+                RETURNING *
+            `, [
+                email,
+                password,
+                identity.name || email.split('@')[0],
+                role || config.default_role || 'user',
+                config.tenant_id,
+                identity.subject
+            ]);
+            return result.rows[0];
+        } catch (error) {
+            // Emails are unique across tenants
+            if (error.code === '23505') {
+                throw new SsoError('An account with this email address already exists');
+            }
+            throw error;
+        }
+    }
+
+    // Configuration as shown to tenant admins; the client secret never
+    // leaves the server
+    static publicConfig(config) {
+        if (!config) return null;
+
+        const { oidc_client_secret: secret, ...rest } = config;
+        return { ...rest, has_client_secret: Boolean(secret) };
+    }
+
+    // Validate and store a tenant's configuration. SAML settings are read
+    // from the metadata URL when one is given.
+    async saveConfig(tenantId, input) {
+        const existing = await SsoConfig.findByTenant(tenantId);
+        const protocol = input.protocol;
+
+        if (!['oidc', 'saml'].includes(protocol)) {
+            throw new SsoError('Protocol must be oidc or saml');
+        }
+
+        const roleMapping = {};
+        for (const role of TENANT_ROLES) {
+            const values = asList(input.role_mapping && input.role_mapping[role])
+                .map(value => value.trim())
+                .filter(Boolean);
+            if (values.length) roleMapping[role] = values;
+        }
+
+        const config = {
+            protocol,
+            enabled: Boolean(input.enabled),
+            enforce_sso: Boolean(input.enabled) && Boolean(input.enforce_sso),
+            role_claim: input.role_claim ? String(input.role_claim).trim() : null,
+            role_mapping: roleMapping,
+            default_role: TENANT_ROLES.includes(input.default_role) ? input.default_role : 'user',
+            saml_idp_certs: []
+        };
+
+        if (protocol === 'oidc') {
+            if (!input.oidc_issuer || !input.oidc_client_id) {
+                throw new SsoError('Issuer URL and client ID are required');
+            }
+            if (!input.oidc_client_secret && !(existing && existing.oidc_client_secret)) {
+                throw new SsoError('Client secret is required');
+            }
+
+            config.oidc_issuer = trimSlash(input.oidc_issuer.trim());
+            config.oidc_client_id = input.oidc_client_id.trim();
+            config.oidc_client_secret = input.oidc_client_secret
+                ? this.secrets.encrypt(input.oidc_client_secret)
+                : null;
+
+            if (config.enabled) {
+                await this.oidc.discover(config.oidc_issuer).catch(error => {
+                    throw new SsoError(error.message);
+                });
+            }
+        } else if (input.saml_metadata_url) {
+            const metadata = await this.saml.fetchMetadata(input.saml_metadata_url.trim()).catch(error => {
+                throw new SsoError(error.message);
+            });
+            config.saml_metadata_url = input.saml_metadata_url.trim();
+            config.saml_entry_point = metadata.entryPoint;
+            config.saml_idp_issuer = metadata.issuer;
+            config.saml_idp_certs = metadata.certs;
+        } else {
+            const certs = asList(input.saml_idp_certs).map(cert => cert.trim()).filter(Boolean);
+            if (!input.saml_entry_point || certs.length === 0) {
+                throw new SsoError('A metadata URL, or the sign-on URL and signing certificate, are required');
+            }
+            config.saml_entry_point = input.saml_entry_point.trim();
+            config.saml_idp_issuer = input.saml_idp_issuer ? input.saml_idp_issuer.trim() : null;
+            config.saml_idp_certs = certs;
+        }
+
+        return SsoConfig.upsert(tenantId, config);
+    }
+}
+
+module.exports = {
+    SsoService,
+    SsoError
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Discovery documents and signing keys are cached this long
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const trimSlash = (url) => String(url).replace(/\/+$/, '');
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+// OpenID Connect authorization code flow with PKCE. Providers are found
+// through discovery from their issuer URL.
+class OidcProvider {
+    constructor({ fetchImpl = (...args) => fetch(...args) } = {}) {
+        this.fetch = fetchImpl;
+        this.cache = new Map();
+    }
+
+    static codeChallenge(codeVerifier) {
+        return base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+    }
+
+    async request(url, options = {}) {
+        const response = await this.fetch(url, {
+            ...options,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const reason = body.error_description || body.error || `HTTP ${response.status}`;
+            throw new Error(`Identity provider request failed: ${reason}`);
+        }
+        return body;
+    }
+
+    async cached(key, load) {
+        const entry = this.cache.get(key);
+        if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+        const value = await load();
+        this.cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+        return value;
+    }
+
+    // Discovery document of an issuer; its issuer must be the one configured
+    async discover(issuer) {
+        return this.cached(`discovery:${trimSlash(issuer)}`, async () => {
+            const discovery = await this.request(`${trimSlash(issuer)}/.well-known/openid-configuration`);
+
+            if (trimSlash(discovery.issuer) !== trimSlash(issuer)) {
+                throw new Error('Identity provider issuer does not match the configured issuer');
+            }
+            return discovery;
+        });
+    }
+
+    // Public key an ID token was signed with. The key set is fetched again
+    // once when the key id is unknown, as providers rotate keys.
+    async signingKey(discovery, kid) {
+        const find = (jwks) => jwks.keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+        const cacheKey = `jwks:${discovery.jwks_uri}`;
+        let key = find(await this.cached(cacheKey, () => this.request(discovery.jwks_uri)));
+
+        if (!key) {
+            this.cache.delete(cacheKey);
+            key = find(await this.cached(cacheKey, () => this.request(discovery.jwks_uri)));
+        }
+        if (!key) {
+            throw new Error('Identity provider signing key not found');
+        }
+        return crypto.createPublicKey({ key, format: 'jwk' });
+    }
+
+    async authorizationUrl(config, { redirectUri, state, nonce, codeVerifier }) {
+        const discovery = await this.discover(config.oidc_issuer);
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: config.oidc_client_id,
+            redirect_uri: redirectUri,
+            scope: 'openid email profile',
+            state,
+            nonce,
+            code_challenge: OidcProvider.codeChallenge(codeVerifier),
+            code_challenge_method: 'S256'
+        });
+        return `${discovery.authorization_endpoint}?${params}`;
+    }
+
+    // Exchange an authorization code for the user's identity:
+    // { subject, email, emailVerified, name, claims }
+    async exchangeCode(config, clientSecret, { code, redirectUri, codeVerifier, nonce }) {
+        const discovery = await this.discover(config.oidc_issuer);
+
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            code_verifier: codeVerifier
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+        // client_secret_basic unless the provider only takes the secret in the body
+        const methods = discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+        if (!methods.includes('client_secret_basic') && methods.includes('client_secret_post')) {
+            body.set('client_id', config.oidc_client_id);
+            body.set('client_secret', clientSecret);
+        } else {
+            const credentials = `${encodeURIComponent(config.oidc_client_id)}:${encodeURIComponent(clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+
+        const tokens = await this.request(discovery.token_endpoint, { method: 'POST', headers, body });
+        if (!tokens.id_token) {
+            throw new Error('Identity provider did not return an ID token');
+        }
+
+        const decoded = jwt.decode(tokens.id_token, { complete: true });
+        if (!decoded) {
+            throw new Error('Identity provider returned an invalid ID token');
+        }
+
+        const claims = jwt.verify(tokens.id_token, await this.signingKey(discovery, decoded.header.kid), {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            audience: config.oidc_client_id,
+            issuer: discovery.issuer,
+            clockTolerance: 60
+        });
+
+        if (claims.nonce !== nonce) {
+            throw new Error('ID token nonce does not match the sign-in request');
+        }
+
+        // Providers may leave profile claims out of the ID token
+        if (!claims.email && discovery.userinfo_endpoint && tokens.access_token) {
+            const userInfo = await this.request(discovery.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+            });
+            if (userInfo.sub === claims.sub) {
+                Object.assign(claims, userInfo, { sub: claims.sub });
+            }
+        }
+
+        return {
+            subject: claims.sub,
+            email: claims.email,
+            emailVerified: claims.email_verified !== false,
+            name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+            claims
+        };
+    }
+}
+
+module.exports = OidcProvider;
@@ -0,0 +1,131 @@
+const { DOMParser } = require('@xmldom/xmldom');
+const { SAML, ValidateInResponseTo, generateServiceProviderMetadata } = require('@node-saml/node-saml');
+
+const METADATA_NS = 'urn:oasis:names:tc:SAML:2.0:metadata';
+const DSIG_NS = 'http://www.w3.org/2000/09/xmldsig#';
+const REDIRECT_BINDING = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Attributes identity providers commonly send the email address and name in
+const EMAIL_ATTRIBUTES = [
+    'email',
+    'mail',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+    'urn:oid:0.9.2342.19200300.100.1.3'
+];
+const NAME_ATTRIBUTES = [
+    'displayName',
+    'name',
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name',
+    'http://schemas.microsoft.com/identity/claims/displayname',
+    'urn:oid:2.16.840.1.113730.3.1.241'
+];
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+// SAML 2.0 web browser SSO: HTTP-Redirect requests, HTTP-POST responses with
+// signed assertions. Request ids are looked up in a `requestCache` (node-saml's
+// cache provider interface), so each response answers a request made here and
+// is accepted once.
+class SamlProvider {
+    constructor({ fetchImpl = (...args) => fetch(...args) } = {}) {
+        this.fetch = fetchImpl;
+    }
+
+    // Entry point, entity id and signing certificates from IdP metadata XML
+    static parseMetadata(xml) {
+        const doc = new DOMParser({ onError: () => {} }).parseFromString(String(xml), 'text/xml');
+
+        const entity = doc.getElementsByTagNameNS(METADATA_NS, 'EntityDescriptor')[0];
+        const idp = entity && entity.getElementsByTagNameNS(METADATA_NS, 'IDPSSODescriptor')[0];
+        if (!idp) {
+            throw new Error('Metadata does not describe a SAML identity provider');
+        }
+
+        const services = Array.from(idp.getElementsByTagNameNS(METADATA_NS, 'SingleSignOnService'));
+        const redirect = services.find(service => service.getAttribute('Binding') === REDIRECT_BINDING);
+
+        const certs = Array.from(idp.getElementsByTagNameNS(METADATA_NS, 'KeyDescriptor'))
+            .filter(descriptor => descriptor.getAttribute('use') !== 'encryption')
+            .map(descriptor => descriptor.getElementsByTagNameNS(DSIG_NS, 'X509Certificate')[0])
+            .filter(Boolean)
+            .map(cert => cert.textContent.replace(/\s+/g, ''));
+
+        if (!redirect || certs.length === 0) {
+            throw new Error('Metadata needs an HTTP-Redirect sign-on service and a signing certificate');
+        }
+
+        return {
+            issuer: entity.getAttribute('entityID'),
+            entryPoint: redirect.getAttribute('Location'),
+            certs
+        };
+    }
+
+    async fetchMetadata(url) {
+        const response = await this.fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`Could not fetch SAML metadata: HTTP ${response.status}`);
+        }
+        return SamlProvider.parseMetadata(await response.text());
+    }
+
+    client(config, { entityId, acsUrl, requestCache, requestId = undefined }) {
+        return new SAML({
+            entryPoint: config.saml_entry_point,
+            issuer: entityId,
+            audience: entityId,
+            callbackUrl: acsUrl,
+            idpCert: config.saml_idp_certs,
+            idpIssuer: config.saml_idp_issuer || undefined,
+            identifierFormat: null,
+            wantAssertionsSigned: true,
+            wantAuthnResponseSigned: false,
+            signatureAlgorithm: 'sha256',
+            acceptedClockSkewMs: 60000,
+            validateInResponseTo: ValidateInResponseTo.always,
+            cacheProvider: requestCache,
+            ...(requestId ? { generateUniqueId: () => requestId } : {})
+        });
+    }
+
+    async authorizationUrl(config, { entityId, acsUrl, requestCache, requestId }) {
+        return this.client(config, { entityId, acsUrl, requestCache, requestId }).getAuthorizeUrlAsync('', undefined, {});
+    }
+
+    // Validate a POSTed SAMLResponse; returns { subject, email, emailVerified,
+    // name, claims }
+    async validateResponse(config, { entityId, acsUrl, requestCache, samlResponse }) {
+        const { profile } = await this.client(config, { entityId, acsUrl, requestCache })
+            .validatePostResponseAsync({ SAMLResponse: samlResponse });
+
+        if (!profile || !profile.nameID) {
+            throw new Error('SAML response has no subject');
+        }
+
+        const claims = profile.attributes || {};
+        const attribute = (names) => first(names.map(name => claims[name]).find(Boolean));
+        const email = attribute(EMAIL_ATTRIBUTES) || (profile.nameID.includes('@') ? profile.nameID : null);
+
+        return {
+            subject: profile.nameID,
+            email,
+            emailVerified: true,
+            name: attribute(NAME_ATTRIBUTES) || null,
+            claims
+        };
+    }
+
+    // Service provider metadata for the tenant's IdP administrators
+    static metadata({ entityId, acsUrl }) {
+        return generateServiceProviderMetadata({
+            issuer: entityId,
+            callbackUrl: acsUrl,
+            identifierFormat: null,
+            wantAssertionsSigned: true
+        });
+    }
+}
+
+module.exports = SamlProvider;
@@ -0,0 +1,108 @@
+const { getDriver, driverNameForTenant } = require('./storage');
+
+// Document files for tenants, on whichever storage driver the tenant uses.
+// Stored files are read back through the driver recorded with them
+// (documents.storage_driver), so changing a tenant's driver does not break
+// existing documents.
+class StorageService {
+    constructor({ resolveDriver = getDriver } = {}) {
+        this.resolveDriver = resolveDriver;
+    }
+
+    driverForTenant(tenant) {
+        return this.resolveDriver(driverNameForTenant(tenant));
+    }
+
+    // Create the tenant's bucket or directory if needed
+    async ensureTenantContainer(tenant) {
+        const driver = this.driverForTenant(tenant);
+        return driver.ensureContainer(driver.containerName(tenant.slug));
+    }
+
+    // Driver, container and key for a new file. Each version gets its own
+    // key so earlier versions stay available.
+    async prepareDocumentFile(tenant, documentId, fileName, version) {
+        const driver = this.driverForTenant(tenant);
+        const container = await driver.ensureContainer(driver.containerName(tenant.slug));
+        const sanitizedName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
+        return { driver, container, key: `documents/${documentId}/v${version}/${sanitizedName}` };
+    }
+
+    async uploadDocument(tenant, documentId, fileBuffer, fileName, contentType, version = 1) {
+        const { driver, container, key } = await this.prepareDocumentFile(tenant, documentId, fileName, version);
+
+        console.log(`📤 Uploading to ${driver.name} storage: ${container}/${key}`);
+        const result = await driver.upload(container, key, fileBuffer, { contentType });
+
+        return {
+            driver: driver.name,
+            bucket: result.container,
+            key: result.key,
+            etag: result.etag,
+            size: result.size
+        };
+    }
+
+    // Start a multipart upload that the client sends straight to storage
+    async createUpload(tenant, documentId, fileName, contentType, version = 1) {
+        const { driver, container, key } = await this.prepareDocumentFile(tenant, documentId, fileName, version);
+        const uploadId = await driver.createMultipartUpload(container, key, { contentType });
+
+        return {
+            driver: driver.name,
+            bucket: container,
+            key,
+            uploadId
+        };
+    }
+
+    // `upload` is a document_uploads row
+    async getUploadPartUrls(upload, partNumbers, expiresIn = 3600) {
+        const driver = this.resolveDriver(upload.storage_driver);
+        return Promise.all(partNumbers.map(async partNumber => ({
+            partNumber,
+            url: await driver.getUploadPartUrl(upload.s3_bucket, upload.s3_key, upload.storage_upload_id, partNumber, {
+                expiresIn
+            })
+        })));
+    }
+
+    async listUploadedParts(upload) {
+        return this.resolveDriver(upload.storage_driver)
+            .listUploadedParts(upload.s3_bucket, upload.s3_key, upload.storage_upload_id);
+    }
+
+    async completeUpload(upload, parts) {
+        return this.resolveDriver(upload.storage_driver)
+            .completeMultipartUpload(upload.s3_bucket, upload.s3_key, upload.storage_upload_id, parts);
+    }
+
+    async abortUpload(upload) {
+        await this.resolveDriver(upload.storage_driver)
+            .abortMultipartUpload(upload.s3_bucket, upload.s3_key, upload.storage_upload_id);
+    }
+
+    // `file` is a documents or document_versions row
+    async getFile(file) {
+        return this.resolveDriver(file.storage_driver).get(file.s3_bucket, file.s3_key);
+    }
+
+    async deleteFile(file) {
+        console.log(`🗑️ Deleting from ${file.storage_driver} storage: ${file.s3_bucket}/${file.s3_key}`);
+        await this.resolveDriver(file.storage_driver).delete(file.s3_bucket, file.s3_key);
+    }
+
+    async generateDownloadUrl(file, fileName = null, expiresIn = 3600) {
+        return this.resolveDriver(file.storage_driver).getSignedUrl(file.s3_bucket, file.s3_key, {
+            fileName,
+            expiresIn
+        });
+    }
+
+    async getUsage(tenant) {
+        const driver = this.driverForTenant(tenant);
+        return driver.usage(driver.containerName(tenant.slug), 'documents/');
+    }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,58 @@
+const LocalStorageDriver = require('./local-driver');
+const S3StorageDriver = require('./s3-driver');
+
+// Drivers implement { name, isConfigured(), containerName(tenantSlug),
+// ensureContainer(container), upload(container, key, body, { contentType }),
+// get(container, key), delete(container, key), list(container, prefix),
+// getSignedUrl(container, key, { fileName, expiresIn }), usage(container, prefix) }
+// and multipart uploads through presigned part URLs: createMultipartUpload(container,
+// key, { contentType }), getUploadPartUrl(container, key, uploadId, partNumber,
+// { expiresIn }), listUploadedParts(container, key, uploadId),
+// completeMultipartUpload(container, key, uploadId, parts) and
+// abortMultipartUpload(container, key, uploadId).
+// A container is a bucket for S3 and a directory for local storage.
+const drivers = {
+    local: (options) => new LocalStorageDriver(options),
+    s3: (options) => new S3StorageDriver(options)
+};
+
+const DEFAULT_DRIVER = process.env.STORAGE_DRIVER || 's3';
+
+// Driver instances hold clients and settings, so they are shared
+const instances = new Map();
+
+const registerDriver = (name, factory) => {
+    drivers[name] = factory;
+    instances.delete(name);
+};
+
+const hasDriver = (name) => Object.prototype.hasOwnProperty.call(drivers, name);
+
+const getDriver = (name = DEFAULT_DRIVER) => {
+    if (!hasDriver(name)) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+    if (!instances.has(name)) {
+        instances.set(name, drivers[name]());
+    }
+    return instances.get(name);
+};
+
+// A tenant can be pinned to a driver with tenants.settings.storage_driver;
+// otherwise the deployment's STORAGE_DRIVER applies
+const driverNameForTenant = (tenant) => (tenant && tenant.settings && tenant.settings.storage_driver) || DEFAULT_DRIVER;
+
+const listDrivers = () => Object.keys(drivers).map(name => ({
+    name,
+    configured: getDriver(name).isConfigured(),
+    default: name === DEFAULT_DRIVER
+}));
+
+module.exports = {
+    DEFAULT_DRIVER,
+    registerDriver,
+    hasDriver,
+    getDriver,
+    driverNameForTenant,
+    listDrivers
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { createReadStream, createWriteStream } = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Stores files on local disk under STORAGE_LOCAL_PATH/<container>/<key>.
+// Signed download and part upload URLs point at the /api/storage/local
+// routes, so the app runs without any cloud storage. Parts of multipart
+// uploads are staged in STORAGE_LOCAL_PATH/.uploads/<uploadId>/.
+class LocalStorageDriver {
+    constructor({
+        rootPath = process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '..', '..', 'storage'),
+        publicUrl = process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`,
+        signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+    } = {}) {
+        this.name = 'local';
+        this.rootPath = path.resolve(rootPath);
+        this.publicUrl = publicUrl.replace(/\/+$/, '');
+        this.signingSecret = signingSecret;
+    }
+
+    isConfigured() {
+        return Boolean(this.signingSecret);
+    }
+
+    containerName(tenantSlug) {
+        return tenantSlug.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+    }
+
+    // Absolute path of an object; keys cannot escape their container
+    resolvePath(container, key = '') {
+        if (!/^[a-z0-9][a-z0-9._-]*$/i.test(container)) {
+            throw new Error(`Invalid storage container: ${container}`);
+        }
+
+        const containerPath = path.join(this.rootPath, container);
+        const filePath = path.resolve(containerPath, key);
+        if (filePath !== containerPath && !filePath.startsWith(containerPath + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async ensureContainer(container) {
+        await fs.mkdir(this.resolvePath(container), { recursive: true });
+        return container;
+    }
+
+    async upload(container, key, body) {
+        const filePath = this.resolvePath(container, key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, body);
+
+        return {
+            container,
+            key,
+            etag: crypto.createHash('md5').update(body).digest('hex'),
+            size: body.length
+        };
+    }
+
+    async get(container, key) {
+        return fs.readFile(this.resolvePath(container, key));
+    }
+
+    async delete(container, key) {
+        await fs.rm(this.resolvePath(container, key), { force: true });
+    }
+
+    async list(container, prefix = '') {
+        const containerPath = this.resolvePath(container);
+        const files = [];
+
+        const walk = async (dir) => {
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+
+            for (const entry of entries) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(entryPath);
+                    continue;
+                }
+
+                const key = path.relative(containerPath, entryPath).split(path.sep).join('/');
+                if (key.startsWith(prefix)) {
+                    const stats = await fs.stat(entryPath);
+                    files.push({ key, size: stats.size, lastModified: stats.mtime });
+                }
+            }
+        };
+        await walk(containerPath);
+
+        return files;
+    }
+
+    signature(payload) {
+        return crypto.createHmac('sha256', this.signingSecret).update(payload).digest('hex');
+    }
+
+    checkSignature(payload, { expires, signature }) {
+        if (!expires || !signature || parseInt(expires) < Math.floor(Date.now() / 1000)) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.signature(payload));
+        const actual = Buffer.from(String(signature));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    async getSignedUrl(container, key, { fileName = null, expiresIn = 3600 } = {}) {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const params = new URLSearchParams({ expires: String(expires) });
+        if (fileName) {
+            params.set('filename', fileName);
+        }
+        params.set('signature', this.signature(`download:${container}/${key}\n${expires}\n${fileName || ''}`));
+
+        const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+        return `${this.publicUrl}/api/storage/local/${encodeURIComponent(container)}/${encodedKey}?${params}`;
+    }
+
+    // True when a signed URL's parameters are authentic and not expired
+    verifySignedUrl(container, key, query) {
+        return this.checkSignature(`download:${container}/${key}\n${query.expires}\n${query.filename || ''}`, query);
+    }
+
+    stagingPath(uploadId, partNumber) {
+        if (!/^[a-f0-9-]+$/.test(uploadId)) {
+            throw new Error(`Invalid upload id: ${uploadId}`);
+        }
+        const uploadPath = path.join(this.rootPath, '.uploads', uploadId);
+        return partNumber === undefined ? uploadPath : path.join(uploadPath, String(parseInt(partNumber)));
+    }
+
+    async createMultipartUpload() {
+        const uploadId = crypto.randomUUID();
+        await fs.mkdir(this.stagingPath(uploadId), { recursive: true });
+        return uploadId;
+    }
+
+    async getUploadPartUrl(container, key, uploadId, partNumber, { expiresIn = 3600 } = {}) {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const params = new URLSearchParams({
+            expires: String(expires),
+            signature: this.signature(`part:${uploadId}/${partNumber}\n${expires}`)
+        });
+        return `${this.publicUrl}/api/storage/local/uploads/${uploadId}/${partNumber}?${params}`;
+    }
+
+    verifyPartUrl(uploadId, partNumber, query) {
+        return this.checkSignature(`part:${uploadId}/${partNumber}\n${query.expires}`, query);
+    }
+
+    // Store one part from a request stream. Re-sending a part replaces it.
+    async writePart(uploadId, partNumber, stream) {
+        const uploadPath = this.stagingPath(uploadId);
+        await fs.access(uploadPath);
+
+        const partPath = this.stagingPath(uploadId, partNumber);
+        const tempPath = `${partPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        const hash = crypto.createHash('md5');
+        let size = 0;
+
+        stream.on('data', chunk => {
+            hash.update(chunk);
+            size += chunk.length;
+        });
+        await pipeline(stream, createWriteStream(tempPath));
+        await fs.rename(tempPath, partPath);
+
+        return { etag: hash.digest('hex'), size };
+    }
+
+    async listUploadedParts(container, key, uploadId) {
+        const uploadPath = this.stagingPath(uploadId);
+        const names = (await fs.readdir(uploadPath)).filter(name => /^\d+$/.test(name));
+
+        const parts = [];
+        for (const name of names) {
+            const stats = await fs.stat(path.join(uploadPath, name));
+            parts.push({ partNumber: parseInt(name), size: stats.size });
+        }
+        return parts.sort((a, b) => a.partNumber - b.partNumber);
+    }
+
+    // Concatenate the parts into the final file
+    async completeMultipartUpload(container, key, uploadId, parts) {
+        const filePath = this.resolvePath(container, key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        const output = createWriteStream(filePath);
+        for (const part of parts) {
+            await pipeline(createReadStream(this.stagingPath(uploadId, part.partNumber)), output, { end: false });
+        }
+        await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+
+        await fs.rm(this.stagingPath(uploadId), { recursive: true, force: true });
+        const stats = await fs.stat(filePath);
+        return { size: stats.size };
+    }
+
+    async abortMultipartUpload(container, key, uploadId) {
+        await fs.rm(this.stagingPath(uploadId), { recursive: true, force: true });
+    }
+
+    async usage(container, prefix = '') {
+        const files = await this.list(container, prefix);
+        return {
+            fileCount: files.length,
+            totalSizeBytes: files.reduce((sum, file) => sum + file.size, 0)
+        };
+    }
+}
+
+module.exports = LocalStorageDriver;
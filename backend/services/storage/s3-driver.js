@@ -0,0 +1,227 @@
+const AWS = require('aws-sdk');
+
+// Amazon S3 or any S3-compatible service (MinIO, Ceph, R2, ...). Set
+// S3_ENDPOINT for the latter; MinIO also needs S3_FORCE_PATH_STYLE=true.
+class S3StorageDriver {
+    constructor({
+        endpoint = process.env.S3_ENDPOINT,
+        region = process.env.AWS_REGION || 'us-east-1',
+        accessKeyId = process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY,
+        forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+        bucketPrefix = process.env.AWS_S3_BUCKET_PREFIX || 'dataroom-v2'
+    } = {}) {
+        this.name = 's3';
+        this.endpoint = endpoint;
+        this.region = region;
+        this.bucketPrefix = bucketPrefix;
+        this.credentialsSet = Boolean(accessKeyId && secretAccessKey);
+
+        this.s3 = new AWS.S3({
+            apiVersion: '2006-03-01',
+            region,
+            accessKeyId,
+            secretAccessKey,
+            endpoint: endpoint || undefined,
+            s3ForcePathStyle: forcePathStyle,
+            signatureVersion: 'v4'
+        });
+    }
+
+    isConfigured() {
+        return this.credentialsSet;
+    }
+
+    // Same bucket naming as S3ServiceV2, so existing buckets keep working
+    containerName(tenantSlug) {
+        return `${this.bucketPrefix}-${tenantSlug}-documents`;
+    }
+
+    async ensureContainer(container) {
+        try {
+            await this.s3.headBucket({ Bucket: container }).promise();
+            return container;
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+
+        const params = { Bucket: container };
+        // Only add CreateBucketConfiguration for regions other than us-east-1
+        if (!this.endpoint && this.region !== 'us-east-1') {
+            params.CreateBucketConfiguration = { LocationConstraint: this.region };
+        }
+
+        try {
+            await this.s3.createBucket(params).promise();
+        } catch (error) {
+            if (error.code !== 'BucketAlreadyOwnedByYou') throw error;
+            return container;
+        }
+
+        // S3-compatible services do not all support public access blocks or
+        // bucket CORS rules
+        if (!this.endpoint) {
+            await this.s3.putPublicAccessBlock({
+                Bucket: container,
+                PublicAccessBlockConfiguration: {
+                    BlockPublicAcls: true,
+                    IgnorePublicAcls: true,
+                    BlockPublicPolicy: true,
+                    RestrictPublicBuckets: true
+                }
+            }).promise();
+
+            // Browsers PUT upload parts straight to the bucket; the presigned
+            // URL is the authorization
+            await this.s3.putBucketCors({
+                Bucket: container,
+                CORSConfiguration: {
+                    CORSRules: [{
+                        AllowedMethods: ['GET', 'PUT'],
+                        AllowedOrigins: (process.env.STORAGE_CORS_ORIGINS || '*').split(','),
+                        AllowedHeaders: ['*'],
+                        ExposeHeaders: ['ETag'],
+                        MaxAgeSeconds: 3600
+                    }]
+                }
+            }).promise();
+        }
+
+        console.log(`✅ Storage bucket created: ${container}`);
+        return container;
+    }
+
+    async upload(container, key, body, { contentType } = {}) {
+        const params = {
+            Bucket: container,
+            Key: key,
+            Body: body,
+            ContentType: contentType
+        };
+        if (!this.endpoint) {
+            params.ServerSideEncryption = 'AES256';
+        }
+
+        const result = await this.s3.upload(params).promise();
+        return {
+            container,
+            key,
+            etag: result.ETag,
+            size: body.length
+        };
+    }
+
+    async get(container, key) {
+        const result = await this.s3.getObject({ Bucket: container, Key: key }).promise();
+        return result.Body;
+    }
+
+    async delete(container, key) {
+        await this.s3.deleteObject({ Bucket: container, Key: key }).promise();
+    }
+
+    async list(container, prefix = '') {
+        const files = [];
+        let continuationToken;
+
+        do {
+            const result = await this.s3.listObjectsV2({
+                Bucket: container,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }).promise();
+
+            for (const object of result.Contents || []) {
+                files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+            }
+            continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return files;
+    }
+
+    async getSignedUrl(container, key, { fileName = null, expiresIn = 3600 } = {}) {
+        const params = {
+            Bucket: container,
+            Key: key,
+            Expires: expiresIn
+        };
+        if (fileName) {
+            params.ResponseContentDisposition = `attachment; filename="${encodeURIComponent(fileName)}"`;
+        }
+        return this.s3.getSignedUrlPromise('getObject', params);
+    }
+
+    async createMultipartUpload(container, key, { contentType } = {}) {
+        const params = {
+            Bucket: container,
+            Key: key,
+            ContentType: contentType
+        };
+        if (!this.endpoint) {
+            params.ServerSideEncryption = 'AES256';
+        }
+
+        const result = await this.s3.createMultipartUpload(params).promise();
+        return result.UploadId;
+    }
+
+    async getUploadPartUrl(container, key, uploadId, partNumber, { expiresIn = 3600 } = {}) {
+        return this.s3.getSignedUrlPromise('uploadPart', {
+            Bucket: container,
+            Key: key,
+            UploadId: uploadId,
+            PartNumber: partNumber,
+            Expires: expiresIn
+        });
+    }
+
+    async listUploadedParts(container, key, uploadId) {
+        const parts = [];
+        let marker;
+
+        do {
+            const result = await this.s3.listParts({
+                Bucket: container,
+                Key: key,
+                UploadId: uploadId,
+                PartNumberMarker: marker
+            }).promise();
+
+            for (const part of result.Parts || []) {
+                parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size });
+            }
+            marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+        } while (marker);
+
+        return parts;
+    }
+
+    async completeMultipartUpload(container, key, uploadId, parts) {
+        await this.s3.completeMultipartUpload({
+            Bucket: container,
+            Key: key,
+            UploadId: uploadId,
+            MultipartUpload: {
+                Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+            }
+        }).promise();
+
+        const head = await this.s3.headObject({ Bucket: container, Key: key }).promise();
+        return { size: head.ContentLength };
+    }
+
+    async abortMultipartUpload(container, key, uploadId) {
+        await this.s3.abortMultipartUpload({ Bucket: container, Key: key, UploadId: uploadId }).promise();
+    }
+
+    async usage(container, prefix = '') {
+        const files = await this.list(container, prefix);
+        return {
+            fileCount: files.length,
+            totalSizeBytes: files.reduce((sum, file) => sum + (file.size || 0), 0)
+        };
+    }
+}
+
+module.exports = S3StorageDriver;
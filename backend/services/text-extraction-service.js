@@ -0,0 +1,113 @@
+const path = require('path');
+
+const pdfExtractor = require('./extractors/pdf-extractor');
+const docxExtractor = require('./extractors/docx-extractor');
+const xlsxExtractor = require('./extractors/xlsx-extractor');
+const pptxExtractor = require('./extractors/pptx-extractor');
+const textExtractor = require('./extractors/text-extractor');
+
+const DEFAULT_EXTRACTORS = [
+    pdfExtractor,
+    docxExtractor,
+    xlsxExtractor,
+    pptxExtractor,
+    textExtractor
+];
+
+class UnsupportedDocumentTypeError extends Error {
+    constructor(mimeType, fileName) {
+        super(`No text extractor available for ${mimeType || 'unknown type'} (${fileName || 'unnamed file'})`);
+        this.name = 'UnsupportedDocumentTypeError';
+        this.mimeType = mimeType;
+    }
+}
+
+class TextExtractionService {
+    constructor(extractors = DEFAULT_EXTRACTORS) {
+        this.byMimeType = new Map();
+        this.byExtension = new Map();
+
+        extractors.forEach(extractor => this.register(extractor));
+    }
+
+    // Register an extractor for its MIME types and file extensions.
+    // Later registrations override earlier ones, so custom extractors can
+    // replace the built-in ones.
+    register(extractor) {
+        if (!extractor || typeof extractor.extract !== 'function') {
+            throw new Error('Extractor must implement extract(buffer)');
+        }
+
+        (extractor.mimeTypes || []).forEach(mimeType => {
+            this.byMimeType.set(mimeType.toLowerCase(), extractor);
+        });
+
+        (extractor.extensions || []).forEach(extension => {
+            this.byExtension.set(extension.toLowerCase(), extractor);
+        });
+    }
+
+    // Resolve by MIME type first, then fall back to the file extension since
+    // browsers often send application/octet-stream for Office files
+    getExtractor(mimeType, fileName) {
+        const normalizedType = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+        if (this.byMimeType.has(normalizedType)) {
+            return this.byMimeType.get(normalizedType);
+        }
+
+        const extension = path.extname(fileName || '').toLowerCase();
+        return this.byExtension.get(extension) || null;
+    }
+
+    canExtract(mimeType, fileName) {
+        return this.getExtractor(mimeType, fileName) !== null;
+    }
+
+    // Extract text units (pages, sheets or slides) from a file buffer
+    async extract(buffer, mimeType, fileName) {
+        const extractor = this.getExtractor(mimeType, fileName);
+
+        if (!extractor) {
+            throw new UnsupportedDocumentTypeError(mimeType, fileName);
+        }
+
+        const startTime = Date.now();
+        const units = await extractor.extract(buffer);
+        const pages = units.filter(unit => unit.text && unit.text.trim().length > 0);
+
+        console.log(`📄 Extracted ${pages.length} ${pages[0]?.unitType || 'page'}(s) from ${fileName} with ${extractor.name} extractor in ${Date.now() - startTime}ms`);
+
+        return {
+            extractor: extractor.name,
+            pages,
+            totalCharacters: pages.reduce((sum, page) => sum + page.text.length, 0)
+        };
+    }
+
+    // Render extracted units as one labelled text block, capped at maxChars
+    static formatForPrompt(pages, maxChars = 40000) {
+        let output = '';
+
+        for (const page of pages) {
+            const section = `--- ${page.label} ---\n${page.text}\n\n`;
+
+            if (output.length + section.length > maxChars) {
+                const remaining = maxChars - output.length;
+                if (remaining > 200) {
+                    output += section.substring(0, remaining) + '\n[...truncated]';
+                }
+                break;
+            }
+
+            output += section;
+        }
+
+        return output.trim();
+    }
+}
+
+module.exports = {
+    TextExtractionService,
+    UnsupportedDocumentTypeError
+};
@@ -0,0 +1,157 @@
+const jwt = require('jsonwebtoken');
+const Jimp = require('jimp');
+const { PDFDocument, StandardFonts, degrees, rgb } = require('pdf-lib');
+const pool = require('../database-pool');
+
+const DEFAULT_WATERMARK_TEMPLATE = 'Confidential - {email} - {ip} - {timestamp}';
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+// Watermarked download links are only valid briefly; the stamp records who
+// asked for them
+const WATERMARK_LINK_TTL = 300; // 5 minutes
+
+// The standard PDF fonts only cover Latin-1
+const toLatin1 = (text) => text.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+class WatermarkService {
+    constructor({
+        signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
+        publicUrl = process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`
+    } = {}) {
+        this.signingSecret = signingSecret;
+        this.publicUrl = publicUrl.replace(/\/$/, '');
+    }
+
+    // Fill {email}, {name}, {ip}, {timestamp}, {document} and {company} in a
+    // watermark template; unknown placeholders are left as they are
+    static renderTemplate(template, values) {
+        return (template || DEFAULT_WATERMARK_TEMPLATE).replace(/\{(\w+)\}/g, (match, key) => (
+            values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+        ));
+    }
+
+    // Watermarking mode of a tenant, from tenant_settings
+    async settingsFor(tenantId) {
+        const result = await pool.query(
+            'SELECT watermark_enabled, watermark_template, company_name FROM tenant_settings WHERE tenant_id = $1',
+            [tenantId]
+        );
+        const settings = result.rows[0] || {};
+
+        return {
+            enabled: Boolean(settings.watermark_enabled),
+            template: settings.watermark_template || DEFAULT_WATERMARK_TEMPLATE,
+            companyName: settings.company_name || null
+        };
+    }
+
+    isSupported(mimeType) {
+        return mimeType === 'application/pdf' || IMAGE_TYPES.includes(mimeType);
+    }
+
+    async apply(buffer, mimeType, text) {
+        if (mimeType === 'application/pdf') {
+            return this.watermarkPdf(buffer, text);
+        }
+        if (IMAGE_TYPES.includes(mimeType)) {
+            return this.watermarkImage(buffer, mimeType, text);
+        }
+        throw new Error(`Watermarking is not supported for ${mimeType}`);
+    }
+
+    // Stamp the text diagonally across every page, with a small copy in the
+    // bottom margin
+    async watermarkPdf(buffer, text) {
+        const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true });
+        const font = await pdf.embedFont(StandardFonts.Helvetica);
+        const stamp = toLatin1(text);
+
+        for (const page of pdf.getPages()) {
+            const { width, height } = page.getSize();
+            const angle = Math.atan2(height, width);
+
+            // Span about 80% of the diagonal
+            const unitWidth = font.widthOfTextAtSize(stamp, 1);
+            const size = Math.max(8, Math.min(48, (Math.hypot(width, height) * 0.8) / unitWidth));
+            const textWidth = unitWidth * size;
+
+            page.drawText(stamp, {
+                x: width / 2 - (Math.cos(angle) * textWidth) / 2 + (Math.sin(angle) * size) / 2,
+                y: height / 2 - (Math.sin(angle) * textWidth) / 2 - (Math.cos(angle) * size) / 2,
+                size,
+                font,
+                color: rgb(0.5, 0.5, 0.5),
+                opacity: 0.25,
+                rotate: degrees((angle * 180) / Math.PI)
+            });
+
+            page.drawText(stamp, {
+                x: 20,
+                y: 12,
+                size: 7,
+                font,
+                color: rgb(0.4, 0.4, 0.4),
+                opacity: 0.8
+            });
+        }
+
+        // Object streams are left out so older PDF readers can open the copy
+        return Buffer.from(await pdf.save({ useObjectStreams: false }));
+    }
+
+    // Overlay the text diagonally across the image
+    async watermarkImage(buffer, mimeType, text) {
+        const image = await Jimp.read(buffer);
+        const { width, height } = image.bitmap;
+
+        const font = await Jimp.loadFont(
+            width >= 1600 ? Jimp.FONT_SANS_64_BLACK
+                : width >= 600 ? Jimp.FONT_SANS_32_BLACK
+                    : Jimp.FONT_SANS_16_BLACK
+        );
+        const textWidth = Jimp.measureText(font, text);
+        const textHeight = Jimp.measureTextHeight(font, text, textWidth + 1);
+
+        const layer = new Jimp(textWidth + 20, textHeight + 10, 0x00000000);
+        layer.print(font, 10, 5, text);
+        layer.rotate((Math.atan2(height, width) * 180) / Math.PI);
+        layer.opacity(0.35);
+
+        image.composite(
+            layer,
+            Math.round((width - layer.bitmap.width) / 2),
+            Math.round((height - layer.bitmap.height) / 2)
+        );
+
+        return image.getBufferAsync(mimeType);
+    }
+
+    // Short-lived link to a watermarked copy of a document version. The text
+    // is fixed when the link is made, from the authenticated request.
+    createDownloadUrl({ tenantId, documentId, version, text }) {
+        const token = jwt.sign(
+            { purpose: 'watermark', tenantId, documentId, version, text },
+            this.signingSecret,
+            { expiresIn: WATERMARK_LINK_TTL }
+        );
+        return `${this.publicUrl}/api/storage/watermarked/${token}`;
+    }
+
+    // Grant of a watermarked download link, or null when it is invalid or
+    // expired
+    verifyDownloadToken(token) {
+        try {
+            const grant = jwt.verify(token, this.signingSecret);
+            return grant.purpose === 'watermark' ? grant : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    WatermarkService,
+    DEFAULT_WATERMARK_TEMPLATE,
+    WATERMARK_LINK_TTL
+};
@@ -0,0 +1,83 @@
+const request = require('supertest');
+const Folder = require('../models/folder');
+const accessRoutes = require('../routes/access-routes');
+const documentRoutes = require('../routes/document-routes');
+const {
+    createTenant,
+    createUser,
+    createDocument,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('Document Access Control (database)', () => {
+    const app = createApp(accessRoutes, documentRoutes);
+    let tenant, admin, adminToken, reviewer, outsider, folder, report, appendix;
+
+    const listDocuments = async (user) => {
+        const response = await request(app)
+            .get('/api/documents')
+            .set('Authorization', `Bearer ${await sessionToken(user)}`)
+            .expect(200);
+        return Object.fromEntries(response.body.documents.map(document => [document.original_name, document.access]));
+    };
+
+    const putRules = (path, rules) => request(app)
+        .put(path)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ rules });
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        admin = await createUser(tenant, { role: 'admin' });
+        adminToken = await sessionToken(admin);
+        reviewer = await createUser(tenant, { name: 'Reviewer' });
+        outsider = await createUser(tenant, { name: 'Outsider' });
+        folder = await Folder.create(tenant.id, { name: 'Financials', createdBy: admin.id });
+        report = await createDocument(tenant, admin, { originalName: 'Report.pdf', folderId: folder.id });
+        appendix = await createDocument(tenant, admin, { originalName: 'Appendix.pdf', folderId: folder.id });
+        await createDocument(tenant, admin, { originalName: 'Overview.pdf' });
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Folder rules restrict its documents, and document rules override them', async () => {
+        await putRules(`/api/folders/${folder.id}/access`, [{ userId: reviewer.id, access: 'view' }]).expect(200);
+        await putRules(`/api/documents/${appendix.id}/access`, [{ access: 'download' }]).expect(200);
+
+        expect(await listDocuments(reviewer)).toEqual({
+            'Report.pdf': 'view',
+            'Appendix.pdf': 'download',
+            'Overview.pdf': 'download'
+        });
+        expect(await listDocuments(outsider)).toEqual({
+            'Appendix.pdf': 'download',
+            'Overview.pdf': 'download'
+        });
+        expect(Object.keys(await listDocuments(admin))).toHaveLength(3);
+
+        await request(app)
+            .get(`/api/documents/${report.id}/download`)
+            .set('Authorization', `Bearer ${await sessionToken(outsider)}`)
+            .expect(404);
+        await request(app)
+            .get(`/api/documents/${report.id}/download`)
+            .set('Authorization', `Bearer ${await sessionToken(reviewer)}`)
+            .expect(403);
+    });
+
+    test('Rules naming a user of another tenant are rejected', async () => {
+        const other = await createTenant('Other Company');
+        try {
+            const stranger = await createUser(other);
+            const response = await putRules(`/api/documents/${report.id}/access`, [{ userId: stranger.id, access: 'download' }])
+                .expect(400);
+            expect(response.body.error).toBe('Unknown user in rules');
+        } finally {
+            await removeTenant(other);
+        }
+    });
+});
@@ -0,0 +1,151 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const AccessRule = require('../models/access-rule');
+const Folder = require('../models/folder');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+describe('Document Access Control', () => {
+    // Data room -> Financials -> Audits
+    const folderParents = new Map([
+        ['dataroom', null],
+        ['financials', 'dataroom'],
+        ['audits', 'financials']
+    ]);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('A user rule wins over group rules, which win over everyone', () => {
+        const rules = [
+            { user_id: null, group_id: null, access: 'download' },
+            { user_id: null, group_id: 'bidder-a', access: 'none' },
+            { user_id: null, group_id: 'bidder-b', access: 'view' },
+            { user_id: 7, group_id: null, access: 'download' }
+        ];
+
+        expect(AccessRule.levelAccess(rules, 7, ['bidder-a'])).toBe('download');
+        expect(AccessRule.levelAccess(rules, 8, ['bidder-a', 'bidder-b'])).toBe('view');
+        expect(AccessRule.levelAccess(rules, 8, ['bidder-a'])).toBe('none');
+        expect(AccessRule.levelAccess(rules, 9, [])).toBe('download');
+        expect(AccessRule.levelAccess([{ user_id: 7, group_id: null, access: 'view' }], 9, [])).toBe('none');
+        expect(AccessRule.levelAccess([], 9, [])).toBeNull();
+    });
+
+    test('Documents follow the nearest folder with rules', () => {
+        const access = AccessRule.buildResolver({
+            rules: [
+                { folder_id: 'financials', user_id: null, group_id: null, access: 'view' },
+                { folder_id: 'audits', user_id: 7, group_id: null, access: 'download' },
+                { document_id: 'forecast', user_id: null, group_id: null, access: 'none' }
+            ],
+            userId: 8,
+            groupIds: [],
+            folderParents
+        });
+
+        expect(access.unrestricted).toBe(false);
+        expect(access.folderAccess('dataroom')).toBe('download');
+        expect(access.folderAccess('financials')).toBe('view');
+        expect(access.folderAccess('audits')).toBe('none');
+        expect(access.documentAccess({ id: 'ledger', folder_id: 'financials' })).toBe('view');
+        expect(access.documentAccess({ id: 'report', folder_id: 'audits' })).toBe('none');
+        expect(access.documentAccess({ id: 'forecast', folder_id: 'dataroom' })).toBe('none');
+        expect(access.documentAccess({ id: 'loose', folder_id: null })).toBe('download');
+    });
+
+    test('Without rules everyone can download', () => {
+        const access = AccessRule.buildResolver({ rules: [], userId: 8, groupIds: [], folderParents });
+
+        expect(access.unrestricted).toBe(true);
+        expect(access.documentAccess({ id: 'ledger', folder_id: 'audits' })).toBe('download');
+    });
+
+    test('View-only documents cannot be downloaded except by admins', () => {
+        const open = AccessRule.buildResolver({ rules: [], userId: 8, groupIds: [] });
+        const restricted = AccessRule.buildResolver({
+            rules: [{ folder_id: 'audits', user_id: 8, group_id: null, access: 'download' }],
+            userId: 8,
+            groupIds: [],
+            folderParents
+        });
+        const admin = AccessRule.buildResolver({ rules: [], unrestricted: true });
+
+        expect(open.documentAccess({ id: 'ledger', folder_id: 'audits', view_only: true })).toBe('view');
+        expect(restricted.documentAccess({ id: 'ledger', folder_id: 'audits', view_only: true })).toBe('view');
+        expect(admin.documentAccess({ id: 'ledger', folder_id: 'audits', view_only: true })).toBe('download');
+    });
+
+    test('Hidden folders are kept when they lead to visible ones', () => {
+        const tree = Folder.buildTree([
+            { id: 'dataroom', parent_id: null, name: 'Data Room', position: 0 },
+            { id: 'financials', parent_id: 'dataroom', name: 'Financials', position: 0 },
+            { id: 'legal', parent_id: 'dataroom', name: 'Legal', position: 1 },
+            { id: 'hr', parent_id: null, name: 'HR', position: 1 }
+        ]);
+
+        const filtered = Folder.filterTree(tree, folder => folder.id === 'legal');
+
+        expect(filtered.map(folder => folder.id)).toEqual(['dataroom']);
+        expect(filtered[0].children.map(folder => [folder.id, folder.index])).toEqual([['legal', '1.2']]);
+    });
+
+    describe('requireDocumentAccess', () => {
+        const run = async (level, user) => {
+            const req = { params: { id: 'ledger' }, tenantId: 'tenant-1', user };
+            const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+            const next = jest.fn();
+
+            await tenantMiddleware.requireDocumentAccess(level)(req, res, next);
+            return { req, res, next };
+        };
+
+        // Document lookup, access rules, group memberships, folders
+        const mockQueries = () => {
+            pool.query
+                .mockResolvedValueOnce({ rows: [{ id: 'ledger', folder_id: 'financials' }] })
+                .mockResolvedValueOnce({ rows: [{ folder_id: 'financials', document_id: null, user_id: null, group_id: 'bidder-a', access: 'view' }] })
+                .mockResolvedValueOnce({ rows: [{ group_id: 'bidder-a' }] })
+                .mockResolvedValueOnce({ rows: [...folderParents].map(([id, parent_id]) => ({ id, parent_id })) });
+        };
+
+        test('View-only documents can be opened but not downloaded', async () => {
+            mockQueries();
+            const viewed = await run('view', { id: 8, tenant_role: 'member' });
+            expect(viewed.next).toHaveBeenCalled();
+            expect(viewed.req.documentAccess).toBe('view');
+
+            mockQueries();
+            const downloaded = await run('download', { id: 8, tenant_role: 'member' });
+            expect(downloaded.next).not.toHaveBeenCalled();
+            expect(downloaded.res.status).toHaveBeenCalledWith(403);
+        });
+
+        test('Documents without access are reported as missing', async () => {
+            pool.query
+                .mockResolvedValueOnce({ rows: [{ id: 'ledger', folder_id: 'financials' }] })
+                .mockResolvedValueOnce({ rows: [{ folder_id: 'financials', document_id: null, user_id: null, group_id: 'bidder-a', access: 'view' }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [...folderParents].map(([id, parent_id]) => ({ id, parent_id })) });
+
+            const { res, next } = await run('view', { id: 9, tenant_role: 'member' });
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        test('Tenant admins are not restricted', async () => {
+            pool.query.mockResolvedValueOnce({ rows: [{ id: 'ledger', folder_id: 'financials' }] });
+
+            const { req, next } = await run('download', { id: 1, tenant_role: 'admin' });
+
+            expect(next).toHaveBeenCalled();
+            expect(req.documentAccess).toBe('download');
+            expect(pool.query).toHaveBeenCalledTimes(1);
+        });
+    });
+});
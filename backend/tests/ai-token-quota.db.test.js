@@ -0,0 +1,63 @@
+const request = require('supertest');
+const pool = require('../database-pool');
+const Tenant = require('../models/tenant');
+const DocumentPage = require('../models/document-page');
+const qaRoutes = require('../routes/qa-routes');
+const {
+    createTenant,
+    createUser,
+    createDocument,
+    setTenantSettings,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('AI Token Quotas (database)', () => {
+    const app = createApp(qaRoutes);
+    let tenant, token;
+
+    const ask = () => request(app)
+        .post('/api/ask')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ question: 'How much did revenue grow?' });
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        const user = await createUser(tenant);
+        token = await sessionToken(user);
+        await setTenantSettings(tenant, { ai_provider: 'mock' });
+
+        const document = await createDocument(tenant, user, { status: 'analyzed' });
+        await DocumentPage.replaceForDocument(tenant.id, document.id, [
+            { number: 1, unitType: 'page', label: 'Page 1', text: 'Revenue grew by 12 percent last year' }
+        ], 'pdf');
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Tokens used by answers are metered against the monthly quota', async () => {
+        await ask().expect(200);
+
+        const usage = await pool.query(`
+            SELECT ai_input_tokens, ai_output_tokens, ai_requests_count FROM tenant_usage
+            WHERE tenant_id = $1 AND month = date_trunc('month', CURRENT_DATE)
+        `, [tenant.id]);
+        expect(usage.rows[0].ai_requests_count).toBe(1);
+        expect(Number(usage.rows[0].ai_input_tokens)).toBeGreaterThan(0);
+        expect(Number(usage.rows[0].ai_output_tokens)).toBeGreaterThan(0);
+
+        const used = Number(usage.rows[0].ai_input_tokens) + Number(usage.rows[0].ai_output_tokens);
+        const limits = await Tenant.checkLimits(tenant.id);
+        expect(limits.ai_tokens).toMatchObject({ current: used, exceeded: false });
+    });
+
+    test('Questions are refused once the quota is used up', async () => {
+        await pool.query('UPDATE tenants SET max_ai_tokens_per_month = 1 WHERE id = $1', [tenant.id]);
+
+        const response = await ask().expect(429);
+        expect(response.body).toMatchObject({ code: 'AI_QUOTA_EXCEEDED', limit: 1 });
+    });
+});
@@ -0,0 +1,82 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const Tenant = require('../models/tenant');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+const { ClaudeRateLimiter, createClaudeApiWithRateLimit } = require('../services/claude-rate-limiter');
+
+describe('AI Token Quotas', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        pool.query.mockResolvedValue({ rows: [] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+    });
+
+    test('Limits follow the subscription tier unless overridden', () => {
+        expect(Tenant.getAiTokenLimits({ subscription_tier: 'starter' })).toEqual({ perMinute: 8000, perMonth: 1000000 });
+        expect(Tenant.getAiTokenLimits({ subscription_tier: 'unknown' }).perMonth).toBe(250000);
+        expect(Tenant.getAiTokenLimits({ subscription_tier: 'starter', max_ai_tokens_per_month: '42' }).perMonth).toBe(42);
+    });
+
+    test('A tenant over its bucket does not block other tenants', async () => {
+        jest.useFakeTimers();
+        const rateLimiter = new ClaudeRateLimiter(10000);
+        rateLimiter.addUsage(1000, 'tenant-a');
+
+        const completed = [];
+        rateLimiter.queueRequest(async () => completed.push('a'), 'question', null, { tenantId: 'tenant-a', tokensPerMinute: 1000 });
+        const other = rateLimiter.queueRequest(async () => completed.push('b'), 'question', null, { tenantId: 'tenant-b', tokensPerMinute: 1000 });
+
+        await jest.advanceTimersByTimeAsync(200);
+        await other;
+
+        expect(completed).toEqual(['b']);
+        expect(rateLimiter.requestQueue).toHaveLength(1);
+        expect(rateLimiter.getWaitTime(rateLimiter.requestQueue[0].estimatedTokens, rateLimiter.requestQueue[0].tenant))
+            .toBeGreaterThan(50000);
+
+        rateLimiter.reset();
+        jest.clearAllTimers();
+    });
+
+    test('Tokens used for a tenant are metered in tenant_usage', async () => {
+        const rateLimiter = new ClaudeRateLimiter();
+        const claudeApi = createClaudeApiWithRateLimit(rateLimiter, 'test-api-key');
+        const tenant = { id: 'tenant-1', subscription_tier: 'starter' };
+
+        const response = await claudeApi.forTenant(tenant, { ai_provider: 'mock' }).create({
+            max_tokens: 100,
+            messages: [{ role: 'user', content: 'Summarize the board minutes' }]
+        });
+
+        const [query, params] = pool.query.mock.calls[0];
+        expect(query).toContain('INSERT INTO tenant_usage');
+        expect(params).toEqual(['tenant-1', response.usage.input_tokens, response.usage.output_tokens]);
+        expect(rateLimiter.getCurrentUsage('tenant-1')).toBe(response.usage.input_tokens + response.usage.output_tokens);
+    });
+
+    test('checkTenantLimits rejects AI requests over the monthly quota', async () => {
+        jest.spyOn(Tenant, 'checkLimits').mockResolvedValue({
+            ai_tokens: { current: 1000500, limit: 1000000, exceeded: true }
+        });
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        const next = jest.fn();
+
+        await tenantMiddleware.checkTenantLimits('ai_tokens')({ user: { global_role: 'user' }, tenantId: 'tenant-1' }, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            code: 'AI_QUOTA_EXCEEDED',
+            limit: 1000000,
+            current: 1000500
+        }));
+    });
+});
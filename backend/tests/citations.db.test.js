@@ -0,0 +1,55 @@
+const request = require('supertest');
+const pool = require('../database-pool');
+const DocumentPage = require('../models/document-page');
+const qaRoutes = require('../routes/qa-routes');
+const {
+    createTenant,
+    createUser,
+    createDocument,
+    setTenantSettings,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('Citations (database)', () => {
+    const app = createApp(qaRoutes);
+    let tenant, user, token, document;
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        user = await createUser(tenant);
+        token = await sessionToken(user);
+        document = await createDocument(tenant, user, { originalName: 'Financials.pdf', status: 'analyzed' });
+        await setTenantSettings(tenant, { ai_provider: 'mock' });
+
+        await DocumentPage.replaceForDocument(tenant.id, document.id, [
+            { number: 1, unitType: 'page', label: 'Page 1', text: 'Revenue grew by 12 percent last year' }
+        ], 'pdf');
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Answers cite the page they quote and the citations are logged', async () => {
+        const response = await request(app)
+            .post('/api/ask')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ question: 'How much did revenue grow?' })
+            .expect(200);
+
+        expect(response.body.citations).toEqual([expect.objectContaining({
+            documentId: document.id,
+            documentName: 'Financials.pdf',
+            label: 'Page 1'
+        })]);
+        expect(response.body.sources).toEqual([{ id: document.id, name: 'Financials.pdf', pages: ['Page 1'] }]);
+
+        const logged = await pool.query(
+            'SELECT sources_used FROM analytics_questions WHERE id = $1',
+            [response.body.questionId]
+        );
+        expect(logged.rows[0].sources_used).toEqual(response.body.citations);
+    });
+});
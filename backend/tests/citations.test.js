@@ -0,0 +1,76 @@
+const { parseAnswer, locateQuote } = require('../services/citation-service');
+
+describe('Answer Citations', () => {
+    const chunks = [
+        {
+            document_id: 'doc-1',
+            original_name: 'financials.xlsx',
+            page_number: 1,
+            label: 'Sheet: P&L',
+            chunk_index: 0,
+            content: 'Year,Revenue\n2023,1200\n2024,1344'
+        },
+        {
+            document_id: 'doc-2',
+            original_name: 'board-minutes.pdf',
+            page_number: 3,
+            label: 'Page 3',
+            chunk_index: 4,
+            content: 'The board approved the\nacquisition of Acme Ltd on 12 May 2024.'
+        }
+    ];
+
+    test('Citations block is parsed and quotes are located in the chunk', () => {
+        const raw = `The board approved the Acme acquisition [S2].
+
+<citations>
+[{"source": "S2", "quote": "The board approved the acquisition of Acme Ltd"}]
+</citations>`;
+
+        const { answer, citations } = parseAnswer(raw, chunks);
+
+        expect(answer).toBe('The board approved the Acme acquisition [S2].');
+        expect(citations).toHaveLength(1);
+        expect(citations[0]).toMatchObject({
+            source: 'S2',
+            documentId: 'doc-2',
+            pageNumber: 3,
+            label: 'Page 3',
+            chunkIndex: 4,
+            verified: true
+        });
+
+        // Offsets point at the original chunk text, including its line break
+        const { start, end } = citations[0];
+        expect(chunks[1].content.substring(start, end)).toBe('The board approved the\nacquisition of Acme Ltd');
+    });
+
+    test('Quotes that are not in the cited chunk are marked unverified', () => {
+        const raw = 'Revenue was 2000 [S1]\n<citations>[{"source": "S1", "quote": "2023,2000"}]</citations>';
+
+        const { citations } = parseAnswer(raw, chunks);
+
+        expect(citations[0].verified).toBe(false);
+        expect(citations[0].start).toBeNull();
+    });
+
+    test('Unknown sources are dropped and bare inline markers are kept', () => {
+        const raw = 'Revenue reached 1344 in 2024 [S1], see also [S9].\n<citations>[{"source": "S7", "quote": "x"}]</citations>';
+
+        const { citations } = parseAnswer(raw, chunks);
+
+        expect(citations.map(c => c.source)).toEqual(['S1']);
+        expect(citations[0]).toMatchObject({ documentId: 'doc-1', quote: null, verified: false });
+    });
+
+    test('A malformed citations block does not break the answer', () => {
+        const { answer, citations } = parseAnswer('Not stated [S1]\n<citations>[{"source": </citations>', chunks);
+
+        expect(answer).toBe('Not stated [S1]');
+        expect(citations.map(c => c.source)).toEqual(['S1']);
+    });
+
+    test('Quote matching ignores case and surrounding quotation marks', () => {
+        expect(locateQuote('Total Revenue: 1200', '"total revenue"')).toEqual({ start: 0, end: 13 });
+    });
+});
@@ -0,0 +1,78 @@
+const request = require('supertest');
+const pool = require('../database-pool');
+const DocumentPage = require('../models/document-page');
+const qaRoutes = require('../routes/qa-routes');
+const {
+    createTenant,
+    createUser,
+    createDocument,
+    setTenantSettings,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+// Events of a Server-Sent Events body, in order
+const parseEvents = (body) => body
+    .split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+
+describe('Streaming Answers (database)', () => {
+    const app = createApp(qaRoutes);
+    let tenant, user, token, document;
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        user = await createUser(tenant);
+        token = await sessionToken(user);
+        document = await createDocument(tenant, user, { originalName: 'Financials.pdf', status: 'analyzed' });
+        await setTenantSettings(tenant, { ai_provider: 'mock' });
+
+        await DocumentPage.replaceForDocument(tenant.id, document.id, [
+            { number: 1, unitType: 'page', label: 'Page 1', text: 'Revenue grew by 12 percent last year' }
+        ], 'pdf');
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('A streamed answer arrives as tokens, then is logged and audited', async () => {
+        const response = await request(app)
+            .post('/api/ask/stream')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ question: 'How much did revenue grow?' })
+            .expect(200)
+            .expect('Content-Type', /text\/event-stream/);
+
+        const events = parseEvents(response.text);
+        const done = events.find(event => event.event === 'done').data;
+        const streamed = events
+            .filter(event => event.event === 'token')
+            .map(event => event.data.text)
+            .join('');
+
+        expect(streamed).not.toContain('<citations>');
+        expect(streamed.trim()).toBe(done.answer.trim());
+        expect(done.citations).toEqual([expect.objectContaining({ documentId: document.id })]);
+
+        const logged = await pool.query('SELECT answer FROM analytics_questions WHERE id = $1', [done.questionId]);
+        expect(logged.rows[0].answer).toBe(done.answer);
+
+        // The audit entry is written after the response ends
+        let audited = [];
+        for (let attempt = 0; attempt < 20 && audited.length === 0; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            audited = (await pool.query(
+                "SELECT details FROM tenant_audit_logs WHERE tenant_id = $1 AND action = 'QUESTION_ASKED'",
+                [tenant.id]
+            )).rows;
+        }
+        expect(audited).toHaveLength(1);
+        expect(audited[0].details.conversationId).toBe(done.conversationId);
+    });
+});
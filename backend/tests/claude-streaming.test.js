@@ -0,0 +1,85 @@
+const { ClaudeRateLimiter, createClaudeApiWithRateLimit } = require('../services/claude-rate-limiter');
+const { visibleAnswerText } = require('../services/citation-service');
+
+// Build a fetch Response whose body emits the given SSE events in small pieces
+const sseResponse = (events) => {
+    const payload = events
+        .map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+        .join('');
+    const encoder = new TextEncoder();
+
+    return new Response(new ReadableStream({
+        start(controller) {
+            for (let i = 0; i < payload.length; i += 17) {
+                controller.enqueue(encoder.encode(payload.slice(i, i + 17)));
+            }
+            controller.close();
+        }
+    }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+describe('Streaming Answers', () => {
+    const originalFetch = global.fetch;
+    let rateLimiter;
+    let claudeApi;
+
+    beforeEach(() => {
+        rateLimiter = new ClaudeRateLimiter();
+        claudeApi = createClaudeApiWithRateLimit(rateLimiter, 'test-api-key');
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('Text deltas are streamed and usage is tracked by the rate limiter', async () => {
+        global.fetch = jest.fn().mockResolvedValue(sseResponse([
+            { type: 'message_start', message: { usage: { input_tokens: 120, output_tokens: 1 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Revenue grew ' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '12% [S1]' } },
+            { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 30 } },
+            { type: 'message_stop' }
+        ]));
+
+        const deltas = [];
+        const response = await claudeApi.messages.stream(
+            { model: 'claude-3-5-sonnet-20241022', max_tokens: 100, messages: [{ role: 'user', content: 'Q' }] },
+            { onText: text => deltas.push(text) }
+        );
+
+        expect(deltas).toEqual(['Revenue grew ', '12% [S1]']);
+        expect(response.content[0].text).toBe('Revenue grew 12% [S1]');
+        expect(response.stop_reason).toBe('end_turn');
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+        expect(rateLimiter.getCurrentUsage()).toBe(150);
+    });
+
+    test('Aborting resolves with the partial answer', async () => {
+        const abortController = new AbortController();
+        global.fetch = jest.fn().mockImplementation((url, options) => {
+            const encoder = new TextEncoder();
+            return Promise.resolve(new Response(new ReadableStream({
+                start(controller) {
+                    const delta = { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Partial' } };
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify(delta)}\n\n`));
+                    options.signal.addEventListener('abort', () => controller.error(new Error('aborted')));
+                }
+            })));
+        });
+
+        const response = await claudeApi.messages.stream(
+            { model: 'claude-3-5-sonnet-20241022', max_tokens: 100, messages: [{ role: 'user', content: 'Q' }] },
+            { onText: () => abortController.abort(), signal: abortController.signal }
+        );
+
+        expect(response.stop_reason).toBe('cancelled');
+        expect(response.content[0].text).toBe('Partial');
+    });
+
+    test('The citations block is held back from streamed text', () => {
+        expect(visibleAnswerText('Revenue grew 12% [S1]')).toBe('Revenue grew 12% [S1]');
+        expect(visibleAnswerText('Revenue grew 12% [S1]\n<cit')).toBe('Revenue grew 12% [S1]\n');
+        expect(visibleAnswerText('Done.\n<citations>[{"source": "S1"')).toBe('Done.\n');
+    });
+});
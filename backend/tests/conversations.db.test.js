@@ -0,0 +1,76 @@
+const request = require('supertest');
+const DocumentPage = require('../models/document-page');
+const qaRoutes = require('../routes/qa-routes');
+const {
+    createTenant,
+    createUser,
+    createDocument,
+    setTenantSettings,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('Conversation Threads (database)', () => {
+    const app = createApp(qaRoutes);
+    let tenant, user, token, colleagueToken;
+
+    const ask = (body, authToken = token) => request(app)
+        .post('/api/ask')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(body);
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        user = await createUser(tenant);
+        token = await sessionToken(user);
+        colleagueToken = await sessionToken(await createUser(tenant, { name: 'Colleague' }));
+        await setTenantSettings(tenant, { ai_provider: 'mock' });
+
+        const document = await createDocument(tenant, user, { status: 'analyzed' });
+        await DocumentPage.replaceForDocument(tenant.id, document.id, [
+            { number: 1, unitType: 'page', label: 'Page 1', text: 'Revenue was 10 million in 2023 and 12 million in 2024' }
+        ], 'pdf');
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Follow-up questions continue the thread they were asked in', async () => {
+        const first = await ask({ question: 'What was revenue in 2024?' }).expect(200);
+        const followUp = await ask({ question: 'And in 2023?', conversationId: first.body.conversationId }).expect(200);
+        expect(followUp.body.conversationId).toBe(first.body.conversationId);
+
+        const history = await request(app)
+            .get('/api/ask/history')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        expect(history.body.conversations).toHaveLength(1);
+        expect(history.body.conversations[0].message_count).toBe(2);
+        expect(history.body.conversations[0].messages.map(message => message.question))
+            .toEqual(['What was revenue in 2024?', 'And in 2023?']);
+    });
+
+    test('Threads can be renamed, archived and deleted by their owner only', async () => {
+        const { body } = await ask({ question: 'Who audits the accounts?' }).expect(200);
+        const path = `/api/ask/conversations/${body.conversationId}`;
+
+        await request(app).patch(path).set('Authorization', `Bearer ${colleagueToken}`)
+            .send({ title: 'Mine now' }).expect(404);
+
+        const renamed = await request(app).patch(path).set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Audit', archived: true }).expect(200);
+        expect(renamed.body.conversation.title).toBe('Audit');
+        expect(renamed.body.conversation.archived_at).not.toBeNull();
+
+        const archived = await request(app).get('/api/ask/history?archived=true')
+            .set('Authorization', `Bearer ${token}`).expect(200);
+        expect(archived.body.conversations.map(conversation => conversation.id)).toEqual([body.conversationId]);
+
+        await request(app).delete(path).set('Authorization', `Bearer ${token}`).expect(200);
+        await request(app).get(path).set('Authorization', `Bearer ${token}`).expect(404);
+        await ask({ question: 'Anything else?', conversationId: body.conversationId }).expect(404);
+    });
+});
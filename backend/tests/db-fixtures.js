@@ -0,0 +1,110 @@
+// Rows for the suites that run against the test database. Every suite works
+// inside a tenant of its own and removes it, with everything it owns, at the end.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const pool = require('../database-pool');
+const Session = require('../models/session');
+
+const unique = () => crypto.randomBytes(6).toString('hex');
+
+const createTenant = async (name = 'Test Company', { settings = {} } = {}) => {
+    const slug = `test-${unique()}`;
+    const result = await pool.query(`
+        INSERT INTO tenants (name, slug, subscription_tier, aws_bucket_name, settings)
+        VALUES ($1, $2, 'professional', $3, $4)
+        RETURNING *
+    `, [name, slug, `${slug}-bucket`, JSON.stringify(settings)]);
+    return result.rows[0];
+};
+
+// Files of tenants created with settings { storage_driver: 'local' } go to a
+// new temporary directory. Call before the local driver is first used.
+const useLocalStorage = () => {
+    const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'dataroom-test-'));
+    process.env.STORAGE_LOCAL_PATH = rootPath;
+    return rootPath;
+};
+
+const createUser = async (tenant, { role = 'user', name = 'Test User', password = 'password123' } = {}) => {
+    const hashedPassword = await bcrypt.hash(password, 4);
+    const result = await pool.query(`
+        INSERT INTO users (email, password, name, tenant_id, tenant_role, is_active)
+        VALUES ($1, $2, $3, $4, $5, true)
+        RETURNING *
+    `, [`${unique()}@test.com`, hashedPassword, name, tenant.id, role]);
+    return result.rows[0];
+};
+
+const createDocument = async (tenant, user, {
+    originalName = 'Document.pdf',
+    mimeType = 'application/pdf',
+    status = 'uploaded',
+    folderId = null
+} = {}) => {
+    const id = crypto.randomUUID();
+    const result = await pool.query(`
+        INSERT INTO documents (
+            id, tenant_id, original_name, s3_key, s3_bucket,
+            mime_type, file_size, status, uploaded_by, tags, folder_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, 1024, $7, $8, '[]', $9)
+        RETURNING *
+    `, [id, tenant.id, originalName, `documents/${id}`, tenant.aws_bucket_name, mimeType, status, user.id, folderId]);
+    return result.rows[0];
+};
+
+// Columns of the tenant's tenant_settings row, created when missing
+const setTenantSettings = async (tenant, settings) => {
+    const columns = Object.keys(settings);
+    const values = columns.map(column => settings[column]);
+    await pool.query(`
+        INSERT INTO tenant_settings (tenant_id, ${columns.join(', ')})
+        VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+        ON CONFLICT (tenant_id) DO UPDATE SET
+            ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}
+    `, [tenant.id, ...values]);
+};
+
+// Token of a new session, as issued at login
+const sessionToken = async (user) => {
+    const session = await Session.create(user, { mfa: true });
+    return jwt.sign(
+        { id: user.id, email: user.email, tenant_id: user.tenant_id, mfa: true, sid: session.id },
+        process.env.JWT_SECRET
+    );
+};
+
+// The given routers mounted under /api, as in server-final.js
+const createApp = (...routers) => {
+    const app = express();
+    app.use(express.json());
+    routers.forEach(router => app.use('/api', router));
+    return app;
+};
+
+// Everything else goes with the tenant through ON DELETE CASCADE. Documents
+// are removed first: the storage usage trigger on documents writes to
+// tenant_usage, which would otherwise be cascading away at the same time.
+const removeTenant = async (tenant) => {
+    if (tenant) {
+        await pool.query('DELETE FROM analytics_documents WHERE tenant_id = $1', [tenant.id]);
+        await pool.query('DELETE FROM documents WHERE tenant_id = $1', [tenant.id]);
+        await pool.query('DELETE FROM tenants WHERE id = $1', [tenant.id]);
+    }
+};
+
+module.exports = {
+    createTenant,
+    useLocalStorage,
+    createUser,
+    createDocument,
+    setTenantSettings,
+    sessionToken,
+    createApp,
+    removeTenant
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const pool = require('../database-pool');
+const DocumentUpload = require('../models/document-upload');
+const documentRoutes = require('../routes/document-routes');
+const storageRoutes = require('../routes/storage-routes');
+const {
+    createTenant,
+    useLocalStorage,
+    createUser,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('Direct Uploads (database)', () => {
+    const storagePath = useLocalStorage();
+    const app = createApp(documentRoutes, storageRoutes);
+    let tenant, token;
+
+    // Presigned local part URLs are absolute; the app under test serves their path
+    const pathOf = (url) => {
+        const { pathname, search } = new URL(url);
+        return pathname + search;
+    };
+
+    const startUpload = (fileName, fileSize) => request(app)
+        .post('/api/documents/uploads')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ fileName, mimeType: 'text/plain', fileSize });
+
+    beforeAll(async () => {
+        tenant = await createTenant('Test Company', { settings: { storage_driver: 'local' } });
+        token = await sessionToken(await createUser(tenant, { role: 'admin' }));
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    test('A direct upload is resumed, completed and becomes a document', async () => {
+        const content = 'Share purchase agreement';
+        const started = await startUpload('Agreement.txt', content.length).expect(201);
+        const { upload, parts } = started.body;
+        expect(upload.partCount).toBe(1);
+
+        expect((await DocumentUpload.findById(tenant.id, upload.id)).status).toBe('pending');
+
+        await request(app)
+            .post(`/api/documents/uploads/${upload.id}/complete`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(409);
+
+        await request(app)
+            .put(pathOf(parts[0].url))
+            .set('Content-Type', 'application/octet-stream')
+            .send(Buffer.from(content))
+            .expect(200);
+
+        const resumed = await request(app)
+            .get(`/api/documents/uploads/${upload.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(resumed.body.uploadedParts).toEqual([{ partNumber: 1, size: content.length }]);
+        expect(resumed.body.parts).toEqual([]);
+
+        const completed = await request(app)
+            .post(`/api/documents/uploads/${upload.id}/complete`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(201);
+
+        const saved = await pool.query(
+            'SELECT original_name, file_size, s3_bucket, s3_key FROM documents WHERE id = $1 AND tenant_id = $2',
+            [completed.body.document.id, tenant.id]
+        );
+        expect(saved.rows[0].original_name).toBe('Agreement.txt');
+        expect(Number(saved.rows[0].file_size)).toBe(content.length);
+        expect(fs.readFileSync(path.join(storagePath, saved.rows[0].s3_bucket, saved.rows[0].s3_key), 'utf8'))
+            .toBe(content);
+
+        expect((await DocumentUpload.findById(tenant.id, upload.id)).status).toBe('completed');
+    });
+
+    test('Pending uploads reserve storage until they are aborted', async () => {
+        const started = await startUpload('Schedule.txt', 2048).expect(201);
+        const { upload } = started.body;
+
+        expect(await DocumentUpload.reservedBytes(tenant.id)).toBe(2048);
+
+        await request(app)
+            .delete(`/api/documents/uploads/${upload.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        expect((await DocumentUpload.findById(tenant.id, upload.id)).status).toBe('aborted');
+        expect(await DocumentUpload.reservedBytes(tenant.id)).toBe(0);
+
+        await request(app)
+            .post(`/api/documents/uploads/${upload.id}/complete`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(409);
+    });
+});
@@ -0,0 +1,55 @@
+const DocumentPage = require('../models/document-page');
+const DocumentIndexService = require('../services/document-index-service');
+const { HashingEmbeddingProvider } = require('../services/embedding-provider');
+const { createTenant, createUser, createDocument, removeTenant } = require('./db-fixtures');
+
+describe('Document Chunk Index (database)', () => {
+    const index = new DocumentIndexService({ embeddingProvider: new HashingEmbeddingProvider() });
+    let tenant, user, financials, lease;
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        user = await createUser(tenant);
+        financials = await createDocument(tenant, user, { originalName: 'Financials.pdf', status: 'analyzed' });
+        lease = await createDocument(tenant, user, { originalName: 'Lease.pdf', status: 'analyzed' });
+
+        await DocumentPage.replaceForDocument(tenant.id, financials.id, [
+            { number: 1, unitType: 'page', label: 'Page 1', text: 'Revenue grew by 12 percent last year' },
+            { number: 2, unitType: 'page', label: 'Page 2', text: 'EBITDA margin improved to 18 percent' }
+        ], 'pdf');
+        await DocumentPage.replaceForDocument(tenant.id, lease.id, [
+            { number: 1, unitType: 'page', label: 'Page 1', text: 'The office lease term ends in 2030' }
+        ], 'pdf');
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Documents analyzed before the index existed are indexed from their pages', async () => {
+        expect(await index.indexMissing(tenant.id)).toBe(2);
+        expect(await index.indexMissing(tenant.id)).toBe(0);
+    });
+
+    test('Search ranks the matching page first and honours the document scope', async () => {
+        const results = await index.search(tenant.id, 'How much did revenue grow?', { topK: 2 });
+        expect(results[0]).toMatchObject({
+            document_id: financials.id,
+            original_name: 'Financials.pdf',
+            page_number: 1,
+            label: 'Page 1'
+        });
+
+        const scoped = await index.search(tenant.id, 'How much did revenue grow?', { documentIds: [lease.id] });
+        expect(scoped.map(result => result.document_id)).toEqual([lease.id]);
+    });
+
+    test('Another tenant finds nothing', async () => {
+        const other = await createTenant('Other Company');
+        try {
+            expect(await index.search(other.id, 'revenue')).toEqual([]);
+        } finally {
+            await removeTenant(other);
+        }
+    });
+});
@@ -0,0 +1,73 @@
+jest.mock('../models/document-chunk', () => ({
+    hasVectorColumn: jest.fn(),
+    findCandidates: jest.fn(),
+    searchByVector: jest.fn(),
+    replaceForDocument: jest.fn()
+}));
+jest.mock('../models/document-page', () => ({}));
+
+const DocumentChunk = require('../models/document-chunk');
+const DocumentIndexService = require('../services/document-index-service');
+const { HashingEmbeddingProvider, cosineSimilarity } = require('../services/embedding-provider');
+
+describe('Document Chunk Index', () => {
+    const embeddingProvider = new HashingEmbeddingProvider();
+
+    test('Pages are split into overlapping chunks that keep their label', () => {
+        const index = new DocumentIndexService({ embeddingProvider, chunkSize: 100, chunkOverlap: 20 });
+        const words = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ');
+
+        const chunks = index.chunkPages([
+            { number: 1, label: 'Page 1', text: words },
+            { number: 2, label: 'Page 2', text: 'Short page' }
+        ]);
+
+        const firstPage = chunks.filter(chunk => chunk.pageNumber === 1);
+        expect(firstPage.length).toBeGreaterThan(1);
+        firstPage.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(100));
+
+        // The tail of one chunk is repeated at the head of the next
+        const lastWord = firstPage[0].text.split(' ').pop();
+        expect(firstPage[1].text).toContain(lastWord);
+
+        expect(chunks[chunks.length - 1]).toMatchObject({ label: 'Page 2', text: 'Short page' });
+        expect(chunks.map(chunk => chunk.index)).toEqual(chunks.map((_, i) => i));
+    });
+
+    test('Local embeddings rank related text above unrelated text', async () => {
+        const [query, related, unrelated] = await embeddingProvider.embed([
+            'What was the revenue growth last year?',
+            'Revenue growth for the year was 12 percent, driven by new customers.',
+            'The office lease expires in March and includes two parking spaces.'
+        ]);
+
+        expect(query).toHaveLength(embeddingProvider.dimensions);
+        expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+    });
+
+    test('Search falls back to in-process ranking without pgvector', async () => {
+        const texts = [
+            'Employee stock option plan and vesting schedule',
+            'Customer churn fell to 3 percent in Q4',
+            'Pending litigation with a former supplier'
+        ];
+        const embeddings = await embeddingProvider.embed(texts);
+
+        DocumentChunk.hasVectorColumn.mockResolvedValue(false);
+        DocumentChunk.findCandidates.mockResolvedValue(texts.map((content, i) => ({
+            document_id: `doc-${i}`,
+            original_name: `doc-${i}.pdf`,
+            label: 'Page 1',
+            content,
+            embedding: embeddings[i]
+        })));
+
+        const index = new DocumentIndexService({ embeddingProvider });
+        const results = await index.search('tenant-1', 'Is there any litigation?', { topK: 2 });
+
+        expect(DocumentChunk.findCandidates).toHaveBeenCalledWith('tenant-1', embeddingProvider.name, null);
+        expect(results).toHaveLength(2);
+        expect(results[0].document_id).toBe('doc-2');
+        expect(results[0].embedding).toBeUndefined();
+    });
+});
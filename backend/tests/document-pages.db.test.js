@@ -0,0 +1,49 @@
+const pool = require('../database-pool');
+const DocumentPage = require('../models/document-page');
+const { createTenant, createUser, createDocument, removeTenant } = require('./db-fixtures');
+
+describe('Document Pages (database)', () => {
+    let tenant, user, document;
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        user = await createUser(tenant);
+        document = await createDocument(tenant, user);
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Extracted pages replace the previous extraction', async () => {
+        await DocumentPage.replaceForDocument(tenant.id, document.id, [
+            { number: 1, unitType: 'page', label: 'Page 1', text: 'Old text' }
+        ], 'pdf');
+        await DocumentPage.replaceForDocument(tenant.id, document.id, [
+            { number: 1, unitType: 'page', label: 'Page 1', text: 'Share purchase agreement' },
+            { number: 2, unitType: 'page', label: 'Page 2', text: 'Schedule 1' }
+        ], 'pdf');
+
+        const pages = await DocumentPage.findByDocument(tenant.id, document.id);
+        expect(pages.map(page => page.content)).toEqual(['Share purchase agreement', 'Schedule 1']);
+        expect(pages[0].char_count).toBe(24);
+
+        const result = await pool.query(
+            'SELECT page_count, extraction_method, extracted_at FROM documents WHERE id = $1',
+            [document.id]
+        );
+        expect(result.rows[0].page_count).toBe(2);
+        expect(result.rows[0].extraction_method).toBe('pdf');
+        expect(result.rows[0].extracted_at).not.toBeNull();
+    });
+
+    test('Pages are not visible to another tenant', async () => {
+        const other = await createTenant('Other Company');
+        try {
+            expect(await DocumentPage.findPage(other.id, document.id, 1)).toBeUndefined();
+            expect((await DocumentPage.findPage(tenant.id, document.id, 1)).label).toBe('Page 1');
+        } finally {
+            await removeTenant(other);
+        }
+    });
+});
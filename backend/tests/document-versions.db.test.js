@@ -0,0 +1,99 @@
+const fs = require('fs');
+const request = require('supertest');
+const pool = require('../database-pool');
+const DocumentVersion = require('../models/document-version');
+const documentRoutes = require('../routes/document-routes');
+const {
+    createTenant,
+    useLocalStorage,
+    createUser,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('Document Versions (database)', () => {
+    const storagePath = useLocalStorage();
+    const app = createApp(documentRoutes);
+    let tenant, user, token, documentId;
+
+    const uploadVersion = (name, comment) => request(app)
+        .post(`/api/documents/${documentId}/versions`)
+        .set('Authorization', `Bearer ${token}`)
+        .field('comment', comment)
+        .attach('file', Buffer.from(`Contents of ${name}`), { filename: name, contentType: 'text/plain' });
+
+    beforeAll(async () => {
+        tenant = await createTenant('Test Company', { settings: { storage_driver: 'local' } });
+        user = await createUser(tenant, { role: 'admin' });
+        token = await sessionToken(user);
+
+        const response = await request(app)
+            .post('/api/documents/upload')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('files', Buffer.from('First draft'), { filename: 'SPA.txt', contentType: 'text/plain' })
+            .expect(200);
+        documentId = response.body.documents[0].id;
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    test('Versions are numbered per document inside the caller\'s transaction', async () => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const version = await DocumentVersion.create(client, tenant.id, documentId, {
+                originalName: 'SPA v2.txt',
+                s3Key: 'documents/spa/v2/SPA_v2.txt',
+                s3Bucket: 'bucket',
+                storageDriver: 'local',
+                mimeType: 'text/plain',
+                fileSize: 12,
+                uploadedBy: user.id
+            });
+            expect(version.version_number).toBe(2);
+
+            const document = await client.query('SELECT current_version, original_name FROM documents WHERE id = $1', [documentId]);
+            expect(document.rows[0]).toEqual({ current_version: 2, original_name: 'SPA v2.txt' });
+        } finally {
+            await client.query('ROLLBACK');
+            client.release();
+        }
+    });
+
+    test('New versions are uploaded and older ones restored as a new version', async () => {
+        const uploaded = await uploadVersion('SPA signed.txt', 'Signed copy').expect(201);
+        expect(uploaded.body.version).toMatchObject({ version_number: 2, comment: 'Signed copy' });
+
+        const restored = await request(app)
+            .post(`/api/documents/${documentId}/versions/1/restore`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(restored.body.version).toMatchObject({ version_number: 3, restored_from: 1, original_name: 'SPA.txt' });
+
+        const versions = await DocumentVersion.listForDocument(tenant.id, documentId);
+        expect(versions.map(version => [version.version_number, version.is_current])).toEqual([[3, true], [2, false], [1, false]]);
+    });
+
+    test('Restoring the current version or a version that is not a number is refused', async () => {
+        await request(app)
+            .post(`/api/documents/${documentId}/versions/3/restore`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(400);
+
+        for (const version of ['abc', '0', '1.5', '99']) {
+            await request(app)
+                .post(`/api/documents/${documentId}/versions/${version}/restore`)
+                .set('Authorization', `Bearer ${token}`)
+                .expect(404);
+        }
+
+        await request(app)
+            .get(`/api/documents/${documentId}/versions/abc/download`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(404);
+    });
+});
@@ -0,0 +1,100 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const DocumentVersion = require('../models/document-version');
+const { DocumentAnalysisService } = require('../services/document-analysis-service');
+
+describe('Document Versions', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('A new version becomes the current version of its document', async () => {
+        const db = { query: jest.fn() };
+        db.query
+            .mockResolvedValueOnce({ rows: [{ id: 'v2', version_number: 2 }] })
+            .mockResolvedValueOnce({ rowCount: 1 });
+
+        const version = await DocumentVersion.create(db, 'tenant-1', 'doc-1', {
+            originalName: 'SPA v2.pdf',
+            s3Key: 'documents/doc-1/v2/SPA_v2.pdf',
+            s3Bucket: 'bucket',
+            storageDriver: 's3',
+            mimeType: 'application/pdf',
+            fileSize: 1024,
+            comment: 'Signed copy',
+            uploadedBy: 7
+        });
+
+        expect(version.version_number).toBe(2);
+        expect(db.query.mock.calls[0][0]).toContain('INSERT INTO document_versions');
+        expect(db.query.mock.calls[1][0]).toContain('UPDATE documents');
+        expect(db.query.mock.calls[1][1]).toEqual([
+            'doc-1', 'tenant-1', 2, 'SPA v2.pdf', 'documents/doc-1/v2/SPA_v2.pdf',
+            'bucket', 's3', 'application/pdf', 1024, null
+        ]);
+    });
+
+    describe('Analysis', () => {
+        const document = {
+            id: 'doc-1',
+            current_version: 3,
+            original_name: 'SPA.pdf',
+            mime_type: 'application/pdf',
+            s3_key: 'documents/doc-1/v1/SPA.pdf',
+            s3_bucket: 'bucket'
+        };
+
+        const createService = () => {
+            const service = new DocumentAnalysisService({
+                claudeApi: {},
+                storage: { getFile: jest.fn().mockResolvedValue(Buffer.from('pdf')) },
+                textExtraction: {
+                    extract: jest.fn().mockResolvedValue({
+                        pages: [{ pageNumber: 1, unitType: 'page', content: 'Purchase price' }],
+                        extractor: 'pdf'
+                    })
+                },
+                documentIndex: { indexDocument: jest.fn().mockResolvedValue(1) }
+            });
+            service.summarize = jest.fn().mockResolvedValue('fresh analysis');
+            return service;
+        };
+
+        const mockQueries = (versionAnalysis) => {
+            pool.query.mockImplementation(async (sql) => {
+                if (sql.startsWith('SELECT * FROM documents')) return { rows: [document] };
+                if (sql.includes('FROM document_versions')) return { rows: [{ version_number: 3, analysis: versionAnalysis }] };
+                return { rows: [], rowCount: 1 };
+            });
+        };
+
+        beforeEach(() => {
+            jest.spyOn(require('../models/document-page'), 'replaceForDocument').mockResolvedValue();
+        });
+
+        test('A restored version keeps its earlier analysis', async () => {
+            mockQueries('earlier analysis');
+            const service = createService();
+
+            const result = await service.analyzeDocument('tenant-1', 'doc-1');
+
+            expect(result.analysis).toBe('earlier analysis');
+            expect(result.version).toBe(3);
+            expect(service.summarize).not.toHaveBeenCalled();
+        });
+
+        test('Reanalyzing calls the model again', async () => {
+            mockQueries('earlier analysis');
+            const service = createService();
+
+            const result = await service.analyzeDocument('tenant-1', 'doc-1', undefined, { reanalyze: true });
+
+            expect(result.analysis).toBe('fresh analysis');
+            expect(service.summarize).toHaveBeenCalledTimes(1);
+        });
+    });
+});
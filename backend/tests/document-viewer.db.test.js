@@ -0,0 +1,76 @@
+const fs = require('fs');
+const request = require('supertest');
+const Jimp = require('jimp');
+const pool = require('../database-pool');
+const documentRoutes = require('../routes/document-routes');
+const {
+    createTenant,
+    useLocalStorage,
+    createUser,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('Document Viewer (database)', () => {
+    const storagePath = useLocalStorage();
+    const app = createApp(documentRoutes);
+    let tenant, adminToken, viewer, viewerToken;
+
+    beforeAll(async () => {
+        tenant = await createTenant('Test Company', { settings: { storage_driver: 'local' } });
+        adminToken = await sessionToken(await createUser(tenant, { role: 'admin' }));
+        viewer = await createUser(tenant, { name: 'Viewer' });
+        viewerToken = await sessionToken(viewer);
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    test('View-only documents are shown page by page and each page view is recorded', async () => {
+        const image = await new Jimp(320, 200, 0xffffffff).getBufferAsync(Jimp.MIME_PNG);
+        const uploaded = await request(app)
+            .post('/api/documents/upload')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .attach('files', image, { filename: 'Site plan.png', contentType: 'image/png' })
+            .expect(200);
+        const [document] = uploaded.body.documents;
+
+        await request(app)
+            .put(`/api/documents/${document.id}/view-only`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ viewOnly: true })
+            .expect(200);
+
+        const opened = await request(app)
+            .get(`/api/documents/${document.id}/viewer`)
+            .set('Authorization', `Bearer ${viewerToken}`)
+            .expect(200);
+        expect(opened.body).toMatchObject({ pageCount: 1, viewOnly: true, canDownload: false });
+
+        const page = await request(app)
+            .get(`/api/documents/${document.id}/viewer/pages/1`)
+            .set('Authorization', `Bearer ${viewerToken}`)
+            .responseType('blob')
+            .expect('Content-Type', /image\/png/)
+            .expect(200);
+        expect(Buffer.compare(page.body, image)).toBe(0);
+
+        await request(app)
+            .get(`/api/documents/${document.id}/viewer/pages/2`)
+            .set('Authorization', `Bearer ${viewerToken}`)
+            .expect(404);
+        await request(app)
+            .get(`/api/documents/${document.id}/download`)
+            .set('Authorization', `Bearer ${viewerToken}`)
+            .expect(403);
+
+        const views = await pool.query(
+            'SELECT user_id, page_number FROM analytics_documents WHERE document_id = $1 AND action = $2',
+            [document.id, 'page_view']
+        );
+        expect(views.rows).toEqual([{ user_id: viewer.id, page_number: 1 }]);
+    });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { DocumentViewerService, ViewerUnavailableError } = require('../services/document-viewer-service');
+
+// A version row as stored in document_versions
+const version = (fields) => ({
+    tenant_id: 1,
+    document_id: 'doc-1',
+    version_number: 2,
+    original_name: 'SPA.pdf',
+    mime_type: 'application/pdf',
+    ...fields
+});
+
+const makePdf = async (pageCount) => {
+    const pdf = await PDFDocument.create();
+    for (let i = 0; i < pageCount; i++) pdf.addPage();
+    return Buffer.from(await pdf.save());
+};
+
+describe('Document Viewer', () => {
+    let cachePath;
+    let storage;
+    let run;
+    let viewer;
+
+    beforeEach(() => {
+        cachePath = fs.mkdtempSync(path.join(os.tmpdir(), 'dataroom-viewer-'));
+        storage = { getFile: jest.fn() };
+
+        // Stands in for pdftoppm and soffice: writes the file they would
+        run = jest.fn(async (command, args) => {
+            if (command === 'pdftoppm') {
+                fs.writeFileSync(`${args[args.length - 1]}.png`, `page ${args[4]} at ${args[2]} dpi`);
+            } else {
+                const input = args[args.length - 1];
+                fs.writeFileSync(path.join(path.dirname(input), 'document.pdf'), await makePdf(3));
+            }
+        });
+
+        viewer = new DocumentViewerService({ storage, cachePath, pdftoppmPath: 'pdftoppm', sofficePath: 'soffice', run });
+    });
+
+    afterEach(() => {
+        fs.rmSync(cachePath, { recursive: true, force: true });
+    });
+
+    test('Files the viewer can show', () => {
+        expect(DocumentViewerService.canRender('application/pdf', 'SPA.pdf')).toBe(true);
+        expect(DocumentViewerService.canRender('image/png', 'Org chart.png')).toBe(true);
+        expect(DocumentViewerService.canRender('application/octet-stream', 'Model.xlsx')).toBe(true);
+        expect(DocumentViewerService.canRender('application/zip', 'Archive.zip')).toBe(false);
+
+        expect(DocumentViewerService.renderScale('1.4')).toBe(1.5);
+        expect(DocumentViewerService.renderScale(10)).toBe(3);
+        expect(DocumentViewerService.renderScale(undefined)).toBe(1);
+    });
+
+    test('PDF pages are rendered once per scale and cached', async () => {
+        storage.getFile.mockResolvedValue(await makePdf(4));
+        const file = version();
+
+        expect(await viewer.pageCount(file)).toBe(4);
+
+        const page = await viewer.renderPage(file, 3, '2');
+        expect(page.contentType).toBe('image/png');
+        expect(page.data.toString()).toBe('page 3 at 192 dpi');
+        expect(run).toHaveBeenCalledWith('pdftoppm', expect.arrayContaining(['-png', '-singlefile', '-f', '3', '-l', '3']), 60000);
+
+        await viewer.renderPage(file, 3, 2);
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(storage.getFile).toHaveBeenCalledTimes(1);
+
+        await viewer.clearCache(1, 'doc-1');
+        expect(fs.existsSync(path.join(cachePath, '1', 'doc-1'))).toBe(false);
+    });
+
+    test('Office files are converted to PDF first', async () => {
+        storage.getFile.mockResolvedValue(Buffer.from('spreadsheet'));
+        const file = version({ original_name: 'Model.xlsx', mime_type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+
+        expect(await viewer.pageCount(file)).toBe(3);
+        expect(run.mock.calls[0][0]).toBe('soffice');
+        expect(run.mock.calls[0][1]).toEqual(expect.arrayContaining(['--headless', '--convert-to', 'pdf']));
+    });
+
+    test('Images are a single page shown as they are', async () => {
+        storage.getFile.mockResolvedValue(Buffer.from('png bytes'));
+        const file = version({ original_name: 'Org chart.png', mime_type: 'image/png' });
+
+        expect(await viewer.pageCount(file)).toBe(1);
+        expect(await viewer.renderPage(file, 1)).toEqual({ data: Buffer.from('png bytes'), contentType: 'image/png' });
+        expect(run).not.toHaveBeenCalled();
+    });
+
+    test('Missing converters are reported as unavailable', async () => {
+        storage.getFile.mockResolvedValue(await makePdf(1));
+        const unavailable = new DocumentViewerService({ storage, cachePath, pdftoppmPath: path.join(cachePath, 'no-pdftoppm') });
+
+        await expect(unavailable.renderPage(version(), 1)).rejects.toBeInstanceOf(ViewerUnavailableError);
+    });
+});
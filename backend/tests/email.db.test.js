@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pool = require('../database-pool');
+const Job = require('../models/job');
+const EmailDelivery = require('../models/email-delivery');
+const FileTransport = require('../services/email/file-transport');
+const { JobQueue } = require('../services/job-queue');
+const { EmailService } = require('../services/email-service');
+const { createTenant, createUser, setTenantSettings, removeTenant } = require('./db-fixtures');
+
+describe('Email (database)', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'emails-'));
+    let tenant, admin;
+
+    // Email service whose jobs run on a queue of its own
+    const emailService = (transport) => {
+        const jobQueue = new JobQueue();
+        const emails = new EmailService({ transport, appUrl: 'https://app.example.com' });
+        emails.registerJobs(jobQueue);
+        return { emails, jobQueue };
+    };
+
+    // Run the queued email job of a delivery, as the worker would
+    const runJob = async (jobQueue, deliveryId) => {
+        // Due before anything else in the table, so this worker claims it
+        await pool.query(`
+            UPDATE jobs SET run_at = '2000-01-01'
+            WHERE tenant_id = $1 AND status = 'queued' AND payload->>'deliveryId' = $2
+        `, [tenant.id, deliveryId]);
+        const job = await Job.claimNext('test-worker', 1);
+        expect(job.payload.deliveryId).toBe(deliveryId);
+        await jobQueue.execute(job);
+        return job;
+    };
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        admin = await createUser(tenant, { role: 'admin', name: 'Jane Admin' });
+        await setTenantSettings(tenant, { app_title: 'Acme DataRoom' });
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('Invitations are logged, then sent by the email job and their body dropped', async () => {
+        const { emails, jobQueue } = emailService(new FileTransport({ directory }));
+
+        const delivery = await emails.sendInvitation(tenant.id, {
+            email: 'bidder@example.com',
+            role: 'investor',
+            token: 'invite-token',
+            expires_at: new Date()
+        }, admin);
+        expect(delivery).toMatchObject({ status: 'queued', subject: "You're invited to Acme DataRoom", created_by: admin.id });
+
+        await runJob(jobQueue, delivery.id);
+
+        const sent = await EmailDelivery.findById(delivery.id);
+        expect(sent).toMatchObject({ status: 'sent', transport: 'file', attempts: 1, html_body: null, text_body: null });
+
+        const [file] = fs.readdirSync(directory);
+        expect(fs.readFileSync(path.join(directory, file), 'utf8')).toContain('https://app.example.com/invite/invite-token');
+    });
+
+    test('Deliveries that use up their attempts fail and can be queued again', async () => {
+        // A directory that cannot be created makes every delivery fail
+        const blocked = path.join(directory, 'blocked');
+        fs.writeFileSync(blocked, '');
+        const { emails, jobQueue } = emailService(new FileTransport({ directory: path.join(blocked, 'emails') }));
+
+        const delivery = await emails.send(tenant.id, 'activity', 'admin@example.com', { title: 'New files', message: 'Hi' });
+        await pool.query(
+            "UPDATE jobs SET max_attempts = 1 WHERE tenant_id = $1 AND payload->>'deliveryId' = $2",
+            [tenant.id, delivery.id]
+        );
+        const job = await runJob(jobQueue, delivery.id);
+
+        const failed = await EmailDelivery.findById(delivery.id);
+        expect(failed).toMatchObject({ status: 'failed', attempts: 1 });
+        expect(failed.last_error).toMatch(/ENOTDIR/);
+        expect(failed.text_body).toContain('Hi');
+        expect((await Job.findById(tenant.id, job.id)).status).toBe('dead');
+
+        expect(await emails.retry(tenant.id, delivery.id, admin.id)).toMatchObject({ status: 'queued' });
+        expect(await emails.retry(tenant.id, delivery.id, admin.id)).toBeUndefined();
+        const queued = await EmailDelivery.listForTenant(tenant.id, { status: 'queued' });
+        expect(queued.map(entry => entry.id)).toEqual([delivery.id]);
+    });
+});
@@ -0,0 +1,188 @@
+// Email delivery against an SMTP catcher served from this process.
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { SMTPServer } = require('smtp-server');
+const pool = require('../database-pool');
+const SmtpTransport = require('../services/email/smtp-transport');
+const FileTransport = require('../services/email/file-transport');
+const { renderEmail } = require('../services/email/templates');
+const { EmailService, EMAIL_JOB } = require('../services/email-service');
+
+const settings = {
+    app_title: 'Acme DataRoom',
+    company_name: 'Acme Corp',
+    primary_color: '#0F766E',
+    logo_url: 'https://cdn.example.com/acme.png'
+};
+
+// Quoted-printable bodies fold long lines and escape "="
+const decodeQuotedPrintable = (text) => text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+describe('Email', () => {
+    let catcher;
+    let port;
+    let messages;
+
+    beforeAll(async () => {
+        catcher = new SMTPServer({
+            authOptional: true,
+            disabledCommands: ['STARTTLS'],
+            logger: false,
+            onData(stream, session, callback) {
+                let raw = '';
+                stream.on('data', chunk => { raw += chunk; });
+                stream.on('end', () => {
+                    messages.push({
+                        from: session.envelope.mailFrom.address,
+                        to: session.envelope.rcptTo.map(rcpt => rcpt.address),
+                        raw: decodeQuotedPrintable(raw)
+                    });
+                    callback();
+                });
+            }
+        });
+        await new Promise(resolve => catcher.listen(0, '127.0.0.1', resolve));
+        port = catcher.server.address().port;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => catcher.close(resolve));
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        messages = [];
+    });
+
+    const smtpTransport = () => new SmtpTransport({ host: '127.0.0.1', port, secure: false, ignoreTLS: true });
+
+    test('Templates carry the tenant branding and escape their data', () => {
+        const email = renderEmail('invitation', {
+            inviterName: '<b>Jane</b>',
+            role: 'investor',
+            link: 'https://app.example.com/invite/abc',
+            expiresAt: '2026-01-08T12:00:00Z'
+        }, settings);
+
+        expect(email.subject).toBe("You're invited to Acme DataRoom");
+        expect(email.html).toContain('background:#0F766E');
+        expect(email.html).toContain('src="https://cdn.example.com/acme.png"');
+        expect(email.html).toContain('&lt;b&gt;Jane&lt;/b&gt; invited you to join Acme Corp');
+        expect(email.text).toContain('Accept invitation: https://app.example.com/invite/abc');
+        expect(email.text).toContain('expires on Thu, 08 Jan 2026 12:00 UTC');
+
+        // Uploaded logos are data URLs, which mail clients block
+        const plain = renderEmail('activity', { title: 'New files', message: 'Hi' }, {
+            logo_url: 'data:image/png;base64,AAAA',
+            primary_color: 'red; display:none'
+        });
+        expect(plain.subject).toBe('[Smart DataRoom] New files');
+        expect(plain.html).not.toContain('data:image');
+        expect(plain.html).toContain('background:#4F46E5');
+    });
+
+    test('The SMTP transport delivers to the relay', async () => {
+        const email = renderEmail('password_reset', { name: 'Jane', link: 'https://app.example.com/reset-password/xyz', expiresInMinutes: 30 }, settings);
+
+        const result = await smtpTransport().send({ from: 'no-reply@acme.test', to: 'jane@example.com', ...email });
+
+        expect(result.messageId).toMatch(/@/);
+        expect(messages).toHaveLength(1);
+        expect(messages[0].from).toBe('no-reply@acme.test');
+        expect(messages[0].to).toEqual(['jane@example.com']);
+        expect(messages[0].raw).toContain('Subject: Reset your Acme DataRoom password');
+        expect(messages[0].raw).toContain('href="https://app.example.com/reset-password/xyz"');
+    });
+
+    test('Invitations are logged, queued and sent by the email job', async () => {
+        const jobQueue = { register: jest.fn(), enqueue: jest.fn().mockResolvedValue({ id: 'job-1' }) };
+        const emails = new EmailService({ transport: smtpTransport(), from: 'no-reply@acme.test', appUrl: 'https://app.example.com/' });
+        emails.registerJobs(jobQueue);
+
+        pool.query
+            .mockResolvedValueOnce({ rows: [settings] })
+            .mockResolvedValueOnce({ rows: [{ id: 'delivery-1', status: 'queued' }] });
+
+        const delivery = await emails.sendInvitation('tenant-1', {
+            email: 'bidder@example.com',
+            role: 'investor',
+            token: 'invite-token',
+            expires_at: new Date()
+        }, { id: 3, name: 'Jane Admin' });
+
+        expect(delivery.id).toBe('delivery-1');
+        const [insertSql, insertParams] = pool.query.mock.calls[1];
+        expect(insertSql).toMatch(/INSERT INTO email_deliveries/);
+        expect(insertParams.slice(0, 4)).toEqual(['tenant-1', 'invitation', 'bidder@example.com', "You're invited to Acme DataRoom"]);
+        expect(jobQueue.enqueue).toHaveBeenCalledWith(EMAIL_JOB, expect.objectContaining({
+            tenantId: 'tenant-1',
+            payload: { deliveryId: 'delivery-1' }
+        }));
+
+        // The worker picks the job up
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ id: 'delivery-1', status: 'queued', to_address: 'bidder@example.com', subject: insertParams[3], html_body: insertParams[4], text_body: insertParams[5] }] })
+            .mockResolvedValueOnce({ rowCount: 1 });
+        const [, handler] = jobQueue.register.mock.calls[0];
+        await handler({ payload: { deliveryId: 'delivery-1' } });
+
+        expect(messages).toHaveLength(1);
+        expect(messages[0].raw).toContain('https://app.example.com/invite/invite-token');
+        const [sentSql, sentParams] = pool.query.mock.calls[3];
+        expect(sentSql).toMatch(/SET status = 'sent'/);
+        expect(sentSql).toMatch(/html_body = NULL/);
+        expect(sentParams.slice(0, 2)).toEqual(['delivery-1', 'smtp']);
+    });
+
+    test('Failed deliveries are recorded and retried until the job gives up', async () => {
+        const jobQueue = { register: jest.fn(), enqueue: jest.fn() };
+        const closedPort = new SmtpTransport({ host: '127.0.0.1', port: 1, secure: false, ignoreTLS: true });
+        const emails = new EmailService({ transport: closedPort });
+        emails.registerJobs(jobQueue);
+        const [, handler, { onDeadLetter }] = jobQueue.register.mock.calls[0];
+
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ id: 'delivery-1', status: 'queued', to_address: 'a@example.com', subject: 'Hi', text_body: 'Hi' }] })
+            .mockResolvedValueOnce({ rowCount: 1 });
+        await expect(handler({ payload: { deliveryId: 'delivery-1' } })).rejects.toThrow();
+
+        const [failureSql, failureParams] = pool.query.mock.calls[1];
+        expect(failureSql).toMatch(/attempts = attempts \+ 1/);
+        expect(failureParams[0]).toBe('delivery-1');
+        expect(failureParams[2]).toMatch(/ECONNREFUSED/);
+
+        pool.query.mockResolvedValueOnce({ rowCount: 1 });
+        await onDeadLetter({ payload: { deliveryId: 'delivery-1' } });
+        expect(pool.query.mock.calls[2][0]).toMatch(/SET status = 'failed'/);
+
+        // Messages already sent are not sent twice
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 'delivery-2', status: 'sent' }] });
+        await handler({ payload: { deliveryId: 'delivery-2' } });
+        expect(pool.query).toHaveBeenCalledTimes(4);
+    });
+
+    test('The file transport writes .eml files', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'emails-'));
+        try {
+            const email = renderEmail('activity', { title: 'Jane joined', message: 'Jane accepted the invitation.' }, settings);
+            const result = await new FileTransport({ directory }).send({ from: 'no-reply@acme.test', to: 'admin@example.com', ...email });
+
+            const files = await fs.readdir(directory);
+            expect(files).toHaveLength(1);
+            expect(files[0]).toMatch(/\.eml$/);
+            const raw = await fs.readFile(result.path, 'utf8');
+            expect(raw).toContain('To: admin@example.com');
+            expect(raw).toContain('Subject: [Acme DataRoom] Jane joined');
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const request = require('supertest');
+const Folder = require('../models/folder');
+const folderRoutes = require('../routes/folder-routes');
+const documentRoutes = require('../routes/document-routes');
+const {
+    createTenant,
+    useLocalStorage,
+    createUser,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('Folders (database)', () => {
+    const storagePath = useLocalStorage();
+    const app = createApp(folderRoutes, documentRoutes);
+    let tenant, token;
+
+    const upload = (name, folderId) => request(app)
+        .post('/api/documents/upload')
+        .set('Authorization', `Bearer ${token}`)
+        .field('folderId', folderId)
+        .attach('files', Buffer.from(`Contents of ${name}`), { filename: name, contentType: 'text/plain' });
+
+    beforeAll(async () => {
+        tenant = await createTenant('Test Company', { settings: { storage_driver: 'local' } });
+        token = await sessionToken(await createUser(tenant, { role: 'admin' }));
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    test('Folders and the documents in them are numbered in order', async () => {
+        const finance = await Folder.create(tenant.id, { name: 'Finance' });
+        const legal = await Folder.create(tenant.id, { name: 'Legal' });
+        const audits = await Folder.create(tenant.id, { name: 'Audits', parentId: finance.id });
+
+        await upload('Budget.txt', finance.id).expect(200);
+        await upload('Forecast.txt', finance.id).expect(200);
+
+        // Legal moves to the top
+        await Folder.move(tenant.id, legal.id, null, 0);
+
+        const tree = await Folder.getTree(tenant.id);
+        expect(tree.map(node => [node.index, node.name])).toEqual([['1', 'Legal'], ['2', 'Finance']]);
+        expect(tree[1].children.map(node => [node.index, node.name])).toEqual([['2.1', 'Audits']]);
+        expect(tree[1].children[0].id).toBe(audits.id);
+
+        const response = await request(app)
+            .get(`/api/documents?folderId=${finance.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(response.body.documents.map(doc => [doc.index, doc.original_name]))
+            .toEqual([['2.2', 'Budget.txt'], ['2.3', 'Forecast.txt']]);
+    });
+
+    test('Uploads to a folder that does not exist are refused', async () => {
+        const response = await upload('Orphan.txt', 'not-a-folder').expect(404);
+        expect(response.body.error).toBe('Folder not found');
+
+        await upload('Orphan.txt', '00000000-0000-4000-8000-000000000000').expect(404);
+    });
+
+    test('Folders with contents cannot be deleted', async () => {
+        const [, finance] = await Folder.getTree(tenant.id);
+
+        await request(app)
+            .delete(`/api/folders/${finance.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(409);
+        expect(await Folder.findById(tenant.id, finance.id)).toBeDefined();
+    });
+});
@@ -0,0 +1,58 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const Folder = require('../models/folder');
+
+describe('Data Room Folders', () => {
+    const folders = [
+        { id: 'legal', parent_id: null, name: 'Legal', position: 1 },
+        { id: 'corporate', parent_id: null, name: 'Corporate', position: 0 },
+        { id: 'charter', parent_id: 'corporate', name: 'Charter', position: 0 },
+        { id: 'minutes', parent_id: 'corporate', name: 'Board Minutes', position: 1 },
+        { id: 'contracts', parent_id: 'legal', name: 'Contracts', position: 0 }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('Folders are nested and numbered by position', () => {
+        const tree = Folder.buildTree(folders);
+
+        expect(tree.map(folder => [folder.index, folder.name])).toEqual([['1', 'Corporate'], ['2', 'Legal']]);
+        expect(tree[0].children.map(folder => [folder.index, folder.name]))
+            .toEqual([['1.1', 'Charter'], ['1.2', 'Board Minutes']]);
+        expect(tree[1].children[0].index).toBe('2.1');
+    });
+
+    test('Documents are numbered after the subfolders of their folder', () => {
+        const nodes = Folder.flattenTree(Folder.buildTree(folders));
+
+        expect(Folder.documentIndex({ folder_id: 'corporate', folder_position: '1' }, nodes)).toBe('1.3');
+        expect(Folder.documentIndex({ folder_id: 'charter', folder_position: '2' }, nodes)).toBe('1.1.2');
+        expect(Folder.documentIndex({ folder_id: null, folder_position: '1' }, nodes)).toBeNull();
+    });
+
+    test('Moving a folder renumbers its new siblings', async () => {
+        const client = { query: jest.fn(), release: jest.fn() };
+        pool.connect.mockResolvedValue(client);
+        pool.query.mockResolvedValue({ rows: [{ id: 'minutes' }] });
+        client.query.mockImplementation(async (query) => (
+            query.includes('SELECT id FROM folders')
+                ? { rows: [{ id: 'contracts' }, { id: 'litigation' }] }
+                : { rows: [] }
+        ));
+
+        await Folder.move('tenant-1', 'minutes', 'legal', 1);
+
+        const positions = client.query.mock.calls
+            .filter(([query]) => query.includes('SET position'))
+            .map(([, params]) => params);
+        expect(positions).toEqual([['contracts', 0], ['minutes', 1], ['litigation', 2]]);
+        expect(client.query).toHaveBeenCalledWith('COMMIT');
+        expect(client.release).toHaveBeenCalled();
+    });
+});
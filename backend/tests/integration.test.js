@@ -2,6 +2,7 @@ const request = require('supertest');
 const bcrypt = require('bcryptjs');
 const pool = require('../database-pool');
 const AuthService = require('../services/auth-service');
+const Session = require('../models/session');
 
 describe('Multi-Tenant Integration Tests', () => {
     let app;
@@ -18,6 +19,12 @@ describe('Multi-Tenant Integration Tests', () => {
         await pool.end();
     });
 
+    // Token of a new session, as issued at login
+    const sessionToken = async (user, tenant = null) => {
+        const session = await Session.create(user, { mfa: true });
+        return AuthService.generateToken(user, tenant, { mfa: true, sessionId: session.id });
+    };
+
     const setupIntegrationTest = async () => {
         // Create test tenant with admin user
         const tenantData = {
@@ -38,7 +45,7 @@ describe('Multi-Tenant Integration Tests', () => {
         testAdmin = result.admin;
 
         // Generate tokens
-        adminToken = AuthService.generateToken(testAdmin, testTenant);
+        adminToken = await sessionToken(testAdmin, testTenant);
 
         // Get or create superadmin
         const superadminQuery = await pool.query(
@@ -47,7 +54,7 @@ describe('Multi-Tenant Integration Tests', () => {
         
         if (superadminQuery.rows.length > 0) {
             superadmin = superadminQuery.rows[0];
-            superadminToken = AuthService.generateToken(superadmin);
+            superadminToken = await sessionToken(superadmin);
         }
     };
 
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const pool = require('../database-pool');
+const UserGroup = require('../models/user-group');
+const authRoutes = require('../routes/auth-routes');
+const invitationRoutes = require('../routes/invitation-routes');
+const { createTenant, createUser, sessionToken, createApp, removeTenant } = require('./db-fixtures');
+
+describe('Invitations (database)', () => {
+    const app = createApp(authRoutes, invitationRoutes);
+    let tenant, admin, adminToken, group;
+
+    const newEmail = () => `${crypto.randomBytes(6).toString('hex')}@bidder.test`;
+
+    const asAdmin = (test) => test.set('Authorization', `Bearer ${adminToken}`);
+
+    const accept = (invitation) => request(app)
+        .post('/api/auth/accept-invite')
+        .send({ token: invitation.invitation_link.split('/').pop(), password: 'password123', name: 'New Member' });
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        admin = await createUser(tenant, { role: 'admin' });
+        adminToken = await sessionToken(admin);
+        group = await UserGroup.create(tenant.id, { name: 'Bidder A' });
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Accepting an invitation creates the member in the invited role and group, once', async () => {
+        const email = newEmail();
+        const invited = await asAdmin(request(app).post('/api/auth/invite'))
+            .send({ email, role: 'investor', groupId: group.id })
+            .expect(201);
+
+        const accepted = await accept(invited.body.invitation).expect(201);
+        expect(accepted.body.user).toMatchObject({ email, tenant_role: 'investor', tenant_slug: tenant.slug });
+
+        const members = await UserGroup.listMembers(tenant.id, group.id);
+        expect(members.map(member => member.email)).toEqual([email]);
+
+        await accept(invited.body.invitation).expect(400);
+        const listed = await asAdmin(request(app).get('/api/auth/invitations')).expect(200);
+        expect(listed.body.invitations.find(invitation => invitation.email === email).status).toBe('accepted');
+    });
+
+    test('Revoked invitations cannot be accepted', async () => {
+        const invited = await asAdmin(request(app).post('/api/auth/invite')).send({ email: newEmail() }).expect(201);
+
+        await asAdmin(request(app).delete(`/api/auth/invitations/${invited.body.invitation.id}`)).expect(200);
+        await accept(invited.body.invitation).expect(400);
+    });
+
+    test('Bulk invitations skip members, pending invitations and unknown groups', async () => {
+        const pending = newEmail();
+        await asAdmin(request(app).post('/api/auth/invite')).send({ email: pending }).expect(201);
+        const fresh = newEmail();
+        const csv = [
+            'email,role,group',
+            `${fresh},investor,bidder a`,
+            `${admin.email},user,`,
+            `${pending},user,`,
+            `${newEmail()},user,Bidder Z`
+        ].join('\n');
+
+        const response = await asAdmin(request(app).post('/api/auth/invitations/bulk')).send({ csv }).expect(201);
+
+        expect(response.body.summary).toEqual({ total: 4, invited: 1, ready: 0, failed: 3 });
+        expect(response.body.results.map(result => result.errors)).toEqual([
+            [],
+            ['Already a member of this organization'],
+            ['Already invited; resend the pending invitation instead'],
+            ['Unknown group "Bidder Z"']
+        ]);
+
+        const saved = await pool.query(
+            'SELECT role, group_id FROM tenant_invitations WHERE tenant_id = $1 AND email = $2',
+            [tenant.id, fresh]
+        );
+        expect(saved.rows).toEqual([{ role: 'investor', group_id: group.id }]);
+    });
+});
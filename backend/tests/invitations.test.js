@@ -0,0 +1,123 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const Tenant = require('../models/tenant');
+const { InvitationService, InvitationError } = require('../services/invitation-service');
+
+const admin = { id: 3, name: 'Jane Admin', global_role: 'user', tenant_role: 'admin' };
+const groups = [
+    { id: 'group-a', name: 'Bidder A' },
+    { id: 'group-b', name: 'Bidder B' }
+];
+
+describe('Invitations', () => {
+    let emailService;
+    let invitations;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        emailService = { sendInvitation: jest.fn().mockResolvedValue({ id: 'delivery-1' }) };
+        invitations = new InvitationService({ emailService });
+        jest.spyOn(Tenant, 'checkLimits').mockResolvedValue({ users: { limit: 10, current: 7 } });
+    });
+
+    test('CSV rows are read with or without a header', () => {
+        expect(InvitationService.parseCsv('Group,EMAIL\n"Bidder A, Inc", jane@example.com \n\n,bob@example.com\n')).toEqual([
+            { row: 2, email: 'jane@example.com', role: '', group: 'Bidder A, Inc' },
+            { row: 4, email: 'bob@example.com', role: '', group: '' }
+        ]);
+
+        expect(InvitationService.parseCsv('jane@example.com,Investor,Bidder B')).toEqual([
+            { row: 1, email: 'jane@example.com', role: 'investor', group: 'Bidder B' }
+        ]);
+    });
+
+    test('Bulk invites report a result for each row', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: groups })
+            .mockResolvedValueOnce({ rows: [{ email: 'member@example.com' }] })
+            .mockResolvedValueOnce({ rows: [{ email: 'pending@example.com' }] });
+
+        const csv = [
+            'email,role,group',
+            'ann@example.com,investor,bidder a',
+            'not-an-email,,',
+            'Ann@example.com,,',
+            'member@example.com,,',
+            'pending@example.com,,',
+            'carl@example.com,owner,Bidder C',
+            'dora@example.com,,group-b',
+            'eve@example.com,,',
+            'fred@example.com,,'
+        ].join('\n');
+
+        const { results, summary } = await invitations.bulkInvite('tenant-1', csv, { role: 'user', dryRun: true }, admin);
+
+        expect(results.map(result => [result.row, result.status, result.errors])).toEqual([
+            [2, 'ready', []],
+            [3, 'failed', ['Invalid email address']],
+            [4, 'failed', ['Same email as row 2']],
+            [5, 'failed', ['Already a member of this organization']],
+            [6, 'failed', ['Already invited; resend the pending invitation instead']],
+            [7, 'failed', ['Unknown role "owner"', 'Unknown group "Bidder C"']],
+            [8, 'ready', []],
+            [9, 'ready', []],
+            [10, 'failed', ['User limit reached']]
+        ]);
+        expect(results[0]).toMatchObject({ role: 'investor', group_id: 'group-a', group_name: 'Bidder A' });
+        expect(results[6]).toMatchObject({ role: 'user', group_id: 'group-b' });
+        expect(summary).toEqual({ total: 9, invited: 0, ready: 3, failed: 6 });
+
+        // Nothing is created on a dry run
+        expect(pool.query).toHaveBeenCalledTimes(3);
+        expect(emailService.sendInvitation).not.toHaveBeenCalled();
+    });
+
+    test('Bulk invites create and email the valid rows with the defaults', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: groups })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ id: 'invitation-1', email: 'ann@example.com', token: 'token-1' }] })
+            .mockResolvedValueOnce({ rowCount: 1 });
+
+        const { results, summary } = await invitations.bulkInvite('tenant-1', 'ann@example.com\nbad', {
+            role: 'investor',
+            groupId: 'group-b'
+        }, admin);
+
+        const [insertSql, insertParams] = pool.query.mock.calls[3];
+        expect(insertSql).toMatch(/INSERT INTO tenant_invitations/);
+        expect(insertParams).toEqual(['tenant-1', 'ann@example.com', 'investor', 3, expect.any(String), 7, 'group-b']);
+        expect(emailService.sendInvitation).toHaveBeenCalledWith('tenant-1', expect.objectContaining({ id: 'invitation-1' }), admin);
+        expect(pool.query.mock.calls[4][0]).toMatch(/SET last_sent_at = CURRENT_TIMESTAMP/);
+
+        expect(results[0]).toMatchObject({ status: 'invited', invitation_id: 'invitation-1', email_queued: true });
+        expect(summary).toEqual({ total: 2, invited: 1, ready: 0, failed: 1 });
+    });
+
+    test('Only open invitations are resent, extended or revoked', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 'invitation-1', status: 'expired' }] });
+        await expect(invitations.resend('tenant-1', 'invitation-1', admin)).rejects.toThrow(/extend it before sending it again/);
+        expect(emailService.sendInvitation).not.toHaveBeenCalled();
+
+        await expect(invitations.extend('tenant-1', 'invitation-1', 90)).rejects.toThrow(InvitationError);
+
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ id: 'invitation-1', status: 'expired' }] })
+            .mockResolvedValueOnce({ rows: [{ id: 'invitation-1', status: 'pending' }] });
+        expect(await invitations.extend('tenant-1', 'invitation-1', '14')).toMatchObject({ id: 'invitation-1' });
+        expect(pool.query.mock.calls[2][1]).toEqual(['invitation-1', 'tenant-1', 14]);
+
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ id: 'invitation-1', status: 'accepted' }] })
+            .mockResolvedValueOnce({ rows: [] });
+        await expect(invitations.revoke('tenant-1', 'invitation-1')).rejects.toThrow('This invitation was already accepted');
+
+        pool.query.mockResolvedValueOnce({ rows: [] });
+        expect(await invitations.revoke('tenant-1', 'missing')).toBeNull();
+    });
+});
@@ -0,0 +1,61 @@
+const pool = require('../database-pool');
+const Job = require('../models/job');
+const { createTenant, createUser, createDocument, removeTenant } = require('./db-fixtures');
+
+describe('Background Job Queue (database)', () => {
+    let tenant, user, document;
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        user = await createUser(tenant);
+        document = await createDocument(tenant, user);
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('A document has at most one pending job of a type', async () => {
+        const job = await Job.enqueue({ tenantId: tenant.id, type: 'test.analyze', documentId: document.id, createdBy: user.id });
+        const again = await Job.enqueue({ tenantId: tenant.id, type: 'test.analyze', documentId: document.id, createdBy: user.id });
+
+        expect(again.id).toBe(job.id);
+        expect(await Job.findByDocument(tenant.id, document.id)).toHaveLength(1);
+    });
+
+    test('Claimed jobs are retried with backoff, then dead-lettered and retried by hand', async () => {
+        const [job] = await Job.findByDocument(tenant.id, document.id);
+
+        // Due before anything else in the table, so this worker claims it
+        await pool.query("UPDATE jobs SET run_at = '2000-01-01', max_attempts = 2 WHERE id = $1", [job.id]);
+
+        const claimed = await Job.claimNext('test-worker', 1);
+        expect(claimed).toMatchObject({ id: job.id, status: 'running', attempts: 1, locked_by: 'test-worker' });
+
+        const retried = await Job.fail(claimed, new Error('S3 timeout'));
+        expect(retried.status).toBe('queued');
+        expect(retried.last_error).toBe('S3 timeout');
+        const delay = (new Date(retried.run_at) - new Date(retried.updated_at)) / 1000;
+        expect(Math.round(delay)).toBe(30);
+
+        const dead = await Job.fail({ ...retried, attempts: 2 }, new Error('S3 timeout'));
+        expect(dead.status).toBe('dead');
+        expect(dead.completed_at).not.toBeNull();
+
+        const requeued = await Job.retry(tenant.id, job.id);
+        expect(requeued).toMatchObject({ status: 'queued', attempts: 0 });
+    });
+
+    test('Jobs cannot be retried from another tenant', async () => {
+        const [job] = await Job.findByDocument(tenant.id, document.id);
+        await pool.query("UPDATE jobs SET status = 'dead' WHERE id = $1", [job.id]);
+
+        const other = await createTenant('Other Company');
+        try {
+            expect(await Job.retry(other.id, job.id)).toBeUndefined();
+            expect(await Job.findById(other.id, job.id)).toBeUndefined();
+        } finally {
+            await removeTenant(other);
+        }
+    });
+});
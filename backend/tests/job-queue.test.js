@@ -0,0 +1,87 @@
+jest.mock('../models/job', () => ({
+    claimNext: jest.fn(),
+    complete: jest.fn(),
+    fail: jest.fn(),
+    updateProgress: jest.fn(),
+    requeueStale: jest.fn()
+}));
+
+const Job = require('../models/job');
+const { JobQueue, NonRetryableJobError } = require('../services/job-queue');
+
+describe('Background Job Queue', () => {
+    let queue;
+    const job = { id: 'job-1', type: 'test.job', tenant_id: 'tenant-1', attempts: 1, max_attempts: 3 };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        Job.updateProgress.mockResolvedValue();
+        queue = new JobQueue({ concurrency: 2, tenantConcurrency: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('Successful jobs report progress and complete', async () => {
+        queue.register('test.job', async (claimed, { progress }) => {
+            await progress(50, 'Halfway');
+        });
+
+        await queue.execute(job);
+
+        expect(Job.updateProgress).toHaveBeenCalledWith('job-1', 50, 'Halfway');
+        expect(Job.complete).toHaveBeenCalledWith('job-1');
+        expect(Job.fail).not.toHaveBeenCalled();
+    });
+
+    test('Failures are retried while attempts remain', async () => {
+        const onDeadLetter = jest.fn();
+        Job.fail.mockResolvedValue({ ...job, status: 'queued', run_at: new Date() });
+        queue.register('test.job', async () => {
+            throw new Error('S3 timeout');
+        }, { onDeadLetter });
+
+        await queue.execute(job);
+
+        expect(Job.fail).toHaveBeenCalledWith(job, expect.any(Error), { retryable: true });
+        expect(onDeadLetter).not.toHaveBeenCalled();
+    });
+
+    test('Non-retryable errors are dead-lettered immediately', async () => {
+        const onDeadLetter = jest.fn();
+        Job.fail.mockResolvedValue({ ...job, status: 'dead' });
+        queue.register('test.job', async () => {
+            throw new NonRetryableJobError('Unsupported file type');
+        }, { onDeadLetter });
+
+        await queue.execute(job);
+
+        expect(Job.fail).toHaveBeenCalledWith(job, expect.any(NonRetryableJobError), { retryable: false });
+        expect(onDeadLetter).toHaveBeenCalledWith(job, expect.objectContaining({ message: 'Unsupported file type' }));
+    });
+
+    test('Polling claims up to the worker concurrency', async () => {
+        let release;
+        const blocked = new Promise(resolve => { release = resolve; });
+        queue.register('test.job', () => blocked);
+        Job.claimNext
+            .mockResolvedValueOnce({ ...job, id: 'job-1' })
+            .mockResolvedValueOnce({ ...job, id: 'job-2' })
+            .mockResolvedValueOnce({ ...job, id: 'job-3' });
+
+        queue.running = true;
+        await queue.poll();
+
+        expect(Job.claimNext).toHaveBeenCalledTimes(2);
+        expect(Job.claimNext).toHaveBeenCalledWith(queue.workerId, 1);
+        expect(queue.activeJobs.size).toBe(2);
+
+        release();
+        await queue.stop();
+        expect(Job.complete).toHaveBeenCalledTimes(2);
+    });
+});
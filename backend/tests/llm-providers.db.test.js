@@ -0,0 +1,42 @@
+const pool = require('../database-pool');
+const { DocumentAnalysisService } = require('../services/document-analysis-service');
+const { createClaudeApiWithRateLimit } = require('../services/claude-rate-limiter');
+const { HashingEmbeddingProvider } = require('../services/embedding-provider');
+const DocumentIndexService = require('../services/document-index-service');
+const { createTenant, createUser, createDocument, setTenantSettings, removeTenant } = require('./db-fixtures');
+
+describe('LLM Providers (database)', () => {
+    let tenant, user, document;
+
+    // Files are read from this in-memory store instead of S3
+    const storage = {
+        getFile: async () => Buffer.from('Revenue grew by 12 percent last year.')
+    };
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        user = await createUser(tenant);
+        document = await createDocument(tenant, user, { originalName: 'Summary.txt', mimeType: 'text/plain' });
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Documents are analyzed with the provider and model in the tenant settings', async () => {
+        await setTenantSettings(tenant, { ai_provider: 'mock', ai_model: 'mock-large' });
+
+        // The server default would call Anthropic
+        const analysisService = new DocumentAnalysisService({
+            claudeApi: createClaudeApiWithRateLimit(undefined, 'test-api-key', { provider: 'anthropic' }),
+            storage,
+            documentIndex: new DocumentIndexService({ embeddingProvider: new HashingEmbeddingProvider() })
+        });
+
+        const result = await analysisService.analyzeDocument(tenant.id, document.id);
+        expect(JSON.parse(result.analysis).model).toBe('mock-large');
+
+        const saved = await pool.query('SELECT status, analysis FROM documents WHERE id = $1', [document.id]);
+        expect(saved.rows[0]).toEqual({ status: 'analyzed', analysis: result.analysis });
+    });
+});
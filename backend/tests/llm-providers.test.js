@@ -0,0 +1,83 @@
+const { ClaudeRateLimiter, createClaudeApiWithRateLimit } = require('../services/claude-rate-limiter');
+const { createProvider, hasProvider } = require('../services/llm-providers');
+const { parseAnswer } = require('../services/citation-service');
+
+describe('LLM Providers', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('Unknown providers are rejected', () => {
+        expect(hasProvider('mock')).toBe(true);
+        expect(hasProvider('nope')).toBe(false);
+        expect(() => createProvider('nope')).toThrow('Unknown LLM provider: nope');
+    });
+
+    test('OpenAI-compatible requests and responses are translated', async () => {
+        global.fetch = jest.fn().mockResolvedValue(new Response(JSON.stringify({
+            id: 'chatcmpl-1',
+            model: 'gpt-4o-mini',
+            choices: [{ message: { role: 'assistant', content: 'Revenue grew 12%' }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 40, completion_tokens: 6 }
+        }), { status: 200 }));
+
+        const provider = createProvider('openai-compatible', { apiKey: 'sk-test', baseUrl: 'http://llm.local/v1/' });
+        const response = await provider.create({
+            model: 'gpt-4o-mini',
+            max_tokens: 100,
+            system: 'Be brief',
+            messages: [{ role: 'user', content: [{ type: 'text', text: 'Q' }] }]
+        });
+
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toBe('http://llm.local/v1/chat/completions');
+        expect(options.headers.Authorization).toBe('Bearer sk-test');
+        expect(JSON.parse(options.body).messages).toEqual([
+            { role: 'system', content: 'Be brief' },
+            { role: 'user', content: 'Q' }
+        ]);
+        expect(response).toMatchObject({
+            content: [{ type: 'text', text: 'Revenue grew 12%' }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 40, output_tokens: 6 }
+        });
+    });
+
+    test('Tenant settings choose the provider and model', async () => {
+        const rateLimiter = new ClaudeRateLimiter();
+        const claudeApi = createClaudeApiWithRateLimit(rateLimiter, 'test-api-key');
+        const chunks = [{
+            document_id: 'doc-1',
+            original_name: 'board-minutes.pdf',
+            page_number: 3,
+            label: 'Page 3',
+            chunk_index: 0,
+            content: 'The board approved the acquisition of Acme Ltd.'
+        }];
+
+        const deltas = [];
+        const response = await claudeApi.forTenant(null, { ai_provider: 'mock', ai_model: 'mock-2' }).stream({
+            max_tokens: 100,
+            messages: [{
+                role: 'user',
+                content: `Based on the following excerpts, please answer this question: "Was Acme acquired?"
+
+            Excerpts:
+
+            [S1] board-minutes.pdf, Page 3:
+            ${chunks[0].content}
+            `
+            }]
+        }, { onText: text => deltas.push(text) });
+
+        expect(response.model).toBe('mock-2');
+        expect(deltas.join('')).toBe(response.content[0].text);
+
+        // The deterministic answer cites its source with a verifiable quote
+        const { citations } = parseAnswer(response.content[0].text, chunks);
+        expect(citations[0]).toMatchObject({ source: 'S1', documentId: 'doc-1', verified: true });
+        expect(rateLimiter.getCurrentUsage()).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,73 @@
+const request = require('supertest');
+const pool = require('../database-pool');
+const MfaService = require('../services/mfa-service');
+const authRoutes = require('../routes/auth-routes');
+const { createTenant, createUser, sessionToken, createApp, removeTenant } = require('./db-fixtures');
+
+describe('Multi-Factor Authentication (database)', () => {
+    const app = createApp(authRoutes);
+    let tenant, user, token;
+
+    const codeAt = (secret, stepsAhead = 0) => MfaService.totp(secret, Math.floor(Date.now() / 30000) + stepsAhead);
+
+    // MFA changes are audited after the response is sent
+    const auditedActions = async (expected) => {
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const result = await pool.query(
+                'SELECT action, entity_id FROM tenant_audit_logs WHERE tenant_id = $1 AND action LIKE $2 ORDER BY created_at',
+                [tenant.id, 'MFA_%']
+            );
+            if (result.rows.length >= expected) return result.rows;
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        throw new Error(`Expected ${expected} MFA audit entries`);
+    };
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        user = await createUser(tenant);
+        token = await sessionToken(user);
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('MFA is enrolled with a code and turned off with a recovery code, and both are audited', async () => {
+        const setup = await request(app)
+            .post('/api/auth/mfa/setup')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+
+        await request(app)
+            .post('/api/auth/mfa/enable')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ code: codeAt(setup.body.secret, 10) })
+            .expect(400);
+
+        const enabled = await request(app)
+            .post('/api/auth/mfa/enable')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ code: codeAt(setup.body.secret) })
+            .expect(200);
+        expect(enabled.body.recoveryCodes).toHaveLength(10);
+
+        const stored = await pool.query('SELECT mfa_enabled, mfa_secret FROM users WHERE id = $1', [user.id]);
+        expect(stored.rows[0].mfa_enabled).toBe(true);
+        expect(stored.rows[0].mfa_secret).not.toContain(setup.body.secret);
+
+        await request(app)
+            .delete('/api/auth/mfa')
+            .set('Authorization', `Bearer ${enabled.body.token}`)
+            .send({ recoveryCode: enabled.body.recoveryCodes[0] })
+            .expect(200);
+
+        const disabled = await pool.query('SELECT mfa_enabled FROM users WHERE id = $1', [user.id]);
+        expect(disabled.rows[0].mfa_enabled).toBe(false);
+
+        expect(await auditedActions(2)).toEqual([
+            { action: 'MFA_ENABLED', entity_id: null },
+            { action: 'MFA_DISABLED', entity_id: null }
+        ]);
+    });
+});
@@ -0,0 +1,78 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const MfaService = require('../services/mfa-service');
+
+// Base32 of the ASCII secret "12345678901234567890" from RFC 6238
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('Multi-Factor Authentication', () => {
+    const mfa = new MfaService({ encryptionKey: 'test-key', issuer: 'Smart DataRoom' });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('Codes match the RFC 6238 test vectors', () => {
+        expect(MfaService.totp(RFC_SECRET, 1)).toBe('287082');
+        expect(MfaService.totp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+        expect(MfaService.generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+    });
+
+    test('Codes are accepted one step either side and only once', () => {
+        const now = 1111111109 * 1000;
+        const step = Math.floor(1111111109 / 30);
+
+        expect(MfaService.matchStep(RFC_SECRET, '081804', { now })).toBe(step);
+        expect(MfaService.matchStep(RFC_SECRET, MfaService.totp(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+        expect(MfaService.matchStep(RFC_SECRET, MfaService.totp(RFC_SECRET, step + 2), { now })).toBeNull();
+        expect(MfaService.matchStep(RFC_SECRET, '081804', { now, lastStep: step })).toBeNull();
+        expect(MfaService.matchStep(RFC_SECRET, 'abc', { now })).toBeNull();
+    });
+
+    test('Secrets are stored encrypted', () => {
+        const stored = mfa.encrypt(RFC_SECRET);
+
+        expect(stored).not.toContain(RFC_SECRET);
+        expect(mfa.decrypt(stored)).toBe(RFC_SECRET);
+        expect(() => new MfaService({ encryptionKey: 'other-key' }).decrypt(stored)).toThrow();
+        expect(mfa.otpauthUrl(RFC_SECRET, 'jane@example.com')).toBe(
+            `otpauth://totp/Smart%20DataRoom%3Ajane%40example.com?secret=${RFC_SECRET}` +
+            '&issuer=Smart+DataRoom&algorithm=SHA1&digits=6&period=30'
+        );
+    });
+
+    test('Recovery codes are hashed ignoring case and dashes', () => {
+        const codes = MfaService.generateRecoveryCodes();
+
+        expect(codes).toHaveLength(10);
+        expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        expect(MfaService.hashRecoveryCode('AB12C-34DEF')).toBe(MfaService.hashRecoveryCode('ab12c34def'));
+    });
+
+    test('Verification records the step used and spends recovery codes', async () => {
+        const user = { id: 7, mfa_enabled: true, mfa_secret: mfa.encrypt(RFC_SECRET), mfa_last_step: null };
+        const code = MfaService.totp(RFC_SECRET, Math.floor(Date.now() / 30000));
+
+        pool.query.mockResolvedValueOnce({ rowCount: 1 });
+        expect(await mfa.verify(user, { code })).toBe(true);
+        expect(pool.query.mock.calls[0][0]).toMatch(/mfa_last_step < \$2/);
+
+        pool.query.mockResolvedValueOnce({ rowCount: 0 });
+        expect(await mfa.verify(user, { recoveryCode: 'AB12C-34DEF' })).toBe(false);
+        expect(pool.query.mock.calls[1][1]).toEqual([7, MfaService.hashRecoveryCode('ab12c34def')]);
+
+        expect(await mfa.verify({ ...user, mfa_enabled: false }, { code })).toBe(false);
+        expect(pool.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('Superadmins and members of tenants requiring it must use MFA', () => {
+        expect(MfaService.isRequired({ global_role: 'superadmin' })).toBe(true);
+        expect(MfaService.isRequired({ global_role: 'user', require_mfa: true })).toBe(true);
+        expect(MfaService.isRequired({ global_role: 'user', require_mfa: false })).toBe(false);
+        expect(MfaService.isRequired({ global_role: 'user' })).toBe(false);
+    });
+});
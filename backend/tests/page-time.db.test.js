@@ -0,0 +1,59 @@
+const PageTime = require('../models/page-time');
+const UserGroup = require('../models/user-group');
+const { createTenant, createUser, createDocument, removeTenant } = require('./db-fixtures');
+
+describe('Page Time (database)', () => {
+    const period = { start: '2000-01-01', end: '2100-12-31' };
+    let tenant, alice, bob, report, group;
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        alice = await createUser(tenant, { name: 'Alice' });
+        bob = await createUser(tenant, { name: 'Bob' });
+        report = await createDocument(tenant, alice, { originalName: 'Report.pdf' });
+        group = await UserGroup.create(tenant.id, { name: 'Bidder A' });
+        await UserGroup.addMembers(group.id, [alice.id]);
+
+        await PageTime.record(tenant.id, { documentId: report.id, userId: alice.id, pageNumber: 1, seconds: 40 });
+        await PageTime.record(tenant.id, { documentId: report.id, userId: bob.id, pageNumber: 2, seconds: 15 });
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Heartbeats sent faster than time passes add nothing', async () => {
+        expect(await PageTime.record(tenant.id, { documentId: report.id, userId: alice.id, pageNumber: 1, seconds: 30 }))
+            .toBe(0);
+
+        const heatmap = await PageTime.pageHeatmap(tenant.id, report.id, { ...period, by: 'user' });
+        expect(heatmap.rows.map(row => [row.id, row.totalSeconds])).toEqual([[1, 40], [2, 15]]);
+    });
+
+    test('Documents are broken down by group, with users outside any group together', async () => {
+        const heatmap = await PageTime.documentHeatmap(tenant.id, period);
+
+        expect(heatmap.columns).toEqual([
+            { id: group.id, name: 'Bidder A' },
+            { id: 'none', name: 'No group' }
+        ]);
+        expect(heatmap.rows).toEqual([{
+            id: report.id,
+            name: 'Report.pdf',
+            totalSeconds: 55,
+            cells: { [group.id]: 40, none: 15 }
+        }]);
+
+        const narrowed = await PageTime.documentHeatmap(tenant.id, { ...period, groupId: group.id });
+        expect(narrowed.rows[0].totalSeconds).toBe(40);
+    });
+
+    test('Another tenant sees no page time', async () => {
+        const other = await createTenant('Other Company');
+        try {
+            expect((await PageTime.documentHeatmap(other.id, period)).rows).toEqual([]);
+        } finally {
+            await removeTenant(other);
+        }
+    });
+});
@@ -0,0 +1,100 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const PageTime = require('../models/page-time');
+
+describe('Page Time', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('Heartbeats add to the daily total of a page', async () => {
+        const client = {
+            query: jest.fn(async (sql) => (/MAX\(last_seen_at\)/.test(sql) ? { rows: [{ elapsed: null }] } : { rows: [] })),
+            release: jest.fn()
+        };
+        pool.connect.mockResolvedValue(client);
+
+        expect(await PageTime.record('tenant-1', { documentId: 'spa', userId: 7, pageNumber: 3, seconds: 15 })).toBe(15);
+
+        const [sql, params] = client.query.mock.calls.find(([query]) => /INSERT INTO analytics_page_time/.test(query));
+        expect(sql).toMatch(/ON CONFLICT \(tenant_id, document_id, user_id, page_number, view_date\)/);
+        expect(sql).toMatch(/seconds = analytics_page_time.seconds \+ EXCLUDED.seconds/);
+        expect(params).toEqual(['tenant-1', 'spa', 7, 3, 15]);
+        expect(client.release).toHaveBeenCalled();
+    });
+
+    test('Heartbeats are credited no more than the time since the previous one', async () => {
+        let elapsed = '4.2';
+        const client = {
+            query: jest.fn(async (sql) => (/MAX\(last_seen_at\)/.test(sql) ? { rows: [{ elapsed }] } : { rows: [] })),
+            release: jest.fn()
+        };
+        pool.connect.mockResolvedValue(client);
+
+        expect(await PageTime.record('tenant-1', { documentId: 'spa', userId: 7, pageNumber: 3, seconds: 15 })).toBe(4);
+        const insert = client.query.mock.calls.find(([query]) => /INSERT INTO analytics_page_time/.test(query));
+        expect(insert[1][4]).toBe(4);
+
+        // Sent straight after the previous one: nothing is added
+        client.query.mockClear();
+        elapsed = '0.1';
+        expect(await PageTime.record('tenant-1', { documentId: 'spa', userId: 7, pageNumber: 99, seconds: 60 })).toBe(0);
+        expect(client.query.mock.calls.some(([query]) => /INSERT INTO analytics_page_time/.test(query))).toBe(false);
+    });
+
+    test('Heatmaps keep row totals apart from group cells', () => {
+        const heatmap = PageTime.buildHeatmap(
+            [
+                { row_id: 'spa', column_id: 'bidder-a', column_name: 'Bidder A', seconds: '120' },
+                { row_id: 'spa', column_id: 'advisors', column_name: 'Advisors', seconds: '120' },
+                { row_id: 'spa', column_id: null, column_name: null, seconds: '30' },
+                { row_id: 'model', column_id: 'bidder-a', column_name: 'Bidder A', seconds: '600' }
+            ],
+            [
+                { row_id: 'spa', row_name: 'SPA.pdf', seconds: '150' },
+                { row_id: 'model', row_name: 'Model.xlsx', seconds: '600' }
+            ]
+        );
+
+        expect(heatmap.columns).toEqual([
+            { id: 'advisors', name: 'Advisors' },
+            { id: 'bidder-a', name: 'Bidder A' },
+            { id: 'none', name: 'No group' }
+        ]);
+        expect(heatmap.rows).toEqual([
+            { id: 'model', name: 'Model.xlsx', totalSeconds: 600, cells: { 'bidder-a': 600 } },
+            { id: 'spa', name: 'SPA.pdf', totalSeconds: 150, cells: { 'bidder-a': 120, advisors: 120, none: 30 } }
+        ]);
+    });
+
+    test('Page heatmaps list pages in order', async () => {
+        pool.query
+            .mockResolvedValueOnce({
+                rows: [
+                    { row_id: 2, row_name: 'Page 2', seconds: '90' },
+                    { row_id: 1, row_name: 'Page 1', seconds: '20' }
+                ]
+            })
+            .mockResolvedValueOnce({
+                rows: [
+                    { row_id: 1, column_id: 7, column_name: 'Jane', seconds: '20' },
+                    { row_id: 2, column_id: 7, column_name: 'Jane', seconds: '90' }
+                ]
+            });
+
+        const heatmap = await PageTime.pageHeatmap('tenant-1', 'spa', {
+            start: '2026-01-01',
+            end: '2026-01-31',
+            by: 'user'
+        });
+
+        expect(heatmap.rows.map(row => row.id)).toEqual([1, 2]);
+        expect(heatmap.columns).toEqual([{ id: '7', name: 'Jane' }]);
+        expect(pool.query.mock.calls[1][0]).toMatch(/JOIN users u ON u.id = t.user_id/);
+        expect(pool.query.mock.calls[1][1]).toEqual(['tenant-1', '2026-01-01', '2026-01-31', null, 'spa']);
+    });
+});
@@ -0,0 +1,60 @@
+const request = require('supertest');
+const authRoutes = require('../routes/auth-routes');
+const AuthService = require('../services/auth-service');
+const { createTenant, createUser, sessionToken, createApp, removeTenant } = require('./db-fixtures');
+
+describe('Password Reset (database)', () => {
+    const app = createApp(authRoutes);
+    let tenant, user;
+
+    const resetPassword = (token, tenantSlug, password = 'new-password-1') => request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, tenantSlug, password });
+
+    const login = (password) => request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password, tenantSlug: tenant.slug });
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        user = await createUser(tenant);
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('A reset link sets the new password once and ends every session', async () => {
+        const token = await sessionToken(user);
+        const reset = await AuthService.requestPasswordReset(user.email, tenant.slug);
+        expect(reset.user.id).toBe(user.id);
+
+        await resetPassword(reset.token, tenant.slug).expect(200);
+        await login('password123').expect(401);
+        await login('new-password-1').expect(200);
+
+        await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`).expect(401);
+        await resetPassword(reset.token, tenant.slug, 'new-password-2').expect(400);
+    });
+
+    test('Only the newest link works, and only for its own tenant', async () => {
+        const first = await AuthService.requestPasswordReset(user.email, tenant.slug);
+        const second = await AuthService.requestPasswordReset(user.email, tenant.slug);
+        await resetPassword(first.token, tenant.slug).expect(400);
+
+        const other = await createTenant('Other Company');
+        try {
+            await resetPassword(second.token, other.slug).expect(400);
+        } finally {
+            await removeTenant(other);
+        }
+
+        await resetPassword(second.token, tenant.slug, 'new-password-3').expect(200);
+        await login('new-password-3').expect(200);
+    });
+
+    test('Unknown members get no reset link', async () => {
+        expect(await AuthService.requestPasswordReset('nobody@test.com', tenant.slug)).toBeNull();
+        expect(await AuthService.requestPasswordReset(user.email, 'no-such-tenant')).toBeNull();
+    });
+});
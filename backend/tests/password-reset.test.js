@@ -0,0 +1,92 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const bcrypt = require('bcryptjs');
+const pool = require('../database-pool');
+const PasswordReset = require('../models/password-reset');
+const AuthService = require('../services/auth-service');
+
+const member = { id: 7, email: 'jane@example.com', name: 'Jane', tenant_id: 'tenant-1', tenant_role: 'user' };
+
+describe('Password reset', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('Requests store only the hash of a new token and retire older ones', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: [member] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rowCount: 1 })
+            .mockResolvedValueOnce({ rowCount: 1 });
+
+        const reset = await AuthService.requestPasswordReset('jane@example.com', 'acme', { ipAddress: '10.0.0.1' });
+
+        expect(reset.user).toBe(member);
+        expect(pool.query.mock.calls[0][1]).toEqual(['jane@example.com', 'acme']);
+        expect(pool.query.mock.calls[2][0]).toMatch(/SET used_at = CURRENT_TIMESTAMP WHERE user_id = \$1 AND used_at IS NULL/);
+
+        const [insertSql, insertParams] = pool.query.mock.calls[3];
+        expect(insertSql).toMatch(/INSERT INTO password_reset_tokens/);
+        expect(insertParams).toEqual([7, 'tenant-1', PasswordReset.hashToken(reset.token), '10.0.0.1', 60]);
+        expect(insertParams).not.toContain(reset.token);
+    });
+
+    test('No token is issued to unknown emails or members who must use SSO', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [] });
+        expect(await AuthService.requestPasswordReset('nobody@example.com', 'acme')).toBeNull();
+
+        pool.query
+            .mockResolvedValueOnce({ rows: [member] })
+            .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+        expect(await AuthService.requestPasswordReset('jane@example.com', 'acme')).toBeNull();
+
+        expect(pool.query).toHaveBeenCalledTimes(3);
+        expect(pool.query.mock.calls.some(([sql]) => /INSERT/.test(sql))).toBe(false);
+    });
+
+    test('Resetting uses up the token, sets the password and ends every session', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ user_id: 7, tenant_id: 'tenant-1' }] })
+            .mockResolvedValueOnce({ rows: [member] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rowCount: 1 })
+            .mockResolvedValueOnce({ rowCount: 0 })
+            .mockResolvedValueOnce({ rowCount: 2 });
+
+        await AuthService.resetPassword('reset-token', 'acme', 'N3w-password');
+
+        const [consumeSql, consumeParams] = pool.query.mock.calls[0];
+        expect(consumeSql).toMatch(/used_at IS NULL AND r\.expires_at > CURRENT_TIMESTAMP/);
+        expect(consumeParams).toEqual([PasswordReset.hashToken('reset-token'), 'acme']);
+
+        const [updateSql, [hash, userId]] = pool.query.mock.calls[3];
+        expect(updateSql).toMatch(/UPDATE users SET password = \$1/);
+        expect(userId).toBe(7);
+        expect(await bcrypt.compare('N3w-password', hash)).toBe(true);
+
+        expect(pool.query.mock.calls[5][0]).toMatch(/UPDATE analytics_sessions SET revoked_at = CURRENT_TIMESTAMP/);
+        expect(pool.query.mock.calls[5][1]).toEqual([7, null]);
+    });
+
+    test('Used, expired or foreign tokens change nothing', async () => {
+        // consume() matches on the slug, so another tenant's token finds no row
+        pool.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(AuthService.resetPassword('reset-token', 'other-tenant', 'N3w-password'))
+            .rejects.toThrow('This reset link is invalid or has expired');
+        expect(pool.query).toHaveBeenCalledTimes(1);
+
+        // Links sent before the tenant enforced SSO
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ user_id: 7, tenant_id: 'tenant-1' }] })
+            .mockResolvedValueOnce({ rows: [member] })
+            .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+        await expect(AuthService.resetPassword('reset-token', 'acme', 'N3w-password'))
+            .rejects.toThrow('This organization signs in with single sign-on');
+        expect(pool.query.mock.calls.some(([sql]) => /UPDATE users/.test(sql))).toBe(false);
+    });
+});
@@ -0,0 +1,102 @@
+const request = require('supertest');
+const questionRoutes = require('../routes/question-routes');
+const {
+    createTenant,
+    createUser,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('Question Requests (database)', () => {
+    const app = createApp(questionRoutes);
+    let tenant, admin, expert, bidder, otherBidder;
+    let adminToken, expertToken, bidderToken, otherBidderToken;
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        admin = await createUser(tenant, { role: 'admin' });
+        expert = await createUser(tenant, { name: 'Erin Expert' });
+        bidder = await createUser(tenant, { role: 'investor', name: 'Bo Bidder' });
+        otherBidder = await createUser(tenant, { role: 'investor', name: 'Other Bidder' });
+        adminToken = await sessionToken(admin);
+        expertToken = await sessionToken(expert);
+        bidderToken = await sessionToken(bidder);
+        otherBidderToken = await sessionToken(otherBidder);
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('A question is assigned, drafted, approved and published to the asker only', async () => {
+        const submitted = await request(app)
+            .post('/api/questions')
+            .set('Authorization', `Bearer ${bidderToken}`)
+            .send({ subject: 'Customer churn', body: 'What was churn in 2023?' })
+            .expect(201);
+        const { id, reference } = submitted.body.question;
+        expect(reference).toBe('Q-1');
+
+        await request(app)
+            .post(`/api/questions/${id}/assign`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ userId: expert.id })
+            .expect(200);
+
+        await request(app)
+            .put(`/api/questions/${id}/draft`)
+            .set('Authorization', `Bearer ${expertToken}`)
+            .send({ answer: 'Churn was 4.2%.', submit: true })
+            .expect(200);
+
+        const pending = await request(app)
+            .get(`/api/questions/${id}`)
+            .set('Authorization', `Bearer ${bidderToken}`)
+            .expect(200);
+        expect(pending.body.question).toMatchObject({ status: 'in_progress', answer: null });
+        expect(pending.body.question).not.toHaveProperty('draft_answer');
+
+        await request(app)
+            .post(`/api/questions/${id}/publish`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(400);
+        await request(app)
+            .post(`/api/questions/${id}/approve`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        await request(app)
+            .post(`/api/questions/${id}/publish`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        const answered = await request(app)
+            .get(`/api/questions/${id}`)
+            .set('Authorization', `Bearer ${bidderToken}`)
+            .expect(200);
+        expect(answered.body.question).toMatchObject({ status: 'published', answer: 'Churn was 4.2%.' });
+
+        await request(app)
+            .get(`/api/questions/${id}`)
+            .set('Authorization', `Bearer ${otherBidderToken}`)
+            .expect(404);
+    });
+
+    test('Question ids that are not UUIDs are not found', async () => {
+        const response = await request(app)
+            .get('/api/questions/not-a-uuid')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(404);
+        expect(response.body.error).toBe('Question not found');
+
+        await request(app)
+            .post('/api/questions/not-a-uuid/approve')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(404);
+        await request(app)
+            .put('/api/questions/not-a-uuid/draft')
+            .set('Authorization', `Bearer ${expertToken}`)
+            .send({ answer: 'Churn was 4.2%.' })
+            .expect(404);
+    });
+});
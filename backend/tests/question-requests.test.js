@@ -0,0 +1,176 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const { QuestionService, QuestionError } = require('../services/question-service');
+
+const QUESTION_ID = '6f1c2b8e-3d4a-4c5b-9e7f-0a1b2c3d4e5f';
+
+const admin = { id: 1, name: 'Sam Seller', global_role: 'user', tenant_role: 'admin' };
+const expert = { id: 5, name: 'Erin Expert', global_role: 'user', tenant_role: 'user' };
+const bidder = { id: 9, name: 'Bo Bidder', global_role: 'user', tenant_role: 'investor' };
+
+const question = {
+    id: QUESTION_ID,
+    reference: 'Q-3',
+    subject: 'Customer churn',
+    body: 'What was churn in 2023?',
+    status: 'assigned',
+    asked_by: 9,
+    group_id: 'group-a',
+    assigned_to: 5,
+    assigned_to_name: 'Erin Expert',
+    draft_answer: 'Roughly 4%',
+    ai_draft: 'Churn was 4.2% [1]',
+    answer: null
+};
+
+// Notifications are sent without waiting; let them run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Question requests', () => {
+    let emailService;
+    let questions;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        emailService = { notifyActivity: jest.fn().mockResolvedValue([]) };
+        questions = new QuestionService({ emailService });
+    });
+
+    test('Bidders see neither drafts nor who answers', () => {
+        const shown = QuestionService.forViewer(question, bidder);
+
+        expect(shown).toMatchObject({ reference: 'Q-3', subject: 'Customer churn', status: 'in_progress', answer: null });
+        expect(shown).not.toHaveProperty('draft_answer');
+        expect(shown).not.toHaveProperty('ai_draft');
+        expect(shown).not.toHaveProperty('assigned_to_name');
+
+        expect(QuestionService.forViewer(question, expert)).toEqual({ ...question, due_date: null });
+        expect(QuestionService.forViewer({ ...question, due_date: new Date(2026, 10, 30) }, admin))
+            .toMatchObject({ draft_answer: 'Roughly 4%', due_date: '2026-11-30' });
+        expect(QuestionService.viewerOptions(bidder)).toEqual({ viewerId: 9 });
+        expect(QuestionService.viewerOptions(admin)).toEqual({ viewerId: null });
+    });
+
+    test('Questions are asked for the bidder\'s group and notify the admins', async () => {
+        const client = {
+            query: jest.fn(async (sql) => (/INSERT INTO question_requests/.test(sql)
+                ? { rows: [{ id: QUESTION_ID, reference: 'Q-3', subject: 'Customer churn', body: 'What was churn in 2023?' }] }
+                : { rows: [] })),
+            release: jest.fn()
+        };
+        pool.connect.mockResolvedValue(client);
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ id: 'group-a', name: 'Bidder A' }] })
+            .mockResolvedValueOnce({ rows: [{ id: 'doc-1', folder_id: null, view_only: false }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rowCount: 0 })
+            .mockResolvedValueOnce({ rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ email: 'sam@example.com' }] })
+            .mockResolvedValueOnce({ rows: [{ ...question, status: 'submitted' }] });
+
+        const created = await questions.submit('tenant-1', bidder, {
+            subject: ' Customer churn ',
+            body: 'What was churn in 2023?',
+            category: ' Commercial ',
+            priority: 'high',
+            dueDate: '2026-11-30',
+            documentIds: ['doc-1', 'doc-1']
+        });
+        await flush();
+
+        expect(created.id).toBe(QUESTION_ID);
+        // Numbered under a per-tenant lock
+        expect(client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]))
+            .toEqual(['BEGIN', 'SELECT', 'INSERT', 'COMMIT']);
+        expect(client.query.mock.calls[1][1]).toEqual(['question-reference:tenant-1']);
+        expect(client.query.mock.calls[2][1]).toEqual(['tenant-1', 'Customer churn', 'What was churn in 2023?', 'Commercial', 'high', '2026-11-30', 9, 'group-a']);
+        expect(client.release).toHaveBeenCalled();
+        expect(pool.query.mock.calls[4][1]).toEqual([QUESTION_ID, ['doc-1']]);
+        expect(emailService.notifyActivity).toHaveBeenCalledWith('tenant-1', [{ email: 'sam@example.com' }], expect.objectContaining({
+            title: 'New question Q-3: Customer churn'
+        }));
+    });
+
+    test('Submissions with problems are refused before anything is saved', async () => {
+        await expect(questions.submit('tenant-1', bidder, { subject: 'Churn', body: ' ' }))
+            .rejects.toThrow('Subject and question are required');
+        await expect(questions.submit('tenant-1', bidder, { subject: 'Churn', body: 'Why?', priority: 'asap' }))
+            .rejects.toThrow(QuestionError);
+        await expect(questions.submit('tenant-1', bidder, { subject: 'Churn', body: 'Why?', dueDate: '30/11/2026' }))
+            .rejects.toThrow('Due date must be a date (YYYY-MM-DD)');
+
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 'group-a', name: 'Bidder A' }, { id: 'group-b', name: 'Bidder B' }] });
+        await expect(questions.submit('tenant-1', bidder, { subject: 'Churn', body: 'Why?' }))
+            .rejects.toThrow('Choose the group you are asking for');
+
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 'group-a', name: 'Bidder A' }] });
+        await expect(questions.submit('tenant-1', bidder, { subject: 'Churn', body: 'Why?', groupId: 'group-b' }))
+            .rejects.toThrow('You can only ask for your own groups');
+
+        // A document hidden from the bidder cannot be linked
+        pool.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ id: 'doc-2', folder_id: null, view_only: false }] })
+            .mockResolvedValueOnce({ rows: [{ document_id: 'doc-2', folder_id: null, user_id: null, group_id: null, access: 'none' }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] });
+        await expect(questions.submit('tenant-1', bidder, { subject: 'Churn', body: 'Why?', documentIds: ['doc-2'] }))
+            .rejects.toThrow('Some of the linked documents were not found');
+
+        expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    test('Drafts go through approval before they are published', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ id: QUESTION_ID }] })
+            .mockResolvedValueOnce({ rows: [{ email: 'sam@example.com' }] })
+            .mockResolvedValueOnce({ rows: [{ ...question, status: 'pending_approval' }] });
+
+        const drafted = await questions.saveDraft('tenant-1', question, expert, { answer: ' Churn was 4.2%. ', submit: true });
+        await flush();
+
+        expect(drafted.status).toBe('pending_approval');
+        expect(pool.query.mock.calls[0][1]).toEqual([QUESTION_ID, 'tenant-1', 'Churn was 4.2%.', 5, 'pending_approval']);
+        expect(emailService.notifyActivity.mock.calls[0][2].title).toBe('Answer to Q-3 is ready for approval');
+
+        // Only approved answers are published
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ ...question, status: 'pending_approval' }] })
+            .mockResolvedValueOnce({ rows: [] });
+        await expect(questions.publish('tenant-1', QUESTION_ID, admin)).rejects.toThrow('Approve the answer before publishing it');
+
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ ...question, status: 'approved' }] })
+            .mockResolvedValueOnce({ rows: [{ id: QUESTION_ID }] })
+            .mockResolvedValueOnce({ rows: [{ email: 'bo@example.com' }] })
+            .mockResolvedValueOnce({ rows: [{ ...question, status: 'published', published_to_all: true }] });
+        const published = await questions.publish('tenant-1', QUESTION_ID, admin, { toAll: true });
+        await flush();
+
+        expect(published.status).toBe('published');
+        const publishCall = pool.query.mock.calls.filter(([sql]) => /answer = draft_answer/.test(sql)).pop();
+        expect(publishCall[1]).toEqual([QUESTION_ID, 'tenant-1', 1, true]);
+        const recipientsCall = pool.query.mock.calls.find(([sql]) => /user_group_members WHERE group_id = \$3/.test(sql));
+        expect(recipientsCall[1]).toEqual(['tenant-1', 9, 'group-a']);
+        expect(emailService.notifyActivity).toHaveBeenLastCalledWith('tenant-1', [{ email: 'bo@example.com' }], expect.objectContaining({
+            title: 'Question Q-3 was answered'
+        }));
+    });
+
+    test('Questions are only assigned to active members of the tenant', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: [question] })
+            .mockResolvedValueOnce({ rows: [] });
+        await expect(questions.assign('tenant-1', QUESTION_ID, 42, admin)).rejects.toThrow('Choose an active member of this organization');
+
+        pool.query.mockResolvedValueOnce({ rows: [question] });
+        await expect(questions.assign('tenant-1', QUESTION_ID, NaN, admin)).rejects.toThrow(QuestionError);
+
+        pool.query.mockResolvedValueOnce({ rows: [] });
+        expect(await questions.assign('tenant-1', 'missing', 5, admin)).toBeNull();
+    });
+});
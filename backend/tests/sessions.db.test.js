@@ -0,0 +1,73 @@
+const request = require('supertest');
+const authRoutes = require('../routes/auth-routes');
+const { createTenant, createUser, createApp, removeTenant } = require('./db-fixtures');
+
+describe('Sessions (database)', () => {
+    const app = createApp(authRoutes);
+    let tenant, user;
+
+    const login = async (userAgent) => {
+        const response = await request(app)
+            .post('/api/auth/login')
+            .set('User-Agent', userAgent)
+            .send({ email: user.email, password: 'password123', tenantSlug: tenant.slug })
+            .expect(200);
+        return response.body;
+    };
+
+    const listSessions = (token) => request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`);
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        user = await createUser(tenant);
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Refresh tokens are rotated, and replaying an old one ends the session', async () => {
+        const session = await login('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Chrome/120.0');
+
+        const refreshed = await request(app)
+            .post('/api/auth/refresh')
+            .send({ refreshToken: session.refreshToken })
+            .expect(200);
+        expect(refreshed.body.refreshToken).not.toBe(session.refreshToken);
+        await listSessions(refreshed.body.token).expect(200);
+
+        await request(app)
+            .post('/api/auth/refresh')
+            .send({ refreshToken: session.refreshToken })
+            .expect(401);
+
+        await listSessions(refreshed.body.token).expect(401);
+        await request(app)
+            .post('/api/auth/refresh')
+            .send({ refreshToken: refreshed.body.refreshToken })
+            .expect(401);
+    });
+
+    test('Other sessions are listed with their device and can be signed out', async () => {
+        const laptop = await login('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Firefox/121.0');
+        const phone = await login('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1');
+
+        const listed = await listSessions(laptop.token).expect(200);
+        const current = listed.body.sessions.find(session => session.current);
+        const other = listed.body.sessions.find(session => !session.current);
+        expect(listed.body.sessions).toHaveLength(2);
+        expect(current.device).toBe('Firefox on Windows');
+        expect(other.device).toBe('Safari on iOS');
+
+        await request(app)
+            .delete(`/api/auth/sessions/${other.id}`)
+            .set('Authorization', `Bearer ${laptop.token}`)
+            .expect(200);
+
+        await listSessions(phone.token).expect(401);
+        const remaining = await listSessions(laptop.token).expect(200);
+        expect(remaining.body.sessions.map(session => session.id)).toEqual([current.id]);
+    });
+});
@@ -0,0 +1,103 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const Session = require('../models/session');
+const AuthService = require('../services/auth-service');
+const { authenticateToken } = require('../middleware/auth-middleware');
+
+const user = { id: 7, email: 'jane@example.com', tenant_id: 'tenant-1', tenant_role: 'user', global_role: 'user' };
+
+// Response double recording the status and body sent
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+describe('Sessions', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('Logins store only the hash of the refresh token', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ id: 'session-1' }] });
+
+        const result = await AuthService.completeLogin(user, { ipAddress: '10.0.0.1', userAgent: 'Firefox/120.0' });
+
+        const [sql, params] = pool.query.mock.calls[1];
+        expect(sql).toMatch(/INSERT INTO analytics_sessions/);
+        expect(params).toContain(Session.hashRefreshToken(result.refreshToken));
+        expect(params).not.toContain(result.refreshToken);
+        expect(AuthService.verifyToken(result.token)).toMatchObject({ id: 7, sid: 'session-1', mfa: false });
+    });
+
+    test('Refresh tokens are rotated and a replayed one revokes its session', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 'session-1', user_id: 7, mfa: false }] });
+
+        const rotated = await Session.rotate('first-token');
+        expect(rotated.session.id).toBe('session-1');
+        expect(rotated.refreshToken).not.toBe('first-token');
+        expect(pool.query.mock.calls[0][1].slice(0, 2)).toEqual([
+            Session.hashRefreshToken('first-token'),
+            Session.hashRefreshToken(rotated.refreshToken)
+        ]);
+
+        pool.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rowCount: 1 });
+
+        expect(await Session.rotate('first-token')).toBeNull();
+        expect(pool.query.mock.calls[2][0]).toMatch(/SET revoked_at = CURRENT_TIMESTAMP\s+WHERE previous_refresh_token_hash = \$1/);
+    });
+
+    test('Refreshing ends sessions that now need MFA', async () => {
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ id: 'session-1', user_id: 7, mfa: false }] })
+            .mockResolvedValueOnce({ rows: [{ ...user, require_mfa: true }] })
+            .mockResolvedValueOnce({ rowCount: 1 });
+
+        expect(await AuthService.refresh('first-token')).toBeNull();
+        expect(pool.query.mock.calls[2][0]).toMatch(/SET revoked_at = CURRENT_TIMESTAMP/);
+        expect(pool.query.mock.calls[2][1]).toEqual(['session-1', 7]);
+    });
+
+    test('Access tokens only work while their session is live', async () => {
+        const next = jest.fn();
+        const request = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+        const legacy = mockResponse();
+        await authenticateToken(request(AuthService.generateToken(user)), legacy, next);
+        expect(legacy.status).toHaveBeenCalledWith(401);
+
+        pool.query.mockResolvedValueOnce({ rows: [] });
+        const revoked = mockResponse();
+        await authenticateToken(request(AuthService.generateToken(user, null, { sessionId: 'session-1' })), revoked, next);
+        expect(revoked.status).toHaveBeenCalledWith(401);
+        expect(revoked.json).toHaveBeenCalledWith(expect.objectContaining({ sessionExpired: true }));
+        expect(next).not.toHaveBeenCalled();
+
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ id: 'session-1' }] })
+            .mockResolvedValueOnce({ rows: [user] });
+        const req = request(AuthService.generateToken(user, null, { sessionId: 'session-1' }));
+        await authenticateToken(req, mockResponse(), next);
+        expect(next).toHaveBeenCalled();
+        expect(req.sessionId).toBe('session-1');
+    });
+
+    test('Devices are described from the user agent', () => {
+        expect(Session.describeDevice(
+            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+        )).toBe('Chrome on macOS');
+        expect(Session.describeDevice(
+            'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+        )).toBe('Safari on iOS');
+        expect(Session.describeDevice(null)).toBe('Unknown device');
+    });
+});
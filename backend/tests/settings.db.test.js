@@ -0,0 +1,68 @@
+const request = require('supertest');
+const app = require('../server-final');
+const { createTenant, createUser, sessionToken, removeTenant } = require('./db-fixtures');
+
+describe('Tenant Settings (database)', () => {
+    let tenant, adminToken;
+
+    const putSettings = (settings) => request(app)
+        .put('/api/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(settings)
+        .expect(200);
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        adminToken = await sessionToken(await createUser(tenant, { role: 'admin' }));
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Settings left out of an update keep their value', async () => {
+        await putSettings({
+            company_name: 'Test Company',
+            ai_provider: 'mock',
+            ai_model: 'mock-large',
+            require_terms: true,
+            watermark_enabled: true,
+            watermark_template: '{company} - {email}'
+        });
+
+        const response = await putSettings({ company_name: 'Test Company', primary_color: '#FF5733' });
+
+        expect(response.body).toMatchObject({
+            primary_color: '#FF5733',
+            ai_provider: 'mock',
+            ai_model: 'mock-large',
+            require_terms: true,
+            watermark_enabled: true,
+            watermark_template: '{company} - {email}'
+        });
+    });
+
+    test('Settings sent empty or false are cleared', async () => {
+        const response = await putSettings({
+            company_name: 'Test Company',
+            ai_model: '',
+            require_terms: false,
+            watermark_enabled: false,
+            watermark_template: ''
+        });
+
+        expect(response.body).toMatchObject({
+            ai_provider: 'mock',
+            ai_model: null,
+            require_terms: false,
+            watermark_enabled: false,
+            watermark_template: null
+        });
+
+        const stored = await request(app)
+            .get('/api/settings')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        expect(stored.body.require_terms).toBe(false);
+    });
+});
@@ -0,0 +1,99 @@
+const pool = require('../database-pool');
+const SsoConfig = require('../models/sso-config');
+const { SsoService, SsoError } = require('../services/sso-service');
+const { createTenant, createUser, removeTenant } = require('./db-fixtures');
+
+// OpenID Connect provider that signs in whoever is in `identity` once the
+// client secret and PKCE verifier of the sign-in match
+const stubOidc = () => {
+    const oidc = {
+        identity: null,
+        discover: async () => ({}),
+        authorizationUrl: async (config, { state, codeVerifier }) => {
+            oidc.codeVerifier = codeVerifier;
+            return `https://idp.example.com/authorize?state=${state}`;
+        },
+        exchangeCode: async (config, clientSecret, { codeVerifier }) => {
+            if (clientSecret !== 'client-secret' || codeVerifier !== oidc.codeVerifier) {
+                throw new Error('invalid_grant');
+            }
+            return oidc.identity;
+        }
+    };
+    return oidc;
+};
+
+describe('Single sign-on (database)', () => {
+    const oidc = stubOidc();
+    const sso = new SsoService({ oidc, encryptionKey: 'test-key' });
+    let tenant;
+
+    // Sign in at the provider and return the handoff code
+    const signIn = async (identity) => {
+        oidc.identity = identity;
+        const config = await sso.loginConfig(tenant.slug);
+        const state = new URL(await sso.startLogin(config)).searchParams.get('state');
+        return { state, handoff: await sso.handleOidcCallback(config, { state, code: 'code-1' }) };
+    };
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        await sso.saveConfig(tenant.id, {
+            protocol: 'oidc',
+            enabled: true,
+            enforce_sso: true,
+            oidc_issuer: 'https://idp.example.com/',
+            oidc_client_id: 'dataroom',
+            oidc_client_secret: 'client-secret',
+            role_claim: 'groups',
+            role_mapping: { admin: ['DataRoom Admins'] }
+        });
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('The client secret is stored encrypted and kept when the configuration is saved without it', async () => {
+        const saved = await SsoConfig.findByTenant(tenant.id);
+        expect(saved.oidc_client_secret).not.toContain('client-secret');
+        expect(saved.oidc_issuer).toBe('https://idp.example.com');
+        expect(await SsoConfig.isEnforced(tenant.id)).toBe(true);
+
+        await sso.saveConfig(tenant.id, { ...saved, oidc_client_secret: undefined });
+        expect((await SsoConfig.findByTenant(tenant.id)).oidc_client_secret).toBe(saved.oidc_client_secret);
+    });
+
+    test('First sign-ins create the member with the mapped role, and handoff codes work once', async () => {
+        const { state, handoff } = await signIn({
+            subject: 'oidc-user-1',
+            email: 'Jane@Example.com',
+            emailVerified: true,
+            name: 'Jane Doe',
+            claims: { groups: ['DataRoom Admins'] }
+        });
+
+        const userId = await sso.redeemHandoff(handoff);
+        const result = await pool.query('SELECT email, tenant_id, tenant_role, sso_subject FROM users WHERE id = $1', [userId]);
+        expect(result.rows[0]).toEqual({
+            email: 'jane@example.com',
+            tenant_id: tenant.id,
+            tenant_role: 'admin',
+            sso_subject: 'oidc-user-1'
+        });
+
+        expect(await sso.redeemHandoff(handoff)).toBeNull();
+        await expect(sso.handleOidcCallback(await sso.loginConfig(tenant.slug), { state, code: 'code-1' }))
+            .rejects.toThrow(SsoError);
+    });
+
+    test('Existing members are linked by verified email', async () => {
+        const member = await createUser(tenant);
+
+        const { handoff } = await signIn({ subject: 'oidc-user-2', email: member.email, emailVerified: true, claims: {} });
+
+        expect(await sso.redeemHandoff(handoff)).toBe(member.id);
+        const result = await pool.query('SELECT sso_subject FROM users WHERE id = $1', [member.id]);
+        expect(result.rows[0].sso_subject).toBe('oidc-user-2');
+    });
+});
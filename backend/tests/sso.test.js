@@ -0,0 +1,323 @@
+// Single sign-on against a mock identity provider served from this process.
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { SignedXml } = require('xml-crypto');
+const pool = require('../database-pool');
+const Tenant = require('../models/tenant');
+const AuthService = require('../services/auth-service');
+const OidcProvider = require('../services/sso/oidc-provider');
+const SamlProvider = require('../services/sso/saml-provider');
+const { SsoService, SsoError } = require('../services/sso-service');
+
+const CLIENT_ID = 'dataroom';
+const CLIENT_SECRET = 'client-secret';
+const SP = {
+    entityId: 'http://localhost:3001/api/auth/sso/acme/saml/metadata',
+    acsUrl: 'http://localhost:3001/api/auth/sso/acme/saml/acs'
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+// Mock identity provider: OIDC discovery, keys and token endpoint, and a
+// SAML sign-on endpoint that answers requests with a signed response
+const createIdp = () => {
+    const app = express();
+    const idp = { app, codes: new Map(), claims: {}, attributes: {} };
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer: idp.url,
+            authorization_endpoint: `${idp.url}/authorize`,
+            token_endpoint: `${idp.url}/token`,
+            jwks_uri: `${idp.url}/jwks`,
+            token_endpoint_auth_methods_supported: ['client_secret_basic']
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] });
+    });
+
+    // The user signs in: a code is issued for the request's PKCE challenge
+    app.get('/authorize', (req, res) => {
+        const code = crypto.randomBytes(8).toString('hex');
+        idp.codes.set(code, { ...req.query });
+        res.json({ code, state: req.query.state });
+    });
+
+    app.post('/token', (req, res) => {
+        const credentials = Buffer.from((req.get('authorization') || '').replace('Basic ', ''), 'base64').toString();
+        const request = idp.codes.get(req.body.code);
+
+        if (credentials !== `${CLIENT_ID}:${CLIENT_SECRET}`) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+        if (!request || OidcProvider.codeChallenge(req.body.code_verifier) !== request.code_challenge) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+        idp.codes.delete(req.body.code);
+
+        const idToken = jwt.sign({ nonce: request.nonce, ...idp.claims }, privateKey, {
+            algorithm: 'RS256',
+            keyid: 'key-1',
+            issuer: idp.url,
+            audience: CLIENT_ID,
+            subject: 'oidc-user-1',
+            expiresIn: '5m'
+        });
+        res.json({ access_token: 'access', token_type: 'Bearer', id_token: idToken });
+    });
+
+    app.get('/saml/metadata', (req, res) => {
+        const cert = publicKeyPem.replace(/-----[A-Z ]+-----|\s/g, '');
+        res.type('application/xml').send(`<?xml version="1.0"?>
+<md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" xmlns:ds="http://www.w3.org/2000/09/xmldsig#" entityID="${idp.url}/saml">
+  <md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">
+    <md:KeyDescriptor use="signing"><ds:KeyInfo><ds:X509Data><ds:X509Certificate>${cert}</ds:X509Certificate></ds:X509Data></ds:KeyInfo></md:KeyDescriptor>
+    <md:KeyDescriptor use="encryption"><ds:KeyInfo><ds:X509Data><ds:X509Certificate>ENCRYPTION</ds:X509Certificate></ds:X509Data></ds:KeyInfo></md:KeyDescriptor>
+    <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="${idp.url}/saml/post"/>
+    <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="${idp.url}/saml/sso"/>
+  </md:IDPSSODescriptor>
+</md:EntityDescriptor>`);
+    });
+
+    // The user signs in: the SAMLResponse the browser would POST back
+    app.get('/saml/sso', (req, res) => {
+        const request = zlib.inflateRawSync(Buffer.from(req.query.SAMLRequest, 'base64')).toString();
+        const requestId = idp.inResponseTo || request.match(/ ID="([^"]+)"/)[1];
+        res.json({ SAMLResponse: Buffer.from(idp.samlResponse(requestId)).toString('base64') });
+    });
+
+    idp.samlResponse = (requestId) => {
+        const at = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+        const attributes = Object.entries(idp.attributes).map(([name, values]) => `<saml:Attribute Name="${name}">${
+            [].concat(values).map(value => `<saml:AttributeValue>${value}</saml:AttributeValue>`).join('')
+        }</saml:Attribute>`).join('');
+
+        const xml = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_r${crypto.randomBytes(8).toString('hex')}" Version="2.0" IssueInstant="${at(0)}" Destination="${SP.acsUrl}" InResponseTo="${requestId}">`
+            + `<saml:Issuer>${idp.url}/saml</saml:Issuer>`
+            + '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>'
+            + `<saml:Assertion ID="_a${crypto.randomBytes(8).toString('hex')}" Version="2.0" IssueInstant="${at(0)}">`
+            + `<saml:Issuer>${idp.url}/saml</saml:Issuer>`
+            + '<saml:Subject><saml:NameID>saml-user-1</saml:NameID>'
+            + `<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer"><saml:SubjectConfirmationData InResponseTo="${requestId}" NotOnOrAfter="${at(5)}" Recipient="${SP.acsUrl}"/></saml:SubjectConfirmation>`
+            + '</saml:Subject>'
+            + `<saml:Conditions NotBefore="${at(-1)}" NotOnOrAfter="${at(5)}"><saml:AudienceRestriction><saml:Audience>${SP.entityId}</saml:Audience></saml:AudienceRestriction></saml:Conditions>`
+            + `<saml:AuthnStatement AuthnInstant="${at(0)}"><saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:Password</saml:AuthnContextClassRef></saml:AuthnContext></saml:AuthnStatement>`
+            + `<saml:AttributeStatement>${attributes}</saml:AttributeStatement>`
+            + '</saml:Assertion></samlp:Response>';
+
+        const signed = new SignedXml({
+            privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+            canonicalizationAlgorithm: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+            signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256'
+        });
+        signed.addReference({
+            xpath: "//*[local-name(.)='Assertion']",
+            digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256',
+            transforms: ['http://www.w3.org/2000/09/xmldsig#enveloped-signature', 'http://www.w3.org/2001/10/xml-exc-c14n#']
+        });
+        signed.computeSignature(xml, {
+            location: { reference: "//*[local-name(.)='Assertion']/*[local-name(.)='Issuer']", action: 'after' }
+        });
+        return signed.getSignedXml();
+    };
+
+    return idp;
+};
+
+// Pending SAML requests kept in memory, as the service keeps them in the database
+const memoryRequestCache = () => {
+    const requests = new Map();
+    return {
+        saveAsync: async (key, value) => { requests.set(key, value); return value; },
+        getAsync: async (key) => requests.get(key) || null,
+        removeAsync: async (key) => { requests.delete(key); return key; }
+    };
+};
+
+describe('Single sign-on', () => {
+    let idp;
+    let server;
+
+    beforeAll(async () => {
+        idp = createIdp();
+        server = await new Promise(resolve => {
+            const listening = idp.app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        idp.url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        idp.claims = {};
+        idp.attributes = {};
+        idp.inResponseTo = null;
+    });
+
+    // Follow the authorization URL as the browser would, signing in at the IdP
+    const signIn = async (url) => (await fetch(url)).json();
+
+    test('OIDC sign-ins exchange the code with PKCE and verify the ID token', async () => {
+        const oidc = new OidcProvider();
+        const config = { oidc_issuer: idp.url, oidc_client_id: CLIENT_ID };
+        const request = { redirectUri: 'http://localhost/callback', state: 'state-1', nonce: 'nonce-1', codeVerifier: 'verifier-'.repeat(6) };
+        idp.claims = { email: 'jane@example.com', name: 'Jane Doe', groups: ['DataRoom Admins'] };
+
+        const { code, state } = await signIn(await oidc.authorizationUrl(config, request));
+        expect(state).toBe('state-1');
+
+        const identity = await oidc.exchangeCode(config, CLIENT_SECRET, { code, ...request });
+        expect(identity).toMatchObject({
+            subject: 'oidc-user-1',
+            email: 'jane@example.com',
+            emailVerified: true,
+            name: 'Jane Doe'
+        });
+        expect(identity.claims.groups).toEqual(['DataRoom Admins']);
+    });
+
+    test('OIDC sign-ins are refused for another nonce, verifier or client secret', async () => {
+        const oidc = new OidcProvider();
+        const config = { oidc_issuer: idp.url, oidc_client_id: CLIENT_ID };
+        const request = { redirectUri: 'http://localhost/callback', state: 'state-1', nonce: 'nonce-1', codeVerifier: 'verifier-'.repeat(6) };
+
+        let { code } = await signIn(await oidc.authorizationUrl(config, request));
+        await expect(oidc.exchangeCode(config, CLIENT_SECRET, { code, ...request, nonce: 'nonce-2' }))
+            .rejects.toThrow(/nonce/);
+
+        ({ code } = await signIn(await oidc.authorizationUrl(config, request)));
+        await expect(oidc.exchangeCode(config, CLIENT_SECRET, { code, ...request, codeVerifier: 'other-'.repeat(8) }))
+            .rejects.toThrow(/invalid_grant/);
+
+        ({ code } = await signIn(await oidc.authorizationUrl(config, request)));
+        await expect(oidc.exchangeCode(config, 'wrong-secret', { code, ...request }))
+            .rejects.toThrow(/invalid_client/);
+    });
+
+    test('SAML metadata gives the sign-on URL, issuer and signing certificate', async () => {
+        const metadata = await new SamlProvider().fetchMetadata(`${idp.url}/saml/metadata`);
+
+        expect(metadata.issuer).toBe(`${idp.url}/saml`);
+        expect(metadata.entryPoint).toBe(`${idp.url}/saml/sso`);
+        expect(metadata.certs).toEqual([publicKeyPem.replace(/-----[A-Z ]+-----|\s/g, '')]);
+    });
+
+    test('SAML responses must be signed and answer a pending request', async () => {
+        const saml = new SamlProvider();
+        const requestCache = memoryRequestCache();
+        const config = { saml_entry_point: `${idp.url}/saml/sso`, saml_idp_issuer: `${idp.url}/saml`, saml_idp_certs: [publicKeyPem] };
+        idp.attributes = { email: 'jane@example.com', displayName: 'Jane Doe', groups: ['Bidders'] };
+
+        const url = await saml.authorizationUrl(config, { ...SP, requestCache, requestId: '_request-1' });
+        const { SAMLResponse } = await signIn(url);
+
+        const identity = await saml.validateResponse(config, { ...SP, requestCache, samlResponse: SAMLResponse });
+        expect(identity).toMatchObject({ subject: 'saml-user-1', email: 'jane@example.com', name: 'Jane Doe' });
+        expect(identity.claims.groups).toBe('Bidders');
+
+        // Each request is answered once
+        await expect(saml.validateResponse(config, { ...SP, requestCache, samlResponse: SAMLResponse }))
+            .rejects.toThrow(/InResponseTo/);
+
+        // Responses to requests made elsewhere are refused
+        idp.inResponseTo = '_unknown';
+        const unsolicited = await signIn(await saml.authorizationUrl(config, { ...SP, requestCache, requestId: '_request-2' }));
+        await expect(saml.validateResponse(config, { ...SP, requestCache, samlResponse: unsolicited.SAMLResponse }))
+            .rejects.toThrow(/InResponseTo/);
+
+        // Tampered assertions fail the signature check
+        const forged = Buffer.from(idp.samlResponse('_request-2')).toString().replace('saml-user-1', 'saml-user-2');
+        await requestCache.saveAsync('_request-2', new Date().toISOString());
+        await expect(saml.validateResponse(config, { ...SP, requestCache, samlResponse: Buffer.from(forged).toString('base64') }))
+            .rejects.toThrow(/signature/i);
+    });
+
+    test('Roles are mapped from claims, highest role first', () => {
+        const config = {
+            role_claim: 'groups',
+            role_mapping: { admin: ['DataRoom Admins'], investor: ['Bidders'] }
+        };
+
+        expect(SsoService.mapRole(config, { groups: ['Bidders', 'DataRoom Admins'] })).toBe('admin');
+        expect(SsoService.mapRole(config, { groups: 'Bidders' })).toBe('investor');
+        expect(SsoService.mapRole(config, { groups: ['Staff'] })).toBeNull();
+        expect(SsoService.mapRole({ ...config, role_claim: null }, { groups: ['Bidders'] })).toBeNull();
+    });
+
+    test('Members are created on their first sign-in and linked only by verified email', async () => {
+        const sso = new SsoService({ encryptionKey: 'test-key' });
+        const config = {
+            tenant_id: 'tenant-1',
+            protocol: 'oidc',
+            role_claim: 'groups',
+            role_mapping: { investor: ['Bidders'] },
+            default_role: 'user'
+        };
+        jest.spyOn(Tenant, 'checkLimits').mockResolvedValue({ users: { exceeded: false, limit: 10 } });
+
+        pool.query
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ id: 9, tenant_role: 'investor', is_active: true }] });
+
+        // An unverified email does not take over an existing account
+        const user = await sso.provisionUser(config, {
+            subject: 'sub-1',
+            email: 'Jane@Example.com',
+            emailVerified: false,
+            name: 'Jane Doe',
+            claims: { groups: ['Bidders'] }
+        });
+        expect(user.id).toBe(9);
+        expect(pool.query).toHaveBeenCalledTimes(2);
+        const [sql, params] = pool.query.mock.calls[1];
+        expect(sql).toMatch(/INSERT INTO users/);
+        expect(params).toEqual(['jane@example.com', expect.any(String), 'Jane Doe', 'investor', 'tenant-1', 'sub-1']);
+
+        // Returning members get their role from the claims again
+        pool.query.mockReset();
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ id: 9, tenant_role: 'user', is_active: true }] })
+            .mockResolvedValueOnce({ rows: [{ id: 9, tenant_role: 'investor', is_active: true }] });
+        const returning = await sso.provisionUser(config, { subject: 'sub-1', claims: { groups: ['Bidders'] } });
+        expect(returning.tenant_role).toBe('investor');
+        expect(pool.query.mock.calls[1][0]).toMatch(/UPDATE users SET tenant_role/);
+
+        pool.query.mockReset();
+        pool.query.mockResolvedValueOnce({ rows: [{ id: 9, tenant_role: 'investor', is_active: false }] });
+        await expect(sso.provisionUser(config, { subject: 'sub-1', claims: {} })).rejects.toThrow(SsoError);
+    });
+
+    test('Members of tenants enforcing SSO cannot sign in with a password', async () => {
+        const password = await bcrypt.hash('secret', 4);
+        const member = { id: 7, email: 'jane@example.com', password, tenant_id: 'tenant-1', tenant_role: 'user' };
+
+        pool.query
+            .mockResolvedValueOnce({ rows: [member] })
+            .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+        await expect(AuthService.authenticate('jane@example.com', 'secret', 'acme'))
+            .rejects.toThrow('This organization signs in with single sign-on');
+
+        // Admins keep password sign-in for when the identity provider is down
+        pool.query
+            .mockResolvedValueOnce({ rows: [{ ...member, tenant_role: 'admin' }] })
+            .mockResolvedValueOnce({ rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [{ id: 'session-1' }] });
+        const result = await AuthService.authenticate('jane@example.com', 'secret', 'acme');
+        expect(result.token).toBeDefined();
+    });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const pool = require('../database-pool');
+const documentRoutes = require('../routes/document-routes');
+const storageRoutes = require('../routes/storage-routes');
+const {
+    createTenant,
+    useLocalStorage,
+    createUser,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('Storage Drivers (database)', () => {
+    const storagePath = useLocalStorage();
+    const app = createApp(documentRoutes, storageRoutes);
+    let tenant, token;
+
+    // Signed local URLs are absolute; the app under test serves their path
+    const pathOf = (url) => {
+        const { pathname, search } = new URL(url);
+        return pathname + search;
+    };
+
+    beforeAll(async () => {
+        tenant = await createTenant('Test Company', { settings: { storage_driver: 'local' } });
+        token = await sessionToken(await createUser(tenant, { role: 'admin' }));
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    test('Files of a tenant pinned to local storage are stored, served and deleted on disk', async () => {
+        const uploaded = await request(app)
+            .post('/api/documents/upload')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('files', Buffer.from('Board minutes'), { filename: 'Minutes.txt', contentType: 'text/plain' })
+            .expect(200);
+        const [document] = uploaded.body.documents;
+
+        const saved = await pool.query('SELECT storage_driver, s3_bucket, s3_key FROM documents WHERE id = $1', [document.id]);
+        const { storage_driver: driver, s3_bucket: container, s3_key: key } = saved.rows[0];
+        expect(driver).toBe('local');
+        const filePath = path.join(storagePath, container, key);
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('Board minutes');
+
+        const link = await request(app)
+            .get(`/api/documents/${document.id}/download`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        const download = await request(app).get(pathOf(link.body.downloadUrl)).expect(200);
+        expect(download.text).toBe('Board minutes');
+
+        await request(app).get(pathOf(link.body.downloadUrl).replace(/signature=[^&]+/, 'signature=forged')).expect(403);
+
+        await request(app)
+            .delete(`/api/documents/${document.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(fs.existsSync(filePath)).toBe(false);
+    });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalStorageDriver = require('../services/storage/local-driver');
+const StorageService = require('../services/storage-service');
+const { hasDriver, driverNameForTenant, DEFAULT_DRIVER } = require('../services/storage');
+
+describe('Storage Drivers', () => {
+    let rootPath;
+    let driver;
+
+    beforeEach(() => {
+        rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'dataroom-storage-'));
+        driver = new LocalStorageDriver({
+            rootPath,
+            publicUrl: 'http://localhost:3001',
+            signingSecret: 'test-secret'
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(rootPath, { recursive: true, force: true });
+    });
+
+    test('Local driver stores, lists, reads and deletes files', async () => {
+        await driver.upload('acme', 'documents/doc-1/v1/SPA.pdf', Buffer.from('contract'));
+        await driver.upload('acme', 'documents/doc-2/v1/Memo.txt', Buffer.from('memo'));
+
+        expect((await driver.get('acme', 'documents/doc-1/v1/SPA.pdf')).toString()).toBe('contract');
+        expect((await driver.list('acme', 'documents/doc-1/')).map(file => file.key))
+            .toEqual(['documents/doc-1/v1/SPA.pdf']);
+        expect(await driver.usage('acme')).toEqual({ fileCount: 2, totalSizeBytes: 12 });
+
+        await driver.delete('acme', 'documents/doc-1/v1/SPA.pdf');
+        expect(await driver.usage('acme')).toEqual({ fileCount: 1, totalSizeBytes: 4 });
+    });
+
+    test('Keys cannot escape their container', async () => {
+        await expect(driver.upload('acme', '../other/secret.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+        expect(() => driver.resolvePath('../acme', 'file.txt')).toThrow('Invalid storage container');
+    });
+
+    test('Signed URLs are verified and expire', async () => {
+        const url = new URL(await driver.getSignedUrl('acme', 'documents/doc-1/v1/SPA.pdf', {
+            fileName: 'SPA.pdf',
+            expiresIn: 60
+        }));
+        const query = Object.fromEntries(url.searchParams);
+
+        expect(url.pathname).toBe('/api/storage/local/acme/documents/doc-1/v1/SPA.pdf');
+        expect(driver.verifySignedUrl('acme', 'documents/doc-1/v1/SPA.pdf', query)).toBe(true);
+        expect(driver.verifySignedUrl('acme', 'documents/doc-2/v1/SPA.pdf', query)).toBe(false);
+        expect(driver.verifySignedUrl('acme', 'documents/doc-1/v1/SPA.pdf', { ...query, filename: 'Other.pdf' })).toBe(false);
+        expect(driver.verifySignedUrl('acme', 'documents/doc-1/v1/SPA.pdf', {
+            ...query,
+            expires: String(Math.floor(Date.now() / 1000) - 1)
+        })).toBe(false);
+    });
+
+    test('Local multipart uploads can be resumed and are assembled in order', async () => {
+        const uploadId = await driver.createMultipartUpload('acme', 'documents/doc-1/v1/Data.xlsx');
+
+        await driver.writePart(uploadId, 2, Readable.from([Buffer.from('world')]));
+        await driver.writePart(uploadId, 1, Readable.from([Buffer.from('hel')]));
+        // A part sent again after a dropped connection replaces the first attempt
+        await driver.writePart(uploadId, 1, Readable.from([Buffer.from('hello ')]));
+
+        const parts = await driver.listUploadedParts('acme', 'documents/doc-1/v1/Data.xlsx', uploadId);
+        expect(parts).toEqual([{ partNumber: 1, size: 6 }, { partNumber: 2, size: 5 }]);
+
+        const result = await driver.completeMultipartUpload('acme', 'documents/doc-1/v1/Data.xlsx', uploadId, parts);
+
+        expect(result.size).toBe(11);
+        expect((await driver.get('acme', 'documents/doc-1/v1/Data.xlsx')).toString()).toBe('hello world');
+        expect(fs.existsSync(driver.stagingPath(uploadId))).toBe(false);
+    });
+
+    test('Part upload URLs are signed per part', async () => {
+        const uploadId = await driver.createMultipartUpload('acme', 'documents/doc-1/v1/Data.xlsx');
+        const url = new URL(await driver.getUploadPartUrl('acme', 'documents/doc-1/v1/Data.xlsx', uploadId, 3));
+        const query = Object.fromEntries(url.searchParams);
+
+        expect(url.pathname).toBe(`/api/storage/local/uploads/${uploadId}/3`);
+        expect(driver.verifyPartUrl(uploadId, '3', query)).toBe(true);
+        expect(driver.verifyPartUrl(uploadId, '4', query)).toBe(false);
+        expect(driver.verifySignedUrl('uploads', `${uploadId}/3`, query)).toBe(false);
+    });
+
+    test('Tenants can be pinned to a driver', () => {
+        expect(hasDriver('local')).toBe(true);
+        expect(hasDriver('s3')).toBe(true);
+        expect(driverNameForTenant({ settings: { storage_driver: 'local' } })).toBe('local');
+        expect(driverNameForTenant({ settings: {} })).toBe(DEFAULT_DRIVER);
+    });
+
+    test('Files are read through the driver they were stored with', async () => {
+        const other = { get: jest.fn().mockResolvedValue(Buffer.from('from s3')) };
+        const storage = new StorageService({ resolveDriver: (name) => (name === 'local' ? driver : other) });
+
+        const stored = await storage.uploadDocument(
+            { slug: 'acme', settings: { storage_driver: 'local' } },
+            'doc-1',
+            Buffer.from('contract'),
+            'Share Purchase Agreement.pdf',
+            'application/pdf'
+        );
+
+        expect(stored).toMatchObject({
+            driver: 'local',
+            bucket: 'acme',
+            key: 'documents/doc-1/v1/Share_Purchase_Agreement.pdf'
+        });
+
+        const file = { storage_driver: stored.driver, s3_bucket: stored.bucket, s3_key: stored.key };
+        expect((await storage.getFile(file)).toString()).toBe('contract');
+
+        const legacy = { storage_driver: 's3', s3_bucket: 'dataroom-v2-acme-documents', s3_key: 'documents/old.pdf' };
+        expect((await storage.getFile(legacy)).toString()).toBe('from s3');
+        expect(other.get).toHaveBeenCalledWith('dataroom-v2-acme-documents', 'documents/old.pdf');
+    });
+});
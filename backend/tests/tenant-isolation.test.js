@@ -2,10 +2,17 @@ const request = require('supertest');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const pool = require('../database-pool');
+const Session = require('../models/session');
 
 // Test configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
 
+// Token of a new session, as issued at login
+const sessionToken = async (user, claims) => {
+    const session = await Session.create(user, { mfa: true });
+    return jwt.sign({ id: user.id, email: user.email, ...claims, mfa: true, sid: session.id }, JWT_SECRET);
+};
+
 describe('Multi-Tenant Isolation Tests', () => {
     let app;
     let tenant1, tenant2, superadmin, admin1, admin2, user1, user2;
@@ -102,25 +109,19 @@ describe('Multi-Tenant Isolation Tests', () => {
             await client.query('COMMIT');
 
             // Generate tokens
-            superadminToken = jwt.sign({
-                id: superadmin.id,
-                email: superadmin.email,
+            superadminToken = await sessionToken(superadmin, {
                 global_role: 'superadmin'
-            }, JWT_SECRET);
+            });
 
-            token1 = jwt.sign({
-                id: admin1.id,
-                email: admin1.email,
+            token1 = await sessionToken(admin1, {
                 tenant_role: 'admin',
                 tenant_id: tenant1.id
-            }, JWT_SECRET);
+            });
 
-            token2 = jwt.sign({
-                id: admin2.id,
-                email: admin2.email,
+            token2 = await sessionToken(admin2, {
                 tenant_role: 'admin',
                 tenant_id: tenant2.id
-            }, JWT_SECRET);
+            });
 
         } catch (error) {
             await client.query('ROLLBACK');
@@ -285,12 +286,10 @@ describe('Multi-Tenant Isolation Tests', () => {
         });
 
         test('Role hierarchy is enforced', async () => {
-            const userToken = jwt.sign({
-                id: user1.id,
-                email: user1.email,
+            const userToken = await sessionToken(user1, {
                 tenant_role: 'user',
                 tenant_id: tenant1.id
-            }, JWT_SECRET);
+            });
 
             const response = await request(app)
                 .post('/api/auth/register')
@@ -315,12 +314,10 @@ describe('Multi-Tenant Isolation Tests', () => {
         });
 
         test('Analytics endpoints require admin role', async () => {
-            const userToken = jwt.sign({
-                id: user1.id,
-                email: user1.email,
+            const userToken = await sessionToken(user1, {
                 tenant_role: 'user',
                 tenant_id: tenant1.id
-            }, JWT_SECRET);
+            });
 
             await request(app)
                 .get('/api/analytics/dashboard')
@@ -371,11 +368,9 @@ describe('Superadmin Analytics Tests', () => {
         const superadmin = await pool.query('SELECT * FROM users WHERE global_role = \'superadmin\' LIMIT 1');
         
         if (superadmin.rows.length > 0) {
-            superadminToken = jwt.sign({
-                id: superadmin.rows[0].id,
-                email: superadmin.rows[0].email,
+            superadminToken = await sessionToken(superadmin.rows[0], {
                 global_role: 'superadmin'
-            }, JWT_SECRET);
+            });
         }
     });
 
@@ -431,12 +426,10 @@ describe('Resource Limits Tests', () => {
         `, [adminPassword, limitedTenant.id]);
         limitedAdmin = adminResult.rows[0];
 
-        limitedToken = jwt.sign({
-            id: limitedAdmin.id,
-            email: limitedAdmin.email,
+        limitedToken = await sessionToken(limitedAdmin, {
             tenant_role: 'admin',
             tenant_id: limitedTenant.id
-        }, JWT_SECRET);
+        });
     });
 
     afterAll(async () => {
@@ -0,0 +1,49 @@
+const request = require('supertest');
+const app = require('../server-final');
+const { createTenant, createUser, sessionToken, removeTenant } = require('./db-fixtures');
+
+describe('Terms (database)', () => {
+    let tenant, adminToken, memberToken;
+
+    const asAdmin = (test) => test.set('Authorization', `Bearer ${adminToken}`);
+    const asMember = (test) => test.set('Authorization', `Bearer ${memberToken}`);
+
+    const publish = async (title) => {
+        const response = await asAdmin(request(app).post('/api/terms/versions'))
+            .send({ title, body: 'Information in this data room is confidential.' })
+            .expect(201);
+        return response.body.version;
+    };
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        adminToken = await sessionToken(await createUser(tenant, { role: 'admin' }));
+        memberToken = await sessionToken(await createUser(tenant));
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Members accept the current terms before using documents, once the tenant requires them', async () => {
+        const first = await publish('Confidentiality');
+        await asMember(request(app).get('/api/documents')).expect(200);
+
+        await asAdmin(request(app).put('/api/settings')).send({ company_name: 'Test Company', require_terms: true }).expect(200);
+        const blocked = await asMember(request(app).get('/api/documents')).expect(403);
+        expect(blocked.body).toMatchObject({ termsRequired: true, termsVersion: 1 });
+
+        await asMember(request(app).post('/api/terms/accept')).send({ versionId: first.id }).expect(200);
+        await asMember(request(app).get('/api/documents')).expect(200);
+
+        // New terms have to be accepted again, and only the version read counts
+        const second = await publish('Confidentiality (revised)');
+        await asMember(request(app).get('/api/documents')).expect(403);
+        await asMember(request(app).post('/api/terms/accept')).send({ versionId: first.id }).expect(409);
+        await asMember(request(app).post('/api/terms/accept')).send({ versionId: second.id }).expect(200);
+
+        const status = await asMember(request(app).get('/api/terms')).expect(200);
+        expect(status.body).toMatchObject({ required: true, accepted: true });
+        expect(status.body.terms.version_number).toBe(2);
+    });
+});
@@ -0,0 +1,83 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const Terms = require('../models/terms');
+const tenantMiddleware = require('../middleware/tenant-middleware');
+
+const member = { id: 7, tenant_id: 'tenant-1', tenant_role: 'investor', global_role: 'user' };
+const currentTerms = { id: 'terms-2', version_number: 2, title: 'NDA', body: 'Keep it secret.', created_at: new Date() };
+
+// Response double recording the status and body sent
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+const gate = async (user, statusRow) => {
+    if (statusRow) {
+        pool.query.mockResolvedValueOnce({ rows: [statusRow] });
+    }
+    const res = mockResponse();
+    const next = jest.fn();
+    await tenantMiddleware.requireTermsAccepted({ user, tenantId: 'tenant-1' }, res, next);
+    return { res, next };
+};
+
+describe('Terms', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('Members are held back until they accept the current version', async () => {
+        const { res, next } = await gate(member, { required: true, ...currentTerms, accepted_at: null });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ termsRequired: true, termsVersion: 2 }));
+        expect(pool.query.mock.calls[0][1]).toEqual(['tenant-1', 7]);
+    });
+
+    test('Accepted, unpublished or optional terms let members through', async () => {
+        expect((await gate(member, { required: true, ...currentTerms, accepted_at: new Date() })).next).toHaveBeenCalled();
+        expect((await gate(member, { required: true, id: null, accepted_at: null })).next).toHaveBeenCalled();
+        expect((await gate(member, { required: false, ...currentTerms, accepted_at: null })).next).toHaveBeenCalled();
+
+        // Admins publish the terms and are not asked
+        const admin = await gate({ ...member, tenant_role: 'admin' });
+        expect(admin.next).toHaveBeenCalled();
+        expect(pool.query).toHaveBeenCalledTimes(3);
+    });
+
+    test('Acceptance is looked up for the newest version only', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [{ required: true, ...currentTerms, accepted_at: null }] });
+
+        const status = await Terms.status('tenant-1', 7);
+
+        expect(status).toEqual({
+            required: true,
+            terms: { id: 'terms-2', version_number: 2, title: 'NDA', body: 'Keep it secret.', created_at: currentTerms.created_at },
+            accepted_at: null
+        });
+        expect(pool.query.mock.calls[0][0]).toMatch(/ORDER BY version_number DESC\s+LIMIT 1/);
+        expect(pool.query.mock.calls[0][0]).toMatch(/a\.terms_version_id = v\.id AND a\.user_id = \$2/);
+    });
+
+    test('Acceptances record the time and IP once per version', async () => {
+        const accepted = { id: 'acceptance-1', terms_version_id: 'terms-2', user_id: 7, accepted_at: new Date(), ip_address: '10.0.0.1' };
+        pool.query
+            .mockResolvedValueOnce({ rowCount: 1 })
+            .mockResolvedValueOnce({ rows: [accepted] });
+
+        const acceptance = await Terms.accept('tenant-1', 'terms-2', 7, { ipAddress: '10.0.0.1', userAgent: 'Firefox/120.0' });
+
+        expect(acceptance).toBe(accepted);
+        const [insertSql, insertParams] = pool.query.mock.calls[0];
+        expect(insertSql).toMatch(/ON CONFLICT \(terms_version_id, user_id\) DO NOTHING/);
+        expect(insertParams).toEqual(['tenant-1', 'terms-2', 7, '10.0.0.1', 'Firefox/120.0']);
+    });
+});
@@ -0,0 +1,128 @@
+const JSZip = require('jszip');
+const XLSX = require('xlsx');
+const {
+    TextExtractionService,
+    UnsupportedDocumentTypeError
+} = require('../services/text-extraction-service');
+
+// Build a minimal PDF with one text line per page; pdf.js rebuilds the
+// cross-reference table itself, so none is written
+const buildPdf = (pageTexts) => {
+    const fontRef = 3 + pageTexts.length * 2;
+    const objects = [
+        '<</Type/Catalog/Pages 2 0 R>>',
+        `<</Type/Pages/Kids[${pageTexts.map((_, i) => `${3 + i * 2} 0 R`).join(' ')}]/Count ${pageTexts.length}>>`
+    ];
+
+    pageTexts.forEach((text, i) => {
+        const stream = `BT /F1 12 Tf 10 100 Td (${text}) Tj ET`;
+        objects.push(`<</Type/Page/Parent 2 0 R/MediaBox[0 0 300 300]/Contents ${4 + i * 2} 0 R/Resources<</Font<</F1 ${fontRef} 0 R>>>>>>`);
+        objects.push(`<</Length ${stream.length}>>stream\n${stream}\nendstream `);
+    });
+    objects.push('<</Type/Font/Subtype/Type1/BaseFont/Helvetica>>');
+
+    const body = objects.map((object, i) => `${i + 1} 0 obj${object}endobj`).join('\n');
+    return Buffer.from(`%PDF-1.1\n${body}\ntrailer<</Root 1 0 R>>\n%%EOF`, 'latin1');
+};
+
+describe('Text Extraction Pipeline', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new TextExtractionService();
+    });
+
+    test('PDF text is extracted per page', async () => {
+        const result = await service.extract(buildPdf(['Revenue grew 12 percent', 'Board approval']), 'application/pdf', 'report.pdf');
+
+        expect(result.extractor).toBe('pdf');
+        expect(result.pages.map(p => p.label)).toEqual(['Page 1', 'Page 2']);
+        expect(result.pages[0].text).toContain('Revenue grew 12 percent');
+        expect(result.pages[1].text).toContain('Board approval');
+    });
+
+    test('DOCX is split on page breaks', async () => {
+        const zip = new JSZip();
+        zip.file('word/document.xml', `
+            <w:document><w:body>
+                <w:p><w:r><w:t>Articles &amp; bylaws</w:t></w:r></w:p>
+                <w:p><w:r><w:br w:type="page"/><w:t>Shareholder list</w:t></w:r></w:p>
+            </w:body></w:document>
+        `);
+        const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+        // Browsers often send octet-stream for Office files; the extension decides
+        const result = await service.extract(buffer, 'application/octet-stream', 'charter.docx');
+
+        expect(result.extractor).toBe('docx');
+        expect(result.pages).toHaveLength(2);
+        expect(result.pages[0].text).toBe('Articles & bylaws');
+        expect(result.pages[1].text).toBe('Shareholder list');
+    });
+
+    test('XLSX produces one unit per sheet', async () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Year', 'Revenue'], [2023, 1200]]), 'P&L');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Cash', 300]]), 'Balance Sheet');
+        const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+        const result = await service.extract(
+            buffer,
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'financials.xlsx'
+        );
+
+        expect(result.pages.map(p => p.unitType)).toEqual(['sheet', 'sheet']);
+        expect(result.pages[0].label).toBe('Sheet: P&L');
+        expect(result.pages[0].text).toBe('Year,Revenue\n2023,1200');
+    });
+
+    test('PPTX slides are returned in numeric order', async () => {
+        const zip = new JSZip();
+        zip.file('ppt/slides/slide10.xml', '<p:sld><a:p><a:r><a:t>Appendix</a:t></a:r></a:p></p:sld>');
+        zip.file('ppt/slides/slide2.xml', '<p:sld><a:p><a:r><a:t>Market size</a:t></a:r></a:p></p:sld>');
+        const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+        const result = await service.extract(
+            buffer,
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+            'deck.pptx'
+        );
+
+        expect(result.pages.map(p => p.label)).toEqual(['Slide 2', 'Slide 10']);
+        expect(result.pages[0].text).toBe('Market size');
+    });
+
+    test('Unsupported types are rejected', async () => {
+        await expect(service.extract(Buffer.from(''), 'image/png', 'logo.png'))
+            .rejects.toBeInstanceOf(UnsupportedDocumentTypeError);
+    });
+
+    test('Custom extractors can be registered per MIME type', async () => {
+        service.register({
+            name: 'json',
+            mimeTypes: ['application/json'],
+            extract: async (buffer) => [{
+                unitType: 'page',
+                number: 1,
+                label: 'Page 1',
+                text: JSON.stringify(JSON.parse(buffer.toString()), null, 2)
+            }]
+        });
+
+        const result = await service.extract(Buffer.from('{"a":1}'), 'application/json', 'data.json');
+        expect(result.extractor).toBe('json');
+    });
+
+    test('Prompt formatting labels pages and respects the budget', () => {
+        const pages = [
+            { label: 'Page 1', text: 'a'.repeat(300) },
+            { label: 'Page 2', text: 'b'.repeat(300) }
+        ];
+
+        const formatted = TextExtractionService.formatForPrompt(pages, 600);
+        expect(formatted.startsWith('--- Page 1 ---')).toBe(true);
+        expect(formatted).toContain('[...truncated]');
+        expect(formatted.length).toBeLessThanOrEqual(620);
+    });
+});
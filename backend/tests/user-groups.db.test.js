@@ -0,0 +1,90 @@
+const request = require('supertest');
+const pool = require('../database-pool');
+const groupRoutes = require('../routes/group-routes');
+const accessRoutes = require('../routes/access-routes');
+const documentRoutes = require('../routes/document-routes');
+const {
+    createTenant,
+    createUser,
+    createDocument,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+describe('User Groups (database)', () => {
+    const app = createApp(groupRoutes, accessRoutes, documentRoutes);
+    let tenant, adminToken, bidder, document;
+
+    const asAdmin = (test) => test.set('Authorization', `Bearer ${adminToken}`);
+
+    const visibleTo = async (user) => {
+        const response = await request(app)
+            .get('/api/documents')
+            .set('Authorization', `Bearer ${await sessionToken(user)}`)
+            .expect(200);
+        return response.body.documents.map(doc => doc.id);
+    };
+
+    beforeAll(async () => {
+        tenant = await createTenant();
+        const admin = await createUser(tenant, { role: 'admin' });
+        adminToken = await sessionToken(admin);
+        bidder = await createUser(tenant, { name: 'Bidder' });
+        document = await createDocument(tenant, admin);
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+    });
+
+    test('Members of a group get the access granted to the group', async () => {
+        const created = await asAdmin(request(app).post('/api/groups')).send({ name: 'Bidder A' }).expect(201);
+        const group = created.body.group;
+        await asAdmin(request(app).post('/api/groups')).send({ name: 'Bidder A' }).expect(409);
+
+        const added = await asAdmin(request(app).post(`/api/groups/${group.id}/members`))
+            .send({ userIds: [bidder.id] })
+            .expect(200);
+        expect(added.body.members.map(member => member.id)).toEqual([bidder.id]);
+
+        await asAdmin(request(app).put(`/api/documents/${document.id}/access`))
+            .send({ rules: [{ groupId: group.id, access: 'view' }] })
+            .expect(200);
+        expect(await visibleTo(bidder)).toEqual([document.id]);
+
+        await asAdmin(request(app).delete(`/api/groups/${group.id}/members/${bidder.id}`)).expect(200);
+        expect(await visibleTo(bidder)).toEqual([]);
+    });
+
+    test('Deleting a group removes its members and access rules', async () => {
+        const created = await asAdmin(request(app).post('/api/groups')).send({ name: 'Bidder B' }).expect(201);
+        const group = created.body.group;
+        await asAdmin(request(app).post(`/api/groups/${group.id}/members`)).send({ userIds: [bidder.id] }).expect(200);
+        await asAdmin(request(app).put(`/api/documents/${document.id}/access`))
+            .send({ rules: [{ groupId: group.id, access: 'download' }] })
+            .expect(200);
+
+        await asAdmin(request(app).delete(`/api/groups/${group.id}`)).expect(200);
+
+        const members = await pool.query('SELECT 1 FROM user_group_members WHERE group_id = $1', [group.id]);
+        const rules = await pool.query('SELECT 1 FROM access_rules WHERE group_id = $1', [group.id]);
+        expect(members.rows).toHaveLength(0);
+        expect(rules.rows).toHaveLength(0);
+    });
+
+    test('Users of another tenant cannot be added to a group', async () => {
+        const other = await createTenant('Other Company');
+        try {
+            const stranger = await createUser(other);
+            const created = await asAdmin(request(app).post('/api/groups')).send({ name: 'Bidder C' }).expect(201);
+
+            const response = await asAdmin(request(app).post(`/api/groups/${created.body.group.id}/members`))
+                .send({ userIds: [stranger.id] })
+                .expect(400);
+            expect(response.body.error).toBe('All users must belong to this organization');
+        } finally {
+            await removeTenant(other);
+        }
+    });
+});
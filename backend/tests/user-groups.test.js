@@ -0,0 +1,49 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const pool = require('../database-pool');
+const UserGroup = require('../models/user-group');
+
+describe('User Groups', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('Groups are listed per user', async () => {
+        pool.query.mockResolvedValueOnce({
+            rows: [
+                { user_id: 7, id: 'bidder-a', name: 'Bidder A' },
+                { user_id: 7, id: 'advisors', name: 'Advisors' },
+                { user_id: 8, id: 'bidder-a', name: 'Bidder A' }
+            ]
+        });
+
+        const groups = await UserGroup.groupsByUser('tenant-1');
+
+        expect(groups.get(7)).toEqual([
+            { id: 'bidder-a', name: 'Bidder A' },
+            { id: 'advisors', name: 'Advisors' }
+        ]);
+        expect(groups.get(8)).toEqual([{ id: 'bidder-a', name: 'Bidder A' }]);
+        expect(groups.has(9)).toBe(false);
+        expect(pool.query.mock.calls[0][1]).toEqual(['tenant-1']);
+    });
+
+    test('Adding members skips existing memberships', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [] });
+
+        await UserGroup.addMembers('bidder-a', [7, 8]);
+
+        const [sql, params] = pool.query.mock.calls[0];
+        expect(sql).toMatch(/ON CONFLICT \(group_id, user_id\) DO NOTHING/);
+        expect(params).toEqual(['bidder-a', [7, 8]]);
+    });
+
+    test('Adding no members does not query', async () => {
+        await UserGroup.addMembers('bidder-a', []);
+
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+});
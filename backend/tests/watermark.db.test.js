@@ -0,0 +1,89 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const request = require('supertest');
+const { PDFDocument, PDFArray } = require('pdf-lib');
+const documentRoutes = require('../routes/document-routes');
+const storageRoutes = require('../routes/storage-routes');
+const {
+    createTenant,
+    useLocalStorage,
+    createUser,
+    setTenantSettings,
+    sessionToken,
+    createApp,
+    removeTenant
+} = require('./db-fixtures');
+
+// Decoded content streams of a page; pdf-lib writes text as hex strings
+const pageContent = (page) => {
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+        ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+        : [contents];
+
+    return streams
+        .map(stream => zlib.inflateSync(Buffer.from(stream.getContents())).toString('latin1'))
+        .join('\n');
+};
+
+describe('Watermarking (database)', () => {
+    const storagePath = useLocalStorage();
+    const app = createApp(documentRoutes, storageRoutes);
+    let tenant, user, token;
+
+    // Signed links are absolute; the app under test serves their path
+    const pathOf = (url) => new URL(url).pathname;
+
+    const uploadPdf = async () => {
+        const pdf = await PDFDocument.create();
+        pdf.addPage([612, 792]);
+        const response = await request(app)
+            .post('/api/documents/upload')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('files', Buffer.from(await pdf.save()), { filename: 'Report.pdf', contentType: 'application/pdf' })
+            .expect(200);
+        return response.body.documents[0];
+    };
+
+    const downloadLink = async (document) => {
+        const response = await request(app)
+            .get(`/api/documents/${document.id}/download`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        return response.body;
+    };
+
+    beforeAll(async () => {
+        tenant = await createTenant('Test Company', { settings: { storage_driver: 'local' } });
+        user = await createUser(tenant, { role: 'admin' });
+        token = await sessionToken(user);
+    });
+
+    afterAll(async () => {
+        await removeTenant(tenant);
+        fs.rmSync(storagePath, { recursive: true, force: true });
+    });
+
+    test('Downloads are only watermarked once the tenant enables it', async () => {
+        const document = await uploadPdf();
+        expect((await downloadLink(document)).watermarked).toBe(false);
+
+        await setTenantSettings(tenant, {
+            watermark_enabled: true,
+            watermark_template: '{company} - {email}',
+            company_name: 'Acme'
+        });
+        const link = await downloadLink(document);
+        expect(link.watermarked).toBe(true);
+
+        const download = await request(app)
+            .get(pathOf(link.downloadUrl))
+            .responseType('blob')
+            .expect('Content-Type', /application\/pdf/)
+            .expect(200);
+
+        const [page] = (await PDFDocument.load(download.body)).getPages();
+        const stamp = Buffer.from(`Acme - ${user.email}`, 'latin1').toString('hex');
+        expect(pageContent(page).toUpperCase()).toContain(stamp.toUpperCase());
+    });
+});
@@ -0,0 +1,92 @@
+jest.mock('../database-pool', () => ({
+    query: jest.fn(),
+    connect: jest.fn()
+}));
+
+const zlib = require('zlib');
+const Jimp = require('jimp');
+const { PDFDocument, PDFArray } = require('pdf-lib');
+const pool = require('../database-pool');
+const { WatermarkService, DEFAULT_WATERMARK_TEMPLATE } = require('../services/watermark-service');
+
+// Decoded content streams of a page; pdf-lib writes text as hex strings
+const pageContent = (page) => {
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+        ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+        : [contents];
+
+    return streams
+        .map(stream => zlib.inflateSync(Buffer.from(stream.getContents())).toString('latin1'))
+        .join('\n');
+};
+
+describe('Watermarking', () => {
+    const watermarks = new WatermarkService({
+        signingSecret: 'test-secret',
+        publicUrl: 'http://localhost:3001/'
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('Templates are filled with the viewer details', () => {
+        const text = WatermarkService.renderTemplate('{company} - {email} - {ip} - {unknown}', {
+            email: 'jane@bidder.com',
+            ip: '203.0.113.7',
+            company: 'Acme'
+        });
+
+        expect(text).toBe('Acme - jane@bidder.com - 203.0.113.7 - {unknown}');
+        expect(WatermarkService.renderTemplate(null, { email: 'a@b.c', ip: '::1', timestamp: 'now' }))
+            .toBe('Confidential - a@b.c - ::1 - now');
+    });
+
+    test('Watermarking is off unless the tenant enables it', async () => {
+        pool.query.mockResolvedValueOnce({ rows: [] });
+
+        expect(await watermarks.settingsFor('tenant-1')).toEqual({
+            enabled: false,
+            template: DEFAULT_WATERMARK_TEMPLATE,
+            companyName: null
+        });
+    });
+
+    test('Every PDF page is stamped', async () => {
+        const pdf = await PDFDocument.create();
+        pdf.addPage([612, 792]);
+        pdf.addPage([792, 612]);
+
+        const stamped = await watermarks.apply(Buffer.from(await pdf.save()), 'application/pdf', 'Confidential - jane@bidder.com');
+        const result = await PDFDocument.load(stamped);
+        const hex = Buffer.from('Confidential - jane@bidder.com', 'latin1').toString('hex').toUpperCase();
+
+        expect(result.getPageCount()).toBe(2);
+        result.getPages().forEach(page => {
+            expect(pageContent(page).toUpperCase()).toContain(hex);
+        });
+    });
+
+    test('Images are stamped and keep their type and size', async () => {
+        const image = new Jimp(320, 200, 0xffffffff);
+        const original = await image.getBufferAsync(Jimp.MIME_PNG);
+
+        const stamped = await watermarks.apply(original, 'image/png', 'jane@bidder.com');
+        const result = await Jimp.read(stamped);
+
+        expect(result.getMIME()).toBe('image/png');
+        expect([result.bitmap.width, result.bitmap.height]).toEqual([320, 200]);
+        expect(Buffer.compare(result.bitmap.data, image.bitmap.data)).not.toBe(0);
+    });
+
+    test('Download links carry the stamp and expire', () => {
+        const url = watermarks.createDownloadUrl({ tenantId: 't1', documentId: 'd1', version: 2, text: 'stamp' });
+        const token = url.split('/').pop();
+
+        expect(url.startsWith('http://localhost:3001/api/storage/watermarked/')).toBe(true);
+        expect(watermarks.verifyDownloadToken(token)).toMatchObject({ tenantId: 't1', documentId: 'd1', version: 2, text: 'stamp' });
+        expect(watermarks.verifyDownloadToken(`${token}x`)).toBeNull();
+        expect(new WatermarkService({ signingSecret: 'other' }).verifyDownloadToken(token)).toBeNull();
+    });
+});
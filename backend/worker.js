@@ -0,0 +1,23 @@
+require('dotenv').config();
+const pool = require('./database-pool');
+const { jobQueue } = require('./services/background-jobs');
+
+// Standalone background worker. Run alongside the API (started with
+// JOB_WORKER_ENABLED=false) to process jobs in a separate process.
+jobQueue.start();
+
+const shutdown = async (signal) => {
+    console.log(`\n📴 ${signal} received, finishing running jobs...`);
+
+    try {
+        await jobQueue.stop();
+        await pool.end();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error during worker shutdown:', error);
+        process.exit(1);
+    }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
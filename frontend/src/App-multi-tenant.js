@@ -7,9 +7,15 @@ import { useTenant } from './contexts/TenantContext';
 // Import components
 import Login from './components/Login';
 import AcceptInvitation from './components/AcceptInvitation';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
 import SuperAdminDashboard from './components/SuperAdminDashboard';
 import TenantUserManagement from './components/TenantUserManagement';
 import TenantSettings from './components/TenantSettings';
+import MfaSettings from './components/MfaSettings';
+import Sessions from './components/Sessions';
+import TermsGate from './components/TermsGate';
+import QuestionRequests from './components/QuestionRequests';
 
 // Import your existing components (assuming they exist)
 // import DataRoomAnalyzer from './components/DataRoomAnalyzer';
@@ -32,7 +38,7 @@ if (typeof document !== 'undefined') {
 
 // Main App Component
 const AppContent = () => {
-  const { user, loading: authLoading, isAuthenticated, isSuperAdmin } = useAuth();
+  const { user, loading: authLoading, isAuthenticated, isSuperAdmin, mfaChallenge } = useAuth();
   const { tenant, tenantSettings, loading: tenantLoading } = useTenant();
   const [activeTab, setActiveTab] = useState('documents');
   const [currentRoute, setCurrentRoute] = useState('app');
@@ -43,6 +49,10 @@ const AppContent = () => {
     
     if (path.includes('/invite')) {
       setCurrentRoute('invite');
+    } else if (path.includes('/forgot-password')) {
+      setCurrentRoute('forgot-password');
+    } else if (path.includes('/reset-password')) {
+      setCurrentRoute('reset-password');
     } else if (path.includes('/login')) {
       setCurrentRoute('login');
     } else {
@@ -62,11 +72,20 @@ const AppContent = () => {
     );
   }
 
-  // Handle invitation route
-  if (currentRoute === 'invite') {
+  // Handle invitation route; MFA set up on acceptance happens in Login
+  if (currentRoute === 'invite' && !mfaChallenge) {
     return <AcceptInvitation />;
   }
 
+  // Password reset pages work signed in or out
+  if (currentRoute === 'forgot-password') {
+    return <ForgotPassword />;
+  }
+
+  if (currentRoute === 'reset-password') {
+    return <ResetPassword />;
+  }
+
   // Show login if not authenticated
   if (!isAuthenticated) {
     return <Login />;
@@ -133,82 +152,98 @@ const AppContent = () => {
       {isSuperAdmin ? (
         <SuperAdminDashboard />
       ) : (
-        <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
-          {/* Tenant Tabs */}
-          <div className="mb-6">
-            <div className="border-b border-gray-200">
-              <nav className="-mb-px flex space-x-8">
-                <TabButton
-                  active={activeTab === 'documents'}
-                  onClick={() => setActiveTab('documents')}
-                  icon="📄"
-                >
-                  Documents
-                </TabButton>
-                
-                <TabButton
-                  active={activeTab === 'analytics'}
-                  onClick={() => setActiveTab('analytics')}
-                  icon="📊"
-                  disabled={!user || user.tenant_role !== 'admin'}
-                >
-                  Analytics
-                </TabButton>
-                
-                <TabButton
-                  active={activeTab === 'users'}
-                  onClick={() => setActiveTab('users')}
-                  icon="👥"
-                  disabled={!user || user.tenant_role !== 'admin'}
-                >
-                  Team
-                </TabButton>
-                
-                <TabButton
-                  active={activeTab === 'settings'}
-                  onClick={() => setActiveTab('settings')}
-                  icon="⚙️"
-                  disabled={!user || user.tenant_role !== 'admin'}
-                >
-                  Settings
-                </TabButton>
-              </nav>
+        <TermsGate>
+          <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+            {/* Tenant Tabs */}
+            <div className="mb-6">
+              <div className="border-b border-gray-200">
+                <nav className="-mb-px flex space-x-8">
+                  <TabButton
+                    active={activeTab === 'documents'}
+                    onClick={() => setActiveTab('documents')}
+                    icon="📄"
+                  >
+                    Documents
+                  </TabButton>
+                  
+                  <TabButton
+                    active={activeTab === 'questions'}
+                    onClick={() => setActiveTab('questions')}
+                    icon="💬"
+                  >
+                    Questions
+                  </TabButton>
+
+                  <TabButton
+                    active={activeTab === 'analytics'}
+                    onClick={() => setActiveTab('analytics')}
+                    icon="📊"
+                    disabled={!user || user.tenant_role !== 'admin'}
+                  >
+                    Analytics
+                  </TabButton>
+                  
+                  <TabButton
+                    active={activeTab === 'users'}
+                    onClick={() => setActiveTab('users')}
+                    icon="👥"
+                    disabled={!user || user.tenant_role !== 'admin'}
+                  >
+                    Team
+                  </TabButton>
+                  
+                  <TabButton
+                    active={activeTab === 'settings'}
+                    onClick={() => setActiveTab('settings')}
+                    icon="⚙️"
+                    disabled={!user || user.tenant_role !== 'admin'}
+                  >
+                    Settings
+                  </TabButton>
+                </nav>
+              </div>
             </div>
-          </div>
 
-          {/* Tab Content */}
-          <div className="bg-white rounded-lg border min-h-96">
-            {activeTab === 'documents' && (
-              <div className="p-6">
-                {/* Your existing DataRoomAnalyzer component would go here */}
-                <div className="text-center py-12 text-gray-500">
-                  Documents component - integrate your existing DataRoomAnalyzer here
+            {/* Tab Content */}
+            <div className="bg-white rounded-lg border min-h-96">
+              {activeTab === 'documents' && (
+                <div className="p-6">
+                  {/* Your existing DataRoomAnalyzer component would go here */}
+                  <div className="text-center py-12 text-gray-500">
+                    Documents component - integrate your existing DataRoomAnalyzer here
+                  </div>
                 </div>
-              </div>
-            )}
-            
-            {activeTab === 'analytics' && user.tenant_role === 'admin' && (
-              <div className="p-6">
-                {/* Your existing AnalyticsDashboard component would go here */}
-                <div className="text-center py-12 text-gray-500">
-                  Analytics component - integrate your existing AnalyticsDashboard here
+              )}
+              
+              {activeTab === 'questions' && (
+                <div className="p-6">
+                  <QuestionRequests />
                 </div>
-              </div>
-            )}
-            
-            {activeTab === 'users' && user.tenant_role === 'admin' && (
-              <div className="p-6">
-                <TenantUserManagement />
-              </div>
-            )}
-            
-            {activeTab === 'settings' && user.tenant_role === 'admin' && (
-              <div className="p-6">
-                <TenantSettings />
-              </div>
-            )}
+              )}
+
+              {activeTab === 'analytics' && user.tenant_role === 'admin' && (
+                <div className="p-6">
+                  {/* Your existing AnalyticsDashboard component would go here */}
+                  <div className="text-center py-12 text-gray-500">
+                    Analytics component - integrate your existing AnalyticsDashboard here
+                  </div>
+                </div>
+              )}
+              
+              {activeTab === 'users' && user.tenant_role === 'admin' && (
+                <div className="p-6">
+                  <TenantUserManagement />
+                </div>
+              )}
+              
+              {activeTab === 'settings' && user.tenant_role === 'admin' && (
+                <div className="p-6">
+                  <TenantSettings />
+                </div>
+              )}
+            </div>
           </div>
-        </div>
+        </TermsGate>
       )}
     </div>
   );
@@ -235,6 +270,8 @@ const TabButton = ({ active, onClick, children, icon, disabled = false }) => {
 
 const UserDropdown = () => {
   const [isOpen, setIsOpen] = useState(false);
+  const [showMfa, setShowMfa] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
   const { user, logout } = useAuth();
 
   return (
@@ -274,6 +311,26 @@ const UserDropdown = () => {
             >
               Profile Settings
             </button>
+
+            <button
+              onClick={() => {
+                setIsOpen(false);
+                setShowMfa(true);
+              }}
+              className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+            >
+              Two-factor authentication
+            </button>
+
+            <button
+              onClick={() => {
+                setIsOpen(false);
+                setShowSessions(true);
+              }}
+              className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+            >
+              Active sessions
+            </button>
             
             <button
               onClick={() => {
@@ -287,6 +344,9 @@ const UserDropdown = () => {
           </div>
         </>
       )}
+
+      {showMfa && <MfaSettings onClose={() => setShowMfa(false)} />}
+      {showSessions && <Sessions onClose={() => setShowSessions(false)} />}
     </div>
   );
 };
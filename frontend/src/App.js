@@ -324,6 +324,10 @@ const AnalyticsDashboard = () => {
   const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeView, setActiveView] = useState('dashboard');
+  const [pageTimeBy, setPageTimeBy] = useState('group');
+  const [documentTime, setDocumentTime] = useState(null);
+  const [pageTimeDocument, setPageTimeDocument] = useState(null);
+  const [pageTime, setPageTime] = useState(null);
   const { getAuthHeaders } = useAuth();
 
   const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
@@ -377,6 +381,43 @@ const AnalyticsDashboard = () => {
     }
   };
 
+  // Reading time heatmaps: documents by group or user, then the pages of one
+  // document
+  const loadDocumentTime = async (by = pageTimeBy) => {
+    try {
+      const response = await fetch(`${API_BASE}/analytics/page-time?by=${by}`, {
+        headers: getAuthHeaders()
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setDocumentTime(data.heatmap);
+      }
+    } catch (error) {
+      console.error('Failed to load reading time:', error);
+    }
+  };
+
+  const loadPageTime = async (documentRow, by = pageTimeBy) => {
+    setPageTimeDocument(documentRow);
+    try {
+      const response = await fetch(`${API_BASE}/analytics/documents/${documentRow.id}/page-time?by=${by}`, {
+        headers: getAuthHeaders()
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setPageTime(data.heatmap);
+      }
+    } catch (error) {
+      console.error('Failed to load page reading time:', error);
+    }
+  };
+
+  const changePageTimeBy = (by) => {
+    setPageTimeBy(by);
+    loadDocumentTime(by);
+    if (pageTimeDocument) loadPageTime(pageTimeDocument, by);
+  };
+
   const exportData = async (type) => {
     try {
       const response = await fetch(`${API_BASE}/analytics/export?type=${type}`, {
@@ -433,6 +474,7 @@ const AnalyticsDashboard = () => {
             { id: 'dashboard', label: 'Overview' },
             { id: 'questions', label: 'Questions' },
             { id: 'sessions', label: 'Sessions' },
+            { id: 'reading', label: 'Reading Time' },
             { id: 'export', label: 'Export' }
           ].map(tab => (
             <button
@@ -441,6 +483,7 @@ const AnalyticsDashboard = () => {
                 setActiveView(tab.id);
                 if (tab.id === 'questions') loadQuestions();
                 if (tab.id === 'sessions') loadSessions();
+                if (tab.id === 'reading') loadDocumentTime();
               }}
               style={{
                 padding: '0.5rem 1rem',
@@ -666,6 +709,39 @@ const AnalyticsDashboard = () => {
         </div>
       )}
 
+      {/* Reading Time View */}
+      {activeView === 'reading' && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+          <div style={{ backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '0.5rem' }}>
+            <div style={{ padding: '1rem 1.5rem', borderBottom: '1px solid #e5e7eb', backgroundColor: '#f9fafb', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <h3 style={{ margin: '0', fontWeight: '600' }}>Time per Document (30 days)</h3>
+              <select
+                value={pageTimeBy}
+                onChange={(e) => changePageTimeBy(e.target.value)}
+                style={{ padding: '0.25rem 0.5rem', border: '1px solid #d1d5db', borderRadius: '0.25rem', fontSize: '0.875rem' }}
+              >
+                <option value="group">By group</option>
+                <option value="user">By user</option>
+              </select>
+            </div>
+            <Heatmap
+              heatmap={documentTime}
+              selectedRowId={pageTimeDocument && pageTimeDocument.id}
+              onSelectRow={(row) => loadPageTime(row)}
+            />
+          </div>
+
+          {pageTimeDocument && (
+            <div style={{ backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '0.5rem' }}>
+              <div style={{ padding: '1rem 1.5rem', borderBottom: '1px solid #e5e7eb', backgroundColor: '#f9fafb' }}>
+                <h3 style={{ margin: '0', fontWeight: '600' }}>Time per Page: {pageTimeDocument.name}</h3>
+              </div>
+              <Heatmap heatmap={pageTime} />
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Export View */}
       {activeView === 'export' && (
         <div style={{ backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '0.5rem', padding: '1.5rem' }}>
@@ -974,6 +1050,17 @@ const DataRoomAnalyzer = () => {
   const fileInputRef = useRef(null);
   const { user, logout, getAuthHeaders, isAdmin } = useAuth();
   const [isAnyTagBeingEdited, setIsAnyTagBeingEdited] = useState(false);
+  const [activeCitation, setActiveCitation] = useState(null);
+  const streamControllerRef = useRef(null);
+  const [conversationId, setConversationId] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [folders, setFolders] = useState([]);
+  const [selectedFolderId, setSelectedFolderId] = useState(null);
+  const [versionsDocument, setVersionsDocument] = useState(null);
+  const [accessTarget, setAccessTarget] = useState(null);
+  const [viewerDocument, setViewerDocument] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
   const { settings } = useSettings();
   
   const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
@@ -1004,6 +1091,80 @@ const DataRoomAnalyzer = () => {
     }
   }, [getAuthHeaders]);
 
+  const loadFolders = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/folders`, {
+        headers: getAuthHeaders()
+      });
+      if (response.ok) {
+        const result = await response.json();
+        setFolders(result.folders);
+      }
+    } catch (error) {
+      console.error('Failed to load folders:', error);
+    }
+  }, [API_BASE, getAuthHeaders]);
+
+  useEffect(() => {
+    loadFolders();
+  }, [loadFolders]);
+
+  // Folder changes renumber the tree, so folders and documents are reloaded
+  const folderRequest = async (path, method, body) => {
+    try {
+      const response = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeaders()
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        alert(result.error);
+        return;
+      }
+
+      await Promise.all([loadFolders(), loadDocuments()]);
+      return result;
+    } catch (error) {
+      console.error('Folder update error:', error);
+      alert('Failed to update folders');
+    }
+  };
+
+  const createFolder = async (parentId) => {
+    const name = window.prompt('Folder name');
+    if (!name || !name.trim()) return;
+
+    const result = await folderRequest('/folders', 'POST', { name, parentId });
+    if (result) setSelectedFolderId(result.folder.id);
+  };
+
+  const renameFolder = (folder) => {
+    const name = window.prompt('Folder name', folder.name);
+    if (!name || !name.trim() || name === folder.name) return;
+
+    folderRequest(`/folders/${folder.id}`, 'PATCH', { name });
+  };
+
+  const moveFolder = (folder, parentId, position) => {
+    folderRequest(`/folders/${folder.id}/move`, 'POST', { parentId, position });
+  };
+
+  const deleteFolder = async (folder) => {
+    if (!window.confirm(`Delete folder "${folder.name}"?`)) return;
+
+    const result = await folderRequest(`/folders/${folder.id}`, 'DELETE');
+    if (result && selectedFolderId === folder.id) setSelectedFolderId(null);
+  };
+
+  const moveDocumentToFolder = (documentId, folderId) => {
+    folderRequest(`/documents/${documentId}/folder`, 'PUT', { folderId });
+  };
+
   const deleteDocument = async (documentId, documentName) => {
     if (!window.confirm(`Are you sure you want to delete "${documentName}"? This action cannot be undone.`)) {
       return;
@@ -1092,6 +1253,106 @@ const DataRoomAnalyzer = () => {
     }
   };
 
+  // Admins mark documents view only: others can read them in the viewer but
+  // not download them
+  const setDocumentViewOnly = async (documentId, viewOnly) => {
+    try {
+      const response = await fetch(`${API_BASE}/documents/${documentId}/view-only`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeaders()
+        },
+        body: JSON.stringify({ viewOnly })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to update document');
+      }
+
+      await loadDocuments();
+    } catch (error) {
+      console.error('Update view only error:', error);
+      alert(`Failed to update document: ${error.message}`);
+    }
+  };
+
+  // Send a file straight to storage in parts. The upload id is kept in
+  // localStorage, so selecting the same file again resumes an interrupted upload.
+  const uploadFileDirect = async (file) => {
+    const resumeKey = `upload:${file.name}:${file.size}:${file.lastModified}`;
+
+    const uploadRequest = async (path, options = {}) => {
+      const response = await fetch(`${API_BASE}/documents/uploads${path}`, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeaders()
+        }
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Upload failed');
+      return data;
+    };
+
+    let state = null;
+    const savedUploadId = localStorage.getItem(resumeKey);
+    if (savedUploadId) {
+      state = await uploadRequest(`/${savedUploadId}`).catch(() => null);
+      if (state && state.upload.status !== 'pending') state = null;
+    }
+    if (!state) {
+      state = await uploadRequest('', {
+        method: 'POST',
+        body: JSON.stringify({
+          fileName: file.name,
+          fileSize: file.size,
+          mimeType: file.type,
+          folderId: selectedFolderId
+        })
+      });
+      localStorage.setItem(resumeKey, state.upload.id);
+    }
+
+    const { upload } = state;
+    let parts = state.parts;
+
+    for (let attempt = 1; ; attempt++) {
+      let uploaded = upload.partCount - parts.length;
+      let failed = false;
+
+      for (const part of parts) {
+        const start = (part.partNumber - 1) * upload.partSize;
+        try {
+          const response = await fetch(part.url, {
+            method: 'PUT',
+            body: file.slice(start, start + upload.partSize)
+          });
+          if (!response.ok) throw new Error(`Part ${part.partNumber} failed`);
+        } catch (error) {
+          console.warn(`Upload of ${file.name} interrupted:`, error.message);
+          failed = true;
+          break;
+        }
+        uploaded++;
+        setUploadProgress({ fileName: file.name, percent: Math.round(uploaded / upload.partCount * 100) });
+      }
+
+      if (!failed) break;
+      if (attempt === 5) {
+        throw new Error('Upload interrupted. Select the file again to resume.');
+      }
+
+      // Wait, then ask which parts are missing and get fresh URLs for them
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+      parts = (await uploadRequest(`/${upload.id}`)).parts;
+    }
+
+    await uploadRequest(`/${upload.id}/complete`, { method: 'POST' });
+    localStorage.removeItem(resumeKey);
+  };
+
   const handleFileUpload = async (event) => {
     if (!isAdmin) {
       alert('Only admins can upload documents');
@@ -1100,26 +1361,23 @@ const DataRoomAnalyzer = () => {
 
     const files = Array.from(event.target.files);
     if (files.length === 0) return;
-    
-    const formData = new FormData();
-    files.forEach(file => formData.append('documents', file));
-    
-    try {
-      const response = await fetch(`${API_BASE}/documents/upload`, {
-        method: 'POST',
-        headers: getAuthHeaders(),
-        body: formData
-      });
-      
-      if (response.ok) {
-        await loadDocuments();
-      } else {
-        const data = await response.json();
-        alert(`Upload failed: ${data.error}`);
+
+    const failures = [];
+    for (const file of files) {
+      try {
+        setUploadProgress({ fileName: file.name, percent: 0 });
+        await uploadFileDirect(file);
+      } catch (error) {
+        console.error('Upload error:', error);
+        failures.push(`${file.name}: ${error.message}`);
       }
-    } catch (error) {
-      console.error('Upload error:', error);
-      alert('Upload failed');
+    }
+
+    setUploadProgress(null);
+    await loadDocuments();
+
+    if (failures.length > 0) {
+      alert(`Upload failed:\n${failures.join('\n')}`);
     }
     
     if (fileInputRef.current) {
@@ -1149,50 +1407,240 @@ const DataRoomAnalyzer = () => {
     setCurrentQuestion('');
     setIsProcessing(true);
 
+    const updateQuestion = (changes) => {
+      setQuestions(prev => prev.map(q =>
+        q.id === newQuestion.id ? { ...q, ...changes } : q
+      ));
+    };
+
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    let partialAnswer = '';
+
     try {
-      const response = await fetch(`${API_BASE}/ask`, {
+      const response = await fetch(`${API_BASE}/ask/stream`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           ...getAuthHeaders()
         },
-        body: JSON.stringify({ question: newQuestion.question })
+        body: JSON.stringify({ question: newQuestion.question, conversationId }),
+        signal: controller.signal
       });
-      
-      const result = await response.json();
-      
-      if (result.success) {
-        const processingTime = Date.now() - startTime;
-        setQuestions(prev => prev.map(q =>
-          q.id === newQuestion.id
-            ? { 
-                ...q, 
-                answer: result.answer, 
-                status: 'completed', 
-                sourcesUsed: result.sourcesUsed,
-                processingTime 
-              }
-            : q
-        ));
-      } else {
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({ error: 'Failed to process question' }));
         throw new Error(result.error);
       }
+
+      // Read Server-Sent Events: token events carry partial text, done the final result
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const rawEvent of events) {
+          const eventType = rawEvent.match(/^event: (.*)$/m)?.[1];
+          const data = JSON.parse(rawEvent.match(/^data: (.*)$/m)?.[1] || '{}');
+
+          if (eventType === 'token') {
+            partialAnswer += data.text;
+            updateQuestion({ answer: partialAnswer });
+          } else if (eventType === 'done') {
+            setConversationId(data.conversationId);
+            loadConversations();
+            updateQuestion({
+              answer: data.answer,
+              status: 'completed',
+              sourcesUsed: (data.sources || []).map(source => source.name),
+              citations: data.citations || [],
+              processingTime: Date.now() - startTime
+            });
+          } else if (eventType === 'error') {
+            throw new Error(data.error);
+          }
+        }
+      }
     } catch (error) {
-      setQuestions(prev => prev.map(q =>
-        q.id === newQuestion.id
-          ? { ...q, answer: `Error: ${error.message}`, status: 'error' }
-          : q
-      ));
+      if (controller.signal.aborted) {
+        updateQuestion({ answer: partialAnswer, status: 'cancelled' });
+      } else {
+        updateQuestion({ answer: `Error: ${error.message}`, status: 'error' });
+      }
     } finally {
+      streamControllerRef.current = null;
       setIsProcessing(false);
     }
   };
 
-  const downloadDocument = async (documentId, filename) => {
+  const loadConversations = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/ask/history?archived=${showArchived}`, {
+        headers: getAuthHeaders()
+      });
+      const result = await response.json();
+      if (result.success) {
+        setConversations(result.conversations);
+      }
+    } catch (error) {
+      console.error('Failed to load conversations:', error);
+    }
+  }, [API_BASE, getAuthHeaders, showArchived]);
+
+  useEffect(() => {
+    loadConversations();
+  }, [loadConversations]);
+
+  // Show an earlier thread and continue it with the next question
+  const openConversation = (conversation) => {
+    setConversationId(conversation.id);
+    setQuestions(conversation.messages.map(message => {
+      const citations = (message.sources_used || []).filter(source => source.source);
+      return {
+        id: message.id,
+        question: message.question,
+        answer: message.answer,
+        timestamp: message.created_at,
+        status: 'completed',
+        citations,
+        sourcesUsed: [...new Set(citations.map(citation => citation.documentName))],
+        processingTime: message.processing_time
+      };
+    }));
+  };
+
+  const startNewConversation = () => {
+    setConversationId(null);
+    setQuestions([]);
+  };
+
+  const updateConversation = async (conversation, changes) => {
+    try {
+      const response = await fetch(`${API_BASE}/ask/conversations/${conversation.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeaders()
+        },
+        body: JSON.stringify(changes)
+      });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (changes.archived !== undefined && conversation.id === conversationId) {
+        startNewConversation();
+      }
+      loadConversations();
+    } catch (error) {
+      alert(`Failed to update conversation: ${error.message}`);
+    }
+  };
+
+  const renameConversation = (conversation) => {
+    const title = window.prompt('Conversation name', conversation.title);
+    if (title && title.trim() && title.trim() !== conversation.title) {
+      updateConversation(conversation, { title: title.trim() });
+    }
+  };
+
+  const deleteConversation = async (conversation) => {
+    if (!window.confirm(`Delete the conversation "${conversation.title}"?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/ask/conversations/${conversation.id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (conversation.id === conversationId) {
+        startNewConversation();
+      }
+      loadConversations();
+    } catch (error) {
+      alert(`Failed to delete conversation: ${error.message}`);
+    }
+  };
+
+  const cancelQuestion = () => {
+    if (streamControllerRef.current) {
+      streamControllerRef.current.abort();
+    }
+  };
+
+  // Load the cited page so the quoted passage can be shown in context
+  const openCitation = async (citation) => {
+    setActiveCitation({ citation, page: null, error: null });
+
+    try {
+      const response = await fetch(
+        `${API_BASE}/documents/${citation.documentId}/pages/${citation.pageNumber}`,
+        { headers: getAuthHeaders() }
+      );
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      setActiveCitation({ citation, page: result.page, error: null });
+    } catch (error) {
+      setActiveCitation({ citation, page: null, error: error.message });
+    }
+  };
+
+  // Turn inline [S1] markers into links to the matching citation
+  const renderAnswerWithCitations = (qa) => {
+    const citations = qa.citations || [];
+    if (citations.length === 0) return qa.answer;
+
+    return qa.answer.split(/(\[S\d+\])/g).map((part, i) => {
+      const citation = citations.find(c => `[${c.source}]` === part);
+      if (!citation) return part;
+
+      return (
+        <button
+          key={i}
+          onClick={() => openCitation(citation)}
+          title={`${citation.documentName} - ${citation.label}`}
+          style={{
+            padding: '0 0.25rem',
+            margin: '0 0.125rem',
+            backgroundColor: '#dbeafe',
+            color: '#1d4ed8',
+            border: 'none',
+            borderRadius: '0.25rem',
+            fontSize: '0.75rem',
+            cursor: 'pointer'
+          }}
+        >
+          {citation.source}
+        </button>
+      );
+    });
+  };
+
+  const downloadDocument = async (documentId, filename, version = null) => {
   try {
     console.log(`📥 Starting download for document: ${filename}`);
     
-    const response = await fetch(`${API_BASE}/documents/${documentId}/download`, {
+    // Current version unless a specific one is requested
+    const path = version
+      ? `/documents/${documentId}/versions/${version}/download`
+      : `/documents/${documentId}/download`;
+    const response = await fetch(`${API_BASE}${path}`, {
       method: 'GET',
       headers: getAuthHeaders(),
     });
@@ -1250,6 +1698,16 @@ const DataRoomAnalyzer = () => {
   }
 };
 
+  const folderOptions = flattenFolders(folders);
+  const selectedFolder = folderOptions.find(folder => folder.id === selectedFolderId);
+
+  // Documents of the selected folder in index order, or all documents
+  const folderDocuments = selectedFolderId
+    ? documents
+      .filter(doc => doc.folder_id === selectedFolderId)
+      .sort((a, b) => a.folder_position - b.folder_position)
+    : documents;
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed': return '#16a34a';
@@ -1260,7 +1718,7 @@ const DataRoomAnalyzer = () => {
   };
 
   // DocumentRow Component
-    const DocumentRow = ({ doc, isAdmin, onDelete, onDownload, onTagsUpdate, getStatusColor, setGlobalEditingState }) => {
+    const DocumentRow = ({ doc, isAdmin, onDelete, onDownload, onTagsUpdate, getStatusColor, setGlobalEditingState, folderOptions, onMove, onShowVersions, onEditAccess, onView, onSetViewOnly }) => {
     const [isEditingTags, setIsEditingTags] = useState(false);
     const [editedTags, setEditedTags] = useState(doc.tags || []);
     const [newTag, setNewTag] = useState('');
@@ -1306,12 +1764,40 @@ useEffect(() => {
       <div style={{ padding: '1rem 1.5rem', borderBottom: '1px solid #e5e7eb' }}>
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
           <div style={{ flex: 1 }}>
-            <p style={{ margin: '0', fontWeight: '500' }}>{doc.originalName}</p>
+            <p style={{ margin: '0', fontWeight: '500' }}>
+              {doc.index && <span style={{ color: '#6b7280', marginRight: '0.5rem' }}>{doc.index}</span>}
+              {doc.originalName}
+              {doc.current_version > 1 && (
+                <span style={{ marginLeft: '0.5rem', fontSize: '0.75rem', padding: '0.125rem 0.375rem', backgroundColor: '#f3f4f6', color: '#374151', borderRadius: '0.25rem' }}>
+                  v{doc.current_version}
+                </span>
+              )}
+              {doc.view_only && (
+                <span style={{ marginLeft: '0.5rem', fontSize: '0.75rem', padding: '0.125rem 0.375rem', backgroundColor: '#fef3c7', color: '#92400e', borderRadius: '0.25rem' }}>
+                  View only
+                </span>
+              )}
+            </p>
             
             <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginTop: '0.25rem' }}>
               <p style={{ margin: '0', fontSize: '0.875rem', color: '#6b7280' }}>
                 {Math.round(doc.size / 1024)} KB
               </p>
+
+              {isAdmin && (
+                <select
+                  value={doc.folder_id || ''}
+                  onChange={(e) => onMove(e.target.value || null)}
+                  style={{ fontSize: '0.75rem', padding: '0.125rem 0.25rem', border: '1px solid #d1d5db', borderRadius: '0.25rem', color: '#374151' }}
+                >
+                  <option value="">No folder</option>
+                  {folderOptions.map(folder => (
+                    <option key={folder.id} value={folder.id}>
+                      {'\u00a0\u00a0'.repeat(folder.depth)}{folder.index} {folder.name}
+                    </option>
+                  ))}
+                </select>
+              )}
               
               {/* Tags Section */}
               <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
@@ -1514,7 +2000,22 @@ useEffect(() => {
             </span>
             
             {/* Action buttons */}
-            {doc.status === 'completed' && (
+            <button
+              onClick={onView}
+              style={{
+                padding: '0.25rem 0.75rem',
+                backgroundColor: 'white',
+                color: '#2563eb',
+                border: '1px solid #2563eb',
+                borderRadius: '0.25rem',
+                cursor: 'pointer',
+                fontSize: '0.75rem'
+              }}
+            >
+              View
+            </button>
+
+            {doc.status === 'completed' && doc.access !== 'view' && (
               <button
                 onClick={onDownload}
                 style={{
@@ -1530,28 +2031,71 @@ useEffect(() => {
                 Download
               </button>
             )}
-            
-            {/* Delete button (admin only) */}
+
+            <button
+              onClick={onShowVersions}
+              style={{
+                padding: '0.25rem 0.75rem',
+                backgroundColor: 'white',
+                color: '#374151',
+                border: '1px solid #d1d5db',
+                borderRadius: '0.25rem',
+                cursor: 'pointer',
+                fontSize: '0.75rem'
+              }}
+            >
+              Versions
+            </button>
+
             {isAdmin && (
               <button
-                onClick={onDelete}
+                onClick={onEditAccess}
                 style={{
                   padding: '0.25rem 0.75rem',
-                  backgroundColor: '#dc2626',
-                  color: 'white',
-                  border: 'none',
+                  backgroundColor: 'white',
+                  color: '#374151',
+                  border: '1px solid #d1d5db',
                   borderRadius: '0.25rem',
                   cursor: 'pointer',
                   fontSize: '0.75rem'
                 }}
-                title="Delete document"
               >
-                Delete
+                Access
               </button>
             )}
-          </div>
-        </div>
-      </div>
+
+            {isAdmin && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', fontSize: '0.75rem', color: '#374151', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(doc.view_only)}
+                  onChange={(e) => onSetViewOnly(e.target.checked)}
+                />
+                View only
+              </label>
+            )}
+            
+            {/* Delete button (admin only) */}
+            {isAdmin && (
+              <button
+                onClick={onDelete}
+                style={{
+                  padding: '0.25rem 0.75rem',
+                  backgroundColor: '#dc2626',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '0.25rem',
+                  cursor: 'pointer',
+                  fontSize: '0.75rem'
+                }}
+                title="Delete document"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
     );
   };
 
@@ -1691,6 +2235,11 @@ useEffect(() => {
                   <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.875rem', color: '#6b7280' }}>
                     PDF files and images accepted
                   </p>
+                  {uploadProgress && (
+                    <p style={{ margin: '0.5rem 0 0 0', fontSize: '0.875rem', color: '#2563eb' }}>
+                      Uploading {uploadProgress.fileName}: {uploadProgress.percent}%
+                    </p>
+                  )}
                   <input
                     ref={fileInputRef}
                     type="file"
@@ -1703,32 +2252,118 @@ useEffect(() => {
               </div>
             )}
 
-            {/* Document List */}
-            {documents.length > 0 && (
-              <div style={{ backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '0.5rem' }}>
-                <div style={{ padding: '1rem 1.5rem', borderBottom: '1px solid #e5e7eb', backgroundColor: '#f9fafb' }}>
-                  <h3 style={{ margin: '0', fontWeight: '600' }}>Documents ({documents.length})</h3>
+            {/* Folder tree and document list */}
+            <div style={{ display: 'flex', gap: '1.5rem', alignItems: 'flex-start' }}>
+              <FolderTree
+                folders={folders}
+                selectedFolderId={selectedFolderId}
+                onSelect={setSelectedFolderId}
+                isAdmin={isAdmin}
+                onCreate={createFolder}
+                onRename={renameFolder}
+                onMove={moveFolder}
+                onDelete={deleteFolder}
+                onEditAccess={(folder) => setAccessTarget({ type: 'folder', id: folder.id, name: `${folder.index} ${folder.name}` })}
+              />
+
+              {folderDocuments.length > 0 && (
+                <div style={{ flex: '1', backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '0.5rem' }}>
+                  <div style={{ padding: '1rem 1.5rem', borderBottom: '1px solid #e5e7eb', backgroundColor: '#f9fafb' }}>
+                    <h3 style={{ margin: '0', fontWeight: '600' }}>
+                      {selectedFolder ? `${selectedFolder.index} ${selectedFolder.name}` : 'Documents'} ({folderDocuments.length})
+                    </h3>
+                  </div>
+                  {folderDocuments.map(doc => (
+                    <DocumentRow 
+                      key={doc.id} 
+                      doc={doc} 
+                      isAdmin={isAdmin}
+                      onDelete={() => deleteDocument(doc.id, doc.originalName)}
+                      onDownload={() => downloadDocument(doc.id, doc.originalName)}
+                      onTagsUpdate={(newTags) => updateDocumentTags(doc.id, newTags)}
+                      getStatusColor={getStatusColor}
+                      setGlobalEditingState={setIsAnyTagBeingEdited}
+                      folderOptions={folderOptions}
+                      onMove={(folderId) => moveDocumentToFolder(doc.id, folderId)}
+                      onShowVersions={() => setVersionsDocument(doc)}
+                      onEditAccess={() => setAccessTarget({ type: 'document', id: doc.id, name: doc.originalName })}
+                      onView={() => setViewerDocument(doc)}
+                      onSetViewOnly={(viewOnly) => setDocumentViewOnly(doc.id, viewOnly)}
+                    />
+                  ))}
                 </div>
-                {documents.map(doc => (
-                  <DocumentRow 
-                    key={doc.id} 
-                    doc={doc} 
-                    isAdmin={isAdmin}
-                    onDelete={() => deleteDocument(doc.id, doc.originalName)}
-                    onDownload={() => downloadDocument(doc.id, doc.originalName)}
-                    onTagsUpdate={(newTags) => updateDocumentTags(doc.id, newTags)}
-                    getStatusColor={getStatusColor}
-                    setGlobalEditingState={setIsAnyTagBeingEdited}
-                  />
-                ))}
-              </div>
-            )}
+              )}
+            </div>
           </div>
         )}
 
         {/* Q&A Tab */}
         {activeTab === 'analyze' && (
           <div>
+            {/* Conversation threads */}
+            <div style={{ backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '0.5rem', padding: '1rem 1.5rem', marginBottom: '1.5rem' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: conversations.length > 0 ? '0.75rem' : '0' }}>
+                <h3 style={{ margin: '0', fontWeight: '600' }}>
+                  {showArchived ? 'Archived Conversations' : 'Conversations'}
+                </h3>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <button
+                    onClick={() => setShowArchived(!showArchived)}
+                    style={{ padding: '0.375rem 0.75rem', backgroundColor: 'white', color: '#374151', border: '1px solid #d1d5db', borderRadius: '0.375rem', fontSize: '0.875rem', cursor: 'pointer' }}
+                  >
+                    {showArchived ? 'Show Active' : 'Show Archived'}
+                  </button>
+                  <button
+                    onClick={startNewConversation}
+                    disabled={isProcessing}
+                    style={{ padding: '0.375rem 0.75rem', backgroundColor: '#2563eb', color: 'white', border: 'none', borderRadius: '0.375rem', fontSize: '0.875rem', cursor: 'pointer' }}
+                  >
+                    New Conversation
+                  </button>
+                </div>
+              </div>
+              {conversations.map(conversation => (
+                <div
+                  key={conversation.id}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.5rem',
+                    padding: '0.5rem 0.75rem',
+                    borderRadius: '0.375rem',
+                    backgroundColor: conversation.id === conversationId ? '#eff6ff' : 'transparent'
+                  }}
+                >
+                  <button
+                    onClick={() => openConversation(conversation)}
+                    disabled={isProcessing}
+                    style={{ flex: '1', textAlign: 'left', background: 'none', border: 'none', padding: '0', cursor: 'pointer', color: '#111827', fontSize: '0.875rem' }}
+                  >
+                    {conversation.title}
+                    <span style={{ color: '#6b7280' }}> • {conversation.message_count} questions</span>
+                  </button>
+                  <button
+                    onClick={() => renameConversation(conversation)}
+                    style={{ background: 'none', border: 'none', color: '#2563eb', fontSize: '0.75rem', cursor: 'pointer' }}
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => updateConversation(conversation, { archived: !conversation.archived_at })}
+                    style={{ background: 'none', border: 'none', color: '#2563eb', fontSize: '0.75rem', cursor: 'pointer' }}
+                  >
+                    {conversation.archived_at ? 'Unarchive' : 'Archive'}
+                  </button>
+                  <button
+                    onClick={() => deleteConversation(conversation)}
+                    style={{ background: 'none', border: 'none', color: '#dc2626', fontSize: '0.75rem', cursor: 'pointer' }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              ))}
+            </div>
+
             <div style={{ backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '0.5rem', padding: '1.5rem', marginBottom: '1.5rem' }}>
               <h2 style={{ fontSize: '1.25rem', fontWeight: '600', margin: '0 0 1rem 0' }}>Ask Questions</h2>
 <p style={{ margin: '0 0 1.5rem 0', fontSize: '0.875rem', color: '#6b7280', lineHeight: '1.5' }}>
@@ -1767,6 +2402,21 @@ useEffect(() => {
                 >
                   {isProcessing ? 'Processing...' : 'Ask'}
                 </button>
+                {isProcessing && (
+                  <button
+                    onClick={cancelQuestion}
+                    style={{
+                      padding: '0.75rem 1.5rem',
+                      backgroundColor: 'white',
+                      color: '#374151',
+                      border: '1px solid #d1d5db',
+                      borderRadius: '0.375rem',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Cancel
+                  </button>
+                )}
               </div>
               
               <p style={{ margin: '0', fontSize: '0.875rem', color: '#6b7280' }}>
@@ -1791,9 +2441,37 @@ useEffect(() => {
                       <div style={{ marginLeft: '0' }}>
                         <div style={{ padding: '1rem', backgroundColor: '#f9fafb', borderRadius: '0.375rem', marginBottom: '0.75rem' }}>
                           <div style={{ whiteSpace: 'pre-wrap', lineHeight: '1.6', color: '#111827' }}>
-                            {qa.answer}
+                            {renderAnswerWithCitations(qa)}
                           </div>
                         </div>
+                        {qa.citations && qa.citations.length > 0 && (
+                          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', marginBottom: '0.75rem' }}>
+                            {qa.citations.map((citation, i) => (
+                              <button
+                                key={i}
+                                onClick={() => openCitation(citation)}
+                                style={{
+                                  textAlign: 'left',
+                                  padding: '0.5rem 0.75rem',
+                                  backgroundColor: 'white',
+                                  border: '1px solid #e5e7eb',
+                                  borderRadius: '0.375rem',
+                                  fontSize: '0.75rem',
+                                  color: '#374151',
+                                  cursor: 'pointer'
+                                }}
+                              >
+                                <strong>[{citation.source}] {citation.documentName}</strong> - {citation.label}
+                                {citation.quote && (
+                                  <span style={{ color: '#6b7280', fontStyle: 'italic' }}> "{citation.quote}"</span>
+                                )}
+                                {!citation.verified && citation.quote && (
+                                  <span style={{ color: '#b45309' }}> (quote not found in source)</span>
+                                )}
+                              </button>
+                            ))}
+                          </div>
+                        )}
                         {qa.sourcesUsed && qa.sourcesUsed.length > 0 && (
                           <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
                             <strong>Sources:</strong> {qa.sourcesUsed.join(', ')}
@@ -1802,11 +2480,17 @@ useEffect(() => {
                       </div>
                     )}
                     
-                    {qa.status === 'processing' && (
+                    {qa.status === 'processing' && !qa.answer && (
                       <div style={{ color: '#6b7280', fontStyle: 'italic' }}>
                         Analyzing documents...
                       </div>
                     )}
+
+                    {qa.status === 'cancelled' && (
+                      <div style={{ fontSize: '0.75rem', color: '#6b7280', fontStyle: 'italic' }}>
+                        Answer cancelled
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -1834,6 +2518,871 @@ useEffect(() => {
   <SettingsManagement />
 )}
       </div>
+
+      {activeCitation && (
+        <CitationPassage
+          {...activeCitation}
+          onClose={() => setActiveCitation(null)}
+        />
+      )}
+
+      {versionsDocument && (
+        <VersionHistory
+          document={versionsDocument}
+          onDownload={downloadDocument}
+          onChanged={loadDocuments}
+          onClose={() => setVersionsDocument(null)}
+        />
+      )}
+
+      {viewerDocument && (
+        <DocumentViewer
+          document={viewerDocument}
+          onDownload={downloadDocument}
+          onClose={() => setViewerDocument(null)}
+        />
+      )}
+
+      {accessTarget && (
+        <AccessEditor
+          target={accessTarget}
+          onChanged={() => {
+            loadDocuments();
+            loadFolders();
+          }}
+          onClose={() => setAccessTarget(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+// Depth-first list of folders, for pickers
+const flattenFolders = (folders, depth = 0) => folders.flatMap(folder => [
+  { id: folder.id, name: folder.name, index: folder.index, depth },
+  ...flattenFolders(folder.children, depth + 1)
+]);
+
+// Numbered data room folder tree; selecting a folder filters the document list
+const FolderTree = ({ folders, selectedFolderId, onSelect, isAdmin, onCreate, onRename, onMove, onDelete, onEditAccess }) => {
+  const [collapsed, setCollapsed] = useState({});
+
+  const actionStyle = { background: 'none', border: 'none', padding: '0 0.125rem', cursor: 'pointer', color: '#6b7280', fontSize: '0.75rem' };
+
+  const renderFolder = (folder, siblings, position) => (
+    <div key={folder.id}>
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.25rem',
+          padding: '0.25rem 0.5rem',
+          borderRadius: '0.375rem',
+          backgroundColor: folder.id === selectedFolderId ? '#eff6ff' : 'transparent'
+        }}
+      >
+        <button
+          onClick={() => setCollapsed(prev => ({ ...prev, [folder.id]: !prev[folder.id] }))}
+          style={{ ...actionStyle, visibility: folder.children.length > 0 ? 'visible' : 'hidden' }}
+        >
+          {collapsed[folder.id] ? '▸' : '▾'}
+        </button>
+        <button
+          onClick={() => onSelect(folder.id)}
+          style={{ flex: '1', textAlign: 'left', background: 'none', border: 'none', padding: '0', cursor: 'pointer', color: '#111827', fontSize: '0.875rem' }}
+        >
+          <span style={{ color: '#6b7280', marginRight: '0.375rem' }}>{folder.index}</span>
+          {folder.name}
+          <span style={{ color: '#9ca3af', marginLeft: '0.375rem', fontSize: '0.75rem' }}>{folder.document_count}</span>
+        </button>
+        {isAdmin && (
+          <>
+            <button onClick={() => onMove(folder, folder.parent_id, position - 1)} disabled={position === 0} style={actionStyle} title="Move up">↑</button>
+            <button onClick={() => onMove(folder, folder.parent_id, position + 1)} disabled={position === siblings.length - 1} style={actionStyle} title="Move down">↓</button>
+            <button onClick={() => onCreate(folder.id)} style={actionStyle} title="New subfolder">+</button>
+            <button onClick={() => onRename(folder)} style={actionStyle} title="Rename">✏️</button>
+            <button onClick={() => onEditAccess(folder)} style={actionStyle} title="Access">🔒</button>
+            <button onClick={() => onDelete(folder)} style={actionStyle} title="Delete">×</button>
+          </>
+        )}
+      </div>
+      {!collapsed[folder.id] && folder.children.length > 0 && (
+        <div style={{ marginLeft: '1rem' }}>
+          {folder.children.map((child, i) => renderFolder(child, folder.children, i))}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div style={{ width: '18rem', flexShrink: 0, backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '0.5rem', padding: '1rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+        <h3 style={{ margin: '0', fontWeight: '600' }}>Folders</h3>
+        {isAdmin && (
+          <button
+            onClick={() => onCreate(null)}
+            style={{ padding: '0.25rem 0.5rem', backgroundColor: '#2563eb', color: 'white', border: 'none', borderRadius: '0.375rem', fontSize: '0.75rem', cursor: 'pointer' }}
+          >
+            New Folder
+          </button>
+        )}
+      </div>
+      <button
+        onClick={() => onSelect(null)}
+        style={{
+          width: '100%',
+          textAlign: 'left',
+          padding: '0.25rem 0.5rem',
+          border: 'none',
+          borderRadius: '0.375rem',
+          cursor: 'pointer',
+          fontSize: '0.875rem',
+          backgroundColor: selectedFolderId === null ? '#eff6ff' : 'transparent'
+        }}
+      >
+        All documents
+      </button>
+      {folders.map((folder, i) => renderFolder(folder, folders, i))}
+    </div>
+  );
+};
+
+// Version history of a document; admins can upload a new version or
+// restore an earlier one
+const VersionHistory = ({ document, onDownload, onChanged, onClose }) => {
+  const { getAuthHeaders, isAdmin } = useAuth();
+  const [versions, setVersions] = useState([]);
+  const [error, setError] = useState(null);
+  const [file, setFile] = useState(null);
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE}/documents/${document.id}/versions`, {
+        headers: getAuthHeaders()
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load versions');
+      setVersions(data.versions);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [API_BASE, document.id, getAuthHeaders]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const versionRequest = async (path, body) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE}/documents/${document.id}/versions${path}`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Request failed');
+      await loadVersions();
+      onChanged();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const uploadVersion = async () => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (comment.trim()) formData.append('comment', comment.trim());
+
+    if (await versionRequest('', formData)) {
+      setFile(null);
+      setComment('');
+    }
+  };
+
+  const restoreVersion = (versionNumber) => {
+    if (window.confirm(`Restore version ${versionNumber}? It will become a new version.`)) {
+      versionRequest(`/${versionNumber}/restore`);
+    }
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(17, 24, 39, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 50
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '0.5rem',
+          width: '90%',
+          maxWidth: '40rem',
+          maxHeight: '80vh',
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+      >
+        <div style={{ padding: '1rem 1.5rem', borderBottom: '1px solid #e5e7eb', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div>
+            <p style={{ margin: '0', fontWeight: '500', color: '#111827' }}>{document.originalName || document.original_name}</p>
+            <p style={{ margin: '0.25rem 0 0 0', fontSize: '0.875rem', color: '#6b7280' }}>Version history</p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '1.25rem', color: '#6b7280', cursor: 'pointer' }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ padding: '1rem 1.5rem', overflowY: 'auto' }}>
+          {error && <p style={{ margin: '0 0 0.75rem 0', color: '#dc2626', fontSize: '0.875rem' }}>{error}</p>}
+
+          {versions.map(version => (
+            <div
+              key={version.id}
+              style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '0.75rem 0', borderBottom: '1px solid #f3f4f6' }}
+            >
+              <div>
+                <p style={{ margin: '0', fontSize: '0.875rem', fontWeight: '500', color: '#111827' }}>
+                  v{version.version_number} · {version.original_name}
+                  {version.is_current && (
+                    <span style={{ marginLeft: '0.5rem', fontSize: '0.75rem', padding: '0.125rem 0.375rem', backgroundColor: '#dcfce7', color: '#166534', borderRadius: '0.25rem' }}>
+                      Current
+                    </span>
+                  )}
+                </p>
+                <p style={{ margin: '0.25rem 0 0 0', fontSize: '0.75rem', color: '#6b7280' }}>
+                  {version.uploaded_by_name || 'Unknown'} · {new Date(version.created_at).toLocaleString()}
+                  {version.comment && ` · ${version.comment}`}
+                </p>
+              </div>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                {document.access !== 'view' && (
+                  <button
+                    onClick={() => onDownload(document.id, version.original_name, version.version_number)}
+                    style={{ padding: '0.25rem 0.75rem', backgroundColor: '#2563eb', color: 'white', border: 'none', borderRadius: '0.25rem', cursor: 'pointer', fontSize: '0.75rem' }}
+                  >
+                    Download
+                  </button>
+                )}
+                {isAdmin && !version.is_current && (
+                  <button
+                    onClick={() => restoreVersion(version.version_number)}
+                    disabled={saving}
+                    style={{ padding: '0.25rem 0.75rem', backgroundColor: 'white', color: '#374151', border: '1px solid #d1d5db', borderRadius: '0.25rem', cursor: 'pointer', fontSize: '0.75rem' }}
+                  >
+                    Restore
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {isAdmin && (
+          <div style={{ padding: '1rem 1.5rem', borderTop: '1px solid #e5e7eb', display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+            <input
+              type="file"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              style={{ fontSize: '0.75rem', flex: '1' }}
+            />
+            <input
+              type="text"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Comment (optional)"
+              style={{ padding: '0.25rem 0.5rem', border: '1px solid #d1d5db', borderRadius: '0.25rem', fontSize: '0.75rem' }}
+            />
+            <button
+              onClick={uploadVersion}
+              disabled={!file || saving}
+              style={{ padding: '0.25rem 0.75rem', backgroundColor: !file || saving ? '#9ca3af' : '#2563eb', color: 'white', border: 'none', borderRadius: '0.25rem', cursor: !file || saving ? 'not-allowed' : 'pointer', fontSize: '0.75rem' }}
+            >
+              {saving ? 'Uploading...' : 'Upload version'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Pages of a document rendered as images by the server. Users who may only
+// view the document get no download button, and the images are kept out of
+// the context menu and drag and drop.
+const DocumentViewer = ({ document, onDownload, onClose }) => {
+  const { getAuthHeaders } = useAuth();
+  const [viewer, setViewer] = useState(null);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [scale, setScale] = useState(1);
+  const [pageUrl, setPageUrl] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/documents/${document.id}/viewer`, {
+          headers: getAuthHeaders()
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to open document');
+        setViewer(data);
+      } catch (err) {
+        setError(err.message);
+        setLoading(false);
+      }
+    };
+    load();
+  }, [API_BASE, document.id, getAuthHeaders]);
+
+  // Page images need the auth header, so they are fetched into object URLs
+  useEffect(() => {
+    if (!viewer) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+
+    const loadPage = async () => {
+      setLoading(true);
+      try {
+        const response = await fetch(
+          `${API_BASE}/documents/${document.id}/viewer/pages/${pageNumber}?scale=${scale}`,
+          { headers: getAuthHeaders() }
+        );
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to load page');
+        }
+        const blob = await response.blob();
+        if (cancelled) return;
+        objectUrl = window.URL.createObjectURL(blob);
+        setPageUrl(objectUrl);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    loadPage();
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) window.URL.revokeObjectURL(objectUrl);
+    };
+  }, [API_BASE, document.id, getAuthHeaders, viewer, pageNumber, scale]);
+
+  // Time on the current page is reported every 15 seconds while the tab is
+  // visible, and once more when the page changes or the viewer closes
+  useEffect(() => {
+    if (!viewer) return undefined;
+
+    let visibleSince = window.document.visibilityState === 'visible' ? Date.now() : null;
+
+    const report = () => {
+      if (visibleSince === null) return;
+      const seconds = Math.round((Date.now() - visibleSince) / 1000);
+      visibleSince = Date.now();
+      if (seconds < 1) return;
+
+      fetch(`${API_BASE}/documents/${document.id}/viewer/heartbeat`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeaders()
+        },
+        body: JSON.stringify({ pageNumber, seconds }),
+        keepalive: true
+      }).catch(() => {});
+    };
+
+    const onVisibilityChange = () => {
+      if (window.document.visibilityState === 'visible') {
+        visibleSince = Date.now();
+      } else {
+        report();
+        visibleSince = null;
+      }
+    };
+
+    const interval = setInterval(report, 15000);
+    window.document.addEventListener('visibilitychange', onVisibilityChange);
+
+    return () => {
+      clearInterval(interval);
+      window.document.removeEventListener('visibilitychange', onVisibilityChange);
+      report();
+    };
+  }, [API_BASE, document.id, getAuthHeaders, viewer, pageNumber]);
+
+  const scales = viewer ? viewer.scales : [1];
+  const scaleIndex = scales.indexOf(scale);
+
+  const buttonStyle = (disabled) => ({
+    padding: '0.25rem 0.75rem',
+    backgroundColor: 'white',
+    color: disabled ? '#9ca3af' : '#374151',
+    border: '1px solid #d1d5db',
+    borderRadius: '0.25rem',
+    cursor: disabled ? 'not-allowed' : 'pointer',
+    fontSize: '0.75rem'
+  });
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(17, 24, 39, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 50
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        onContextMenu={(e) => e.preventDefault()}
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '0.5rem',
+          width: '95%',
+          maxWidth: '64rem',
+          height: '90vh',
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+      >
+        <div style={{ padding: '1rem 1.5rem', borderBottom: '1px solid #e5e7eb', display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+          <div>
+            <p style={{ margin: '0', fontWeight: '500', color: '#111827' }}>{document.originalName || document.original_name}</p>
+            <p style={{ margin: '0.25rem 0 0 0', fontSize: '0.875rem', color: '#6b7280' }}>
+              {viewer ? `Page ${pageNumber} of ${viewer.pageCount}` : 'Loading...'}
+              {viewer && viewer.viewOnly && ' · View only'}
+            </p>
+          </div>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <button
+              onClick={() => setPageNumber(pageNumber - 1)}
+              disabled={!viewer || pageNumber <= 1}
+              style={buttonStyle(!viewer || pageNumber <= 1)}
+            >
+              ‹ Prev
+            </button>
+            <button
+              onClick={() => setPageNumber(pageNumber + 1)}
+              disabled={!viewer || pageNumber >= viewer.pageCount}
+              style={buttonStyle(!viewer || pageNumber >= viewer.pageCount)}
+            >
+              Next ›
+            </button>
+            <button
+              onClick={() => setScale(scales[scaleIndex - 1])}
+              disabled={scaleIndex <= 0}
+              style={buttonStyle(scaleIndex <= 0)}
+            >
+              −
+            </button>
+            <span style={{ fontSize: '0.75rem', color: '#374151', minWidth: '2.5rem', textAlign: 'center' }}>
+              {Math.round(scale * 100)}%
+            </span>
+            <button
+              onClick={() => setScale(scales[scaleIndex + 1])}
+              disabled={scaleIndex >= scales.length - 1}
+              style={buttonStyle(scaleIndex >= scales.length - 1)}
+            >
+              +
+            </button>
+            {viewer && viewer.canDownload && (
+              <button
+                onClick={() => onDownload(document.id, document.originalName || document.original_name)}
+                style={{ padding: '0.25rem 0.75rem', backgroundColor: '#2563eb', color: 'white', border: 'none', borderRadius: '0.25rem', cursor: 'pointer', fontSize: '0.75rem' }}
+              >
+                Download
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              style={{ background: 'none', border: 'none', fontSize: '1.25rem', color: '#6b7280', cursor: 'pointer' }}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div style={{ flex: '1', overflow: 'auto', backgroundColor: '#f3f4f6', padding: '1rem', textAlign: 'center' }}>
+          {error && <p style={{ margin: '0', color: '#dc2626', fontSize: '0.875rem' }}>{error}</p>}
+          {!error && pageUrl && (
+            <img
+              src={pageUrl}
+              alt={`Page ${pageNumber}`}
+              draggable={false}
+              style={{
+                maxWidth: scale === 1 ? '100%' : 'none',
+                boxShadow: '0 1px 3px rgba(0, 0, 0, 0.2)',
+                userSelect: 'none',
+                opacity: loading ? 0.5 : 1
+              }}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+};
+
+// Table of seconds per row and column, shaded by time. Rows are clickable
+// when onSelectRow is given.
+const Heatmap = ({ heatmap, selectedRowId, onSelectRow }) => {
+  if (!heatmap) {
+    return <p style={{ margin: '0', padding: '1.5rem', color: '#6b7280', fontSize: '0.875rem' }}>Loading...</p>;
+  }
+
+  if (heatmap.rows.length === 0) {
+    return <p style={{ margin: '0', padding: '1.5rem', color: '#6b7280', fontSize: '0.875rem' }}>No reading time recorded yet.</p>;
+  }
+
+  const max = Math.max(...heatmap.rows.flatMap(row => Object.values(row.cells)), 1);
+  const cellStyle = { padding: '0.5rem 0.75rem', fontSize: '0.75rem', textAlign: 'right', whiteSpace: 'nowrap' };
+
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+            <th style={{ ...cellStyle, textAlign: 'left', color: '#6b7280', fontWeight: '500' }}></th>
+            {heatmap.columns.map(column => (
+              <th key={column.id} style={{ ...cellStyle, color: '#6b7280', fontWeight: '500' }}>{column.name}</th>
+            ))}
+            <th style={{ ...cellStyle, color: '#111827', fontWeight: '600' }}>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {heatmap.rows.map(row => (
+            <tr
+              key={row.id}
+              onClick={onSelectRow ? () => onSelectRow(row) : undefined}
+              style={{
+                borderBottom: '1px solid #f3f4f6',
+                cursor: onSelectRow ? 'pointer' : 'default',
+                backgroundColor: row.id === selectedRowId ? '#eff6ff' : 'transparent'
+              }}
+            >
+              <td style={{ ...cellStyle, textAlign: 'left', fontWeight: '500', color: '#111827' }}>
+                {row.name.length > 40 ? row.name.substring(0, 40) + '...' : row.name}
+              </td>
+              {heatmap.columns.map(column => {
+                const seconds = row.cells[column.id] || 0;
+                return (
+                  <td
+                    key={column.id}
+                    style={{
+                      ...cellStyle,
+                      backgroundColor: seconds ? `rgba(37, 99, 235, ${0.1 + 0.8 * (seconds / max)})` : 'transparent',
+                      color: seconds / max > 0.5 ? 'white' : '#111827'
+                    }}
+                  >
+                    {seconds ? formatDuration(seconds) : '–'}
+                  </td>
+                );
+              })}
+              <td style={{ ...cellStyle, fontWeight: '600', color: '#111827' }}>{formatDuration(row.totalSeconds)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Who may see or download a document or folder. Documents without rules
+// follow their folder, folders follow their parent; without any rules
+// everyone can download.
+const AccessEditor = ({ target, onChanged, onClose }) => {
+  const { getAuthHeaders } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [principal, setPrincipal] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+  const accessUrl = `${API_BASE}/${target.type === 'folder' ? 'folders' : 'documents'}/${target.id}/access`;
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [rulesResponse, usersResponse, groupsResponse] = await Promise.all([
+          fetch(accessUrl, { headers: getAuthHeaders() }),
+          fetch(`${API_BASE}/auth/users`, { headers: getAuthHeaders() }),
+          fetch(`${API_BASE}/groups`, { headers: getAuthHeaders() })
+        ]);
+        const rulesData = await rulesResponse.json();
+        if (!rulesResponse.ok) throw new Error(rulesData.error || 'Failed to load access rules');
+        setRules(rulesData.rules.map(rule => ({
+          userId: rule.user_id,
+          groupId: rule.group_id,
+          access: rule.access,
+          label: rule.user_name || rule.user_email || (rule.group_name && `${rule.group_name} (group)`) || 'Everyone'
+        })));
+
+        if (usersResponse.ok) {
+          const usersData = await usersResponse.json();
+          setUsers(usersData.users);
+        }
+        if (groupsResponse.ok) {
+          const groupsData = await groupsResponse.json();
+          setGroups(groupsData.groups);
+        }
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    load();
+  }, [API_BASE, accessUrl, getAuthHeaders]);
+
+  const principalKey = (rule) => rule.userId ? `user:${rule.userId}` : rule.groupId ? `group:${rule.groupId}` : 'everyone';
+  const taken = new Set(rules.map(principalKey));
+
+  const addRule = () => {
+    if (!principal || taken.has(principal)) return;
+
+    if (principal === 'everyone') {
+      setRules([...rules, { userId: null, groupId: null, access: 'view', label: 'Everyone' }]);
+    } else if (principal.startsWith('group:')) {
+      const group = groups.find(g => `group:${g.id}` === principal);
+      setRules([...rules, { userId: null, groupId: group.id, access: 'view', label: `${group.name} (group)` }]);
+    } else {
+      const user = users.find(u => `user:${u.id}` === principal);
+      setRules([...rules, { userId: user.id, groupId: null, access: 'view', label: user.name || user.email }]);
+    }
+    setPrincipal('');
+  };
+
+  const saveRules = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await fetch(accessUrl, {
+        method: 'PUT',
+        headers: { ...getAuthHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          rules: rules.map(({ userId, groupId, access }) => ({ userId, groupId, access }))
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save access rules');
+      onChanged();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const controlStyle = { padding: '0.25rem 0.5rem', border: '1px solid #d1d5db', borderRadius: '0.25rem', fontSize: '0.75rem' };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(17, 24, 39, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 50
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '0.5rem',
+          width: '90%',
+          maxWidth: '36rem',
+          maxHeight: '80vh',
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+      >
+        <div style={{ padding: '1rem 1.5rem', borderBottom: '1px solid #e5e7eb', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div>
+            <p style={{ margin: '0', fontWeight: '500', color: '#111827' }}>{target.name}</p>
+            <p style={{ margin: '0.25rem 0 0 0', fontSize: '0.875rem', color: '#6b7280' }}>
+              Access · {rules.length === 0
+                ? (target.type === 'folder' ? 'follows its parent folder' : 'follows its folder')
+                : 'anyone not listed has no access'}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '1.25rem', color: '#6b7280', cursor: 'pointer' }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ padding: '1rem 1.5rem', overflowY: 'auto' }}>
+          {error && <p style={{ margin: '0 0 0.75rem 0', color: '#dc2626', fontSize: '0.875rem' }}>{error}</p>}
+
+          {rules.map((rule, i) => (
+            <div
+              key={principalKey(rule)}
+              style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '0.5rem 0', borderBottom: '1px solid #f3f4f6' }}
+            >
+              <span style={{ fontSize: '0.875rem', color: '#111827' }}>{rule.label}</span>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <select
+                  value={rule.access}
+                  onChange={(e) => setRules(rules.map((r, j) => j === i ? { ...r, access: e.target.value } : r))}
+                  style={controlStyle}
+                >
+                  <option value="download">View and download</option>
+                  <option value="view">View only</option>
+                  <option value="none">No access</option>
+                </select>
+                <button
+                  onClick={() => setRules(rules.filter((r, j) => j !== i))}
+                  style={{ ...controlStyle, backgroundColor: 'white', color: '#374151', cursor: 'pointer' }}
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem' }}>
+            <select value={principal} onChange={(e) => setPrincipal(e.target.value)} style={{ ...controlStyle, flex: '1' }}>
+              <option value="">Add user, group or everyone...</option>
+              {!taken.has('everyone') && <option value="everyone">Everyone</option>}
+              {groups.filter(g => !taken.has(`group:${g.id}`)).map(g => (
+                <option key={g.id} value={`group:${g.id}`}>{g.name} (group)</option>
+              ))}
+              {users.filter(u => !taken.has(`user:${u.id}`)).map(u => (
+                <option key={u.id} value={`user:${u.id}`}>{u.name || u.email}</option>
+              ))}
+            </select>
+            <button
+              onClick={addRule}
+              disabled={!principal}
+              style={{ ...controlStyle, backgroundColor: 'white', color: '#374151', cursor: principal ? 'pointer' : 'not-allowed' }}
+            >
+              Add
+            </button>
+          </div>
+        </div>
+
+        <div style={{ padding: '1rem 1.5rem', borderTop: '1px solid #e5e7eb', display: 'flex', justifyContent: 'flex-end' }}>
+          <button
+            onClick={saveRules}
+            disabled={saving}
+            style={{ padding: '0.25rem 0.75rem', backgroundColor: saving ? '#9ca3af' : '#2563eb', color: 'white', border: 'none', borderRadius: '0.25rem', cursor: saving ? 'not-allowed' : 'pointer', fontSize: '0.75rem' }}
+          >
+            {saving ? 'Saving...' : 'Save access'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Cited page with the quoted span highlighted
+const CitationPassage = ({ citation, page, error, onClose }) => {
+  const renderContent = () => {
+    if (!citation.quote) return page.content;
+
+    // Match the quote regardless of whitespace differences
+    const pattern = citation.quote
+      .trim()
+      .split(/\s+/)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\s+');
+    const match = new RegExp(pattern, 'i').exec(page.content);
+    if (!match) return page.content;
+
+    return (
+      <>
+        {page.content.slice(0, match.index)}
+        <mark ref={el => el && el.scrollIntoView({ block: 'center' })}>{match[0]}</mark>
+        {page.content.slice(match.index + match[0].length)}
+      </>
+    );
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(17, 24, 39, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 50
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          backgroundColor: 'white',
+          borderRadius: '0.5rem',
+          width: '90%',
+          maxWidth: '48rem',
+          maxHeight: '80vh',
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+      >
+        <div style={{ padding: '1rem 1.5rem', borderBottom: '1px solid #e5e7eb', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div>
+            <p style={{ margin: '0', fontWeight: '500', color: '#111827' }}>{citation.documentName}</p>
+            <p style={{ margin: '0.25rem 0 0 0', fontSize: '0.875rem', color: '#6b7280' }}>{citation.label}</p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '1.25rem', color: '#6b7280', cursor: 'pointer' }}
+          >
+            ×
+          </button>
+        </div>
+        <div style={{ padding: '1.5rem', overflowY: 'auto', whiteSpace: 'pre-wrap', lineHeight: '1.6', color: '#111827', fontSize: '0.875rem' }}>
+          {error && <span style={{ color: '#dc2626' }}>Failed to load passage: {error}</span>}
+          {!error && !page && <span style={{ color: '#6b7280' }}>Loading passage...</span>}
+          {page && renderContent()}
+        </div>
+      </div>
     </div>
   );
 };
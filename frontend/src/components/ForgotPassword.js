@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const ForgotPassword = () => {
+  const [formData, setFormData] = useState({
+    email: '',
+    tenantSlug: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const { requestPasswordReset } = useAuth();
+
+  // The login page passes the organization along
+  useEffect(() => {
+    const tenantSlug = new URLSearchParams(window.location.search).get('tenant');
+    if (tenantSlug) {
+      setFormData(prev => ({ ...prev, tenantSlug }));
+    }
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await requestPasswordReset(formData.email.trim(), formData.tenantSlug.trim());
+
+    if (result.success) {
+      setMessage(result.message);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  const loginUrl = formData.tenantSlug.trim()
+    ? `/t/${encodeURIComponent(formData.tenantSlug.trim())}/login`
+    : '/login';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+            Reset your password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            We'll email you a link to choose a new password
+          </p>
+        </div>
+
+        {message ? (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+            {message}. Check your inbox, including the spam folder.
+          </div>
+        ) : (
+          <form className="space-y-6" onSubmit={handleSubmit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="tenantSlug" className="block text-sm font-medium text-gray-700 mb-1">
+                  Organization ID
+                </label>
+                <input
+                  id="tenantSlug"
+                  name="tenantSlug"
+                  type="text"
+                  required
+                  value={formData.tenantSlug}
+                  onChange={(e) => setFormData(prev => ({ ...prev, tenantSlug: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Organization ID (e.g., acme-corp)"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                  Email address
+                </label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={formData.email}
+                  onChange={(e) => setFormData(prev => ({ ...prev, email: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Email address"
+                />
+              </div>
+            </div>
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center">
+          <a href={loginUrl} className="text-sm text-indigo-600 hover:text-indigo-500">
+            Back to sign in
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
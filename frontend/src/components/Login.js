@@ -1,5 +1,133 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { MfaEnrollment, RecoveryCodeList } from './MfaSettings';
+
+// Second step after a correct password: a code from the authenticator app,
+// or setting one up when the account must use MFA
+export const MfaStep = () => {
+  const { mfaChallenge, verifyMfa, startMfaLoginSetup, enableMfaLogin, startSession, cancelMfa } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [enabled, setEnabled] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const setupRequired = mfaChallenge.setupRequired;
+
+  useEffect(() => {
+    if (!setupRequired) return;
+
+    startMfaLoginSetup().then(result => {
+      if (result.success) {
+        setSetup(result);
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [setupRequired, startMfaLoginSetup]);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    const result = await verifyMfa(useRecoveryCode ? { recoveryCode: code } : { code });
+    if (!result.success) {
+      setError(result.error);
+      setSubmitting(false);
+    }
+  };
+
+  const handleEnable = async (enrollmentCode) => {
+    setSubmitting(true);
+    setError('');
+
+    const result = await enableMfaLogin(enrollmentCode);
+    setSubmitting(false);
+    if (result.success) {
+      setEnabled(result);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6">
+        <div className="text-center">
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+            Two-factor authentication
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            {mfaChallenge.setupRequired
+              ? 'Your account needs two-factor authentication before you can sign in'
+              : 'Enter the code from your authenticator app'}
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {enabled ? (
+          <>
+            <RecoveryCodeList codes={enabled.recoveryCodes} />
+            <button
+              onClick={() => startSession(enabled)}
+              className="w-full py-2 px-4 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              Continue
+            </button>
+          </>
+        ) : mfaChallenge.setupRequired ? (
+          setup && <MfaEnrollment setup={setup} submitting={submitting} onSubmit={handleEnable} />
+        ) : (
+          <form className="space-y-4" onSubmit={handleVerify}>
+            <input
+              type="text"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              required
+              autoFocus
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="relative block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+              placeholder={useRecoveryCode ? 'Recovery code' : '6-digit code'}
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className="w-full py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {submitting ? 'Verifying...' : 'Verify'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode('');
+              }}
+              className="w-full text-sm text-indigo-600 hover:text-indigo-500"
+            >
+              {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code instead'}
+            </button>
+          </form>
+        )}
+
+        {!enabled && (
+          <div className="text-center">
+            <button onClick={cancelMfa} className="text-sm text-gray-500 hover:text-gray-700">
+              Back to sign in
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -10,8 +138,9 @@ const Login = () => {
   const [loginMode, setLoginMode] = useState('tenant'); // 'tenant' or 'superadmin'
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [sso, setSso] = useState(null);
 
-  const { login, loading: authLoading } = useAuth();
+  const { login, loading: authLoading, mfaChallenge, getSsoStatus, startSsoLogin, completeSsoLogin } = useAuth();
 
   // Extract tenant slug from URL if present
   useEffect(() => {
@@ -32,6 +161,48 @@ const Login = () => {
     }
   }, []);
 
+  // Back from the identity provider with a one-time code, or an error
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const ssoCode = params.get('ssoCode');
+    const ssoError = params.get('ssoError');
+    if (!ssoCode && !ssoError) return;
+
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    if (ssoError) {
+      setError(ssoError);
+      return;
+    }
+
+    setLoading(true);
+    completeSsoLogin(ssoCode).then(result => {
+      if (!result.success) {
+        setError(result.error);
+        setLoading(false);
+      }
+    });
+  }, [completeSsoLogin]);
+
+  // Offer SSO once the organization is known
+  useEffect(() => {
+    const tenantSlug = formData.tenantSlug.trim();
+    setSso(null);
+    if (loginMode !== 'tenant' || !tenantSlug) return;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      getSsoStatus(tenantSlug).then(status => {
+        if (!cancelled) setSso(status);
+      });
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.tenantSlug, loginMode, getSsoStatus]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -53,6 +224,10 @@ const Login = () => {
 
   const isSubmitting = loading || authLoading;
 
+  if (mfaChallenge) {
+    return <MfaStep />;
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -152,6 +327,17 @@ const Login = () => {
             </div>
           </div>
 
+          {loginMode === 'tenant' && (
+            <div className="text-right text-sm -mt-2">
+              <a
+                href={`/forgot-password${formData.tenantSlug.trim() ? `?tenant=${encodeURIComponent(formData.tenantSlug.trim())}` : ''}`}
+                className="text-indigo-600 hover:text-indigo-500"
+              >
+                Forgot your password?
+              </a>
+            </div>
+          )}
+
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
               {error}
@@ -178,6 +364,29 @@ const Login = () => {
             </button>
           </div>
 
+          {loginMode === 'tenant' && sso?.enabled && (
+            <div>
+              <div className="flex items-center gap-3 mb-4">
+                <div className="flex-1 border-t border-gray-200"></div>
+                <span className="text-xs text-gray-500">or</span>
+                <div className="flex-1 border-t border-gray-200"></div>
+              </div>
+              <button
+                type="button"
+                onClick={() => startSsoLogin(formData.tenantSlug.trim())}
+                disabled={isSubmitting}
+                className="w-full flex justify-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+              >
+                Sign in with SSO
+              </button>
+              {sso.enforced && (
+                <p className="mt-2 text-xs text-center text-gray-500">
+                  Your organization signs in with single sign-on. Passwords are only for organization admins.
+                </p>
+              )}
+            </div>
+          )}
+
           {loginMode === 'tenant' && (
             <div className="text-center text-sm">
               <div className="text-gray-600">
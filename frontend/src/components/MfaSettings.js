@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+// Recovery codes are only ever shown once, right after they are made
+export const RecoveryCodeList = ({ codes }) => (
+  <div className="space-y-3">
+    <p className="text-sm text-gray-600">
+      Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator.
+    </p>
+    <div className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded p-3 font-mono text-sm text-gray-900">
+      {codes.map(code => <div key={code}>{code}</div>)}
+    </div>
+    <button
+      type="button"
+      onClick={() => navigator.clipboard?.writeText(codes.join('\n'))}
+      className="text-sm text-indigo-600 hover:text-indigo-500"
+    >
+      Copy codes
+    </button>
+  </div>
+);
+
+// QR code of a new secret and the code that confirms it
+export const MfaEnrollment = ({ setup, onSubmit, submitting }) => {
+  const [code, setCode] = useState('');
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit(code);
+      }}
+      className="space-y-4"
+    >
+      <p className="text-sm text-gray-600">
+        Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+      </p>
+      <div className="flex justify-center">
+        <img src={setup.qrCode} alt="Authenticator QR code" className="w-48 h-48" />
+      </div>
+      <p className="text-xs text-gray-500 text-center break-all">
+        Can't scan it? Enter this key: <span className="font-mono">{setup.secret}</span>
+      </p>
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        required
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        className={inputClass}
+        placeholder="6-digit code"
+      />
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full py-2 px-4 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+      >
+        {submitting ? 'Verifying...' : 'Turn on two-factor authentication'}
+      </button>
+    </form>
+  );
+};
+
+// Two-factor authentication of the signed-in user
+const MfaSettings = ({ onClose }) => {
+  const { getMfaStatus, startMfaSetup, enableMfa, disableMfa, regenerateRecoveryCodes } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadStatus = useCallback(async () => {
+    const result = await getMfaStatus();
+    if (result.success) {
+      setStatus(result);
+    } else {
+      setError(result.error);
+    }
+  }, [getMfaStatus]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  // Run an action; results with recovery codes show them
+  const run = async (action) => {
+    setSubmitting(true);
+    setError('');
+    const result = await action();
+    setSubmitting(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setSetup(null);
+    setCode('');
+    if (result.recoveryCodes) setRecoveryCodes(result.recoveryCodes);
+    await loadStatus();
+  };
+
+  const handleStartSetup = async () => {
+    setError('');
+    const result = await startMfaSetup();
+    if (result.success) {
+      setSetup(result);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  // Six digits are an authenticator code, anything else a recovery code
+  const codeBody = () => (/^\d{6}$/.test(code.trim()) ? { code } : { recoveryCode: code });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-semibold text-gray-900">Two-factor authentication</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+            {error}
+          </div>
+        )}
+
+        {!status ? (
+          <div className="text-sm text-gray-500">Loading...</div>
+        ) : recoveryCodes ? (
+          <>
+            <RecoveryCodeList codes={recoveryCodes} />
+            <button
+              onClick={() => setRecoveryCodes(null)}
+              className="w-full py-2 px-4 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              I have saved my codes
+            </button>
+          </>
+        ) : setup ? (
+          <MfaEnrollment
+            setup={setup}
+            submitting={submitting}
+            onSubmit={(enrollmentCode) => run(() => enableMfa(enrollmentCode))}
+          />
+        ) : status.enabled ? (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-700">
+              Two-factor authentication is <span className="font-medium text-green-700">on</span>.
+              {' '}{status.recoveryCodesRemaining} recovery codes left.
+            </div>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={inputClass}
+              placeholder="Authenticator or recovery code"
+            />
+            <div className="flex gap-2">
+              <button
+                disabled={submitting || !/^\d{6}$/.test(code.trim())}
+                onClick={() => run(() => regenerateRecoveryCodes(code))}
+                className="flex-1 py-2 px-4 rounded-md text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+              >
+                New recovery codes
+              </button>
+              {!status.required && (
+                <button
+                  disabled={submitting || !code.trim()}
+                  onClick={() => run(() => disableMfa(codeBody()))}
+                  className="flex-1 py-2 px-4 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                >
+                  Turn off
+                </button>
+              )}
+            </div>
+            {status.required && (
+              <p className="text-xs text-gray-500">Your organization requires two-factor authentication.</p>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Protect your account with a code from an authenticator app each time you sign in.
+            </p>
+            <button
+              onClick={handleStartSetup}
+              className="w-full py-2 px-4 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              Set up two-factor authentication
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MfaSettings;
@@ -0,0 +1,608 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md';
+
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Statuses as admins and experts see them; bidders see submitted,
+// in_progress or published
+const STATUS_LABELS = {
+  submitted: 'Submitted',
+  assigned: 'Assigned',
+  in_progress: 'In progress',
+  pending_approval: 'Waiting for approval',
+  approved: 'Approved',
+  published: 'Answered'
+};
+
+const STATUS_STYLES = {
+  submitted: 'bg-blue-100 text-blue-800',
+  assigned: 'bg-yellow-100 text-yellow-800',
+  in_progress: 'bg-yellow-100 text-yellow-800',
+  pending_approval: 'bg-orange-100 text-orange-800',
+  approved: 'bg-purple-100 text-purple-800',
+  published: 'bg-green-100 text-green-800'
+};
+
+const PRIORITY_STYLES = {
+  low: 'text-gray-500',
+  normal: 'text-gray-700',
+  high: 'text-orange-600',
+  urgent: 'text-red-600 font-semibold'
+};
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleDateString() : '—');
+
+// Due dates come as YYYY-MM-DD and are shown as that day wherever the viewer is
+const formatDay = (day) => (day ? new Date(`${day}T00:00:00`).toLocaleDateString() : '—');
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-1 text-xs rounded-full ${STATUS_STYLES[status] || STATUS_STYLES.submitted}`}>
+    {STATUS_LABELS[status] || status}
+  </span>
+);
+
+// Questions to the seller's team and their answers. Bidders ask and read
+// answers; admins assign, approve and publish; experts draft.
+const QuestionRequests = () => {
+  const { getQuestionRequests, isAdmin } = useAuth();
+  const [questions, setQuestions] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [filters, setFilters] = useState({ status: '', priority: '', category: '', assignedTo: '' });
+  const [selectedId, setSelectedId] = useState(null);
+  const [showAskModal, setShowAskModal] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadQuestions = useCallback(async () => {
+    const result = await getQuestionRequests(filters);
+    if (result.success) {
+      setQuestions(result.questions);
+      setGroups(result.groups);
+    } else {
+      setError(result.error);
+    }
+  }, [getQuestionRequests, filters]);
+
+  useEffect(() => {
+    loadQuestions();
+  }, [loadQuestions]);
+
+  const categories = [...new Set(questions.map(question => question.category).filter(Boolean))].sort();
+  const setFilter = (field) => (e) => setFilters(prev => ({ ...prev, [field]: e.target.value }));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Questions</h2>
+          <p className="text-sm text-gray-500">
+            {isAdmin
+              ? 'Questions from bidders, with their experts and answers'
+              : 'Ask the seller\'s team and read their answers'}
+          </p>
+        </div>
+        <button
+          onClick={() => setShowAskModal(true)}
+          className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700"
+        >
+          Ask a Question
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap gap-2 text-sm">
+        <select value={filters.status} onChange={setFilter('status')} className="px-2 py-1 border rounded-md">
+          <option value="">All statuses</option>
+          {(isAdmin ? ['submitted', 'assigned', 'pending_approval', 'approved', 'published'] : ['submitted', 'published'])
+            .map(status => <option key={status} value={status}>{STATUS_LABELS[status]}</option>)}
+        </select>
+        <select value={filters.priority} onChange={setFilter('priority')} className="px-2 py-1 border rounded-md">
+          <option value="">All priorities</option>
+          {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+        </select>
+        <select value={filters.category} onChange={setFilter('category')} className="px-2 py-1 border rounded-md">
+          <option value="">All categories</option>
+          {(filters.category && !categories.includes(filters.category) ? [...categories, filters.category] : categories)
+            .map(category => <option key={category} value={category}>{category}</option>)}
+        </select>
+        <label className="flex items-center gap-1 text-gray-700">
+          <input
+            type="checkbox"
+            checked={filters.assignedTo === 'me'}
+            onChange={(e) => setFilters(prev => ({ ...prev, assignedTo: e.target.checked ? 'me' : '' }))}
+            className="rounded"
+          />
+          Assigned to me
+        </label>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {questions.length === 0 ? (
+        <div className="text-center py-12 text-gray-500 text-sm">No questions yet</div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Ref</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Subject</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Group</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Priority</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+              {isAdmin && (
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expert</th>
+              )}
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {questions.map(question => (
+              <tr
+                key={question.id}
+                onClick={() => setSelectedId(question.id)}
+                className="cursor-pointer hover:bg-gray-50"
+              >
+                <td className="px-3 py-2 text-gray-500">{question.reference}</td>
+                <td className="px-3 py-2">
+                  <div className="text-gray-900">{question.subject}</div>
+                  {question.category && <div className="text-xs text-gray-500">{question.category}</div>}
+                </td>
+                <td className="px-3 py-2 text-gray-700">{question.group_name || '—'}</td>
+                <td className={`px-3 py-2 ${PRIORITY_STYLES[question.priority]}`}>{question.priority}</td>
+                <td className={`px-3 py-2 ${question.overdue ? 'text-red-600' : 'text-gray-700'}`}>
+                  {formatDay(question.due_date)}
+                </td>
+                {isAdmin && (
+                  <td className="px-3 py-2 text-gray-700">{question.assigned_to_name || '—'}</td>
+                )}
+                <td className="px-3 py-2"><StatusBadge status={question.status} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {showAskModal && (
+        <AskQuestionModal
+          groups={groups}
+          categories={categories}
+          onClose={() => setShowAskModal(false)}
+          onAsk={loadQuestions}
+        />
+      )}
+
+      {selectedId && (
+        <QuestionDetail
+          questionId={selectedId}
+          onClose={() => setSelectedId(null)}
+          onUpdate={loadQuestions}
+        />
+      )}
+    </div>
+  );
+};
+
+const AskQuestionModal = ({ groups, categories, onClose, onAsk }) => {
+  const { submitQuestionRequest, getAuthHeaders } = useAuth();
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+  const [form, setForm] = useState({
+    subject: '',
+    body: '',
+    category: '',
+    priority: 'normal',
+    dueDate: '',
+    groupId: groups.length === 1 ? groups[0].id : '',
+    documentIds: []
+  });
+  const [documents, setDocuments] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Documents the member can see, to link to the question
+  useEffect(() => {
+    const loadDocuments = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/documents`, {
+          headers: getAuthHeaders()
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setDocuments(data.documents);
+        }
+      } catch (err) {
+        console.error('Failed to load documents:', err);
+      }
+    };
+
+    loadDocuments();
+  }, [API_BASE, getAuthHeaders]);
+
+  const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    const result = await submitQuestionRequest({
+      ...form,
+      groupId: form.groupId || null,
+      dueDate: form.dueDate || null
+    });
+
+    if (result.success) {
+      onAsk();
+      onClose();
+    } else {
+      setError(result.error);
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-lg p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-semibold text-gray-900">Ask the seller's team</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+            {error}
+          </div>
+        )}
+
+        <input
+          type="text"
+          value={form.subject}
+          onChange={setField('subject')}
+          className={inputClass}
+          placeholder="Subject"
+          required
+        />
+        <textarea
+          value={form.body}
+          onChange={setField('body')}
+          className={`${inputClass} h-32`}
+          placeholder="Your question"
+          required
+        />
+
+        <div className="grid grid-cols-3 gap-3">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Category</label>
+            <input
+              type="text"
+              list="question-categories"
+              value={form.category}
+              onChange={setField('category')}
+              className={inputClass}
+              placeholder="e.g. Legal"
+            />
+            <datalist id="question-categories">
+              {categories.map(category => <option key={category} value={category} />)}
+            </datalist>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Priority</label>
+            <select value={form.priority} onChange={setField('priority')} className={inputClass}>
+              {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Needed by</label>
+            <input type="date" value={form.dueDate} onChange={setField('dueDate')} className={inputClass} />
+          </div>
+        </div>
+
+        {groups.length > 1 && (
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Asking for</label>
+            <select value={form.groupId} onChange={setField('groupId')} className={inputClass} required>
+              <option value="">Choose a group</option>
+              {groups.map(group => <option key={group.id} value={group.id}>{group.name}</option>)}
+            </select>
+          </div>
+        )}
+
+        {documents.length > 0 && (
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Related documents</label>
+            <select
+              multiple
+              value={form.documentIds}
+              onChange={(e) => setForm(prev => ({
+                ...prev,
+                documentIds: Array.from(e.target.selectedOptions, option => option.value)
+              }))}
+              className={`${inputClass} h-24`}
+            >
+              {documents.map(document => (
+                <option key={document.id} value={document.id}>{document.original_name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={submitting}
+            className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {submitting ? 'Sending...' : 'Send Question'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// One question with the steps open to the viewer: assigning and approving
+// for admins, drafting for the expert
+const QuestionDetail = ({ questionId, onClose, onUpdate }) => {
+  const {
+    user,
+    isAdmin,
+    getQuestionRequest,
+    getTenantUsers,
+    assignQuestionRequest,
+    saveQuestionDraft,
+    suggestQuestionAnswer,
+    approveQuestionAnswer,
+    returnQuestionAnswer,
+    publishQuestionAnswer
+  } = useAuth();
+
+  const [question, setQuestion] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [aiDraft, setAiDraft] = useState(null);
+  const [suggesting, setSuggesting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadQuestion = useCallback(async () => {
+    const result = await getQuestionRequest(questionId);
+    if (result.success) {
+      setQuestion(result.question);
+    } else {
+      setError(result.error);
+    }
+  }, [getQuestionRequest, questionId]);
+
+  const loadMembers = useCallback(async () => {
+    if (!isAdmin) return;
+    const result = await getTenantUsers();
+    if (result.success) {
+      setMembers(result.users.filter(member => member.is_active));
+    }
+  }, [getTenantUsers, isAdmin]);
+
+  useEffect(() => {
+    loadQuestion();
+  }, [loadQuestion]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  // The draft being edited is replaced only when the saved drafts change, so
+  // reloading the question keeps unsaved edits
+  const savedDraft = question ? question.draft_answer : null;
+  const savedAiDraft = question ? question.ai_draft : null;
+
+  useEffect(() => {
+    setDraft(savedDraft || '');
+  }, [savedDraft]);
+
+  useEffect(() => {
+    setAiDraft(savedAiDraft || null);
+  }, [savedAiDraft]);
+
+  // Run a workflow step and show the question as it is afterwards
+  const run = async (request) => {
+    setError('');
+    const result = await request();
+    if (result.success) {
+      setQuestion(result.question);
+      onUpdate();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleSuggest = async () => {
+    setSuggesting(true);
+    setError('');
+    const result = await suggestQuestionAnswer(questionId);
+    if (result.success) {
+      setAiDraft(result.ai_draft);
+    } else {
+      setError(result.error);
+    }
+    setSuggesting(false);
+  };
+
+  const handleReturn = () => {
+    const note = window.prompt('What should the expert change? (optional)');
+    if (note !== null) {
+      run(() => returnQuestionAnswer(questionId, note));
+    }
+  };
+
+  const handlePublish = (toAll) => {
+    const prompt = toAll
+      ? 'Publish this answer to every member of the data room?'
+      : `Publish this answer to ${question.group_name || 'the asker'}?`;
+    if (window.confirm(prompt)) {
+      run(() => publishQuestionAnswer(questionId, toAll));
+    }
+  };
+
+  const canDraft = question && (isAdmin || question.assigned_to === user?.id);
+  const editable = canDraft && question.status !== 'published';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl p-6 space-y-4 max-h-screen overflow-y-auto">
+        <div className="flex justify-between items-start">
+          <div>
+            <div className="text-xs text-gray-500">{question?.reference}</div>
+            <h3 className="text-lg font-semibold text-gray-900">{question?.subject || 'Loading...'}</h3>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+            {error}
+          </div>
+        )}
+
+        {question && (
+          <>
+            <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+              <StatusBadge status={question.status} />
+              <span>Asked by {question.asked_by_name || 'a former member'}{question.group_name ? ` (${question.group_name})` : ''}</span>
+              <span className={PRIORITY_STYLES[question.priority]}>{question.priority} priority</span>
+              {question.category && <span>{question.category}</span>}
+              <span className={question.overdue ? 'text-red-600' : ''}>Due {formatDay(question.due_date)}</span>
+            </div>
+
+            <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-800 whitespace-pre-wrap">{question.body}</div>
+
+            {question.documents.length > 0 && (
+              <div className="text-sm">
+                <span className="text-gray-500">Related documents: </span>
+                {question.documents.map(document => document.name).join(', ')}
+              </div>
+            )}
+
+            {question.status === 'published' && (
+              <div className="border-l-4 border-green-500 pl-4">
+                <div className="text-xs text-gray-500 mb-1">
+                  Answered {formatDate(question.published_at)}{question.published_to_all ? ' · published to everyone' : ''}
+                </div>
+                <div className="text-sm text-gray-800 whitespace-pre-wrap">{question.answer}</div>
+              </div>
+            )}
+
+            {/* Assignment (admins) */}
+            {isAdmin && question.status !== 'published' && (
+              <div className="flex items-center gap-2 text-sm">
+                <span className="text-gray-700">Expert</span>
+                <select
+                  value={question.assigned_to || ''}
+                  onChange={(e) => e.target.value && run(() => assignQuestionRequest(questionId, e.target.value))}
+                  className="px-2 py-1 border rounded-md"
+                >
+                  <option value="">Not assigned</option>
+                  {members.map(member => <option key={member.id} value={member.id}>{member.name}</option>)}
+                </select>
+              </div>
+            )}
+
+            {/* Drafting (the expert and admins) */}
+            {editable && (
+              <div className="space-y-2">
+                <div className="flex justify-between items-center">
+                  <label className="text-sm font-medium text-gray-700">Draft answer</label>
+                  <button
+                    onClick={handleSuggest}
+                    disabled={suggesting}
+                    className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  >
+                    {suggesting ? 'Suggesting...' : 'Suggest an answer with AI'}
+                  </button>
+                </div>
+
+                {aiDraft && (
+                  <div className="bg-blue-50 border border-blue-200 rounded p-3 text-sm space-y-2">
+                    <div className="text-xs text-blue-700">AI suggestion from the documents the asker can see. Check it before use.</div>
+                    <div className="text-gray-800 whitespace-pre-wrap">{aiDraft}</div>
+                    <button onClick={() => setDraft(aiDraft)} className="text-xs text-blue-600 hover:text-blue-800">
+                      Use as draft
+                    </button>
+                  </div>
+                )}
+
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  className={`${inputClass} h-40 text-sm`}
+                  placeholder="Write the answer"
+                />
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => run(() => saveQuestionDraft(questionId, draft))}
+                    className="px-3 py-2 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50"
+                  >
+                    Save Draft
+                  </button>
+                  <button
+                    onClick={() => run(() => saveQuestionDraft(questionId, draft, true))}
+                    className="px-3 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700"
+                  >
+                    Submit for Approval
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Approval and publishing (admins) */}
+            {isAdmin && ['pending_approval', 'approved'].includes(question.status) && (
+              <div className="flex flex-wrap gap-2 border-t pt-4">
+                {question.status === 'pending_approval' ? (
+                  <button
+                    onClick={() => run(() => approveQuestionAnswer(questionId))}
+                    className="px-3 py-2 bg-purple-600 text-white text-sm rounded-md hover:bg-purple-700"
+                  >
+                    Approve Answer
+                  </button>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => handlePublish(false)}
+                      className="px-3 py-2 bg-green-600 text-white text-sm rounded-md hover:bg-green-700"
+                    >
+                      Publish to {question.group_name || 'Asker'}
+                    </button>
+                    <button
+                      onClick={() => handlePublish(true)}
+                      className="px-3 py-2 border border-green-600 text-green-700 text-sm rounded-md hover:bg-green-50"
+                    >
+                      Publish to Everyone
+                    </button>
+                  </>
+                )}
+                <button
+                  onClick={handleReturn}
+                  className="px-3 py-2 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50"
+                >
+                  Send Back
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionRequests;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const ResetPassword = () => {
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [resetLink, setResetLink] = useState(null);
+
+  const { resetPassword } = useAuth();
+
+  // Links look like /reset-password/<token>?tenant=<slug>
+  useEffect(() => {
+    const token = window.location.pathname.split('/').pop();
+    const tenantSlug = new URLSearchParams(window.location.search).get('tenant');
+
+    if (token && token !== 'reset-password' && tenantSlug) {
+      setResetLink({ token, tenantSlug });
+    } else {
+      setResetLink(false);
+    }
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 8) {
+      setError('Password must be at least 8 characters long');
+      return;
+    }
+
+    setLoading(true);
+    const result = await resetPassword(resetLink.token, resetLink.tenantSlug, formData.password);
+
+    if (result.success) {
+      setMessage(result.message);
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  if (resetLink === null) {
+    return null;
+  }
+
+  const loginUrl = resetLink ? `/t/${encodeURIComponent(resetLink.tenantSlug)}/login` : '/login';
+
+  if (!resetLink) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="max-w-md w-full text-center p-8">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">
+            Invalid Reset Link
+          </h2>
+          <p className="text-gray-600 mb-6">
+            This password reset link is incomplete. Open the link from the email again, or request a new one.
+          </p>
+          <a
+            href="/forgot-password"
+            className="inline-block bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Request a new link
+          </a>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+            Choose a new password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            You'll be signed out on all your devices
+          </p>
+        </div>
+
+        {message ? (
+          <div className="space-y-6">
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+              {message}
+            </div>
+            <a
+              href={loginUrl}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              Sign in
+            </a>
+          </div>
+        ) : (
+          <form className="space-y-6" onSubmit={handleSubmit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                  New password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  value={formData.password}
+                  onChange={(e) => setFormData(prev => ({ ...prev, password: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Create a secure password"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                  Confirm password
+                </label>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  value={formData.confirmPassword}
+                  onChange={(e) => setFormData(prev => ({ ...prev, confirmPassword: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Confirm your password"
+                />
+              </div>
+            </div>
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading || formData.password !== formData.confirmPassword}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Saving...' : 'Reset password'}
+            </button>
+
+            <div className="text-center">
+              <a
+                href={`/forgot-password?tenant=${encodeURIComponent(resetLink.tenantSlug)}`}
+                className="text-sm text-indigo-600 hover:text-indigo-500"
+              >
+                Link expired? Request a new one
+              </a>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
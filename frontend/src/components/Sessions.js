@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return 'Never';
+  return new Date(dateString).toLocaleString();
+};
+
+// Signed-in sessions of the current user, or of `member` for admins
+const Sessions = ({ member = null, onClose }) => {
+  const { getSessions, revokeSession, revokeUserSessions, signOutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState('');
+
+  const memberId = member ? member.id : null;
+
+  const loadSessions = useCallback(async () => {
+    const result = await getSessions(memberId);
+    if (result.success) {
+      setSessions(result.sessions);
+    } else {
+      setError(result.error);
+    }
+  }, [getSessions, memberId]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session) => {
+    const result = await revokeSession(session.id, memberId);
+    if (result.success) {
+      loadSessions();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    const prompt = member
+      ? `Sign ${member.name} out of every session?`
+      : 'Sign out of every session, including this one?';
+    if (!window.confirm(prompt)) return;
+
+    const result = member ? await revokeUserSessions(member.id) : await signOutEverywhere();
+    if (!result.success) {
+      setError(result.error);
+    } else if (member) {
+      loadSessions();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-semibold text-gray-900">
+            {member ? `Sessions of ${member.name}` : 'Active sessions'}
+          </h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+            {error}
+          </div>
+        )}
+
+        {!sessions ? (
+          <div className="text-sm text-gray-500">Loading...</div>
+        ) : sessions.length === 0 ? (
+          <div className="text-sm text-gray-500">No active sessions</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Device</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">IP Address</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Signed In</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Last Seen</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sessions.map(session => (
+                <tr key={session.id}>
+                  <td className="px-3 py-2 text-gray-900">
+                    {session.device}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">This device</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{session.ip_address || '-'}</td>
+                  <td className="px-3 py-2 text-gray-600">{formatDateTime(session.login_time)}</td>
+                  <td className="px-3 py-2 text-gray-600">{formatDateTime(session.last_activity)}</td>
+                  <td className="px-3 py-2 text-right">
+                    {!session.current && (
+                      <button
+                        onClick={() => handleRevoke(session)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Sign out
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={handleRevokeAll}
+            disabled={!sessions || sessions.length === 0}
+            className="px-4 py-2 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+          >
+            {member ? 'Sign out of all sessions' : 'Sign out everywhere'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Sessions;
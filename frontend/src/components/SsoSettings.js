@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md';
+
+const ROLES = ['admin', 'user', 'investor'];
+
+const emptyForm = {
+  protocol: 'oidc',
+  enabled: false,
+  enforce_sso: false,
+  oidc_issuer: '',
+  oidc_client_id: '',
+  oidc_client_secret: '',
+  saml_metadata_url: '',
+  saml_entry_point: '',
+  saml_idp_issuer: '',
+  saml_idp_certs: '',
+  role_claim: '',
+  role_mapping: { admin: '', user: '', investor: '' },
+  default_role: 'user'
+};
+
+// Settings come with role values as lists and certificates as an array;
+// the form edits them as comma-separated text and one PEM block per cert
+const toForm = (config) => ({
+  ...emptyForm,
+  ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== null)),
+  oidc_client_secret: '',
+  saml_idp_certs: (config.saml_idp_certs || []).join('\n\n'),
+  role_mapping: Object.fromEntries(ROLES.map(role => [role, (config.role_mapping?.[role] || []).join(', ')]))
+});
+
+const toConfig = (form) => ({
+  ...form,
+  saml_idp_certs: form.saml_idp_certs.split(/\n\s*\n/).map(cert => cert.trim()).filter(Boolean),
+  role_mapping: Object.fromEntries(ROLES.map(role => [role, form.role_mapping[role].split(',').map(value => value.trim()).filter(Boolean)]))
+});
+
+// Single sign-on through the organization's identity provider (Enterprise)
+const SsoSettings = () => {
+  const { getAuthHeaders } = useAuth();
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+  const [form, setForm] = useState(emptyForm);
+  const [endpoints, setEndpoints] = useState(null);
+  const [hasClientSecret, setHasClientSecret] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const loadConfig = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/sso/config`, {
+          headers: getAuthHeaders()
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setEndpoints(data.endpoints);
+          if (data.config) {
+            setForm(toForm(data.config));
+            setHasClientSecret(data.config.has_client_secret);
+          }
+        }
+      } catch (error) {
+        console.error('Failed to load SSO settings:', error);
+      }
+    };
+
+    loadConfig();
+  }, [API_BASE, getAuthHeaders]);
+
+  const setField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const setRoleValues = (role) => (e) => {
+    const value = e.target.value;
+    setForm(prev => ({ ...prev, role_mapping: { ...prev.role_mapping, [role]: value } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage('');
+
+    try {
+      const response = await fetch(`${API_BASE}/sso/config`, {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(toConfig(form))
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setForm(toForm(data.config));
+        setHasClientSecret(data.config.has_client_secret);
+        setMessage('Single sign-on settings saved successfully');
+        setTimeout(() => setMessage(''), 3000);
+      } else {
+        setMessage(data.error || 'Failed to save single sign-on settings');
+      }
+    } catch (error) {
+      setMessage('Error saving single sign-on settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border p-6">
+      <h3 className="text-lg font-semibold mb-4">Single Sign-On</h3>
+
+      <div className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Protocol
+          </label>
+          <select value={form.protocol} onChange={setField('protocol')} className={inputClass}>
+            <option value="oidc">OpenID Connect</option>
+            <option value="saml">SAML 2.0</option>
+          </select>
+        </div>
+
+        {form.protocol === 'oidc' ? (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Issuer URL
+              </label>
+              <input
+                type="url"
+                value={form.oidc_issuer}
+                onChange={setField('oidc_issuer')}
+                className={inputClass}
+                placeholder="https://login.example.com"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Endpoints and keys are read from the issuer's discovery document
+              </p>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Client ID
+                </label>
+                <input
+                  type="text"
+                  value={form.oidc_client_id}
+                  onChange={setField('oidc_client_id')}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Client Secret
+                </label>
+                <input
+                  type="password"
+                  value={form.oidc_client_secret}
+                  onChange={setField('oidc_client_secret')}
+                  className={inputClass}
+                  placeholder={hasClientSecret ? 'Saved - leave blank to keep' : ''}
+                  autoComplete="new-password"
+                />
+              </div>
+            </div>
+          </>
+        ) : (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Metadata URL
+              </label>
+              <input
+                type="url"
+                value={form.saml_metadata_url}
+                onChange={setField('saml_metadata_url')}
+                className={inputClass}
+                placeholder="https://idp.example.com/metadata.xml"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Or leave blank and enter the identity provider's details below
+              </p>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Sign-On URL
+                </label>
+                <input
+                  type="url"
+                  value={form.saml_entry_point}
+                  onChange={setField('saml_entry_point')}
+                  className={inputClass}
+                  disabled={Boolean(form.saml_metadata_url)}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Identity Provider Entity ID
+                </label>
+                <input
+                  type="text"
+                  value={form.saml_idp_issuer}
+                  onChange={setField('saml_idp_issuer')}
+                  className={inputClass}
+                  disabled={Boolean(form.saml_metadata_url)}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Signing Certificate
+              </label>
+              <textarea
+                value={form.saml_idp_certs}
+                onChange={setField('saml_idp_certs')}
+                rows={4}
+                className={`${inputClass} font-mono text-xs`}
+                placeholder="-----BEGIN CERTIFICATE-----"
+                disabled={Boolean(form.saml_metadata_url)}
+              />
+            </div>
+          </>
+        )}
+
+        {/* Role mapping */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Role Claim
+          </label>
+          <input
+            type="text"
+            value={form.role_claim}
+            onChange={setField('role_claim')}
+            className={inputClass}
+            placeholder="groups"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Claim or attribute holding the member's groups. Roles are updated on every sign-in.
+          </p>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {ROLES.map(role => (
+            <div key={role}>
+              <label className="block text-sm font-medium text-gray-700 mb-1 capitalize">
+                {role} values
+              </label>
+              <input
+                type="text"
+                value={form.role_mapping[role]}
+                onChange={setRoleValues(role)}
+                className={inputClass}
+                placeholder="Comma-separated"
+                disabled={!form.role_claim}
+              />
+            </div>
+          ))}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Role for New Members
+          </label>
+          <select value={form.default_role} onChange={setField('default_role')} className={inputClass}>
+            {ROLES.map(role => (
+              <option key={role} value={role} className="capitalize">{role}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Members are created on their first sign-in, with this role unless a value above matches
+          </p>
+        </div>
+
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={form.enabled} onChange={setField('enabled')} className="rounded" />
+          <span className="text-sm text-gray-700">Allow members to sign in with single sign-on</span>
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={form.enforce_sso}
+            onChange={setField('enforce_sso')}
+            disabled={!form.enabled}
+            className="rounded"
+          />
+          <span className="text-sm text-gray-700">Require single sign-on (admins can still use their password)</span>
+        </label>
+
+        {endpoints && (
+          <div className="bg-gray-50 rounded-md p-3 text-xs text-gray-600 space-y-1">
+            <div className="font-medium text-gray-700">Register these with your identity provider</div>
+            {form.protocol === 'oidc' ? (
+              <div>Redirect URI: <code className="break-all">{endpoints.redirectUri}</code></div>
+            ) : (
+              <>
+                <div>Entity ID and metadata: <code className="break-all">{endpoints.entityId}</code></div>
+                <div>Assertion consumer service: <code className="break-all">{endpoints.acsUrl}</code></div>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="flex items-center justify-end gap-4">
+          {message && (
+            <span className={`text-sm ${message.includes('success') ? 'text-green-600' : 'text-red-600'}`}>
+              {message}
+            </span>
+          )}
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Single Sign-On'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SsoSettings;
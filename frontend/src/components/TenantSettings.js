@@ -1,10 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useTenant } from '../contexts/TenantContext';
 import { useAuth } from '../contexts/AuthContext';
+import SsoSettings from './SsoSettings';
+import TermsSettings from './TermsSettings';
 
 const TenantSettings = () => {
   const { tenantSettings, updateTenantSettings, tenant, hasFeature, isAdmin } = useTenant();
-  const { user } = useAuth();
+  const { user, getAuthHeaders } = useAuth();
+  const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
   
   const [formData, setFormData] = useState({
     company_name: '',
@@ -13,9 +16,17 @@ const TenantSettings = () => {
     secondary_color: '#10B981',
     logo_url: '',
     welcome_message: '',
-    custom_domain: ''
+    custom_domain: '',
+    ai_provider: '',
+    ai_model: '',
+    watermark_enabled: false,
+    watermark_template: '',
+    require_mfa: false,
+    require_terms: false
   });
   
+  const [aiProviders, setAiProviders] = useState([]);
+
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
   const [previewMode, setPreviewMode] = useState(false);
@@ -30,10 +41,38 @@ const TenantSettings = () => {
       secondary_color: tenantSettings.secondary_color || '#10B981',
       logo_url: tenantSettings.logo_url || '',
       welcome_message: tenantSettings.welcome_message || '',
-      custom_domain: tenantSettings.custom_domain || ''
+      custom_domain: tenantSettings.custom_domain || '',
+      ai_provider: tenantSettings.ai_provider || '',
+      ai_model: tenantSettings.ai_model || '',
+      watermark_enabled: Boolean(tenantSettings.watermark_enabled),
+      watermark_template: tenantSettings.watermark_template || '',
+      require_mfa: Boolean(tenantSettings.require_mfa),
+      require_terms: Boolean(tenantSettings.require_terms)
     });
   }, [tenantSettings, tenant]);
 
+  // Load the LLM providers available on this server
+  useEffect(() => {
+    const loadAiProviders = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/settings/ai-providers`, {
+          headers: getAuthHeaders()
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setAiProviders(data.providers);
+        }
+      } catch (error) {
+        console.error('Failed to load AI providers:', error);
+      }
+    };
+
+    loadAiProviders();
+  }, [API_BASE, getAuthHeaders]);
+
+  const selectedProvider = aiProviders.find(provider => provider.name === formData.ai_provider);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -292,6 +331,113 @@ const TenantSettings = () => {
           </div>
         )}
 
+        {/* AI Model */}
+        <div className="bg-white rounded-lg border p-6">
+          <h3 className="text-lg font-semibold mb-4">AI Model</h3>
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Provider
+              </label>
+              <select
+                value={formData.ai_provider}
+                onChange={(e) => setFormData(prev => ({ ...prev, ai_provider: e.target.value, ai_model: '' }))}
+                className="w-full px-3 py-2 border rounded-md"
+              >
+                <option value="">Server default</option>
+                {aiProviders.map(provider => (
+                  <option key={provider.name} value={provider.name} disabled={!provider.configured}>
+                    {provider.name}{provider.configured ? '' : ' (not configured)'}
+                  </option>
+                ))}
+              </select>
+            </div>
+            
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Model
+              </label>
+              <input
+                type="text"
+                value={formData.ai_model}
+                onChange={(e) => setFormData(prev => ({ ...prev, ai_model: e.target.value }))}
+                className="w-full px-3 py-2 border rounded-md"
+                placeholder={selectedProvider ? selectedProvider.defaultModel : 'Provider default'}
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Used for answering questions and analyzing documents
+          </p>
+        </div>
+
+        {/* Watermarking */}
+        <div className="bg-white rounded-lg border p-6">
+          <h3 className="text-lg font-semibold mb-4">Watermarking</h3>
+
+          <label className="flex items-center gap-2 mb-4">
+            <input
+              type="checkbox"
+              checked={formData.watermark_enabled}
+              onChange={(e) => setFormData(prev => ({ ...prev, watermark_enabled: e.target.checked }))}
+              className="rounded"
+            />
+            <span className="text-sm text-gray-700">Stamp downloaded PDFs and images with the viewer's details</span>
+          </label>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Watermark Text
+            </label>
+            <input
+              type="text"
+              value={formData.watermark_template}
+              onChange={(e) => setFormData(prev => ({ ...prev, watermark_template: e.target.value }))}
+              className="w-full px-3 py-2 border rounded-md"
+              placeholder="Confidential - {email} - {ip} - {timestamp}"
+              disabled={!formData.watermark_enabled}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Placeholders: {'{email}'}, {'{name}'}, {'{ip}'}, {'{timestamp}'}, {'{document}'}, {'{company}'}
+            </p>
+          </div>
+        </div>
+
+        {/* Security */}
+        <div className="bg-white rounded-lg border p-6">
+          <h3 className="text-lg font-semibold mb-4">Security</h3>
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={formData.require_mfa}
+              onChange={(e) => setFormData(prev => ({ ...prev, require_mfa: e.target.checked }))}
+              disabled={!formData.require_mfa && !user?.mfa_enabled}
+              className="rounded"
+            />
+            <span className="text-sm text-gray-700">Require two-factor authentication for all members</span>
+          </label>
+          <p className="text-xs text-gray-500 mt-1">
+            {user?.mfa_enabled
+              ? 'Members without it set it up the next time they sign in.'
+              : 'Turn on two-factor authentication for your own account first.'}
+          </p>
+
+          <label className="flex items-center gap-2 mt-4">
+            <input
+              type="checkbox"
+              checked={formData.require_terms}
+              onChange={(e) => setFormData(prev => ({ ...prev, require_terms: e.target.checked }))}
+              className="rounded"
+            />
+            <span className="text-sm text-gray-700">Require members to accept the terms before opening documents</span>
+          </label>
+          <p className="text-xs text-gray-500 mt-1">
+            Takes effect once terms are published below. Publishing a new version asks everyone again.
+          </p>
+        </div>
+
         {/* Advanced Settings */}
         {hasFeature('custom_domain') ? (
           <div className="bg-white rounded-lg border p-6">
@@ -354,6 +500,12 @@ const TenantSettings = () => {
         )}
       </form>
 
+      {/* Single Sign-On, saved separately */}
+      {hasFeature('sso') && <SsoSettings />}
+
+      {/* Terms and their acceptance, published separately */}
+      <TermsSettings />
+
       {/* Subscription Info */}
       <div className="bg-white rounded-lg border p-6">
         <h3 className="text-lg font-semibold mb-4">Subscription Information</h3>
@@ -1,16 +1,21 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTenant } from '../contexts/TenantContext';
+import Sessions from './Sessions';
 
 const TenantUserManagement = () => {
   const [users, setUsers] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [invitations, setInvitations] = useState([]);
   const [loading, setLoading] = useState(false);
   const [showInviteModal, setShowInviteModal] = useState(false);
+  const [showBulkModal, setShowBulkModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [selectedUser, setSelectedUser] = useState(null);
+  const [sessionsUser, setSessionsUser] = useState(null);
   const [error, setError] = useState('');
 
-  const { getTenantUsers, updateUser, createInvitation, hasPermission, isAdmin } = useAuth();
+  const { getTenantUsers, getGroups, getInvitations, updateUser, createInvitation, hasPermission, isAdmin } = useAuth();
   const { tenant, usage, limits, isApproachingLimit } = useTenant();
 
   // Load users
@@ -32,9 +37,41 @@ const TenantUserManagement = () => {
     }
   }, [isAdmin, getTenantUsers]);
 
-  useEffect(() => {
+  // Load groups
+  const loadGroups = useCallback(async () => {
+    if (!isAdmin) return;
+
+    const result = await getGroups();
+    if (result.success) {
+      setGroups(result.groups);
+    } else {
+      setError(result.error);
+    }
+  }, [isAdmin, getGroups]);
+
+  // Load invitations
+  const loadInvitations = useCallback(async () => {
+    if (!isAdmin) return;
+
+    const result = await getInvitations();
+    if (result.success) {
+      setInvitations(result.invitations);
+    } else {
+      setError(result.error);
+    }
+  }, [isAdmin, getInvitations]);
+
+  // Memberships show up on both the users table and the groups panel, and
+  // accepted invitations become users
+  const reloadAll = useCallback(() => {
     loadUsers();
-  }, [loadUsers]);
+    loadGroups();
+    loadInvitations();
+  }, [loadUsers, loadGroups, loadInvitations]);
+
+  useEffect(() => {
+    reloadAll();
+  }, [reloadAll]);
 
   if (!isAdmin) {
     return (
@@ -95,13 +132,22 @@ const TenantUserManagement = () => {
           {users.length} user{users.length !== 1 ? 's' : ''} in {tenant?.name || 'your organization'}
         </div>
         
-        <button
-          onClick={() => setShowInviteModal(true)}
-          disabled={limits.users?.exceeded}
-          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-        >
-          Invite User
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowBulkModal(true)}
+            disabled={limits.users?.exceeded}
+            className="px-4 py-2 text-gray-700 border rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Bulk Invite
+          </button>
+          <button
+            onClick={() => setShowInviteModal(true)}
+            disabled={limits.users?.exceeded}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Invite User
+          </button>
+        </div>
       </div>
 
       {/* Users Table */}
@@ -112,6 +158,7 @@ const TenantUserManagement = () => {
               <tr>
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Groups</th>
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Active</th>
                 <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
@@ -126,6 +173,7 @@ const TenantUserManagement = () => {
                     setSelectedUser(user);
                     setShowEditModal(true);
                   }}
+                  onSessions={() => setSessionsUser(user)}
                   onUpdate={loadUsers}
                 />
               ))}
@@ -134,11 +182,27 @@ const TenantUserManagement = () => {
         </div>
       </div>
 
+      {/* Invitations */}
+      <InvitationsPanel invitations={invitations} onUpdate={loadInvitations} />
+
+      {/* Groups */}
+      <GroupsPanel groups={groups} users={users} onUpdate={reloadAll} />
+
       {/* Invite Modal */}
       {showInviteModal && (
         <InviteUserModal
+          groups={groups}
           onClose={() => setShowInviteModal(false)}
-          onInvite={loadUsers}
+          onInvite={reloadAll}
+        />
+      )}
+
+      {/* Bulk Invite Modal */}
+      {showBulkModal && (
+        <BulkInviteModal
+          groups={groups}
+          onClose={() => setShowBulkModal(false)}
+          onInvite={reloadAll}
         />
       )}
 
@@ -154,6 +218,11 @@ const TenantUserManagement = () => {
         />
       )}
 
+      {/* Sessions Modal */}
+      {sessionsUser && (
+        <Sessions member={sessionsUser} onClose={() => setSessionsUser(null)} />
+      )}
+
       {error && (
         <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
           {error}
@@ -163,8 +232,8 @@ const TenantUserManagement = () => {
   );
 };
 
-const UserRow = ({ user, onEdit, onUpdate }) => {
-  const { updateUser, user: currentUser } = useAuth();
+const UserRow = ({ user, onEdit, onSessions, onUpdate }) => {
+  const { updateUser, resetUserMfa, user: currentUser } = useAuth();
 
   const toggleStatus = async () => {
     const result = await updateUser(user.id, {
@@ -176,6 +245,19 @@ const UserRow = ({ user, onEdit, onUpdate }) => {
     }
   };
 
+  // The user is signed out and sets up MFA again at their next sign-in if it
+  // is required
+  const resetMfa = async () => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.name}? They will be signed out everywhere.`)) return;
+
+    const result = await resetUserMfa(user.id);
+    if (result.success) {
+      onUpdate();
+    } else {
+      alert(result.error);
+    }
+  };
+
   const getRoleBadge = (role) => {
     const styles = {
       admin: 'bg-purple-100 text-purple-800',
@@ -220,7 +302,21 @@ const UserRow = ({ user, onEdit, onUpdate }) => {
         {getRoleBadge(user.tenant_role)}
       </td>
       <td className="px-4 py-3">
-        {getStatusBadge(user.is_active)}
+        <div className="flex flex-wrap gap-1">
+          {(user.groups || []).map(group => (
+            <span key={group.id} className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-800">
+              {group.name}
+            </span>
+          ))}
+        </div>
+      </td>
+      <td className="px-4 py-3">
+        <div className="flex flex-wrap gap-1">
+          {getStatusBadge(user.is_active)}
+          {user.mfa_enabled && (
+            <span className="px-2 py-1 text-xs rounded-full bg-indigo-100 text-indigo-800">2FA</span>
+          )}
+        </div>
       </td>
       <td className="px-4 py-3 text-sm text-gray-600">
         {formatDate(user.last_login)}
@@ -247,15 +343,34 @@ const UserRow = ({ user, onEdit, onUpdate }) => {
               {user.is_active ? 'Deactivate' : 'Activate'}
             </button>
           )}
+          {user.id !== currentUser.id && (
+            <button
+              onClick={onSessions}
+              disabled={!canModify}
+              className="text-sm text-gray-600 hover:text-gray-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              Sessions
+            </button>
+          )}
+          {user.mfa_enabled && user.id !== currentUser.id && (
+            <button
+              onClick={resetMfa}
+              disabled={!canModify}
+              className="text-sm text-gray-600 hover:text-gray-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              Reset 2FA
+            </button>
+          )}
         </div>
       </td>
     </tr>
   );
 };
 
-const InviteUserModal = ({ onClose, onInvite }) => {
+const InviteUserModal = ({ groups, onClose, onInvite }) => {
   const [email, setEmail] = useState('');
   const [role, setRole] = useState('user');
+  const [groupId, setGroupId] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -269,9 +384,13 @@ const InviteUserModal = ({ onClose, onInvite }) => {
     setSuccess('');
 
     try {
-      const result = await createInvitation(email, role);
+      const result = await createInvitation(email, role, groupId || null);
       
-      if (result.success) {
+      if (result.success && !result.invitation.email_queued) {
+        // The email could not be queued; the admin shares the link instead
+        setSuccess(`Invitation created, but the email could not be sent. Share this link with ${email}: ${window.location.origin}${result.invitation.invitation_link}`);
+        onInvite();
+      } else if (result.success) {
         setSuccess(`Invitation sent to ${email}`);
         setTimeout(() => {
           onInvite();
@@ -327,12 +446,33 @@ const InviteUserModal = ({ onClose, onInvite }) => {
             </p>
           </div>
 
+          {groups.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Group
+              </label>
+              <select
+                value={groupId}
+                onChange={(e) => setGroupId(e.target.value)}
+                className="w-full px-3 py-2 border rounded-md"
+              >
+                <option value="">No group</option>
+                {groups.map(group => (
+                  <option key={group.id} value={group.id}>{group.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                The user joins this group when accepting the invitation
+              </p>
+            </div>
+          )}
+
           {error && (
             <div className="text-red-600 text-sm">{error}</div>
           )}
           
           {success && (
-            <div className="text-green-600 text-sm">{success}</div>
+            <div className="text-green-600 text-sm break-all">{success}</div>
           )}
 
           <div className="flex gap-2 pt-4">
@@ -358,6 +498,504 @@ const InviteUserModal = ({ onClose, onInvite }) => {
   );
 };
 
+// Invitations that were sent, with their state. Open ones can be emailed
+// again, extended or revoked.
+const InvitationsPanel = ({ invitations, onUpdate }) => {
+  const [status, setStatus] = useState('pending');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const { resendInvitation, extendInvitation, revokeInvitation } = useAuth();
+
+  const run = async (request) => {
+    setError('');
+    setMessage('');
+    const result = await request();
+    if (result.success) {
+      onUpdate();
+    } else {
+      setError(result.error);
+    }
+    return result;
+  };
+
+  const handleResend = async (invitation) => {
+    const result = await run(() => resendInvitation(invitation.id));
+    if (result.success && !result.invitation.email_queued) {
+      setMessage(`The email could not be sent. Share this link with ${invitation.email}: ${window.location.origin}${result.invitation.invitation_link}`);
+    } else if (result.success) {
+      setMessage(`Invitation sent to ${invitation.email} again`);
+    }
+  };
+
+  const handleExtend = async (invitation) => {
+    const result = await run(() => extendInvitation(invitation.id, 7));
+    if (result.success) {
+      setMessage(`The invitation for ${invitation.email} now expires on ${new Date(result.invitation.expires_at).toLocaleDateString()}`);
+    }
+  };
+
+  const handleRevoke = (invitation) => {
+    if (window.confirm(`Revoke the invitation for ${invitation.email}? Its link stops working.`)) {
+      run(() => revokeInvitation(invitation.id));
+    }
+  };
+
+  const getStatusBadge = (value) => {
+    const styles = {
+      pending: 'bg-blue-100 text-blue-800',
+      expired: 'bg-orange-100 text-orange-800',
+      accepted: 'bg-green-100 text-green-800',
+      revoked: 'bg-gray-100 text-gray-800'
+    };
+
+    return (
+      <span className={`px-2 py-1 text-xs rounded-full ${styles[value] || styles.revoked}`}>
+        {value}
+      </span>
+    );
+  };
+
+  const shown = status ? invitations.filter(invitation => invitation.status === status) : invitations;
+
+  return (
+    <div className="bg-white rounded-lg border p-4 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Invitations</h3>
+          <p className="text-sm text-gray-600">Invitations expire after 7 days unless extended</p>
+        </div>
+
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-3 py-2 border rounded-md text-sm"
+        >
+          <option value="pending">Pending</option>
+          <option value="expired">Expired</option>
+          <option value="accepted">Accepted</option>
+          <option value="revoked">Revoked</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {shown.length === 0 ? (
+        <div className="text-sm text-gray-500">No {status || ''} invitations</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Group</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Sent</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {shown.map(invitation => {
+                const open = invitation.status === 'pending' || invitation.status === 'expired';
+
+                return (
+                  <tr key={invitation.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm text-gray-900">{invitation.email}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{invitation.role}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{invitation.group_name || '—'}</td>
+                    <td className="px-4 py-3">{getStatusBadge(invitation.status)}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {new Date(invitation.expires_at).toLocaleDateString()}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {invitation.last_sent_at ? new Date(invitation.last_sent_at).toLocaleString() : 'Never'}
+                    </td>
+                    <td className="px-4 py-3">
+                      {open && (
+                        <div className="flex gap-2">
+                          {invitation.status === 'pending' && (
+                            <button
+                              onClick={() => handleResend(invitation)}
+                              className="text-blue-600 hover:text-blue-800 text-sm"
+                            >
+                              Resend
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleExtend(invitation)}
+                            className="text-blue-600 hover:text-blue-800 text-sm"
+                          >
+                            Extend
+                          </button>
+                          <button
+                            onClick={() => handleRevoke(invitation)}
+                            className="text-red-600 hover:text-red-800 text-sm"
+                          >
+                            Revoke
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {message && (
+        <div className="text-green-600 text-sm break-all">{message}</div>
+      )}
+
+      {error && (
+        <div className="text-red-600 text-sm">{error}</div>
+      )}
+    </div>
+  );
+};
+
+// Invitations from a CSV file with email, role and group columns. The rows
+// are checked first; each gets its own result.
+const BulkInviteModal = ({ groups, onClose, onInvite }) => {
+  const [csv, setCsv] = useState('');
+  const [role, setRole] = useState('user');
+  const [groupId, setGroupId] = useState('');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { bulkInvite } = useAuth();
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setCsv(await file.text());
+      setReport(null);
+    }
+  };
+
+  const submit = async (dryRun) => {
+    setLoading(true);
+    setError('');
+
+    const result = await bulkInvite(csv, { role, groupId: groupId || null, dryRun });
+    if (result.success) {
+      setReport(result);
+      if (!dryRun) onInvite();
+    } else {
+      setError(result.error);
+    }
+    setLoading(false);
+  };
+
+  const getResultBadge = (status) => {
+    const styles = {
+      ready: 'bg-blue-100 text-blue-800',
+      invited: 'bg-green-100 text-green-800',
+      failed: 'bg-red-100 text-red-800'
+    };
+
+    return (
+      <span className={`px-2 py-1 text-xs rounded-full ${styles[status]}`}>
+        {status}
+      </span>
+    );
+  };
+
+  const sent = report && !report.dryRun;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg max-w-3xl w-full p-6 max-h-screen overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold">Bulk Invite</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+        </div>
+
+        <div className="space-y-4">
+          {!sent && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  CSV File
+                </label>
+                <input type="file" accept=".csv,text/csv" onChange={handleFile} className="text-sm" />
+                <textarea
+                  value={csv}
+                  onChange={(e) => {
+                    setCsv(e.target.value);
+                    setReport(null);
+                  }}
+                  rows={6}
+                  className="w-full mt-2 px-3 py-2 border rounded-md font-mono text-sm"
+                  placeholder={'email,role,group\njane@example.com,user,Bidder A'}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  One invitation per row. Role and group are optional; the group is matched by name.
+                </p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Default Role
+                  </label>
+                  <select
+                    value={role}
+                    onChange={(e) => {
+                      setRole(e.target.value);
+                      setReport(null);
+                    }}
+                    className="w-full px-3 py-2 border rounded-md"
+                  >
+                    <option value="user">User</option>
+                    <option value="admin">Admin</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Default Group
+                  </label>
+                  <select
+                    value={groupId}
+                    onChange={(e) => {
+                      setGroupId(e.target.value);
+                      setReport(null);
+                    }}
+                    className="w-full px-3 py-2 border rounded-md"
+                  >
+                    <option value="">No group</option>
+                    {groups.map(group => (
+                      <option key={group.id} value={group.id}>{group.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            </>
+          )}
+
+          {report && (
+            <div>
+              <div className="text-sm text-gray-700 mb-2">
+                {sent
+                  ? `${report.summary.invited} invited, ${report.summary.failed} skipped`
+                  : `${report.summary.ready} ready to invite, ${report.summary.failed} with problems`}
+              </div>
+              <div className="overflow-x-auto border rounded-lg">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Group</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {report.results.map(result => (
+                      <tr key={result.row}>
+                        <td className="px-3 py-2 text-sm text-gray-500">{result.row}</td>
+                        <td className="px-3 py-2 text-sm text-gray-900">{result.email}</td>
+                        <td className="px-3 py-2 text-sm text-gray-600">{result.role}</td>
+                        <td className="px-3 py-2 text-sm text-gray-600">{result.group_name || '—'}</td>
+                        <td className="px-3 py-2 text-sm">
+                          {getResultBadge(result.status)}
+                          {result.errors.length > 0 && (
+                            <div className="text-xs text-red-600 mt-1">{result.errors.join('; ')}</div>
+                          )}
+                          {result.status === 'invited' && !result.email_queued && (
+                            <div className="text-xs text-orange-600 mt-1">Email not sent; resend it from the invitations list</div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {error && (
+            <div className="text-red-600 text-sm">{error}</div>
+          )}
+
+          <div className="flex gap-2 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 text-gray-700 border rounded-md hover:bg-gray-50"
+              disabled={loading}
+            >
+              {sent ? 'Close' : 'Cancel'}
+            </button>
+            {!sent && !report && (
+              <button
+                type="button"
+                onClick={() => submit(true)}
+                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                disabled={loading || !csv.trim()}
+              >
+                {loading ? 'Checking...' : 'Check Rows'}
+              </button>
+            )}
+            {!sent && report && (
+              <button
+                type="button"
+                onClick={() => submit(false)}
+                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                disabled={loading || report.summary.ready === 0}
+              >
+                {loading ? 'Sending...' : `Send ${report.summary.ready} Invitation${report.summary.ready !== 1 ? 's' : ''}`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Groups such as bidder teams. Access rules and analytics can target a
+// whole group instead of individual users.
+const GroupsPanel = ({ groups, users, onUpdate }) => {
+  const [name, setName] = useState('');
+  const [adding, setAdding] = useState({});
+  const [error, setError] = useState('');
+
+  const { createGroup, deleteGroup, addGroupMembers, removeGroupMember } = useAuth();
+
+  const run = async (request) => {
+    setError('');
+    const result = await request();
+    if (result.success) {
+      onUpdate();
+    } else {
+      setError(result.error);
+    }
+    return result.success;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (await run(() => createGroup(name.trim()))) {
+      setName('');
+    }
+  };
+
+  const handleDelete = (group) => {
+    if (window.confirm(`Delete group "${group.name}"? Its members stay in the organization.`)) {
+      run(() => deleteGroup(group.id));
+    }
+  };
+
+  const handleAdd = async (group) => {
+    if (await run(() => addGroupMembers(group.id, [parseInt(adding[group.id])]))) {
+      setAdding(prev => ({ ...prev, [group.id]: '' }));
+    }
+  };
+
+  const membersOf = (group) => users.filter(user => (user.groups || []).some(g => g.id === group.id));
+
+  return (
+    <div className="bg-white rounded-lg border p-4 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Groups</h3>
+          <p className="text-sm text-gray-600">Teams of users, e.g. one per bidder</p>
+        </div>
+
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="px-3 py-2 border rounded-md text-sm"
+            placeholder="New group name"
+          />
+          <button
+            type="submit"
+            disabled={!name.trim()}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Create Group
+          </button>
+        </form>
+      </div>
+
+      {groups.length === 0 && (
+        <div className="text-sm text-gray-500">No groups yet</div>
+      )}
+
+      {groups.map(group => {
+        const members = membersOf(group);
+        const candidates = users.filter(user => !members.includes(user));
+
+        return (
+          <div key={group.id} className="border rounded-lg p-3">
+            <div className="flex justify-between items-center">
+              <div className="font-medium text-gray-900">
+                {group.name}
+                <span className="ml-2 text-sm text-gray-500">{group.member_count} member{parseInt(group.member_count) !== 1 ? 's' : ''}</span>
+              </div>
+              <button
+                onClick={() => handleDelete(group)}
+                className="text-red-600 hover:text-red-800 text-sm"
+              >
+                Delete
+              </button>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mt-2">
+              {members.map(user => (
+                <span key={user.id} className="flex items-center gap-1 px-2 py-1 text-xs rounded-full bg-blue-100 text-blue-800">
+                  {user.name || user.email}
+                  <button
+                    onClick={() => run(() => removeGroupMember(group.id, user.id))}
+                    className="text-blue-600 hover:text-blue-900"
+                    title="Remove from group"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+            </div>
+
+            {candidates.length > 0 && (
+              <div className="flex gap-2 mt-2">
+                <select
+                  value={adding[group.id] || ''}
+                  onChange={(e) => setAdding(prev => ({ ...prev, [group.id]: e.target.value }))}
+                  className="px-2 py-1 border rounded-md text-sm"
+                >
+                  <option value="">Add member...</option>
+                  {candidates.map(user => (
+                    <option key={user.id} value={user.id}>{user.name || user.email}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleAdd(group)}
+                  disabled={!adding[group.id]}
+                  className="px-3 py-1 text-sm text-gray-700 border rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {error && (
+        <div className="text-red-600 text-sm">{error}</div>
+      )}
+    </div>
+  );
+};
+
 const EditUserModal = ({ user, onClose, onUpdate }) => {
   const [formData, setFormData] = useState({
     name: user.name,
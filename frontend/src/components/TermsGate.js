@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Shows the organization's current terms until the member accepts them;
+// renders the workspace (children) once they have. Admins are not asked.
+const TermsGate = ({ children }) => {
+  const { getTerms, acceptTerms, logout, isAdmin } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [agreed, setAgreed] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTerms = useCallback(async () => {
+    if (isAdmin) {
+      setStatus({ required: false });
+      return;
+    }
+
+    const result = await getTerms();
+    if (result.success) {
+      setStatus(result);
+    } else {
+      // Document requests are still refused server-side
+      setStatus({ required: false });
+    }
+  }, [getTerms, isAdmin]);
+
+  useEffect(() => {
+    loadTerms();
+  }, [loadTerms]);
+
+  const handleAccept = async () => {
+    setSubmitting(true);
+    setError('');
+
+    const result = await acceptTerms(status.terms.id);
+
+    if (result.success) {
+      setStatus(prev => ({ ...prev, accepted: true, accepted_at: result.accepted_at }));
+    } else {
+      // New terms were published while reading; show them instead
+      setError(result.error);
+      setAgreed(false);
+      loadTerms();
+    }
+    setSubmitting(false);
+  };
+
+  if (!status) {
+    return (
+      <div className="text-center py-12 text-gray-500">Loading...</div>
+    );
+  }
+
+  if (!status.required || !status.terms || status.accepted) {
+    return children;
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto py-10 px-4 space-y-6">
+      <div>
+        <h2 className="text-2xl font-semibold text-gray-900">{status.terms.title}</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Version {status.terms.version_number}, published {new Date(status.terms.created_at).toLocaleDateString()}.
+          Please read and accept these terms to open the data room.
+        </p>
+      </div>
+
+      <div className="bg-white border rounded-lg p-6 max-h-96 overflow-y-auto text-sm text-gray-700 whitespace-pre-wrap">
+        {status.terms.body}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={agreed}
+          onChange={(e) => setAgreed(e.target.checked)}
+          className="rounded border-gray-300"
+        />
+        I have read and accept these terms
+      </label>
+
+      <div className="flex gap-3">
+        <button
+          onClick={handleAccept}
+          disabled={!agreed || submitting}
+          className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? 'Accepting...' : 'Accept and continue'}
+        </button>
+        <button
+          onClick={logout}
+          className="px-4 py-2 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50"
+        >
+          Sign out
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TermsGate;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md';
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleString();
+};
+
+// Versions of the organization's terms and who accepted them
+const TermsSettings = () => {
+  const { getTermsVersions, publishTerms, getTermsAcceptances } = useAuth();
+
+  const [versions, setVersions] = useState([]);
+  const [report, setReport] = useState(null);
+  const [form, setForm] = useState({ title: '', body: '' });
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadReport = useCallback(async (versionId = null) => {
+    const result = await getTermsAcceptances(versionId);
+    setReport(result.success ? result : null);
+  }, [getTermsAcceptances]);
+
+  const loadVersions = useCallback(async () => {
+    const result = await getTermsVersions();
+    if (result.success) {
+      setVersions(result.versions);
+      if (result.versions.length > 0) {
+        loadReport(result.versions[0].id);
+      }
+    } else {
+      setError(result.error);
+    }
+  }, [getTermsVersions, loadReport]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  // Start a new version from the current text
+  const openForm = () => {
+    const current = versions[0];
+    setForm(current ? { title: current.title, body: '' } : { title: 'Terms of use', body: '' });
+    setShowForm(true);
+  };
+
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    const prompt = versions.length > 0
+      ? 'Publish this version? Every member accepts it again before opening documents.'
+      : 'Publish these terms?';
+    if (!window.confirm(prompt)) return;
+
+    setSaving(true);
+    setError('');
+
+    const result = await publishTerms(form.title.trim(), form.body.trim());
+
+    if (result.success) {
+      setShowForm(false);
+      loadVersions();
+    } else {
+      setError(result.error);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="bg-white rounded-lg border p-6 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-lg font-semibold">Terms</h3>
+          <p className="text-sm text-gray-500">
+            Confidentiality or other terms members accept before using the data room
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            type="button"
+            onClick={openForm}
+            className="px-3 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700"
+          >
+            {versions.length > 0 ? 'Publish New Version' : 'Publish Terms'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handlePublish} className="space-y-3">
+          <input
+            type="text"
+            value={form.title}
+            onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+            className={inputClass}
+            placeholder="Title"
+            required
+          />
+          <textarea
+            value={form.body}
+            onChange={(e) => setForm(prev => ({ ...prev, body: e.target.value }))}
+            className={`${inputClass} h-48 font-mono text-sm`}
+            placeholder="Text of the terms"
+            required
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Publishing...' : 'Publish'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {versions.length === 0 ? (
+        <div className="text-sm text-gray-500">No terms published yet</div>
+      ) : (
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-gray-700">Acceptances of</span>
+          <select
+            value={report?.version.id || ''}
+            onChange={(e) => loadReport(e.target.value)}
+            className="px-2 py-1 border rounded-md"
+          >
+            {versions.map((version, index) => (
+              <option key={version.id} value={version.id}>
+                Version {version.version_number}{index === 0 ? ' (current)' : ''} - {version.acceptance_count} accepted
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {report && (
+        <>
+          <div className="text-sm text-gray-600">
+            {report.summary.accepted} of {report.summary.members} members accepted, {report.summary.pending} pending
+          </div>
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Accepted</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">IP Address</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Latest Version Accepted</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {report.members.map(member => (
+                <tr key={member.user_id}>
+                  <td className="px-3 py-2">
+                    <div className="text-gray-900">{member.name}</div>
+                    <div className="text-xs text-gray-500">{member.email}</div>
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">
+                    {member.accepted_at ? formatDateTime(member.accepted_at) : (
+                      <span className="px-2 py-1 text-xs rounded-full bg-orange-100 text-orange-800">pending</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">{member.ip_address || '—'}</td>
+                  <td className="px-3 py-2 text-gray-700">{member.latest_accepted_version || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TermsSettings;
@@ -1,7 +1,23 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 
 const AuthContext = createContext();
 
+// Access tokens are renewed this long before they expire, plus a random
+// part so that open tabs don't all refresh at once; the first tab's new
+// token reaches the others through localStorage
+const REFRESH_MARGIN_MS = 60 * 1000;
+const REFRESH_JITTER_MS = 30 * 1000;
+
+// Expiry of a JWT in milliseconds, or null when it can't be read
+const tokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (err) {
+    return null;
+  }
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -15,6 +31,10 @@ export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Second login step: { mfaToken, setupRequired } after a correct password
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+  // Refresh in flight, shared by everyone who needs a new token
+  const refreshing = useRef(null);
 
   const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
@@ -36,7 +56,18 @@ export const AuthProvider = ({ children }) => {
     return headers;
   }, [token, user?.tenant_slug]);
 
-  // Login with optional tenant context
+  // Start a session from a login response
+  const startSession = useCallback((data) => {
+    setMfaChallenge(null);
+    setToken(data.token);
+    setUser(data.user);
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(data.user));
+  }, []);
+
+  // Login with optional tenant context. Users with MFA get a challenge
+  // instead of a session.
   const login = useCallback(async (email, password, tenantSlug = null) => {
     setLoading(true);
     setError(null);
@@ -56,11 +87,11 @@ export const AuthProvider = ({ children }) => {
 
       const data = await response.json();
 
-      if (response.ok) {
-        setToken(data.token);
-        setUser(data.user);
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('user', JSON.stringify(data.user));
+      if (response.ok && data.mfaToken) {
+        setMfaChallenge({ mfaToken: data.mfaToken, setupRequired: Boolean(data.mfaSetupRequired) });
+        return { success: true, mfaRequired: true };
+      } else if (response.ok) {
+        startSession(data);
         return { success: true };
       } else {
         throw new Error(data.error || 'Login failed');
@@ -71,14 +102,98 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
+  }, [API_BASE, startSession]);
+
+  // Whether a tenant signs in with SSO: { enabled, protocol, enforced }
+  const getSsoStatus = useCallback(async (tenantSlug) => {
+    try {
+      const response = await fetch(`${API_BASE}/auth/sso/${encodeURIComponent(tenantSlug)}`);
+      const data = await response.json();
+      return response.ok ? data : { enabled: false };
+    } catch (err) {
+      return { enabled: false };
+    }
   }, [API_BASE]);
 
-  // Logout
-  const logout = useCallback(() => {
+  // Continue at the tenant's identity provider, which sends the browser
+  // back to /login with a one-time code
+  const startSsoLogin = useCallback((tenantSlug) => {
+    window.location.assign(`${API_BASE}/auth/sso/${encodeURIComponent(tenantSlug)}/login`);
+  }, [API_BASE]);
+
+  // Exchange the code from an SSO sign-in for a session, or an MFA challenge
+  const completeSsoLogin = useCallback(async (code) => {
+    try {
+      const response = await fetch(`${API_BASE}/auth/sso/complete`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ code })
+      });
+
+      const data = await response.json();
+
+      if (response.ok && data.mfaToken) {
+        setMfaChallenge({ mfaToken: data.mfaToken, setupRequired: Boolean(data.mfaSetupRequired) });
+        return { success: true, mfaRequired: true };
+      } else if (response.ok) {
+        startSession(data);
+        return { success: true };
+      } else {
+        throw new Error(data.error || 'Single sign-on failed');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [API_BASE, startSession]);
+
+  // Requests of the second login step, authorized by the challenge token
+  const mfaLoginRequest = useCallback(async (path, body = {}) => {
+    try {
+      const response = await fetch(`${API_BASE}/auth/login/mfa${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ mfaToken: mfaChallenge?.mfaToken, ...body })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return data;
+      } else {
+        if (response.status === 401 && !body.code && !body.recoveryCode) setMfaChallenge(null);
+        throw new Error(data.error || 'Verification failed');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [API_BASE, mfaChallenge]);
+
+  // Finish logging in with an authenticator or recovery code
+  const verifyMfa = useCallback(async ({ code, recoveryCode }) => {
+    const data = await mfaLoginRequest('', { code, recoveryCode });
+    if (data.success) startSession(data);
+    return data;
+  }, [mfaLoginRequest, startSession]);
+
+  // Users who must use MFA set it up while logging in. The session starts
+  // once they have seen their recovery codes (startSession).
+  const startMfaLoginSetup = useCallback(() => mfaLoginRequest('/setup'), [mfaLoginRequest]);
+
+  const enableMfaLogin = useCallback((code) => mfaLoginRequest('/enable', { code }), [mfaLoginRequest]);
+
+  const cancelMfa = useCallback(() => setMfaChallenge(null), []);
+
+  // Clear the session in this browser
+  const clearSession = useCallback(() => {
     setToken(null);
     setUser(null);
     setError(null);
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     
     // Clear any applied themes
@@ -87,6 +202,91 @@ export const AuthProvider = ({ children }) => {
     document.title = 'Smart DataRoom';
   }, []);
 
+  // Logout, ending the session on the server too
+  const logout = useCallback(() => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ refreshToken })
+      }).catch(err => console.error('Failed to end session:', err));
+    }
+    clearSession();
+  }, [API_BASE, clearSession]);
+
+  // Swap the refresh token for a new access token. The stored refresh token
+  // is read each time because another tab may have rotated it.
+  const refreshSession = useCallback(() => {
+    if (refreshing.current) return refreshing.current;
+
+    refreshing.current = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        clearSession();
+        return false;
+      }
+
+      try {
+        const response = await fetch(`${API_BASE}/auth/refresh`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ refreshToken })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+          localStorage.setItem('token', data.token);
+          localStorage.setItem('refreshToken', data.refreshToken);
+          setToken(data.token);
+          return true;
+        } else if (response.status === 401) {
+          clearSession();
+        }
+        return false;
+      } catch (err) {
+        console.error('Failed to refresh session:', err);
+        return false;
+      } finally {
+        refreshing.current = null;
+      }
+    })();
+
+    return refreshing.current;
+  }, [API_BASE, clearSession]);
+
+  // Renew the access token shortly before it expires
+  useEffect(() => {
+    const expiry = token && tokenExpiry(token);
+    if (!expiry) return undefined;
+
+    const delay = expiry - Date.now() - REFRESH_MARGIN_MS - Math.random() * REFRESH_JITTER_MS;
+    const timer = setTimeout(refreshSession, Math.max(delay, 0));
+    return () => clearTimeout(timer);
+  }, [token, refreshSession]);
+
+  // Follow sign-ins, refreshes and sign-outs of other tabs
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== 'token') return;
+
+      if (e.newValue) {
+        setToken(e.newValue);
+      } else {
+        setToken(null);
+        setUser(null);
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
   // Register new user (admin only)
   const register = useCallback(async (userData) => {
     if (!user || (user.tenant_role !== 'admin' && user.global_role !== 'superadmin')) {
@@ -173,11 +373,11 @@ export const AuthProvider = ({ children }) => {
 
       const data = await response.json();
 
-      if (response.ok) {
-        setToken(data.token);
-        setUser(data.user);
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('user', JSON.stringify(data.user));
+      if (response.ok && data.mfaSetupRequired) {
+        setMfaChallenge({ mfaToken: data.mfaToken, setupRequired: true });
+        return { success: true, mfaRequired: true };
+      } else if (response.ok) {
+        startSession(data);
         return { success: true };
       } else {
         throw new Error(data.error || 'Failed to accept invitation');
@@ -188,10 +388,157 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
+  }, [API_BASE, startSession]);
+
+  // Email a password reset link for an account of a tenant
+  const requestPasswordReset = useCallback(async (email, tenantSlug) => {
+    try {
+      const response = await fetch(`${API_BASE}/auth/forgot-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ email, tenantSlug })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return { success: true, message: data.message };
+      } else {
+        throw new Error(data.error || 'Failed to request a password reset');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [API_BASE]);
+
+  // Set a new password with the token of a reset link
+  const resetPassword = useCallback(async (token, tenantSlug, password) => {
+    try {
+      const response = await fetch(`${API_BASE}/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ token, tenantSlug, password })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return { success: true, message: data.message };
+      } else {
+        throw new Error(data.error || 'Failed to reset password');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
   }, [API_BASE]);
 
+  // MFA of the signed-in user; resolve to the response body
+  const mfaRequest = useCallback(async (path, options = {}) => {
+    try {
+      const response = await fetch(`${API_BASE}/auth/mfa${path}`, {
+        ...options,
+        headers: getAuthHeaders()
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return data;
+      } else {
+        throw new Error(data.error || 'Request failed');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [API_BASE, getAuthHeaders]);
+
+  const getMfaStatus = useCallback(() => mfaRequest(''), [mfaRequest]);
+
+  const startMfaSetup = useCallback(() => mfaRequest('/setup', { method: 'POST' }), [mfaRequest]);
+
+  const setUserMfaEnabled = useCallback((enabled) => {
+    setUser(prev => {
+      const updated = { ...prev, mfa_enabled: enabled };
+      localStorage.setItem('user', JSON.stringify(updated));
+      return updated;
+    });
+  }, []);
+
+  // Enabling MFA ends sessions without it, so the new token replaces ours
+  const enableMfa = useCallback(async (code) => {
+    const data = await mfaRequest('/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+    if (data.success) {
+      setToken(data.token);
+      localStorage.setItem('token', data.token);
+      setUserMfaEnabled(true);
+    }
+    return data;
+  }, [mfaRequest, setUserMfaEnabled]);
+
+  const disableMfa = useCallback(async ({ code, recoveryCode }) => {
+    const data = await mfaRequest('', {
+      method: 'DELETE',
+      body: JSON.stringify({ code, recoveryCode })
+    });
+    if (data.success) setUserMfaEnabled(false);
+    return data;
+  }, [mfaRequest, setUserMfaEnabled]);
+
+  const regenerateRecoveryCodes = useCallback((code) => mfaRequest('/recovery-codes', {
+    method: 'POST',
+    body: JSON.stringify({ code })
+  }), [mfaRequest]);
+
+  // Sessions of the signed-in user, or of a member for admins (userId)
+  const sessionRequest = useCallback(async (path, options = {}) => {
+    try {
+      const response = await fetch(`${API_BASE}${path}`, {
+        ...options,
+        headers: getAuthHeaders()
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return data;
+      } else {
+        throw new Error(data.error || 'Request failed');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [API_BASE, getAuthHeaders]);
+
+  const getSessions = useCallback((userId = null) => (
+    sessionRequest(userId ? `/auth/users/${userId}/sessions` : '/auth/sessions')
+  ), [sessionRequest]);
+
+  const revokeSession = useCallback((sessionId, userId = null) => sessionRequest(
+    userId ? `/auth/users/${userId}/sessions/${sessionId}` : `/auth/sessions/${sessionId}`,
+    { method: 'DELETE' }
+  ), [sessionRequest]);
+
+  const revokeUserSessions = useCallback((userId) => sessionRequest(
+    `/auth/users/${userId}/sessions`,
+    { method: 'DELETE' }
+  ), [sessionRequest]);
+
+  // Sign out everywhere, this browser included
+  const signOutEverywhere = useCallback(async () => {
+    const data = await sessionRequest('/auth/sessions', { method: 'DELETE' });
+    if (data.success) clearSession();
+    return data;
+  }, [sessionRequest, clearSession]);
+
   // Create invitation
-  const createInvitation = useCallback(async (email, role = 'user') => {
+  const createInvitation = useCallback(async (email, role = 'user', groupId = null) => {
     if (!user || user.tenant_role !== 'admin') {
       throw new Error('Only admins can create invitations');
     }
@@ -200,7 +547,7 @@ export const AuthProvider = ({ children }) => {
       const response = await fetch(`${API_BASE}/auth/invite`, {
         method: 'POST',
         headers: getAuthHeaders(),
-        body: JSON.stringify({ email, role })
+        body: JSON.stringify({ email, role, groupId })
       });
 
       const data = await response.json();
@@ -215,6 +562,53 @@ export const AuthProvider = ({ children }) => {
     }
   }, [user, API_BASE, getAuthHeaders]);
 
+  // Invitation requests (admin only); resolve to the response body
+  const invitationRequest = useCallback(async (path, options = {}) => {
+    if (!user || user.tenant_role !== 'admin') {
+      return { success: false, error: 'Admin access required' };
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/auth/invitations${path}`, {
+        ...options,
+        headers: getAuthHeaders()
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return data;
+      } else {
+        throw new Error(data.error || 'Invitation request failed');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [user, API_BASE, getAuthHeaders]);
+
+  const getInvitations = useCallback((status = null) => invitationRequest(
+    status ? `?status=${encodeURIComponent(status)}` : ''
+  ), [invitationRequest]);
+
+  const resendInvitation = useCallback((invitationId) => invitationRequest(`/${invitationId}/resend`, {
+    method: 'POST'
+  }), [invitationRequest]);
+
+  const extendInvitation = useCallback((invitationId, days = 7) => invitationRequest(`/${invitationId}/extend`, {
+    method: 'POST',
+    body: JSON.stringify({ days })
+  }), [invitationRequest]);
+
+  const revokeInvitation = useCallback((invitationId) => invitationRequest(`/${invitationId}`, {
+    method: 'DELETE'
+  }), [invitationRequest]);
+
+  // Invite the rows of a CSV file; dryRun only checks them
+  const bulkInvite = useCallback((csv, { role = 'user', groupId = null, dryRun = false } = {}) => invitationRequest('/bulk', {
+    method: 'POST',
+    body: JSON.stringify({ csv, role, groupId, dryRun })
+  }), [invitationRequest]);
+
   // Get tenant users
   const getTenantUsers = useCallback(async () => {
     if (!user || user.tenant_role !== 'admin') {
@@ -263,6 +657,178 @@ export const AuthProvider = ({ children }) => {
     }
   }, [user, API_BASE, getAuthHeaders]);
 
+  // Reset a member's MFA (admin only)
+  const resetUserMfa = useCallback(async (userId) => {
+    try {
+      const response = await fetch(`${API_BASE}/auth/users/${userId}/mfa`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return { success: true };
+      } else {
+        throw new Error(data.error || 'Failed to reset MFA');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [API_BASE, getAuthHeaders]);
+
+  // Group requests (admin only); resolve to the response body
+  const groupRequest = useCallback(async (path, options = {}) => {
+    if (!user || user.tenant_role !== 'admin') {
+      return { success: false, error: 'Admin access required' };
+    }
+
+    try {
+      const response = await fetch(`${API_BASE}/groups${path}`, {
+        ...options,
+        headers: getAuthHeaders()
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return data;
+      } else {
+        throw new Error(data.error || 'Group request failed');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [user, API_BASE, getAuthHeaders]);
+
+  const getGroups = useCallback(() => groupRequest(''), [groupRequest]);
+
+  const createGroup = useCallback((name, description = null) => groupRequest('', {
+    method: 'POST',
+    body: JSON.stringify({ name, description })
+  }), [groupRequest]);
+
+  const deleteGroup = useCallback((groupId) => groupRequest(`/${groupId}`, {
+    method: 'DELETE'
+  }), [groupRequest]);
+
+  const addGroupMembers = useCallback((groupId, userIds) => groupRequest(`/${groupId}/members`, {
+    method: 'POST',
+    body: JSON.stringify({ userIds })
+  }), [groupRequest]);
+
+  const removeGroupMember = useCallback((groupId, userId) => groupRequest(`/${groupId}/members/${userId}`, {
+    method: 'DELETE'
+  }), [groupRequest]);
+
+  // Terms requests; resolve to the response body
+  const termsRequest = useCallback(async (path, options = {}) => {
+    try {
+      const response = await fetch(`${API_BASE}/terms${path}`, {
+        ...options,
+        headers: getAuthHeaders()
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return data;
+      } else {
+        throw new Error(data.error || 'Terms request failed');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [API_BASE, getAuthHeaders]);
+
+  // The current terms and whether the signed-in user accepted them
+  const getTerms = useCallback(() => termsRequest(''), [termsRequest]);
+
+  const acceptTerms = useCallback((versionId) => termsRequest('/accept', {
+    method: 'POST',
+    body: JSON.stringify({ versionId })
+  }), [termsRequest]);
+
+  const getTermsVersions = useCallback(() => termsRequest('/versions'), [termsRequest]);
+
+  const publishTerms = useCallback((title, body) => termsRequest('/versions', {
+    method: 'POST',
+    body: JSON.stringify({ title, body })
+  }), [termsRequest]);
+
+  // Who accepted a version (default: the current one)
+  const getTermsAcceptances = useCallback((versionId = null) => termsRequest(
+    `/acceptances${versionId ? `?versionId=${encodeURIComponent(versionId)}` : ''}`
+  ), [termsRequest]);
+
+  // Question requests to the seller's team; resolve to the response body
+  const questionRequest = useCallback(async (path, options = {}) => {
+    try {
+      const response = await fetch(`${API_BASE}/questions${path}`, {
+        ...options,
+        headers: getAuthHeaders()
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return data;
+      } else {
+        throw new Error(data.error || 'Question request failed');
+      }
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }, [API_BASE, getAuthHeaders]);
+
+  // filters: status, category, priority, assignedTo ('me' or a user id)
+  const getQuestionRequests = useCallback((filters = {}) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    return questionRequest(params.toString() ? `?${params}` : '');
+  }, [questionRequest]);
+
+  const getQuestionRequest = useCallback((questionId) => questionRequest(`/${questionId}`), [questionRequest]);
+
+  // question: subject, body, category, priority, dueDate, groupId, documentIds
+  const submitQuestionRequest = useCallback((question) => questionRequest('', {
+    method: 'POST',
+    body: JSON.stringify(question)
+  }), [questionRequest]);
+
+  const updateQuestionRequest = useCallback((questionId, changes) => questionRequest(`/${questionId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes)
+  }), [questionRequest]);
+
+  const assignQuestionRequest = useCallback((questionId, userId) => questionRequest(`/${questionId}/assign`, {
+    method: 'POST',
+    body: JSON.stringify({ userId })
+  }), [questionRequest]);
+
+  // With submit the draft goes to the admins for approval
+  const saveQuestionDraft = useCallback((questionId, answer, submit = false) => questionRequest(`/${questionId}/draft`, {
+    method: 'PUT',
+    body: JSON.stringify({ answer, submit })
+  }), [questionRequest]);
+
+  const suggestQuestionAnswer = useCallback((questionId) => questionRequest(`/${questionId}/ai-draft`, {
+    method: 'POST'
+  }), [questionRequest]);
+
+  const approveQuestionAnswer = useCallback((questionId) => questionRequest(`/${questionId}/approve`, {
+    method: 'POST'
+  }), [questionRequest]);
+
+  const returnQuestionAnswer = useCallback((questionId, note = '') => questionRequest(`/${questionId}/return`, {
+    method: 'POST',
+    body: JSON.stringify({ note })
+  }), [questionRequest]);
+
+  const publishQuestionAnswer = useCallback((questionId, toAll = false) => questionRequest(`/${questionId}/publish`, {
+    method: 'POST',
+    body: JSON.stringify({ toAll })
+  }), [questionRequest]);
+
   // Check permissions
   const hasPermission = useCallback((permission) => {
     if (!user) return false;
@@ -305,11 +871,17 @@ export const AuthProvider = ({ children }) => {
   // Load initial data when component mounts
   useEffect(() => {
     if (token && !user) {
-      loadProfile();
+      // Tokens left from an earlier visit have usually expired
+      const expiry = tokenExpiry(token);
+      if (expiry && expiry - Date.now() < REFRESH_MARGIN_MS) {
+        refreshSession();
+      } else {
+        loadProfile();
+      }
     } else if (!token) {
       setLoading(false);
     }
-  }, [token, user, loadProfile]);
+  }, [token, user, loadProfile, refreshSession]);
 
   const value = {
     user,
@@ -326,15 +898,76 @@ export const AuthProvider = ({ children }) => {
     logout,
     register,
     loadProfile,
+    startSession,
+    refreshSession,
+
+    // Sessions
+    getSessions,
+    revokeSession,
+    revokeUserSessions,
+    signOutEverywhere,
+
+    // Password reset
+    requestPasswordReset,
+    resetPassword,
+
+    // Single sign-on
+    getSsoStatus,
+    startSsoLogin,
+    completeSsoLogin,
+
+    // Multi-factor authentication
+    mfaChallenge,
+    verifyMfa,
+    startMfaLoginSetup,
+    enableMfaLogin,
+    cancelMfa,
+    getMfaStatus,
+    startMfaSetup,
+    enableMfa,
+    disableMfa,
+    regenerateRecoveryCodes,
     
     // Invitation actions
     acceptInvitation,
     createInvitation,
+    getInvitations,
+    resendInvitation,
+    extendInvitation,
+    revokeInvitation,
+    bulkInvite,
     
     // User management
     getTenantUsers,
     updateUser,
-    
+    resetUserMfa,
+
+    // Group management
+    getGroups,
+    createGroup,
+    deleteGroup,
+    addGroupMembers,
+    removeGroupMember,
+
+    // Terms
+    getTerms,
+    acceptTerms,
+    getTermsVersions,
+    publishTerms,
+    getTermsAcceptances,
+
+    // Question requests
+    getQuestionRequests,
+    getQuestionRequest,
+    submitQuestionRequest,
+    updateQuestionRequest,
+    assignQuestionRequest,
+    saveQuestionDraft,
+    suggestQuestionAnswer,
+    approveQuestionAnswer,
+    returnQuestionAnswer,
+    publishQuestionAnswer,
+
     // Tenant actions
     loadTenant,
     loadTenantSettings,